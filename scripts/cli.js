@@ -0,0 +1,77 @@
+import { createPublicClient, defineChain, http, isAddress } from 'viem';
+import * as chains from 'viem/chains';
+import { erc20Abi, readStakingToken, stakingAbi } from '../src/stakingSdk.js';
+import { describeTxError } from '../src/errors.js';
+import { setBrandMessages } from '../src/i18n.js';
+
+/************************************
+ * 🔌 Shared by the Node scripts (operator.js, indexer.js)
+ ************************************/
+// parseArgs options every script takes
+export const CONNECTION_OPTIONS = {
+  rpc: { type: 'string' },
+  staking: { type: 'string' },
+  'deploy-block': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+export const CONNECTION_USAGE = `  --rpc <url>            JSON-RPC endpoint (env RPC_URL, default http://127.0.0.1:8545)
+  --staking <address>    Staking contract (env STAKING_ADDRESS)
+  --deploy-block <n>     First block of event scans (env DEPLOY_BLOCK, default 0)`;
+
+// Stops with a message on stderr, no stack trace
+export class UsageError extends Error {}
+
+// Chains viem knows keep their names and explorers; anything else (e.g. a local node) gets a minimal definition
+const resolveChain = (chainId, rpc) => Object.values(chains).find((chain) => chain?.id === chainId) ?? defineChain({
+  id: chainId,
+  name: `Chain ${chainId}`,
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: { default: { http: [rpc] } }
+});
+
+/**
+ * Connects to the RPC endpoint and reads the deployment from the staking contract:
+ * `{ rpc, chain, publicClient, deployment, owner, symbol }`. The token is the
+ * contract's own token(), so only the staking address has to be configured.
+ */
+export const connect = async (options) => {
+  const rpc = options.rpc ?? process.env.RPC_URL ?? 'http://127.0.0.1:8545';
+  const staking = options.staking ?? process.env.STAKING_ADDRESS;
+  if (!isAddress(staking ?? '')) throw new UsageError('Set the staking contract with --staking or STAKING_ADDRESS.');
+
+  const probe = createPublicClient({ transport: http(rpc) });
+  const chain = resolveChain(await probe.getChainId(), rpc);
+  const publicClient = createPublicClient({ chain, transport: http(rpc) });
+
+  const token = await readStakingToken(publicClient, { staking });
+  const deployment = {
+    chainId: chain.id,
+    token,
+    staking,
+    deployBlock: BigInt(options['deploy-block'] ?? process.env.DEPLOY_BLOCK ?? 0)
+  };
+  const [owner, symbol] = await Promise.all([
+    publicClient.readContract({ address: staking, abi: stakingAbi, functionName: 'owner' }),
+    publicClient.readContract({ address: token, abi: erc20Abi, functionName: 'symbol' }).catch(() => 'tokens')
+  ]);
+  // Revert messages from errors.js mention the token by {symbol}
+  setBrandMessages({ params: { symbol } });
+  return { rpc, chain, publicClient, deployment, owner, symbol };
+};
+
+// JSON keeps bigints exact, as decimal strings
+export const toJsonText = (value) => JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+
+export const printJson = (value) => console.log(toJsonText(value));
+
+// Runs a script's main(), reporting failures as one line on stderr and a non-zero exit code
+export const runCli = async (main) => {
+  try {
+    await main();
+  } catch (error) {
+    console.error(error instanceof UsageError || error.code?.startsWith?.('ERR_PARSE_ARGS') ? error.message : describeTxError(error));
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  createIndex,
+  getActiveStakers,
+  getDeposits,
+  getPenalties,
+  getPoolMetrics,
+  getRewardsPaid,
+  getTotals,
+  getTvlHistory,
+  isIndexFor,
+  parseIndex,
+  serializeIndex,
+  syncIndex
+} from '../src/stakingIndex.js';
+import { CONNECTION_OPTIONS, CONNECTION_USAGE, UsageError, connect, runCli, toJsonText } from './cli.js';
+
+/************************************
+ * 🗂️ Event indexer (backfill, follow, serve JSON)
+ ************************************/
+const USAGE = `Usage: npm run indexer -- [options]
+
+Backfills the staking contract's events from the deploy block into a local JSON file,
+follows new blocks, and serves the derived data over HTTP:
+
+  GET /status                    Sync state: cursor block, event count, last error
+  GET /totals                    TVL, active stakers, rewards paid, penalties, deposits
+  GET /pools                     Lifetime metrics per pool
+  GET /stakers[?lockDuration=]   Open positions per pool, largest first
+  GET /tvl[?lockDuration=]       TVL per pool (and in total) after every change
+  GET /rewards                   Rewards paid by unstakes, claims and top-ups
+  GET /penalties                 Emergency exits and their penalties
+  GET /deposits                  depositRewards() calls
+
+Amounts are wei as decimal strings; timestamps are unix seconds.
+
+Options:
+${CONNECTION_USAGE}
+  --store <file>         Index file (default .indexer/<chainId>-<staking>.json)
+  --port <n>             HTTP port (default 8787)
+  --host <host>          HTTP interface (default 127.0.0.1)
+  --interval <seconds>   Polling interval (default 15)
+  --confirmations <n>    Blocks to stay behind the head (default 2); deeper reorgs are rolled back
+  --once                 Sync once, print the totals and exit without serving
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+  ...CONNECTION_OPTIONS,
+  store: { type: 'string' },
+  port: { type: 'string', default: '8787' },
+  host: { type: 'string', default: '127.0.0.1' },
+  interval: { type: 'string', default: '15' },
+  confirmations: { type: 'string', default: '2' },
+  once: { type: 'boolean', default: false }
+};
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+const toPositiveInt = (value, name, min = 1) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new UsageError(`--${name} must be a whole number of at least ${min}.`);
+  return n;
+};
+
+/***************************
+ * 💾 Store
+ ***************************/
+const loadIndex = async (file, deployment) => {
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return createIndex(deployment);
+  }
+  const stored = parseIndex(text);
+  if (isIndexFor(stored, deployment) && stored.deployBlock === deployment.deployBlock) return stored;
+  log(`${file} belongs to another deployment or version; rebuilding it.`);
+  return createIndex(deployment);
+};
+
+// Written to a temporary file first so a crash never leaves a half-written index
+const saveIndex = async (file, index) => {
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(`${file}.tmp`, serializeIndex(index));
+  await rename(`${file}.tmp`, file);
+};
+
+/***************************
+ * 🌐 HTTP API
+ ***************************/
+const ROUTES = {
+  '/totals': (index) => getTotals(index),
+  '/pools': (index) => getPoolMetrics(index),
+  '/stakers': (index, query) => getActiveStakers(index, { lockDuration: query.get('lockDuration') ?? undefined }),
+  '/tvl': (index, query) => getTvlHistory(index, { lockDuration: query.get('lockDuration') ?? undefined }),
+  '/rewards': (index) => getRewardsPaid(index),
+  '/penalties': (index) => getPenalties(index),
+  '/deposits': (index) => getDeposits(index)
+};
+
+const serve = ({ port, host }, getState) => {
+  const handle = (req, send) => {
+    const url = new URL(req.url, 'http://indexer');
+    if (req.method !== 'GET') return send(405, { error: 'Only GET is supported.' });
+
+    const { index, status } = getState();
+    if (url.pathname === '/status') return send(200, status);
+    const route = ROUTES[url.pathname];
+    if (!route) return send(404, { error: `Unknown path ${url.pathname}.`, paths: ['/status', ...Object.keys(ROUTES)] });
+    if (url.searchParams.has('lockDuration') && !/^\d+$/.test(url.searchParams.get('lockDuration'))) {
+      return send(400, { error: 'lockDuration must be a number of seconds.' });
+    }
+    send(200, { cursor: index.cursor, data: route(index, url.searchParams) });
+  };
+
+  const server = createServer((req, res) => {
+    const send = (status, body) => {
+      const text = toJsonText(body);
+      // Readable from any origin, e.g. the dapp's analytics page
+      res.writeHead(status, { 'content-type': 'application/json', 'access-control-allow-origin': '*' });
+      res.end(text);
+    };
+    // A failing view answers 500 instead of taking the indexer down
+    try {
+      handle(req, send);
+    } catch (error) {
+      log(`${req.method} ${req.url} failed: ${error.stack ?? error.message}`);
+      send(500, { error: 'Internal error.' });
+    }
+  });
+  // e.g. EADDRINUSE or a host that does not resolve: nothing can be served, so stop
+  server.on('error', (error) => {
+    console.error(`Cannot serve on ${host}:${port}: ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => log(`Serving on http://${host}:${port}`));
+  return server;
+};
+
+/***************************
+ * 🚀 Entry point
+ ***************************/
+const main = async () => {
+  const { values: options } = parseArgs({ options: OPTIONS });
+  if (options.help) return console.log(USAGE);
+  const interval = toPositiveInt(options.interval, 'interval') * 1000;
+  const confirmations = toPositiveInt(options.confirmations, 'confirmations', 0);
+  const port = toPositiveInt(options.port, 'port');
+
+  const { publicClient, deployment, chain } = await connect(options);
+  const file = options.store ?? join('.indexer', `${chain.id}-${deployment.staking.toLowerCase()}.json`);
+  let index = await loadIndex(file, deployment);
+  const status = { chainId: chain.id, staking: deployment.staking, token: deployment.token, deployBlock: deployment.deployBlock, store: file, lastSync: null, lastError: null };
+  const currentStatus = () => ({ ...status, cursor: index.cursor, events: index.entries.length });
+
+  // Saved after every step, so a failure partway through a backfill only costs the current step
+  const sync = async () => {
+    let done = false;
+    while (!done) {
+      const result = await syncIndex(publicClient, index, {
+        deployment,
+        confirmations,
+        onProgress: ({ toBlock, scannedTo }) => scannedTo < toBlock && log(`Scanned to block ${scannedTo} of ${toBlock}`)
+      });
+      if (result.reorg) log(`Reorg detected: dropped ${result.removed} event(s), resuming after block ${result.index.cursor?.number ?? 'none'}.`);
+      if (result.index !== index) {
+        index = result.index;
+        await saveIndex(file, index);
+      }
+      if (result.added > 0) log(`Indexed ${result.added} event(s) up to block ${index.cursor.number}.`);
+      done = result.done;
+    }
+    status.lastSync = new Date().toISOString();
+    status.lastError = null;
+  };
+
+  log(`Indexing ${deployment.staking} on ${chain.name} from ${index.cursor ? `block ${index.cursor.number + 1n}` : `deploy block ${deployment.deployBlock}`}.`);
+  await sync();
+  if (options.once) return console.log(options.json ? toJsonText(getTotals(index)) : `Done: ${index.entries.length} event(s) up to block ${index.cursor?.number ?? 'none'}.`);
+
+  const server = serve({ port, host: options.host }, () => ({ index, status: currentStatus() }));
+  let timer;
+  const tick = async () => {
+    try {
+      await sync();
+    } catch (error) {
+      status.lastError = error.shortMessage ?? error.message;
+      log(`Sync failed: ${status.lastError}`);
+    }
+    timer = setTimeout(tick, interval);
+  };
+  timer = setTimeout(tick, interval);
+
+  const stop = () => {
+    clearTimeout(timer);
+    server.close(() => process.exit(0));
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+};
+
+await runCli(main);
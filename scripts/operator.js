@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { createWalletClient, encodeFunctionData, http, isAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import {
+  addStakingPoolCall,
+  approveCall,
+  depositRewardsCall,
+  modifyStakingPoolCall,
+  parseTokenAmount,
+  readAllowance,
+  readPendingRewards,
+  readPools,
+  readReserve
+} from '../src/stakingSdk.js';
+import { fetchStakingLogs } from '../src/activity.js';
+import { describeTxError } from '../src/errors.js';
+import { formatLockDuration } from '../src/format.js';
+import { formatDateTime, formatNumber, formatToken } from '../src/i18n.js';
+import { getSolvency } from '../src/solvency.js';
+import { CONNECTION_OPTIONS, CONNECTION_USAGE, UsageError, connect, printJson, runCli } from './cli.js';
+
+/************************************
+ * 🛠️ Operator CLI (reserve management and reporting)
+ ************************************/
+const USAGE = `Usage: npm run operator -- <command> [arguments] [options]
+
+Commands:
+  report                      Reserve, total staked, pools and runway
+  stakers                     Wallets with open positions, from the contract's events
+  runway                      How long the reserve lasts at the current accrual rate
+  deposit <amount>            depositRewards(amount), approving the token first if needed
+  add-pool <duration> <apy>   addStakingPool, e.g. add-pool 90d 80
+  set-apy <duration> <apy>    modifyStakingPool, e.g. set-apy 30d 25
+
+Durations take a unit (45s, 30m, 12h, 7d); a bare number is seconds. APY is a whole percent.
+
+Options:
+${CONNECTION_USAGE}
+  --all                  stakers: include wallets that have fully exited
+  --outstanding          runway: subtract rewards already accrued but not yet claimed (scans events)
+  --from <address>       Account to simulate transactions as (default: the contract owner)
+  --send                 Sign and send with PRIVATE_KEY (env); without it transactions are only
+                         simulated and printed as calldata (dry run)
+  --json                 Machine-readable output
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+  ...CONNECTION_OPTIONS,
+  all: { type: 'boolean', default: false },
+  outstanding: { type: 'boolean', default: false },
+  from: { type: 'string' },
+  send: { type: 'boolean', default: false }
+};
+
+/***************************
+ * 🔢 Arguments and output
+ ***************************/
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86_400 };
+
+const parseDuration = (value) => {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) === 0) throw new UsageError(`Invalid duration "${value}", expected e.g. 7d, 12h or 3600.`);
+  return BigInt(match[1]) * BigInt(DURATION_UNITS[match[2] || 's']);
+};
+
+const parseApy = (value) => {
+  if (!/^\d+$/.test(String(value ?? '')) || Number(value) === 0) throw new UsageError(`Invalid APY "${value}", expected a whole percent such as 25.`);
+  return BigInt(value);
+};
+
+const parseAmount = (value) => {
+  let amount;
+  try {
+    amount = parseTokenAmount(value ?? '');
+  } catch {
+    throw new UsageError(`Invalid amount "${value}".`);
+  }
+  if (amount <= 0n) throw new UsageError('The amount must be greater than 0.');
+  return amount;
+};
+
+const table = (rows) => {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+  for (const row of rows) console.log(row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd());
+};
+
+const formatRunway = (days) => (Number.isFinite(days) ? `${formatNumber(days, 1)} days` : 'unlimited (nothing accrues)');
+
+/***************************
+ * 📊 Reports
+ ***************************/
+// getSolvency() with the reserve optionally reduced by rewards owed but not yet claimed
+const runwayOf = ({ pools, rewardReserve, outstanding }) => {
+  const available = outstanding === undefined ? rewardReserve : (rewardReserve > outstanding ? rewardReserve - outstanding : 0n);
+  return getSolvency({
+    reserve: available,
+    pools: pools.map((pool) => ({ ...pool, id: pool.lockDuration.toString(), lockDurationInSeconds: Number(pool.lockDuration) }))
+  });
+};
+
+// Current positions per wallet, replayed from Staked/ToppedUp/Unstaked/EmergencyUnstaked
+const readStakers = async ({ publicClient, deployment }) => {
+  const logs = await fetchStakingLogs(publicClient, {
+    deployment,
+    eventNames: ['Staked', 'ToppedUp', 'Unstaked', 'EmergencyUnstaked']
+  });
+  const wallets = new Map();
+  for (const { eventName, args, blockNumber } of logs) {
+    const wallet = wallets.get(args.user) ?? { address: args.user, positions: {}, penalties: 0n, firstBlock: blockNumber, lastBlock: blockNumber };
+    const ld = args.lockDuration.toString();
+    if (eventName === 'Staked') wallet.positions[ld] = args.amount;
+    if (eventName === 'ToppedUp') wallet.positions[ld] = (wallet.positions[ld] ?? 0n) + args.addedAmount;
+    if (eventName === 'Unstaked') delete wallet.positions[ld];
+    if (eventName === 'EmergencyUnstaked') {
+      delete wallet.positions[ld];
+      wallet.penalties += args.penalty;
+    }
+    wallet.lastBlock = blockNumber;
+    wallets.set(args.user, wallet);
+  }
+  return [...wallets.values()]
+    .map((wallet) => ({ ...wallet, staked: Object.values(wallet.positions).reduce((sum, amount) => sum + amount, 0n) }))
+    .sort((a, b) => (a.staked === b.staked ? 0 : a.staked > b.staked ? -1 : 1));
+};
+
+// pendingRewards() of every open position: what the reserve already owes
+const readOutstanding = async (ctx, stakers) => {
+  const pending = await Promise.all(stakers.flatMap((wallet) => Object.keys(wallet.positions).map((ld) =>
+    readPendingRewards(ctx.publicClient, { deployment: ctx.deployment, address: wallet.address, lockDuration: BigInt(ld) }))));
+  return pending.reduce((sum, value) => sum + value, 0n);
+};
+
+const report = async (ctx, options) => {
+  const { publicClient, deployment, chain, owner, symbol } = ctx;
+  const [pools, { rewardReserve, totalStakedAll }] = await Promise.all([
+    readPools(publicClient, { deployment }),
+    readReserve(publicClient, { deployment })
+  ]);
+  const solvency = runwayOf({ pools, rewardReserve });
+
+  if (options.json) {
+    return printJson({
+      chainId: chain.id,
+      ...deployment,
+      owner,
+      symbol,
+      rewardReserve,
+      totalStakedAll,
+      pools: pools.map((pool, i) => ({ ...pool, rewardsPerDay: solvency.perPool[i].perDay })),
+      rewardsPerDay: solvency.perDay,
+      runwayDays: Number.isFinite(solvency.runwayDays) ? solvency.runwayDays : null,
+      runsOutAt: solvency.runsOutAt?.toISOString() ?? null,
+      status: solvency.status
+    });
+  }
+
+  console.log(`${chain.name} (${chain.id}) · staking ${deployment.staking} · owner ${owner}`);
+  console.log(`Reward reserve:  ${formatToken(rewardReserve)} ${symbol}`);
+  console.log(`Total staked:    ${formatToken(totalStakedAll)} ${symbol}`);
+  console.log(`Rewards per day: ${formatToken(solvency.perDay)} ${symbol}`);
+  console.log(`Runway:          ${formatRunway(solvency.runwayDays)} (${solvency.status})\n`);
+  if (pools.length === 0) return console.log('No pools yet.');
+  table([
+    ['Lock', 'Seconds', 'APY', 'Staked', 'Rewards/day'],
+    ...pools.map((pool, i) => [
+      formatLockDuration(pool.lockDuration),
+      pool.lockDuration.toString(),
+      `${pool.apy}%`,
+      formatToken(pool.totalStaked),
+      formatToken(solvency.perPool[i].perDay)
+    ])
+  ]);
+};
+
+const stakers = async (ctx, options) => {
+  const wallets = (await readStakers(ctx)).filter((wallet) => options.all || wallet.staked > 0n);
+  if (options.json) return printJson(wallets);
+  if (wallets.length === 0) return console.log('No stakers.');
+  table([
+    ['Wallet', `Staked (${ctx.symbol})`, 'Positions', 'Penalties paid', 'First block', 'Last block'],
+    ...wallets.map((wallet) => [
+      wallet.address,
+      formatToken(wallet.staked),
+      Object.entries(wallet.positions).map(([ld, amount]) => `${formatLockDuration(ld)}: ${formatToken(amount)}`).join(', ') || '-',
+      formatToken(wallet.penalties),
+      wallet.firstBlock.toString(),
+      wallet.lastBlock.toString()
+    ])
+  ]);
+  console.log(`\n${wallets.length} wallet(s)`);
+};
+
+const runway = async (ctx, options) => {
+  const { publicClient, deployment, symbol } = ctx;
+  const [pools, { rewardReserve }] = await Promise.all([
+    readPools(publicClient, { deployment }),
+    readReserve(publicClient, { deployment })
+  ]);
+  const outstanding = options.outstanding ? await readOutstanding(ctx, await readStakers(ctx)) : undefined;
+  const solvency = runwayOf({ pools, rewardReserve, outstanding });
+
+  if (options.json) {
+    return printJson({
+      rewardReserve,
+      outstanding: outstanding ?? null,
+      available: solvency.reserve,
+      rewardsPerDay: solvency.perDay,
+      runwayDays: Number.isFinite(solvency.runwayDays) ? solvency.runwayDays : null,
+      runsOutAt: solvency.runsOutAt?.toISOString() ?? null,
+      status: solvency.status
+    });
+  }
+
+  console.log(`Reward reserve:  ${formatToken(rewardReserve)} ${symbol}`);
+  if (outstanding !== undefined) {
+    console.log(`Owed, unclaimed: ${formatToken(outstanding)} ${symbol}`);
+    console.log(`Available:       ${formatToken(solvency.reserve)} ${symbol}`);
+  }
+  console.log(`Rewards per day: ${formatToken(solvency.perDay)} ${symbol}`);
+  console.log(`Runway:          ${formatRunway(solvency.runwayDays)}`);
+  if (solvency.runsOutAt) console.log(`Runs out:        ${formatDateTime(solvency.runsOutAt)}`);
+  console.log(`Status:          ${solvency.status}`);
+  if (outstanding === undefined) console.log('\nRewards already accrued but not claimed are not subtracted; add --outstanding to include them.');
+};
+
+/***************************
+ * ✍️ Transactions (dry run unless --send)
+ ***************************/
+// The key's account with --send; otherwise --from or the owner, simulated without a key
+const resolveSigner = ({ owner }, options) => {
+  if (options.send) {
+    if (!process.env.PRIVATE_KEY) throw new UsageError('--send needs the signer key in PRIVATE_KEY.');
+    const account = privateKeyToAccount(process.env.PRIVATE_KEY);
+    return { account, from: account.address };
+  }
+  if (options.from && !isAddress(options.from)) throw new UsageError(`Invalid --from address "${options.from}".`);
+  return { account: null, from: options.from ?? owner };
+};
+
+/**
+ * Simulates each step as `from`, prints its calldata, and with --send signs, sends and
+ * waits for it before moving on. In a dry run, steps after an approval are not simulated:
+ * they would revert on the allowance that the approval has not granted yet.
+ */
+const execute = async (ctx, options, steps) => {
+  const { publicClient, chain, rpc, owner } = ctx;
+  const { account, from } = resolveSigner(ctx, options);
+  const walletClient = account && createWalletClient({ account, chain, transport: http(rpc) });
+  if (from.toLowerCase() !== owner.toLowerCase()) console.warn(`Warning: ${from} is not the contract owner (${owner}); owner-only calls will revert.`);
+
+  const results = [];
+  let blocked = false;
+  for (const step of steps) {
+    const { chainId: _chainId, ...call } = step.call;
+    const result = {
+      description: step.description,
+      to: call.address,
+      data: encodeFunctionData(call),
+      status: 'prepared'
+    };
+    results.push(result);
+    if (!options.json) console.log(`\n${step.description}\n  to:   ${result.to}\n  data: ${result.data}`);
+    if (blocked) {
+      if (!options.json) console.log('  not simulated: runs after the approval above');
+      continue;
+    }
+
+    try {
+      const { request } = await publicClient.simulateContract({ ...call, account: account ?? from });
+      result.status = 'simulated';
+      if (walletClient) {
+        result.hash = await walletClient.writeContract(request);
+        if (!options.json) console.log(`  sent: ${result.hash}`);
+        const receipt = await publicClient.waitForTransactionReceipt({ hash: result.hash });
+        result.blockNumber = receipt.blockNumber;
+        result.status = receipt.status;
+        if (receipt.status !== 'success') throw new Error(`Transaction ${result.hash} reverted.`);
+      }
+      if (!options.json) console.log(`  ${result.status === 'simulated' ? 'simulation ok' : `confirmed in block ${result.blockNumber}`}`);
+    } catch (error) {
+      result.status = 'failed';
+      result.error = describeTxError(error);
+      if (options.json) printJson(results);
+      throw new Error(`${step.description} failed: ${result.error}`);
+    }
+    if (step.approval && !walletClient) blocked = true;
+  }
+
+  if (options.json) return printJson(results);
+  if (!walletClient) console.log('\nDry run: nothing was sent. Re-run with --send and PRIVATE_KEY to submit.');
+};
+
+const deposit = async (ctx, options, [value]) => {
+  const { publicClient, deployment, symbol } = ctx;
+  const amount = parseAmount(value);
+  const { from } = resolveSigner(ctx, options);
+  const allowance = await readAllowance(publicClient, { deployment, address: from });
+  const steps = [];
+  if (allowance < amount) {
+    steps.push({ description: `Approve ${formatToken(amount, 4)} ${symbol} for the staking contract`, call: approveCall(deployment, amount), approval: true });
+  }
+  steps.push({ description: `Deposit ${formatToken(amount, 4)} ${symbol} into the reward reserve`, call: depositRewardsCall(deployment, amount) });
+  return execute(ctx, options, steps);
+};
+
+const addPool = (ctx, options, [duration, value]) => {
+  const [lockDuration, apy] = [parseDuration(duration), parseApy(value)];
+  return execute(ctx, options, [{
+    description: `Add a ${formatLockDuration(lockDuration)} pool at ${apy}% APY`,
+    call: addStakingPoolCall(ctx.deployment, lockDuration, apy)
+  }]);
+};
+
+const setApy = (ctx, options, [duration, value]) => {
+  const [lockDuration, apy] = [parseDuration(duration), parseApy(value)];
+  return execute(ctx, options, [{
+    description: `Set the ${formatLockDuration(lockDuration)} pool's APY to ${apy}%`,
+    call: modifyStakingPoolCall(ctx.deployment, lockDuration, apy)
+  }]);
+};
+
+/***************************
+ * 🚀 Entry point
+ ***************************/
+const COMMANDS = { report, stakers, runway, deposit, 'add-pool': addPool, 'set-apy': setApy };
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (options.help || !command) return console.log(USAGE);
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".\n\n${USAGE}`);
+  const ctx = await connect(options);
+  await COMMANDS[command](ctx, options, args);
+};
+
+await runCli(main);
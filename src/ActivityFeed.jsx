@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { usePublicClient } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { History, Loader, ChevronDown, ChevronUp, Download } from 'lucide-react';
+import { formatLockDuration } from './format.js';
+import { t, formatToken } from './i18n.js';
+import { useI18n } from './useI18n.js';
+import { fetchWalletActivity } from './activity.js';
+import { useDeployment } from './useDeployment.js';
+import { getActiveBrand } from './brands.js';
+import { getExplorerTxUrl } from './deployments.js';
+import { buildExportRows, summarizeExportRows, toCsv, toJson, downloadFile } from './export.js';
+
+const EVENT_ICONS = {
+  Staked: '🟢',
+  ToppedUp: '➕',
+  Unstaked: '🔓',
+  EmergencyUnstaked: '🚨',
+  RewardsClaimed: '🎁',
+  RewardsDeposited: '💰'
+};
+
+const fmt = (wei) => formatToken(wei, 4);
+
+const eventLabel = (type) => (EVENT_ICONS[type] ? `${EVENT_ICONS[type]} ${t(`activity.event.${type}`)}` : type);
+
+const poolLabel = (entry) => {
+  if (entry.lockDuration !== null) return t('pool.title', { duration: formatLockDuration(entry.lockDuration) });
+  return entry.type === 'RewardsClaimed' ? t('activity.allPools') : '—';
+};
+
+// One-line summary of the token movements in an entry
+const describeAmounts = (entry) => {
+  switch (entry.type) {
+    case 'Unstaked':
+      return t('activity.amounts.unstaked', { amount: fmt(entry.amount), rewards: fmt(entry.rewards) });
+    case 'EmergencyUnstaked':
+      return t('activity.amounts.emergency', { amount: fmt(entry.returned), penalty: fmt(entry.penalty) });
+    case 'ToppedUp':
+      return t('activity.amounts.toppedUp', { amount: fmt(entry.amount), rewards: fmt(entry.rewards) });
+    case 'RewardsClaimed':
+      return t('activity.amounts.claimed', { amount: fmt(entry.rewards) });
+    default:
+      return t('common.amount', { amount: fmt(entry.amount) });
+  }
+};
+
+const exportButtonStyle = { display: 'inline-flex', alignItems: 'center', gap: '0.25rem', padding: '.5rem 1rem', fontSize: '0.875rem' };
+
+// Date-range filtered CSV/JSON export of the wallet's staking history
+const ExportPanel = ({ entries, address }) => {
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  const range = {
+    from: fromDate ? new Date(`${fromDate}T00:00:00`) : undefined,
+    to: toDate ? new Date(`${toDate}T23:59:59.999`) : undefined
+  };
+  const rows = buildExportRows(entries, range);
+  const totals = summarizeExportRows(rows);
+  const filename = `${getActiveBrand().symbol.toLowerCase()}-staking-${address}-${fromDate || 'start'}-${toDate || 'today'}`;
+
+  const exportCsv = () => downloadFile(`${filename}.csv`, toCsv(rows), 'text/csv');
+  const exportJson = () => downloadFile(`${filename}.json`, toJson(rows, {
+    wallet: address,
+    from: range.from?.toISOString() ?? null,
+    to: range.to?.toISOString() ?? null,
+    totals
+  }), 'application/json');
+
+  return (
+    <div className="stat-card" style={{ textAlign: 'left', marginBottom: '1rem', fontFamily: 'var(--body-font)' }}>
+      <strong>{t('export.title')}</strong>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem', fontSize: '0.875rem' }}>
+        <label>{t('export.from')} <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className="input-field" style={{ fontSize: '0.875rem', padding: '.25rem .5rem' }} /></label>
+        <label>{t('export.to')} <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className="input-field" style={{ fontSize: '0.875rem', padding: '.25rem .5rem' }} /></label>
+        <button onClick={exportCsv} disabled={rows.length === 0} className="stake-button" style={exportButtonStyle}><Download size={16} /> CSV</button>
+        <button onClick={exportJson} disabled={rows.length === 0} className="stake-button" style={exportButtonStyle}><Download size={16} /> JSON</button>
+      </div>
+      <p style={{ fontSize: '0.75rem', color: 'var(--muted-color)', marginTop: '0.5rem' }}>
+        {t('export.summary', { count: rows.length, rewards: totals.rewardsPaid, penalty: totals.penalty })}
+      </p>
+    </div>
+  );
+};
+
+const ActivityFeed = ({ address }) => {
+  const { t, formatDateTime } = useI18n();
+  const { deployment } = useDeployment();
+  const publicClient = usePublicClient({ chainId: deployment?.chainId });
+  const [isOpen, setIsOpen] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const { data: entries, isFetching, error, refetch } = useQuery({
+    queryKey: ['activity', deployment?.chainId, deployment?.staking, address],
+    queryFn: () => fetchWalletActivity(publicClient, { deployment, address, onProgress: setProgress }),
+    enabled: isOpen && !!address && !!deployment && !!publicClient,
+    staleTime: 30_000
+  });
+
+  const scannedPct = progress && progress.toBlock > progress.fromBlock
+    ? Number(((progress.scannedTo - progress.fromBlock) * 100n) / (progress.toBlock - progress.fromBlock))
+    : null;
+
+  return (
+    <div className="claim-section">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ marginBottom: 0 }}><History style={{ marginRight: '0.5rem' }} /> {t('activity.title')}</h2>
+        <button onClick={() => setIsOpen((open) => !open)} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--highlight-color)' }}>
+          {isOpen ? <ChevronUp /> : <ChevronDown />}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div style={{ marginTop: '1rem' }}>
+          {isFetching && (
+            <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.75rem' }}>
+              <Loader className="animate-spin" style={{ marginRight: '0.5rem' }} />
+              <span>{scannedPct !== null ? t('activity.scanningPct', { pct: scannedPct }) : t('activity.scanning')}</span>
+            </div>
+          )}
+
+          {error && (
+            <p style={{ color: 'var(--highlight-color)', marginBottom: '0.75rem' }}>
+              {t('activity.loadError', { error: error.shortMessage || error.message })}{' '}
+              <button onClick={() => refetch()} style={{ textDecoration: 'underline', color: 'var(--highlight-color)' }}>{t('activity.retry')}</button>
+            </p>
+          )}
+
+          {entries && entries.length === 0 && (
+            <p style={{ textAlign: 'center', color: 'var(--highlight-color)' }}>{t('activity.empty')}</p>
+          )}
+
+          {entries && entries.length > 0 && <ExportPanel entries={entries} address={address} />}
+
+          {entries && entries.length > 0 && (
+            <div style={{ maxHeight: '24rem', overflowY: 'auto' }}>
+              {entries.map((entry) => (
+                <div key={entry.id} className="stat-card" style={{ textAlign: 'left', marginBottom: '0.5rem', fontFamily: 'var(--body-font)' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    <strong>{eventLabel(entry.type)}</strong>
+                    <span style={{ fontSize: '0.75rem', color: 'var(--muted-color)' }}>{formatDateTime(entry.timestamp * 1000)}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem', fontSize: '0.875rem', marginTop: '0.25rem' }}>
+                    <span style={{ color: 'var(--highlight-color)' }}>{poolLabel(entry)}</span>
+                    <span>{describeAmounts(entry)}</span>
+                  </div>
+                  <p style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.25rem', wordBreak: 'break-all' }}>
+                    {t('activity.blockTx', { block: entry.blockNumber.toString() })}{' '}
+                    {getExplorerTxUrl(deployment.chainId, entry.txHash)
+                      ? <a href={getExplorerTxUrl(deployment.chainId, entry.txHash)} target="_blank" rel="noreferrer" style={{ textDecoration: 'underline' }}>{entry.txHash}</a>
+                      : entry.txHash}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
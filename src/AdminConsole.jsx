@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { ShieldCheck, XCircle, PlusCircle, Pencil, Coins } from 'lucide-react';
+import { parseTokenAmount, addStakingPoolCall, modifyStakingPoolCall, depositRewardsCall } from './stakingSdk.js';
+import { t } from './i18n.js';
+import { useI18n } from './useI18n.js';
+
+const DURATION_UNITS = {
+  days: 24 * 60 * 60,
+  hours: 60 * 60,
+  minutes: 60
+};
+
+const labelStyle = { display: 'block', fontSize: '0.875rem', color: 'var(--highlight-color)', marginBottom: '0.5rem' };
+const sectionStyle = { backgroundColor: 'white', padding: '1rem', borderRadius: '0.75rem', border: '2px solid #d1d5db', marginTop: '1rem' };
+const sectionTitleStyle = { fontSize: '1.125rem', fontFamily: 'var(--display-font)', color: 'var(--primary-color)', marginBottom: '0.75rem', display: 'flex', alignItems: 'center', gap: '0.5rem' };
+
+/************************************
+ * ✅ Validation — mirrors the contract's require() checks
+ ************************************/
+// A positive whole number typed as plain digits, as a bigint; null otherwise. Number()
+// would also take "1e3", "0x10" or " 5 " and lose precision on long inputs.
+const parseWholeNumber = (value) => {
+  const text = String(value ?? '').trim();
+  if (!/^\d+$/.test(text)) return null;
+  const n = BigInt(text);
+  return n > 0n ? n : null;
+};
+
+const parseApy = (value) => {
+  const apy = parseWholeNumber(value);
+  if (apy === null) return { error: t('admin.error.apy') };
+  return { apy };
+};
+
+const validateNewPool = ({ duration, unit, apy }, existingLockDurations) => {
+  const n = parseWholeNumber(duration);
+  if (n === null) return { error: t('admin.error.lock') };
+  const lockDuration = n * BigInt(DURATION_UNITS[unit]);
+  if (existingLockDurations.some((ld) => ld === lockDuration)) {
+    return { error: t('admin.error.exists') };
+  }
+  const parsedApy = parseApy(apy);
+  if (parsedApy.error) return parsedApy;
+  return { lockDuration, apy: parsedApy.apy };
+};
+
+const validatePoolEdit = (pool, apy) => {
+  if (!pool) return { error: t('admin.error.missing') };
+  const parsedApy = parseApy(apy);
+  if (parsedApy.error) return parsedApy;
+  if (parsedApy.apy === BigInt(pool.apy)) return { error: t('admin.error.sameApy') };
+  return { lockDuration: BigInt(pool.lockDurationInSeconds), apy: parsedApy.apy };
+};
+
+const validateDeposit = (amount, balance) => {
+  let amountWei;
+  try {
+    amountWei = parseTokenAmount(amount || '0');
+  } catch {
+    return { error: t('admin.error.invalidAmount') };
+  }
+  if (amountWei <= 0n) return { error: t('admin.error.depositZero') };
+  if (balance !== undefined && amountWei > balance) return { error: t('admin.error.depositBalance') };
+  return { amountWei };
+};
+
+/************************************
+ * 🛡️ Owner admin console
+ ************************************/
+const AdminConsole = ({ deployment, stakingPools, lockDurations, rewardReserve, tokenBalance, isBusy, runTxFlow, approvalStep, showCustomModal, onClose }) => {
+  const { t, formatToken } = useI18n();
+  const fmt = (wei) => t('common.amount', { amount: formatToken(wei) });
+  const [newPool, setNewPool] = useState({ duration: '', unit: 'days', apy: '' });
+  const [apyEdits, setApyEdits] = useState({});
+  const [depositAmount, setDepositAmount] = useState('');
+
+  const handleAddPool = () => {
+    const { error, lockDuration, apy } = validateNewPool(newPool, lockDurations);
+    if (error) return showCustomModal(error, 'error');
+    runTxFlow(t('admin.flow.addPool'), [{
+      label: t('admin.flow.addingPool'),
+      request: addStakingPoolCall(deployment, lockDuration, apy)
+    }], () => setNewPool({ duration: '', unit: newPool.unit, apy: '' }));
+  };
+
+  const handleModifyPool = (pool) => {
+    const { error, lockDuration, apy } = validatePoolEdit(pool, apyEdits[pool.id]);
+    if (error) return showCustomModal(error, 'error');
+    runTxFlow(t('admin.flow.updatePool', { pool: pool.duration }), [{
+      label: t('admin.flow.updatingApy'),
+      request: modifyStakingPoolCall(deployment, lockDuration, apy)
+    }], () => setApyEdits((prev) => ({ ...prev, [pool.id]: '' })));
+  };
+
+  const handleDeposit = () => {
+    const { error, amountWei } = validateDeposit(depositAmount, tokenBalance);
+    if (error) return showCustomModal(error, 'error');
+    runTxFlow(t('admin.flow.deposit'), [
+      approvalStep(amountWei),
+      {
+        label: t('admin.flow.depositing'),
+        request: depositRewardsCall(deployment, amountWei)
+      }
+    ], () => setDepositAmount(''));
+  };
+
+  return (
+    <div className="stats-section" style={{ marginBottom: '1.5rem', position: 'relative', borderColor: 'var(--secondary-color)' }}>
+      <h2><ShieldCheck style={{ marginRight: '0.5rem' }} /> {t('admin.title')}</h2>
+      <button onClick={onClose} style={{ position: 'absolute', top: '1rem', right: '1rem', background: 'none', border: 'none', cursor: 'pointer', color: 'var(--highlight-color)' }}>
+        <XCircle size={24} />
+      </button>
+
+      {/* Pools */}
+      <div style={sectionStyle}>
+        <h3 style={sectionTitleStyle}><Pencil size={18} /> {t('admin.pools')}</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+          <thead>
+            <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+              <th>{t('admin.col.lock')}</th>
+              <th>{t('admin.col.apy')}</th>
+              <th>{t('admin.col.totalStaked')}</th>
+              <th>{t('admin.col.newApy')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stakingPools.map((pool) => (
+              <tr key={pool.id} style={{ borderTop: '1px solid #d1d5db' }}>
+                <td style={{ padding: '0.5rem 0' }}>{pool.duration}</td>
+                <td>{pool.apy}%</td>
+                <td>{fmt(pool.totalStaked)}</td>
+                <td>
+                  <div className="input-flex">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={apyEdits[pool.id] ?? ''}
+                      onChange={(e) => setApyEdits((prev) => ({ ...prev, [pool.id]: e.target.value }))}
+                      placeholder={String(pool.apy)}
+                      className="input-field"
+                      style={{ width: '6rem', fontSize: '0.875rem', padding: '0.5rem' }}
+                    />
+                    <button onClick={() => handleModifyPool(pool)} disabled={isBusy || !apyEdits[pool.id]} className="stake-button">
+                      {t('admin.save')}
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Add pool */}
+      <div style={sectionStyle}>
+        <h3 style={sectionTitleStyle}><PlusCircle size={18} /> {t('admin.addPool')}</h3>
+        <div className="input-flex" style={{ flexWrap: 'wrap' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>{t('admin.lockDuration')}</label>
+            <div className="input-flex">
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={newPool.duration}
+                onChange={(e) => setNewPool((prev) => ({ ...prev, duration: e.target.value }))}
+                placeholder="30"
+                className="input-field"
+              />
+              <select
+                value={newPool.unit}
+                onChange={(e) => setNewPool((prev) => ({ ...prev, unit: e.target.value }))}
+                className="input-field"
+                style={{ flexGrow: 0 }}
+              >
+                {Object.keys(DURATION_UNITS).map((unit) => <option key={unit} value={unit}>{t(`admin.unit.${unit}`)}</option>)}
+              </select>
+            </div>
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>{t('admin.apyPct')}</label>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={newPool.apy}
+              onChange={(e) => setNewPool((prev) => ({ ...prev, apy: e.target.value }))}
+              placeholder="100"
+              className="input-field"
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+        <button onClick={handleAddPool} disabled={isBusy || !newPool.duration || !newPool.apy} className="claim-button" style={{ marginTop: '1rem' }}>
+          {t('admin.addPool')}
+        </button>
+      </div>
+
+      {/* Fund rewards */}
+      <div style={sectionStyle}>
+        <h3 style={sectionTitleStyle}><Coins size={18} /> {t('admin.fund')}</h3>
+        <p style={{ fontSize: '0.875rem', color: 'var(--muted-color)', marginBottom: '0.75rem' }}>
+          {t('admin.currentReserve')} <strong>{fmt(rewardReserve)}</strong> · {t('admin.yourBalance')} <strong>{fmt(tokenBalance)}</strong>
+        </p>
+        <div className="input-flex">
+          <input
+            type="number"
+            value={depositAmount}
+            onChange={(e) => setDepositAmount(e.target.value)}
+            placeholder="0.0"
+            className="input-field"
+          />
+          <button onClick={handleDeposit} disabled={isBusy || !depositAmount} className="stake-button">
+            {t('admin.deposit')}
+          </button>
+        </div>
+        <p style={{ fontSize: '.8rem', color: 'var(--muted-color)', marginTop: '.25rem' }}>
+          {t('admin.depositNote')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,365 @@
+import React, { useMemo, useState } from 'react';
+import { usePublicClient } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeft, ChartLine, ChartColumn, Landmark, Loader, RefreshCw, Siren, Trophy, Layers } from 'lucide-react';
+import { buildAnalytics, loadProtocolIndex } from './analytics.js';
+import { formatLockDuration, SECONDS_PER_DAY } from './format.js';
+import { formatTokenAmount } from './stakingSdk.js';
+import { useChainClock } from './useChainClock.js';
+import { useI18n } from './useI18n.js';
+import { setWatchTarget } from './watchMode.js';
+import { setAnalyticsOpen } from './analyticsView.js';
+
+const RANGES = [7, 30, 90];
+const SERIES_COLORS = ['var(--primary-color)', 'var(--secondary-color)', 'var(--highlight-color)', '#15803d', '#7c3aed', '#0891b2'];
+const CHART = { width: 640, height: 220, left: 56, right: 12, top: 12, bottom: 28 };
+
+const shortAddress = (addr) => `${addr.substring(0, 6)}...${addr.substring(addr.length - 4)}`;
+const noteStyle = { fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' };
+const tableStyle = { width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', marginTop: '1rem', fontFamily: 'var(--body-font)' };
+
+/***************************
+ * 📈 Charts (plain SVG)
+ ***************************/
+const Legend = ({ items }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', fontSize: '0.75rem', fontFamily: 'var(--body-font)', marginTop: '0.5rem' }}>
+    {items.map(({ key, label, color }) => (
+      <span key={key} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem' }}>
+        <span style={{ width: '0.75rem', height: '0.75rem', borderRadius: '2px', background: color }} /> {label}
+      </span>
+    ))}
+  </div>
+);
+
+// Axes and gridlines shared by both charts; `max` is the top of the y axis in tokens
+const Frame = ({ max, fromLabel, toLabel, formatNumber, children }) => {
+  const { width, height, left, right, top, bottom } = CHART;
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', fontFamily: 'var(--body-font)' }} role="img">
+      {[0, 0.5, 1].map((f) => {
+        const y = top + (height - top - bottom) * (1 - f);
+        return (
+          <g key={f}>
+            <line x1={left} x2={width - right} y1={y} y2={y} stroke="#d1d5db" strokeDasharray={f === 0 ? undefined : '4 4'} />
+            <text x={left - 6} y={y + 4} fontSize="11" textAnchor="end" fill="var(--muted-color)">{formatNumber(max * f, 0)}</text>
+          </g>
+        );
+      })}
+      {children}
+      <text x={left} y={height - 8} fontSize="11" fill="var(--muted-color)">{fromLabel}</text>
+      <text x={width - right} y={height - 8} fontSize="11" textAnchor="end" fill="var(--muted-color)">{toLabel}</text>
+    </svg>
+  );
+};
+
+/**
+ * Step lines: each value holds until the next change, and the last one runs to `to`.
+ * `series` is [{ key, label, color, points: [{ timestamp, value }] }] with values in tokens.
+ */
+const StepChart = ({ series, from, to }) => {
+  const { formatNumber, formatDate } = useI18n();
+  const { width, height, left, right, top, bottom } = CHART;
+  const max = Math.max(1, ...series.flatMap((s) => s.points.map((p) => p.value)));
+  const span = Math.max(1, to - from);
+  const x = (timestamp) => left + ((Math.max(from, timestamp) - from) / span) * (width - left - right);
+  const y = (value) => top + (height - top - bottom) * (1 - value / max);
+
+  const path = (points) => points
+    .map((point, i) => (i === 0 ? `M${x(point.timestamp)},${y(point.value)}` : `H${x(point.timestamp)}V${y(point.value)}`))
+    .join('') + `H${x(to)}`;
+
+  return (
+    <>
+      <Frame max={max} fromLabel={formatDate(from * 1000)} toLabel={formatDate(to * 1000)} formatNumber={formatNumber}>
+        {series.filter((s) => s.points.length > 0).map((s) => (
+          <path key={s.key} d={path(s.points)} fill="none" stroke={s.color} strokeWidth={s.emphasis ? 2.5 : 1.75} />
+        ))}
+      </Frame>
+      <Legend items={series} />
+    </>
+  );
+};
+
+// Grouped bars per day; `bars` is [{ key, label, color }] naming the bucket fields to draw (wei)
+const DailyBars = ({ buckets, bars }) => {
+  const { formatNumber, formatDate } = useI18n();
+  const { width, height, left, right, top, bottom } = CHART;
+  const max = Math.max(1, ...buckets.flatMap((bucket) => bars.map((bar) => formatTokenAmount(bucket[bar.key]))));
+  const slot = (width - left - right) / buckets.length;
+  const barWidth = Math.max(1, (slot * 0.8) / bars.length);
+
+  return (
+    <>
+      <Frame max={max} fromLabel={formatDate(buckets[0].day * 1000)} toLabel={formatDate(buckets.at(-1).day * 1000)} formatNumber={formatNumber}>
+        {buckets.map((bucket, i) => bars.map((bar, j) => {
+          const value = formatTokenAmount(bucket[bar.key]);
+          const barHeight = ((height - top - bottom) * value) / max;
+          return value > 0 && (
+            <rect
+              key={`${bucket.day}-${bar.key}`}
+              x={left + i * slot + slot * 0.1 + j * barWidth}
+              y={height - bottom - barHeight}
+              width={barWidth}
+              height={barHeight}
+              fill={bar.color}
+            >
+              <title>{`${formatDate(bucket.day * 1000)} · ${bar.label}: ${formatNumber(value)}`}</title>
+            </rect>
+          );
+        }))}
+      </Frame>
+      <Legend items={bars} />
+    </>
+  );
+};
+
+/***************************
+ * 📊 Page
+ ***************************/
+/**
+ * Public protocol analytics, computed in the browser from the staking contract's event
+ * history (see analytics.js): TVL per pool over time, the reward reserve, daily flows,
+ * emergency exits and the largest stakers. No wallet is needed.
+ */
+const AnalyticsPage = ({ deployment }) => {
+  const { t, formatNumber, formatToken, formatDate } = useI18n();
+  const publicClient = usePublicClient({ chainId: deployment?.chainId });
+  const { now } = useChainClock({ chainId: deployment?.chainId, enabled: !!deployment });
+  const [days, setDays] = useState(30);
+  const [progress, setProgress] = useState(null);
+
+  const { data: index, isFetching, error, refetch } = useQuery({
+    queryKey: ['protocol-index', deployment?.chainId, deployment?.staking],
+    queryFn: () => loadProtocolIndex(publicClient, { deployment, onProgress: setProgress }),
+    enabled: !!deployment && !!publicClient,
+    staleTime: 60_000
+  });
+
+  // Daily buckets only move at midnight, so the (per-second) chain clock is rounded to the day
+  const today = Math.floor(now / SECONDS_PER_DAY);
+  const analytics = useMemo(
+    () => (index ? buildAnalytics(index, { now: today * SECONDS_PER_DAY, days }) : null),
+    [index, today, days]
+  );
+
+  const scannedPct = progress && progress.toBlock > progress.fromBlock
+    ? Number(((progress.scannedTo - progress.fromBlock) * 100n) / (progress.toBlock - progress.fromBlock))
+    : null;
+
+  const poolLabel = (lockDuration) => (lockDuration === null ? t('analytics.allPools') : t('pool.title', { duration: formatLockDuration(lockDuration) }));
+  // Watch first, so the back button returns to this page rather than the dashboard
+  const watch = (wallet) => {
+    setWatchTarget(wallet, deployment.chainId);
+    setAnalyticsOpen(false);
+  };
+
+  const header = (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '.5rem' }}>
+      <h2 style={{ marginBottom: 0 }}><ChartLine style={{ marginRight: '0.5rem' }} /> {t('analytics.title')}</h2>
+      <div style={{ display: 'flex', gap: '.5rem' }}>
+        {deployment && (
+          <button onClick={() => refetch()} disabled={isFetching} className="stake-button" title={t('analytics.refresh')}>
+            <RefreshCw size={16} />
+          </button>
+        )}
+        <button onClick={() => setAnalyticsOpen(false)} className="unstake-button">
+          <ArrowLeft size={16} style={{ marginRight: '.25rem' }} /> {t('analytics.back')}
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!deployment) {
+    return (
+      <div className="stats-section">
+        {header}
+        <p style={{ marginTop: '1rem' }}>{t('analytics.unavailable')}</p>
+      </div>
+    );
+  }
+
+  const tvlSeries = (analytics?.tvl ?? [])
+    .map((s, i) => ({
+      key: String(s.lockDuration),
+      label: poolLabel(s.lockDuration),
+      // The all-pools series comes first and is drawn thicker, in the muted colour
+      color: s.lockDuration === null ? 'var(--muted-color)' : SERIES_COLORS[(i - 1) % SERIES_COLORS.length],
+      emphasis: s.lockDuration === null,
+      points: s.points.map((p) => ({ timestamp: p.timestamp, value: formatTokenAmount(p.tvl) }))
+    }));
+  const firstEvent = index?.entries[0]?.timestamp ?? now;
+  const stat = (label, value, note) => (
+    <div className="stat-card">
+      <p className="label">{label}</p>
+      <p className="value">{value}</p>
+      {note && <p style={noteStyle}>{note}</p>}
+    </div>
+  );
+
+  return (
+    <main>
+      <div className="stats-section">
+        {header}
+
+        {isFetching && (
+          <div style={{ display: 'flex', alignItems: 'center', marginTop: '0.75rem' }}>
+            <Loader className="animate-spin" style={{ marginRight: '0.5rem' }} />
+            <span>{scannedPct !== null ? t('activity.scanningPct', { pct: scannedPct }) : t('activity.scanning')}</span>
+          </div>
+        )}
+        {error && (
+          <p style={{ color: 'var(--highlight-color)', marginTop: '0.75rem' }}>
+            {t('analytics.loadError', { error: error.shortMessage || error.message })}{' '}
+            <button onClick={() => refetch()} style={{ textDecoration: 'underline', color: 'var(--highlight-color)' }}>{t('activity.retry')}</button>
+          </p>
+        )}
+
+        {analytics && (
+          <>
+            <div className="stats-grid" style={{ marginTop: '1rem' }}>
+              {stat(t('analytics.tvl'), formatToken(analytics.totals.tvl), t('stats.tokens'))}
+              {stat(t('analytics.activeStakers'), formatNumber(analytics.totals.activeStakers, 0))}
+              {stat(t('analytics.rewardsPaid'), formatToken(analytics.totals.rewardsPaid), t('stats.tokens'))}
+            </div>
+            <div className="stats-grid" style={{ marginTop: '1rem' }}>
+              {stat(t('analytics.deposited'), formatToken(analytics.totals.deposited), t('stats.tokens'))}
+              {stat(t('analytics.penalties'), formatToken(analytics.totals.penaltiesCollected), t('stats.tokens'))}
+              {stat(t('analytics.events'), formatNumber(analytics.totals.events, 0), index.cursor && t('analytics.indexedTo', { block: index.cursor.number.toString() }))}
+            </div>
+            {analytics.totals.events === 0 && <p style={{ marginTop: '1rem' }}>{t('analytics.empty')}</p>}
+          </>
+        )}
+      </div>
+
+      {analytics && analytics.totals.events > 0 && (
+        <>
+          {/* TVL per pool */}
+          <div className="stats-section" style={{ marginTop: '1.5rem' }}>
+            <h2><Layers style={{ marginRight: '0.5rem' }} /> {t('analytics.tvlTitle')}</h2>
+            <StepChart series={tvlSeries} from={firstEvent} to={now} />
+          </div>
+
+          {/* Reward reserve */}
+          <div className="stats-section" style={{ marginTop: '1.5rem' }}>
+            <h2><Landmark style={{ marginRight: '0.5rem' }} /> {t('analytics.reserveTitle')}</h2>
+            <StepChart
+              series={[{
+                key: 'reserve',
+                label: t('analytics.reserve'),
+                color: 'var(--primary-color)',
+                emphasis: true,
+                points: analytics.reserve.map((p) => ({ timestamp: p.timestamp, value: formatTokenAmount(p.reserve) }))
+              }]}
+              from={firstEvent}
+              to={now}
+            />
+            <p style={noteStyle}>{t('analytics.reserveNote')}</p>
+          </div>
+
+          {/* Daily flows */}
+          <div className="stats-section" style={{ marginTop: '1.5rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '.5rem' }}>
+              <h2 style={{ marginBottom: 0 }}><ChartColumn style={{ marginRight: '0.5rem' }} /> {t('analytics.dailyTitle')}</h2>
+              <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="input-field" style={{ flexGrow: 0, fontSize: '0.875rem', padding: '0.25rem 0.5rem' }}>
+                {RANGES.map((d) => <option key={d} value={d}>{formatLockDuration(d * SECONDS_PER_DAY)}</option>)}
+              </select>
+            </div>
+            <DailyBars
+              buckets={analytics.daily}
+              bars={[
+                { key: 'staked', label: t('analytics.series.staked'), color: 'var(--primary-color)' },
+                { key: 'unstaked', label: t('analytics.series.unstaked'), color: 'var(--secondary-color)' },
+                { key: 'emergency', label: t('analytics.series.emergency'), color: 'var(--highlight-color)' }
+              ]}
+            />
+            <p style={noteStyle}>
+              {t('analytics.dailySummary', {
+                stakes: analytics.daily.reduce((n, b) => n + b.stakes, 0),
+                unstakes: analytics.daily.reduce((n, b) => n + b.unstakes, 0),
+                exits: analytics.daily.reduce((n, b) => n + b.emergencyExits, 0)
+              })}
+            </p>
+          </div>
+
+          {/* Emergency exits and per-pool totals */}
+          <div className="stats-section" style={{ marginTop: '1.5rem' }}>
+            <h2><Siren style={{ marginRight: '0.5rem' }} /> {t('analytics.emergencyTitle')}</h2>
+            <div className="stats-grid">
+              {stat(t('analytics.exits'), formatNumber(analytics.emergency.exits, 0))}
+              {stat(t('analytics.exitPrincipal'), formatToken(analytics.emergency.principal), t('stats.tokens'))}
+              {stat(t('analytics.penalties'), formatToken(analytics.emergency.penalties), t('analytics.penaltyNote'))}
+            </div>
+            <table style={tableStyle}>
+              <thead>
+                <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+                  <th>{t('analytics.col.pool')}</th>
+                  <th>{t('analytics.col.tvl')}</th>
+                  <th>{t('analytics.col.stakers')}</th>
+                  <th>{t('analytics.col.staked')}</th>
+                  <th>{t('analytics.col.unstaked')}</th>
+                  <th>{t('analytics.col.exits')}</th>
+                  <th>{t('analytics.col.penalties')}</th>
+                  <th>{t('analytics.col.rewards')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.pools.map((pool) => (
+                  <tr key={pool.lockDuration.toString()} style={{ borderTop: '1px solid #d1d5db' }}>
+                    <td style={{ padding: '0.375rem 0' }}>{formatLockDuration(pool.lockDuration)}</td>
+                    <td>{formatToken(pool.tvl)}</td>
+                    <td>{pool.activeStakers}</td>
+                    <td>{formatToken(pool.staked)}</td>
+                    <td>{formatToken(pool.unstaked)}</td>
+                    <td>{pool.emergencyExits} ({formatToken(pool.emergencyPrincipal)})</td>
+                    <td>{formatToken(pool.penalties)}</td>
+                    <td>{formatToken(pool.rewardsPaid)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p style={noteStyle}>{t('analytics.poolRewardsNote')}</p>
+          </div>
+
+          {/* Leaderboard */}
+          <div className="stats-section" style={{ marginTop: '1.5rem' }}>
+            <h2><Trophy style={{ marginRight: '0.5rem' }} /> {t('analytics.leaderboardTitle')}</h2>
+            {analytics.leaderboard.length === 0 ? <p>{t('analytics.noStakers')}</p> : (
+              <table style={tableStyle}>
+                <thead>
+                  <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+                    <th>#</th>
+                    <th>{t('analytics.col.wallet')}</th>
+                    <th>{t('analytics.col.tvl')}</th>
+                    <th>{t('analytics.col.pools')}</th>
+                    <th>{t('analytics.col.rewards')}</th>
+                    <th>{t('analytics.col.since')}</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.leaderboard.map((row, i) => (
+                    <tr key={row.wallet} style={{ borderTop: '1px solid #d1d5db' }}>
+                      <td style={{ padding: '0.375rem 0' }}>{i + 1}</td>
+                      <td title={row.wallet}>{shortAddress(row.wallet)}</td>
+                      <td>{formatToken(row.staked)}</td>
+                      <td>{row.positions.map((p) => formatLockDuration(p.lockDuration)).join(', ')}</td>
+                      <td>{formatToken(row.rewardsPaid)}</td>
+                      <td>{formatDate(row.since * 1000)}</td>
+                      <td>
+                        <button onClick={() => watch(row.wallet)} style={{ textDecoration: 'underline', color: 'var(--highlight-color)' }}>
+                          {t('analytics.watch')}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </main>
+  );
+};
+
+export default AnalyticsPage;
@@ -1,438 +1,154 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useLayoutEffect } from 'react';
 import { createWeb3Modal, defaultWagmiConfig } from '@web3modal/wagmi/react';
-import { WagmiConfig, useAccount, useDisconnect, useReadContract, useWriteContract, useWaitForTransactionReceipt, usePublicClient } from 'wagmi';
-import { mainnet, sepolia, base, baseSepolia } from 'wagmi/chains';
+import { WagmiConfig, createConfig, useAccount, useConnect, useDisconnect, usePublicClient, useSwitchChain } from 'wagmi';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
-import { Wallet, PiggyBank, Handshake, Loader, XCircle, Cat, Gift, LogOut, RefreshCw, Calculator } from 'lucide-react';
+import { Wallet, PiggyBank, Handshake, Loader, XCircle, Cat, Gift, LogOut, RefreshCw, Calculator, ShieldCheck, AlertTriangle, DoorOpen, ChartLine } from 'lucide-react';
 import { useWeb3Modal } from '@web3modal/wagmi/react';
-import { parseUnits, formatUnits, maxUint256 } from 'viem';
-
-/************************************
- * 🧩 Addresses — REPLACE THESE
- ************************************/
-const BENADS_TOKEN_ADDRESS = '0x14381ad86d0acc03f03dec66c39f413047665d4a';
-const STAKING_CONTRACT_ADDRESS = '';
-const TOKEN_DECIMALS = 18;
-
-/************************************
- * 🔐 Minimal ERC-20 ABI
- ************************************/
-const erc20Abi = [
-  {
-    inputs: [{ internalType: 'address', name: 'owner', type: 'address' }],
-    name: 'balanceOf',
-    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: 'owner', type: 'address' },
-      { internalType: 'address', name: 'spender', type: 'address' }
-    ],
-    name: 'allowance',
-    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: 'spender', type: 'address' },
-      { internalType: 'uint256', name: 'amount', type: 'uint256' }
-    ],
-    name: 'approve',
-    outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  }
-];
-
-/************************************
- * 🏗️ AdvancedBENADSStaking ABI
- ************************************/
-const stakingAbi = [
-  {
-    inputs: [
-      { internalType: 'uint256', name: '_amount', type: 'uint256' },
-      { internalType: 'uint256', name: '_lockDuration', type: 'uint256' }
-    ],
-    name: 'stake',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [{ internalType: 'uint256', name: '_lockDuration', type: 'uint256' }],
-    name: 'unstake',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [{ internalType: 'uint256', name: '_lockDuration', type: 'uint256' }],
-    name: 'emergencyUnstake',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [{ internalType: 'uint256', name: '_lockDuration', type: 'uint256' }],
-    name: 'claimRewards',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [],
-    name: 'claimAllRewards',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: '_user', type: 'address' },
-      { internalType: 'uint256', name: '_lockDuration', type: 'uint256' }
-    ],
-    name: 'pendingRewards',
-    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [],
-    name: 'rewardReserve',
-    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [],
-    name: 'totalStakedAll',
-    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: '', type: 'address' },
-      { internalType: 'uint256', name: '', type: 'uint256' }
-    ],
-    name: 'stakes',
-    outputs: [
-      { internalType: 'uint256', name: 'amount', type: 'uint256' },
-      { internalType: 'uint64', name: 'startTime', type: 'uint64' },
-      { internalType: 'uint64', name: 'lastClaim', type: 'uint64' }
-    ],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [],
-    name: 'getSupportedLockDurations',
-    outputs: [{ internalType: 'uint256[]', name: '', type: 'uint256[]' }],
-    stateMutability: 'view',
-    type: 'function'
-  }
-];
+import { custom } from 'viem';
+import { EMERGENCY_UNSTAKE_PENALTY_BPS } from './contracts.js';
+import {
+  getPositionState,
+  formatTokenAmount,
+  parseTokenAmount,
+  readAllowance,
+  approveCall,
+  stakeCall,
+  unstakeCall,
+  emergencyUnstakeCall,
+  claimRewardsCall,
+  claimAllRewardsCall
+} from './stakingSdk.js';
+import { DEFAULT_CHAIN_ID, DEPLOYED_CHAINS, SUPPORTED_CHAINS, getDeployment } from './deployments.js';
+import { useDeployment } from './useDeployment.js';
+import { formatLockDuration, formatCountdown } from './format.js';
+import AdminConsole from './AdminConsole.jsx';
+import ApyCalculator from './ApyCalculator.jsx';
+import ActivityFeed from './ActivityFeed.jsx';
+import SolvencyPanel from './SolvencyPanel.jsx';
+import { accruedRewards, previewTopUp } from './solvency.js';
+import { useChainClock } from './useChainClock.js';
+import { useStakingSnapshot } from './useStakingSnapshot.js';
+import TxFlowPanel from './TxFlowPanel.jsx';
+import TopUpPreview from './TopUpPreview.jsx';
+import ExitPlanner from './ExitPlanner.jsx';
+import NotificationSettings from './NotificationSettings.jsx';
+import RecentTransactions from './RecentTransactions.jsx';
+import { useStakeNotifications } from './useStakeNotifications.js';
+import { useTxFlow } from './useTxFlow.js';
+import { getClaimedAmount } from './activity.js';
+import { useWatchTarget } from './watchMode.js';
+import { WatchAddressForm, WatchBanner } from './WatchBanner.jsx';
+import { LANGUAGES, setLanguage, restoreWalletLanguage } from './i18n.js';
+import { useI18n } from './useI18n.js';
+import { getBrand, getActiveBrand, applyBrand } from './brands.js';
+import { DEMO_CHAIN, DEMO_MODE } from './demo.js';
+import { DEMO_CONNECTOR_ID, demoConnector, demoProvider } from './demoProvider.js';
+import DemoPanel from './DemoPanel.jsx';
+import AnalyticsPage from './AnalyticsPage.jsx';
+import { setAnalyticsOpen, useAnalyticsOpen } from './analyticsView.js';
 
 /************************************
  * 🔌 WalletConnect / wagmi setup
  ************************************/
 const projectId = '49c55f91f8d553affc92fdab806e83b6';
+// The wallet modal is created once, so it carries the default deployment's brand
+const defaultBrand = getActiveBrand();
 const metadata = {
-  name: 'BENADS Staking',
-  description: 'Stake BENADS, Earn rewards',
+  name: defaultBrand.name,
+  description: `Stake ${defaultBrand.symbol}, Earn rewards`,
   url: '',
   icons: ['https://avatars.githubusercontent.com/u/37784886']
 };
-const chains = [mainnet, sepolia, base, baseSepolia];
-const wagmiConfig = defaultWagmiConfig({ chains, projectId, metadata, enableInjected: true, enableEagerConnect: true });
+// Only chains with a staking deployment are offered; all supported ones until one is configured
+const chains = DEPLOYED_CHAINS.length > 0 ? DEPLOYED_CHAINS : SUPPORTED_CHAINS;
+// Demo mode talks to the simulated chain and wallet in demoProvider.js instead of real ones
+const wagmiConfig = DEMO_MODE
+  ? createConfig({
+      chains,
+      connectors: [demoConnector()],
+      transports: { [DEMO_CHAIN.id]: custom(demoProvider) },
+      multiInjectedProviderDiscovery: false,
+      pollingInterval: 1_000
+    })
+  : defaultWagmiConfig({ chains, projectId, metadata, enableInjected: true, enableEagerConnect: true });
 createWeb3Modal({ wagmiConfig, projectId, chains });
 const queryClient = new QueryClient();
 
-// SVG bg pattern
-const backgroundPattern = '/bg.jpg';
-
-const logoUrl = 'benad.png';
-const gifUrl = 'benad.png';
-
-const stakingContract = {
-  address: STAKING_CONTRACT_ADDRESS,
-  abi: stakingAbi
-};
-
-const ApyCalculator = ({ stakingPools, onClose }) => {
-  const [amount, setAmount] = useState('');
-  const [selectedPool, setSelectedPool] = useState('7-day');
-  const [projectedReturns, setProjectedReturns] = useState(null);
-
-  const calculateReturns = () => {
-    const numAmount = parseFloat(amount);
-    if (isNaN(numAmount)) return;
-
-    const pool = stakingPools.find(p => p.id === selectedPool);
-    if (!pool) return;
-
-    const apyDecimal = pool.apy / 100;
-    const days = parseInt(pool.duration);
-    const yearlyReturn = numAmount * apyDecimal;
-    const periodReturn = (yearlyReturn * days) / 365;
-
-    setProjectedReturns({
-      principal: numAmount,
-      reward: periodReturn,
-      total: numAmount + periodReturn,
-      days: days
-    });
-  };
-
-  useEffect(() => {
-    if (amount) {
-      calculateReturns();
-    } else {
-      setProjectedReturns(null);
-    }
-  }, [amount, selectedPool]);
-
-  return (
-    <div style={{
-      backgroundColor: 'rgba(255, 255, 255, 0.7)',
-      backdropFilter: 'blur(8px)',
-      padding: '1.5rem',
-      borderRadius: '1.5rem',
-      boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1), 0 4px 6px -2px rgba(0,0,0,0.05)',
-      border: '4px solid #f97316',
-      marginBottom: '2rem',
-      position: 'relative'
-    }}>
-      <h2 style={{
-        fontSize: '1.5rem',
-        fontFamily: '"Burger Free", sans-serif;',
-        color: '#1e40af',
-        marginBottom: '1rem',
-        display: 'flex',
-        alignItems: 'center'
-      }}>
-        <PiggyBank style={{ marginRight: '0.5rem' }} /> APY Calculator
-        <button onClick={onClose} style={{ position: 'absolute', top: '1rem', right: '1rem', background: 'none', border: 'none', cursor: 'pointer', color: '#e5008e' }}>
-          <XCircle size={24} />
-        </button>
-      </h2>
-
-      <div style={{ marginBottom: '1rem' }}>
-        <label style={{
-          display: 'block',
-          fontSize: '0.875rem',
-          color: '#e5008e',
-          marginBottom: '0.5rem'
-        }}>
-          Amount to Stake (BENADS)
-        </label>
-        <input
-          type="number"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          placeholder="Enter amount"
-          style={{
-            width: '100%',
-            backgroundColor: 'white',
-            color: '#1e40af',
-            padding: '0.75rem',
-            borderRadius: '0.75rem',
-            border: '2px solid #d1d5db',
-            fontFamily: '"Burger Free", sans-serif;',
-            fontSize: '1.125rem'
-          }}
-        />
-      </div>
-
-      <div style={{ marginBottom: '1rem' }}>
-        <label style={{
-          display: 'block',
-          fontSize: '0.875rem',
-          color: '#e5008e',
-          marginBottom: '0.5rem'
-        }}>
-          Staking Period
-        </label>
-        <select
-          value={selectedPool}
-          onChange={(e) => setSelectedPool(e.target.value)}
-          style={{
-            width: '100%',
-            backgroundColor: 'white',
-            color: '#1e40af',
-            padding: '0.75rem',
-            borderRadius: '0.75rem',
-            border: '2px solid #d1d5db',
-            fontFamily: '"Burger Free", sans-serif;',
-            fontSize: '1.125rem'
-          }}
-        >
-          {stakingPools.map(pool => (
-            <option key={pool.id} value={pool.id}>
-              {pool.duration} ({pool.apy}% APY)
-            </option>
-          ))}
-        </select>
-      </div>
-
-      {projectedReturns && (
-        <div style={{
-          backgroundColor: 'white',
-          padding: '1rem',
-          borderRadius: '0.75rem',
-          border: '2px solid #d1d5db'
-        }}>
-          <h3 style={{
-            fontSize: '1.25rem',
-            fontFamily: '"Burger Free", sans-serif;',
-            color: '#1e40af',
-            marginBottom: '0.5rem'
-          }}>
-            Projected Returns
-          </h3>
-
-          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-            <span style={{ color: '#e5008e' }}>Principal:</span>
-            <span style={{ fontFamily: '"Burger Free", sans-serif;' }}>{projectedReturns.principal.toFixed(2)} BENADS</span>
-          </div>
-
-          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-            <span style={{ color: '#e5008e' }}>Rewards ({projectedReturns.days} days):</span>
-            <span style={{ fontFamily: '"Burger Free", sans-serif;', color: '#ab1567' }}>
-              +{projectedReturns.reward.toFixed(2)} BENADS
-            </span>
-          </div>
-
-          <div style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            marginTop: '0.5rem',
-            paddingTop: '0.5rem',
-            borderTop: '1px solid #d1d5db'
-          }}>
-            <span style={{ color: '#e5008e', fontWeight: 'bold' }}>Total:</span>
-            <span style={{ fontFamily: '"Burger Free", sans-serif;', fontWeight: 'bold', fontSize: '1.25rem' }}>
-              {projectedReturns.total.toFixed(2)} BENADS
-            </span>
-          </div>
-        </div>
-      )}
-
-      {!amount && (
-        <div style={{
-          backgroundColor: '#eff6ff',
-          padding: '1rem',
-          borderRadius: '0.75rem',
-          textAlign: 'center',
-          color: '#e5008e'
-        }}>
-          Enter an amount to calculate your projected returns
-        </div>
-      )}
-    </div>
-  );
-};
-
 const AppContent = () => {
+  const { language, t, formatNumber, formatDateTime, formatTime } = useI18n();
   const { address, isConnected } = useAccount();
   const { open } = useWeb3Modal();
+  const { connect, connectors } = useConnect();
   const { disconnect } = useDisconnect();
-  const { writeContract } = useWriteContract();
-  const publicClient = usePublicClient();
+  // The demo wallet connects directly; real wallets are picked in the modal
+  const connectWallet = () => (DEMO_MODE ? connect({ connector: connectors.find((c) => c.id === DEMO_CONNECTOR_ID) }) : open());
+  const { deployment, chainId, isWrongNetwork, isWatching } = useDeployment();
+  const watchTarget = useWatchTarget();
+  const isAnalyticsOpen = useAnalyticsOpen();
+  // The wallet whose positions are shown: a watched address (read-only) or the connected one
+  const viewAddress = isWatching ? watchTarget.address : isConnected ? address : undefined;
+  const publicClient = usePublicClient({ chainId: deployment?.chainId });
+  const { switchChain, isPending: isSwitchingChain } = useSwitchChain();
+  const txFlow = useTxFlow();
+  // Name, symbol, images, colours and copy of the token this deployment stakes
+  const brand = getBrand(deployment);
+  useLayoutEffect(() => applyBrand(brand), [brand]);
 
   // UI state
-  const [stakeInputs, setStakeInputs] = useState({ '7-day': '', '14-day': '', '21-day': '' });
-  const [apiQuote, setApiQuote] = useState('Patience is the key to success.');
-  const [isLoadingQuote, setIsLoadingQuote] = useState(false);
+  const [stakeInputs, setStakeInputs] = useState({});
+  const [compoundTargets, setCompoundTargets] = useState({}); // pool id => pool id to restake into
+  const [pendingTopUp, setPendingTopUp] = useState(null); // { poolId, amountStr, amountWei } or { poolId, compoundFrom } awaiting confirmation
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [modalType, setModalType] = useState('success');
-  const [lastTxHash, setLastTxHash] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [showApyCalculator, setShowApyCalculator] = useState(false); // New state for calculator visibility
-
-  // Staking pools
-  const stakingPools = [
-    { id: '7-day', duration: '7 Days', apy: 250, lockDurationInSeconds: 7 * 24 * 60 * 60 },
-    { id: '14-day', duration: '14 Days', apy: 350, lockDurationInSeconds: 14 * 24 * 60 * 60 },
-    { id: '21-day', duration: '21 Days', apy: 500, lockDurationInSeconds: 21 * 24 * 60 * 60 }
-  ];
+  const [showAdminConsole, setShowAdminConsole] = useState(false);
+  const [showExitPlanner, setShowExitPlanner] = useState(false);
+  // Chain time; each new block re-anchors it and triggers a re-read of on-chain state
+  const { now, blockNumber } = useChainClock({ chainId: deployment?.chainId, enabled: !!viewAddress && !!deployment });
 
   /***************************
-   * 🔎 Reads
+   * 🔎 Reads — one multicall snapshot per block
    ***************************/
-  const { data: tokenBalanceData, refetch: refetchBalance } = useReadContract({
-    address: BENADS_TOKEN_ADDRESS,
-    abi: erc20Abi,
-    functionName: 'balanceOf',
-    args: [address],
-    query: { enabled: isConnected && !!address }
-  });
-
-  const { data: allowanceData, refetch: refetchAllowance } = useReadContract({
-    address: BENADS_TOKEN_ADDRESS,
-    abi: erc20Abi,
-    functionName: 'allowance',
-    args: [address, STAKING_CONTRACT_ADDRESS],
-    query: { enabled: isConnected && !!address }
-  });
-
-  const { data: availableRewardsData, refetch: refetchAvailableRewards } = useReadContract({
-    ...stakingContract,
-    functionName: 'rewardReserve',
-    query: { enabled: isConnected }
-  });
-
-  const { data: totalStakedData, refetch: refetchTotalStaked } = useReadContract({
-    ...stakingContract,
-    functionName: 'totalStakedAll',
-    query: { enabled: isConnected }
-  });
-
-  const { data: staked7, refetch: refetchStaked7 } = useReadContract({
-    ...stakingContract,
-    functionName: 'stakes',
-    args: [address, BigInt(stakingPools[0].lockDurationInSeconds)],
-    query: { enabled: isConnected && !!address }
-  });
-  const { data: staked14, refetch: refetchStaked14 } = useReadContract({
-    ...stakingContract,
-    functionName: 'stakes',
-    args: [address, BigInt(stakingPools[1].lockDurationInSeconds)],
-    query: { enabled: isConnected && !!address }
-  });
-  const { data: staked21, refetch: refetchStaked21 } = useReadContract({
-    ...stakingContract,
-    functionName: 'stakes',
-    args: [address, BigInt(stakingPools[2].lockDurationInSeconds)],
-    query: { enabled: isConnected && !!address }
+  const { snapshot, updatedAt: snapshotUpdatedAt, refetch: refetchSnapshot } = useStakingSnapshot({
+    deployment,
+    address: viewAddress,
+    blockNumber
   });
-
-  const { data: rewards7, refetch: refetchRewards7 } = useReadContract({
-    ...stakingContract,
-    functionName: 'pendingRewards',
-    args: [address, BigInt(stakingPools[0].lockDurationInSeconds)],
-    query: { enabled: isConnected && !!address }
-  });
-  const { data: rewards14, refetch: refetchRewards14 } = useReadContract({
-    ...stakingContract,
-    functionName: 'pendingRewards',
-    args: [address, BigInt(stakingPools[1].lockDurationInSeconds)],
-    query: { enabled: isConnected && !!address }
-  });
-  const { data: rewards21, refetch: refetchRewards21 } = useReadContract({
-    ...stakingContract,
-    functionName: 'pendingRewards',
-    args: [address, BigInt(stakingPools[2].lockDurationInSeconds)],
-    query: { enabled: isConnected && !!address }
-  });
-
-  // tx status
-  const { isLoading: isTxPending, isSuccess: isTxSuccess, isError: isTxError } = useWaitForTransactionReceipt({ hash: lastTxHash });
+  const {
+    lockDurations = [],
+    pools: poolsData = [],
+    rewardReserve: availableRewardsData,
+    totalStakedAll: totalStakedData,
+    owner: ownerData,
+    tokenBalance: tokenBalanceData,
+    allowance: allowanceData,
+    stakes: positionsData = []
+  } = snapshot ?? {};
+  const isOwner = !isWatching && !!address && !!ownerData && ownerData.toLowerCase() === address.toLowerCase();
+
+  // pools(ld) => [apy, exists, totalStaked]; pools still loading or removed are skipped
+  const stakingPools = lockDurations
+    .map((ld, i) => {
+      const [apy, exists, totalStaked] = poolsData[i] ?? [];
+      return {
+        id: ld.toString(),
+        duration: formatLockDuration(ld),
+        apy: Number(apy ?? 0),
+        exists: !!exists,
+        totalStaked: totalStaked ?? 0n,
+        lockDurationInSeconds: Number(ld)
+      };
+    })
+    .filter((pool) => pool.exists);
+  // stakes(user, ld) for the pools above, by pool id
+  const stakesByPool = Object.fromEntries(lockDurations.map((ld, i) => [ld.toString(), positionsData[i]]));
+
+  // tx status; nothing can be signed while watching another wallet
+  const isTxPending = txFlow.isRunning;
+  const writesDisabled = isTxPending || isWatching;
 
   const showCustomModal = (message, type = 'success') => {
     setModalMessage(message);
@@ -444,16 +160,8 @@ const AppContent = () => {
     setIsRefreshing(true);
     try {
       await Promise.allSettled([
-        refetchBalance?.(),
-        refetchAllowance?.(),
-        refetchAvailableRewards?.(),
-        refetchTotalStaked?.(),
-        refetchStaked7?.(),
-        refetchStaked14?.(),
-        refetchStaked21?.(),
-        refetchRewards7?.(),
-        refetchRewards14?.(),
-        refetchRewards21?.(),
+        refetchSnapshot(),
+        queryClient.invalidateQueries({ queryKey: ['activity'] }),
       ]);
       setLastUpdated(new Date());
     } catch (error) {
@@ -465,22 +173,21 @@ const AppContent = () => {
 
   useEffect(() => {
     if (isConnected) {
-      showCustomModal('Wallet connected successfully!', 'success');
+      showCustomModal(t('modal.walletConnected'), 'success');
       refetchAllData();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isConnected]);
 
+  // A wallet gets back the language it last chose
   useEffect(() => {
-    if (isTxSuccess) {
-      showCustomModal('Transaction confirmed ✅', 'success');
-      setTimeout(refetchAllData, 2000);
-    }
-    if (isTxError) {
-      showCustomModal('Oh no! Your transaction failed.', 'error');
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isTxSuccess, isTxError]);
+    if (isConnected) restoreWalletLanguage(address);
+  }, [isConnected, address]);
+
+  // Each new block brings a new snapshot
+  useEffect(() => {
+    if (snapshotUpdatedAt) setLastUpdated(new Date(snapshotUpdatedAt));
+  }, [snapshotUpdatedAt]);
 
   useEffect(() => {
     const unsubscribe = wagmiConfig.subscribe((state) => state.status, (status) => {
@@ -492,195 +199,225 @@ const AppContent = () => {
     return () => unsubscribe();
   }, []);
 
-  /***************************
-   * 🧮 Formatting helpers
-   ***************************/
-  const toNum = (v) => (v === undefined || v === null ? 0 : Number(v));
-  const formatAmount = (value, decimals = TOKEN_DECIMALS) => {
-    if (value === undefined || value === null) return 0;
-    try {
-      if (Array.isArray(value)) value = value[0];
-      return parseFloat(formatUnits(value, decimals));
-    } catch {
-      return 0;
+  const formattedTokenBalance = formatTokenAmount(tokenBalanceData);
+  const formattedAvailableRwds = formatTokenAmount(availableRewardsData);
+  const formattedTotalStakedAll = formatTokenAmount(totalStakedData);
+
+  // pool id => { staked, rewards, status, unlockAt, ... } for the connected wallet.
+  // Rewards use the contract's formula at chain time, so they tick between blocks.
+  const positions = Object.fromEntries(stakingPools.map((pool) => {
+    const state = getPositionState(stakesByPool[pool.id], pool.lockDurationInSeconds, now);
+    const rewardsWei = accruedRewards(state.amount, pool.apy, state.lastClaim, now);
+    return [pool.id, { ...state, rewardsWei, staked: formatTokenAmount(state.amount), rewards: formatTokenAmount(rewardsWei) }];
+  }));
+  const totalStakedUser = Object.values(positions).reduce((sum, p) => sum + p.staked, 0);
+  const totalUserRewards = Object.values(positions).reduce((sum, p) => sum + p.rewards, 0);
+  const pendingRewardsWei = Object.values(positions).reduce((sum, p) => sum + p.rewardsWei, 0n);
+  const rewardsExceedReserve = availableRewardsData !== undefined && pendingRewardsWei > availableRewardsData;
+
+  const notifications = useStakeNotifications({
+    chainId: deployment?.chainId,
+    address: isConnected ? address : undefined,
+    stakingPools,
+    positions,
+    pendingRewards: pendingRewardsWei,
+    reserve: availableRewardsData,
+    enabled: !isWatching
+  });
+
+  // Inputs of the top-up preview. A compound claims its source pool first: the claim (capped by
+  // the reserve) is what gets added, and it leaves less in the reserve for the top-up's own claim.
+  const topUpPreviewFor = ({ poolId, amountStr, amountWei, compoundFrom }) => {
+    const reserve = availableRewardsData ?? 0n;
+    let position = positions[poolId];
+    let addedAmount = amountWei;
+    let reserveLeft = reserve;
+    if (compoundFrom !== undefined) {
+      const pending = positions[compoundFrom].rewardsWei;
+      addedAmount = pending > reserve ? reserve : pending;
+      reserveLeft = reserve - addedAmount;
+      // Compounding a pool into itself has already claimed its rewards
+      if (compoundFrom === poolId) position = { ...position, rewardsWei: 0n };
     }
+    return {
+      preview: previewTopUp({ position, lockDurationInSeconds: Number(poolId), addedAmount, reserve: reserveLeft, now }),
+      amountLabel: amountStr ?? `≈ ${formatNumber(formatTokenAmount(addedAmount), 6)}`
+    };
   };
 
-  const formattedTokenBalance = formatAmount(tokenBalanceData);
-  const formattedStaked7 = formatAmount(staked7);
-  const formattedStaked14 = formatAmount(staked14);
-  const formattedStaked21 = formatAmount(staked21);
-  const formattedRewards7 = formatAmount(rewards7);
-  const formattedRewards14 = formatAmount(rewards14);
-  const formattedRewards21 = formatAmount(rewards21);
-  const formattedAvailableRwds = formatAmount(availableRewardsData);
-  const formattedTotalStakedAll = formatAmount(totalStakedData);
-  const totalStakedUser = formattedStaked7 + formattedStaked14 + formattedStaked21;
-  const totalUserRewards = formattedRewards7 + formattedRewards14 + formattedRewards21;
-
   const shortAddress = (addr) => `${addr?.substring(0, 6)}...${addr?.substring(addr.length - 4)}`;
 
   /***************************
    * 🟠 Actions
    ***************************/
-  const ensureAllowance = async (requiredAmountWei) => {
-    try {
-      if (allowanceData === undefined || allowanceData === null) {
-        const tx = await writeContract({
-          address: BENADS_TOKEN_ADDRESS,
-          abi: erc20Abi,
-          functionName: 'approve',
-          args: [STAKING_CONTRACT_ADDRESS, maxUint256]
-        });
-        setLastTxHash(tx);
-        return;
+  // Runs `steps` through the tx pipeline; progress and failures are shown by TxFlowPanel
+  const runTxFlow = (label, steps, onSuccess, describePartial) => isWatching
+    ? showCustomModal(t('modal.watchReadOnly'), 'error')
+    : txFlow.start({
+      label,
+      steps,
+      describePartial,
+      onSuccess: () => {
+        txFlow.dismiss();
+        showCustomModal(t('modal.confirmed', { label }), 'success');
+        onSuccess?.();
+        setTimeout(refetchAllData, 2000);
       }
-      const current = BigInt(allowanceData);
-      if (current < requiredAmountWei) {
-        const tx = await writeContract({
-          address: BENADS_TOKEN_ADDRESS,
-          abi: erc20Abi,
-          functionName: 'approve',
-          args: [STAKING_CONTRACT_ADDRESS, requiredAmountWei]
-        });
-        setLastTxHash(tx);
-      }
-    } catch (error) {
-      console.error('Approval failed:', error);
-      throw error;
+    });
+
+  // Approval step, skipped when the current on-chain allowance already covers the amount.
+  // `requiredAmount` may be a function of earlier receipts when the amount isn't known upfront.
+  const approvalStep = (requiredAmount) => {
+    const amountFor = (receipts) => (typeof requiredAmount === 'function' ? requiredAmount(receipts) : requiredAmount);
+    return {
+      label: t('flow.approving'),
+      skip: async (receipts) => (await readAllowance(publicClient, { deployment, address })) >= amountFor(receipts),
+      request: (receipts) => approveCall(deployment, amountFor(receipts))
+    };
+  };
+
+  // Whether staking `amountStr` will need an approval first (from the last allowance read)
+  const needsApproval = (amountStr) => {
+    if (allowanceData === undefined || !amountStr) return false;
+    try {
+      return parseTokenAmount(amountStr) > allowanceData;
+    } catch {
+      return false;
     }
   };
 
-  const handleStake = async (poolId) => {
+  // One pool-scoped call (unstakeCall, emergencyUnstakeCall, claimRewardsCall) as a flow step
+  const poolStep = (label, buildCall, pool) => ({
+    label,
+    request: buildCall(deployment, pool.lockDurationInSeconds)
+  });
+
+  // A stake into an existing position is a top-up; it is previewed and confirmed first
+  const handleStake = (poolId, { confirmedTopUp = false } = {}) => {
     const amountStr = stakeInputs[poolId];
-    const amountNum = parseFloat(amountStr);
-    if (isNaN(amountNum) || amountNum <= 0) {
-      showCustomModal('Benad! Please enter a valid amount.', 'error');
+    // Parsed exactly as it will be sent, so input like "1e5" or "1.5abc" is refused here
+    let amountWei;
+    try {
+      amountWei = parseTokenAmount(amountStr ?? '');
+    } catch {
+      amountWei = 0n;
+    }
+    if (amountWei <= 0n) {
+      showCustomModal(t('modal.invalidAmount'), 'error');
       return;
     }
 
     const pool = stakingPools.find((p) => p.id === poolId);
     if (!pool) return;
 
-    try {
-      const amountWei = parseUnits(amountStr, TOKEN_DECIMALS);
-      await ensureAllowance(amountWei);
-      const tx = await writeContract({
-        ...stakingContract,
-        functionName: 'stake',
-        args: [amountWei, BigInt(pool.lockDurationInSeconds)]
-      });
-      setLastTxHash(tx);
-      showCustomModal('Staking transaction submitted. Waiting for confirmation...', 'success');
-      setStakeInputs((prev) => ({ ...prev, [pool.id]: '' }));
-    } catch (error) {
-      console.error('Stake transaction failed:', error);
-      showCustomModal(`Oh no! Staking failed: ${error?.shortMessage || error?.message || 'Unknown error'}`, 'error');
+    // The stake step can only be simulated once the approval is mined, so check the balance up front
+    if (tokenBalanceData !== undefined && amountWei > tokenBalanceData) {
+      showCustomModal(t('modal.insufficientBalance', { balance: formatNumber(formattedTokenBalance), amount: amountStr }), 'error');
+      return;
+    }
+    if (positions[pool.id]?.status !== 'empty' && !confirmedTopUp) {
+      setPendingTopUp({ poolId: pool.id, amountStr, amountWei });
+      return;
     }
+    runTxFlow(t('flow.stake', { amount: amountStr }), [
+      approvalStep(amountWei),
+      {
+        label: t('flow.staking'),
+        request: stakeCall(deployment, amountWei, pool.lockDurationInSeconds)
+      }
+    ], () => setStakeInputs((prev) => ({ ...prev, [pool.id]: '' })));
   };
 
-  const handleUnstake = async (poolId) => {
+  const handleUnstake = (poolId) => {
     const pool = stakingPools.find((p) => p.id === poolId);
     if (!pool) return;
-    try {
-      const tx = await writeContract({
-        ...stakingContract,
-        functionName: 'unstake',
-        args: [BigInt(pool.lockDurationInSeconds)]
-      });
-      setLastTxHash(tx);
-      showCustomModal('Unstaking transaction submitted. Waiting for confirmation...', 'success');
-    } catch (error) {
-      console.error('Unstake transaction failed:', error);
-      showCustomModal(`Oh no! Unstaking failed: ${error?.shortMessage || error?.message || 'Unknown error'}`, 'error');
-    }
+    runTxFlow(t('flow.unstake', { pool: pool.duration }), [poolStep(t('flow.unstaking'), unstakeCall, pool)]);
   };
 
-  const handleEmergencyUnstake = async (poolId) => {
+  const handleEmergencyUnstake = (poolId) => {
     const pool = stakingPools.find((p) => p.id === poolId);
     if (!pool) return;
-    try {
-      const tx = await writeContract({
-        ...stakingContract,
-        functionName: 'emergencyUnstake',
-        args: [BigInt(pool.lockDurationInSeconds)]
-      });
-      setLastTxHash(tx);
-      showCustomModal('Emergency unstake submitted. Penalty will apply.', 'success');
-    } catch (error) {
-      console.error('Emergency unstake failed:', error);
-      showCustomModal(`Oh no! Emergency unstake failed: ${error?.shortMessage || error?.message || 'Unknown error'}`, 'error');
-    }
+    runTxFlow(t('flow.emergencyUnstake', { pool: pool.duration }), [poolStep(t('flow.emergencyUnstaking'), emergencyUnstakeCall, pool)]);
   };
 
-  const handleClaimRewards = async (poolId) => {
+  const handleClaimRewards = (poolId) => {
     const pool = stakingPools.find((p) => p.id === poolId);
     if (!pool) return;
-    try {
-      const tx = await writeContract({
-        ...stakingContract,
-        functionName: 'claimRewards',
-        args: [BigInt(pool.lockDurationInSeconds)]
-      });
-      setLastTxHash(tx);
-      showCustomModal('Claim transaction submitted. Waiting for confirmation...', 'success');
-    } catch (error) {
-      console.error('Claim transaction failed:', error);
-      showCustomModal(`Oh no! Claiming rewards failed: ${error?.shortMessage || error?.message || 'Unknown error'}`, 'error');
-    }
+    runTxFlow(t('flow.claim', { pool: pool.duration }), [poolStep(t('flow.claiming'), claimRewardsCall, pool)]);
   };
 
-  const handleClaimAllRewards = async () => {
-    try {
-      const tx = await writeContract({
-        ...stakingContract,
-        functionName: 'claimAllRewards',
-        args: []
-      });
-      setLastTxHash(tx);
-      showCustomModal('Claim all rewards transaction submitted. Waiting for confirmation...', 'success');
-    } catch (error) {
-      console.error('Claim all rewards transaction failed:', error);
-      showCustomModal(`Oh no! Claiming all rewards failed: ${error?.shortMessage || error?.message || 'Unknown error'}`, 'error');
+  // Claim one pool's rewards, then stake exactly what the claim paid into `targetPoolId`.
+  // Restaking into an existing position is a top-up, previewed and confirmed like handleStake's.
+  const handleCompound = (poolId, targetPoolId = poolId, { confirmedTopUp = false } = {}) => {
+    const pool = stakingPools.find((p) => p.id === poolId);
+    const target = stakingPools.find((p) => p.id === targetPoolId);
+    if (!pool || !target) return;
+    if (positions[target.id]?.status !== 'empty' && !confirmedTopUp) {
+      setPendingTopUp({ poolId: target.id, compoundFrom: pool.id });
+      return;
     }
+
+    const claimed = (receipts) => getClaimedAmount(receipts[0], { deployment, address });
+    runTxFlow(t('flow.compound', { pool: pool.duration, target: target.duration }), [
+      poolStep(t('flow.claiming'), claimRewardsCall, pool),
+      approvalStep(claimed),
+      {
+        label: t('flow.stakingClaimed'),
+        request: (receipts) => stakeCall(deployment, claimed(receipts), target.lockDurationInSeconds)
+      }
+    ], undefined, (receipts) => {
+      const amount = formatTokenAmount(getClaimedAmount(receipts[0], { deployment, address }));
+      return t('flow.compoundPartial', { amount: formatNumber(amount, 6) });
+    });
   };
 
-  const handleManualRefresh = async () => {
-    await refetchAllData();
-    showCustomModal('Data refreshed successfully!', 'success');
+  // Unstake every matured position, then emergency-unstake the locked ones opted into
+  const handleExitPlan = (plan) => {
+    const steps = [
+      ...plan.matured.map(({ pool }) => poolStep(t('flow.unstakingPool', { pool: pool.duration }), unstakeCall, pool)),
+      ...plan.locked.filter((row) => row.optedIn)
+        .map(({ pool }) => poolStep(t('flow.emergencyUnstakingPool', { pool: pool.duration }), emergencyUnstakeCall, pool))
+    ];
+    runTxFlow(t('exit.execute', { count: steps.length }), steps, () => setShowExitPlanner(false), (receipts) => {
+      const done = receipts.filter(Boolean).length;
+      return t('flow.exitPartial', { done, total: steps.length });
+    });
   };
 
-  const fetchQuote = async () => {
-    setIsLoadingQuote(true);
-    try {
-      // const text = '';
-      setApiQuote(text);
-    } finally {
-      setIsLoadingQuote(false);
-    }
+  const handleClaimAllRewards = () => {
+    runTxFlow(t('flow.claimAll'), [{
+      label: t('flow.claimingAll'),
+      request: claimAllRewardsCall(deployment)
+    }]);
   };
 
-  useEffect(() => { fetchQuote(); }, []);
+  const handleManualRefresh = async () => {
+    await refetchAllData();
+    showCustomModal(t('modal.refreshed'), 'success');
+  };
 
   return (
-    <div className="app-container" style={{ backgroundImage: `url(${backgroundPattern})` }}>
+    <div className="app-container" style={{ backgroundImage: `url(${brand.background})` }}>
       <style>{`
-        @import url('https://fonts.cdnfonts.com/css/burger-free');
-        @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;700;800&display=swap');
+        ${brand.fonts.stylesheets.map((url) => `@import url('${url}');`).join('\n        ')}
 
         :root {
-          --primary-color: #1e40af;
-          --secondary-color: #f97316;
-          --accent-color: #93c5fd;
-          --success-color: #1e40af;
-          --danger-color: #1e40af;
-          --bg-light: #eff6ff;
+          --primary-color: ${brand.colors.primary};
+          --secondary-color: ${brand.colors.secondary};
+          --accent-color: ${brand.colors.accent};
+          --highlight-color: ${brand.colors.highlight};
+          --muted-color: ${brand.colors.muted};
+          --success-color: ${brand.colors.primary};
+          --danger-color: ${brand.colors.primary};
+          --bg-light: ${brand.colors.background};
+          --display-font: ${brand.fonts.display};
+          --body-font: ${brand.fonts.body};
           --bg-card: rgba(255, 255, 255, 0.7);
           --border-color: #d1d5db;
         }
 
-        .font-bebas { font-family: "Burger Free", sans-serif;; }
-        .font-inter { font-family: "Burger Free", sans-serif;; }
+        .font-bebas { font-family: var(--display-font); }
+        .font-inter { font-family: var(--display-font); }
         .text-primary { color: White; }
         .text-secondary { color: var(--secondary-color); }
         .text-success { color: var(--success-color); }
@@ -694,7 +431,7 @@ const AppContent = () => {
   align-items: center;
   background-color: var(--bg-light);
   color: var(--primary-color);
-  font-family: "Burger Free", sans-serif;
+  font-family: var(--display-font);
   background-size: cover; /* Add this */
   background-position: center; /* Add this */
   background-repeat: no-repeat; /* Add this */
@@ -706,11 +443,11 @@ const AppContent = () => {
 
         .logo-section { display: flex; align-items: center; justify-content: center; margin-bottom: 1rem; gap: 0.5rem; }
         @media (min-width: 640px) { .logo-section { margin-bottom: 0; } }
-        .logo-image { width: 4rem; height: 4rem; border-radius: 9999px; border: 4px solid #fb923c; padding: 0.25rem; animation: pulse 2s cubic-bezier(0.4, 0, 0.6, 1) infinite; }
+        .logo-image { width: 4rem; height: 4rem; border-radius: 9999px; border: 4px solid var(--secondary-color); padding: 0.25rem; animation: pulse 2s cubic-bezier(0.4, 0, 0.6, 1) infinite; }
         .text-logo-image { height: 2.5rem; width: auto; filter: drop-shadow(2px 2px 4px rgba(0,0,0,0.1)); }
-        .app-title { font-size: 1.875rem; font-family: "Burger Free", sans-serif;; color:White); text-shadow: 2px 2px 4px rgba(0,0,0,0.1); letter-spacing: 0.05em; margin-left: 1rem; }
+        .app-title { font-size: 1.875rem; font-family: var(--display-font); color:White); text-shadow: 2px 2px 4px rgba(0,0,0,0.1); letter-spacing: 0.05em; margin-left: 1rem; }
 
-        .connect-button { position: relative; display: inline-flex; height: 3rem; width: 100%; align-items: center; justify-content: center; border-radius: 9999px; padding-left: 1.5rem; padding-right: 1.5rem; font-family: "Burger Free", sans-serif;; color: white; transition: all .3s; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); background: linear-gradient(to right, #e633a1ff, #e5008e); }
+        .connect-button { position: relative; display: inline-flex; height: 3rem; width: 100%; align-items: center; justify-content: center; border-radius: 9999px; padding-left: 1.5rem; padding-right: 1.5rem; font-family: var(--display-font); color: white; transition: all .3s; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); background: linear-gradient(to right, ${brand.colors.connectFrom}, var(--highlight-color)); }
         .connect-button:hover { transform: scale(1.05); background: linear-gradient(to right, ); }
         @media (min-width: 640px) { .connect-button { width: auto; } }
         .connect-button-content { position: relative; z-index: 10; display: flex; align-items: center; }
@@ -718,7 +455,7 @@ const AppContent = () => {
 
         .connected-wallet { display: flex; align-items: center; background-color: white; padding: 0.5rem 1rem; border-radius: 9999px; border: 2px solid var(--success-color); box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); color: var(--primary-color); font-weight: 700; }
         .connected-wallet .status-indicator { width: 0.5rem; height: 0.5rem; background-color: var(--success-color); border-radius: 9999px; animation: pulse 1.5s cubic-bezier(0.4,0,0.6,1) infinite; margin-left: 0.5rem; }
-        .disconnect-button { padding: 0.25rem; border-radius: 9999px; color: #e5008e; transition: color .3s; margin-left: 0.5rem; }
+        .disconnect-button { padding: 0.25rem; border-radius: 9999px; color: var(--highlight-color); transition: color .3s; margin-left: 0.5rem; }
         .disconnect-button:hover { color: var(--primary-color); }
 
         .hero-section { display: flex; justify-content: center; margin-bottom: 1.5rem; }
@@ -727,12 +464,12 @@ const AppContent = () => {
         .hero-cat img { width: 100%; height: 100%; object-fit: cover; border-radius: 9999px; }
 
         .stats-section { background-color: var(--bg-card); backdrop-filter: blur(8px); padding: 1.5rem; border-radius: 1.5rem; box-shadow: 0 10px 15px -3px rgba(0,0,0,0.1), 0 4px 6px -2px rgba(0,0,0,0.05); border: 4px solid var(--primary-color); color: var(--primary-color); }
-        .stats-section h2 { font-size: 1.5rem; font-family: "Burger Free", sans-serif;; margin-bottom: 1rem; display: flex; align-items: center; }
+        .stats-section h2 { font-size: 1.5rem; font-family: var(--display-font); margin-bottom: 1rem; display: flex; align-items: center; }
         .stats-grid { display: grid; grid-template-columns: 1fr; gap: 1rem; }
         @media (min-width: 640px) { .stats-grid { grid-template-columns: repeat(3, 1fr); } }
         .stat-card { background-color: white; padding: 1rem; border-radius: .75rem; text-align: center; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); border: 2px solid var(--border-color); }
-        .stat-card p.label { font-size: 0.875rem; color: #e5008e; }
-        .stat-card p.value { font-size: 1.875rem; font-weight: 800; font-family: "Burger Free", sans-serif;; margin-top: 0.25rem; }
+        .stat-card p.label { font-size: 0.875rem; color: var(--highlight-color); }
+        .stat-card p.value { font-size: 1.875rem; font-weight: 800; font-family: var(--display-font); margin-top: 0.25rem; }
 
         .staking-pools { display: grid; grid-template-columns: 1fr; gap: 1.5rem; }
         @media (min-width: 1024px) { .staking-pools { grid-template-columns: repeat(3, 1fr); } }
@@ -740,31 +477,31 @@ const AppContent = () => {
         .pool-card:hover { transform: scale(1.05); }
         .pool-card::before { content: ''; position: absolute; inset: 0; background-color: var(--secondary-color); opacity: 0; transition: opacity .3s; z-index: 0; }
         .pool-card:hover::before { opacity: .1; }
-        .pool-card h2 { font-size: 1.5rem; font-family: "Burger Free", sans-serif;; color: var(--primary-color); margin-bottom: .5rem; display: flex; align-items: center; position: relative; z-index: 1; }
-        .pool-card .apy { font-size: 1.875rem; font-family: "Burger Free", sans-serif;; color: var(--secondary-color); margin-bottom: 1rem; position: relative; z-index: 1; }
+        .pool-card h2 { font-size: 1.5rem; font-family: var(--display-font); color: var(--primary-color); margin-bottom: .5rem; display: flex; align-items: center; position: relative; z-index: 1; }
+        .pool-card .apy { font-size: 1.875rem; font-family: var(--display-font); color: var(--secondary-color); margin-bottom: 1rem; position: relative; z-index: 1; }
         .input-group { position: relative; z-index: 1; }
-        .input-group p { font-size: .875rem; color: #e5008e; margin-bottom: .5rem; }
+        .input-group p { font-size: .875rem; color: var(--highlight-color); margin-bottom: .5rem; }
         .input-flex { display: flex; gap: .5rem; }
-        .input-field { flex-grow: 1; background-color: white; color: var(--primary-color); padding: .75rem; border-radius: .75rem; border: 2px solid var(--border-color); transition: all .3s; font-family: "Burger Free", sans-serif;; font-size: 1.125rem; }
+        .input-field { flex-grow: 1; background-color: white; color: var(--primary-color); padding: .75rem; border-radius: .75rem; border: 2px solid var(--border-color); transition: all .3s; font-family: var(--display-font); font-size: 1.125rem; }
         .input-field:focus { outline: none; }
-        .stake-button { padding: .75rem 1.5rem; border-radius: .75rem; font-family: "Burger Free", sans-serif;; color: white; background-color: var(--primary-color); transition: transform .2s, background-color .2s; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); }
-        .stake-button:hover { background-color: #1e3a8a; }
+        .stake-button { padding: .75rem 1.5rem; border-radius: .75rem; font-family: var(--display-font); color: white; background-color: var(--primary-color); transition: transform .2s, background-color .2s; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); }
+        .stake-button:hover { background-color: var(--muted-color); }
         .stake-button:active { transform: scale(0.95); }
         .stake-button:disabled { background-color: #9ca3af; cursor: not-allowed; }
-        .unstake-button { padding: .75rem 1.5rem; border-radius: .75rem; font-family: "Burger Free", sans-serif;; color: white; background-color: #e5008e; transition: transform .2s, background-color .2s; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); }
+        .unstake-button { padding: .75rem 1.5rem; border-radius: .75rem; font-family: var(--display-font); color: white; background-color: var(--highlight-color); transition: transform .2s, background-color .2s; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); }
         .unstake-button:hover { background-color: #b91c1c; }
         .unstake-button:active { transform: scale(0.95); }
         .unstake-button:disabled { background-color: #9ca3af; cursor: not-allowed; }
 
         .claim-section { background-color: var(--bg-card); backdrop-filter: blur(8px); padding: 1.5rem; border-radius: 1.5rem; box-shadow: 0 10px 15px -3px rgba(0,0,0,0.1), 0 4px 6px -2px rgba(0,0,0,0.05); border: 4px solid var(--success-color); margin-top: 1.5rem; color: var(--primary-color); }
-        .claim-section h2 { font-size: 1.5rem; font-family: "Burger Free", sans-serif;; color: var(--primary-color); margin-bottom: 1rem; display: flex; align-items: center; }
-        .claim-button { width: 100%; display: flex; align-items: center; justify-content: center; padding: .75rem; border-radius: .75rem; font-family: "Burger Free", sans-serif;; font-size: 1.125rem; transition: all .3s; background-color: var(--success-color); color: white; box-shadow: 0 10px 15px -3px rgba(0,0,0,0.1), 0 4px 6px -2px rgba(0,0,0,0.05); }
+        .claim-section h2 { font-size: 1.5rem; font-family: var(--display-font); color: var(--primary-color); margin-bottom: 1rem; display: flex; align-items: center; }
+        .claim-button { width: 100%; display: flex; align-items: center; justify-content: center; padding: .75rem; border-radius: .75rem; font-family: var(--display-font); font-size: 1.125rem; transition: all .3s; background-color: var(--success-color); color: white; box-shadow: 0 10px 15px -3px rgba(0,0,0,0.1), 0 4px 6px -2px rgba(0,0,0,0.05); }
         .claim-button:hover { transform: scale(1.05); box-shadow: 0 10px 15px -3px rgba(0,200,100,0.5); }
         .claim-button:active { transform: scale(1); }
         .claim-button:disabled { background-color: #9ca3af; cursor: not-allowed; transform: none; box-shadow: none; }
 
         .welcome-message-container { display: flex; flex-direction: column; align-items: center; justify-content: center; height: 60vh; text-align: center; animation: fade-in 1s ease-in-out; color: var(--primary-color); }
-        .welcome-title { font-size: 3rem; font-family: "Burger Free", sans-serif;; color: White; margin-bottom: 1rem; text-shadow: 2px 2px 4px rgba(0,0,0,0.1); }
+        .welcome-title { font-size: 3rem; font-family: var(--display-font); color: White; margin-bottom: 1rem; text-shadow: 2px 2px 4px rgba(0,0,0,0.1); }
         .welcome-message { color: #10b692ff; margin-bottom: 2rem; max-width: 28rem; }
 
         .modal-overlay { position: fixed; inset: 0; z-index: 50; display: flex; align-items: center; justify-content: center; background-color: rgba(0,0,0,0.75); }
@@ -772,18 +509,18 @@ const AppContent = () => {
         .modal-container.success { background-color: var(--success-color); color: white; }
         .modal-container.error { background-color: var(--danger-color); color: white; }
         .modal-close-button { position: absolute; top: .5rem; right: .5rem; color: white; }
-        .modal-title { font-size: 1.5rem; font-weight: 700; font-family: "Burger Free", sans-serif;; margin-bottom: .5rem; }
-        .modal-text { font-family: "Burger Free", sans-serif;; }
+        .modal-title { font-size: 1.5rem; font-weight: 700; font-family: var(--display-font); margin-bottom: .5rem; }
+        .modal-text { font-family: var(--display-font); }
 
-        .footer { margin-top: 2rem; padding-top: 1.5rem; text-align: center; color: #e5008e; border-top: 2px solid var(--primary-color); }
+        .footer { margin-top: 2rem; padding-top: 1.5rem; text-align: center; color: var(--highlight-color); border-top: 2px solid var(--primary-color); }
         .quote-text { font-size: .875rem; font-style: italic; }
 
         .refresh-button { position: fixed; bottom: 2rem; right: 2rem; background-color: var(--primary-color); color: white; width: 3rem; height: 3rem; border-radius: 9999px; display: flex; align-items: center; justify-content: center; box-shadow: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06); cursor: pointer; transition: all .2s; z-index: 20; }
-        .refresh-button:hover { transform: rotate(180deg); background-color: #1e3a8a; }
+        .refresh-button:hover { transform: rotate(180deg); background-color: var(--muted-color); }
         .refresh-button:active { transform: rotate(180deg) scale(0.95); }
         .refresh-button.loading { animation: spin 1s linear infinite; }
 
-        .last-updated { font-size: 0.75rem; color: #e5008e; text-align: right; margin-top: 0.5rem; }
+        .last-updated { font-size: 0.75rem; color: var(--highlight-color); text-align: right; margin-top: 0.5rem; }
 
         @keyframes pulse { 0%,100%{opacity:1} 50%{opacity:.5} }s
         @keyframes bounce-slow { 0%,100%{ transform: translateY(-5%) } 50%{ transform: translateY(0) } }
@@ -795,137 +532,227 @@ const AppContent = () => {
         {/* Header */}
         <header className="header">
           <div className="logo-section">
-            <img src={logoUrl} alt="BENADS LOGO" className="logo-image animate-pulse" />
+            <img src={brand.logo} alt={brand.name} className="logo-image animate-pulse" />
           </div>
 
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value, isConnected ? address : undefined)}
+            aria-label={t('header.language')}
+            className="input-field"
+            style={{ flexGrow: 0, fontSize: '0.875rem', padding: '0.5rem' }}
+          >
+            {LANGUAGES.map(({ code, label }) => <option key={code} value={code}>{label}</option>)}
+          </select>
+
+          <button onClick={() => setAnalyticsOpen(!isAnalyticsOpen)} aria-pressed={isAnalyticsOpen} className="stake-button" style={{ flexGrow: 0 }}>
+            <ChartLine size={16} style={{ marginRight: '.25rem' }} /> {t('analytics.open')}
+          </button>
+
           {isConnected ? (
             <div className="connected-wallet">
               <Wallet className="icon-mr-2" style={{ color: 'var(--success-color)' }} />
               <span className="font-bold hidden-sm">{shortAddress(address)}</span>
-              <span className="font-bold visible-sm">Connected</span>
+              <span className="font-bold visible-sm">{t('header.connected')}</span>
               <div className="status-indicator"></div>
               <button onClick={disconnect} className="disconnect-button"><LogOut size={20} /></button>
             </div>
           ) : (
-            <button onClick={() => open()} className="connect-button">
-              <span className="connect-button-content"><Wallet className="icon-mr-2 h-5-w-5" />Connect Wallet</span>
+            <button onClick={connectWallet} className="connect-button">
+              <span className="connect-button-content"><Wallet className="icon-mr-2 h-5-w-5" />{t('header.connectWallet')}</span>
             </button>
           )}
         </header>
 
-        {/* Main Dashboard */}
-        {isConnected ? (
+        {/* Demo mode */}
+        {DEMO_MODE && <DemoPanel isConnected={isConnected} />}
+
+        {/* Wrong network */}
+        {isWrongNetwork && (
+          <div className="stats-section" style={{ textAlign: 'center' }}>
+            <h2 style={{ justifyContent: 'center' }}><AlertTriangle style={{ marginRight: '0.5rem' }} /> {t('network.title')}</h2>
+            <p style={{ marginBottom: '1rem' }}>
+              {t('network.notDeployed', { chain: SUPPORTED_CHAINS.find((c) => c.id === chainId)?.name ?? t('network.chainN', { id: chainId }) })}
+              {' '}{DEPLOYED_CHAINS.length > 0 ? t('network.switchPrompt') : t('network.noDeployments')}
+            </p>
+            <div style={{ display: 'flex', gap: '.5rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+              {DEPLOYED_CHAINS.map((chain) => (
+                <button key={chain.id} onClick={() => switchChain({ chainId: chain.id })} disabled={isSwitchingChain} className="stake-button">
+                  {isSwitchingChain ? <Loader className="animate-spin" /> : t('network.switchTo', { chain: chain.name })}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Watch mode */}
+        {isWatching && !isAnalyticsOpen && <WatchBanner address={viewAddress} chainId={chainId} deployment={deployment} />}
+
+        {/* Public analytics (no wallet needed), else the Main Dashboard */}
+        {isAnalyticsOpen ? (
+          <AnalyticsPage deployment={deployment ?? getDeployment(DEFAULT_CHAIN_ID)} />
+        ) : (isWatching ? !!deployment : isConnected && !isWrongNetwork) ? (
           <main>
             {/* Hero Cat GIF */}
             <div className="hero-section">
-              <div className="hero-cat"><img src={gifUrl} alt="A cute cat GIF" /></div>
+              <div className="hero-cat"><img src={brand.hero} alt={brand.name} /></div>
             </div>
 
+            {/* Admin Console (owner only) */}
+            {isOwner && !showAdminConsole && (
+              <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '1rem' }}>
+                <button onClick={() => setShowAdminConsole(true)} className="connect-button">
+                  <span className="connect-button-content"><ShieldCheck className="icon-mr-2 h-5-w-5" />{t('admin.open')}</span>
+                </button>
+              </div>
+            )}
+            {isOwner && showAdminConsole && (
+              <AdminConsole
+                deployment={deployment}
+                stakingPools={stakingPools}
+                lockDurations={lockDurations}
+                rewardReserve={availableRewardsData}
+                tokenBalance={tokenBalanceData}
+                isBusy={isTxPending}
+                runTxFlow={runTxFlow}
+                approvalStep={approvalStep}
+                showCustomModal={showCustomModal}
+                onClose={() => setShowAdminConsole(false)}
+              />
+            )}
+
             {/* APY Calculator */}
             {/* <ApyCalculator stakingPools={stakingPools} /> */}
 
             {/* Balances & Rewards */}
             <div className="stats-section">
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                <h2><Cat style={{ marginRight: '0.5rem' }} /> Your BENADS Staking Stats</h2>
+                <h2><Cat style={{ marginRight: '0.5rem' }} /> {t('stats.title')}</h2>
                 {isRefreshing && (
                   <div style={{ display: 'flex', alignItems: 'center' }}>
                     <Loader className="animate-spin" style={{ marginRight: '0.5rem' }} />
-                    <span>Refreshing...</span>
+                    <span>{t('stats.refreshing')}</span>
                   </div>
                 )}
               </div>
               <div className="stats-grid">
                 <div className="stat-card">
-                  <p className="label">Available Balance</p>
-                  <p className="value">{formattedTokenBalance.toFixed(2)}</p>
-                  <p style={{ fontSize: '0.75rem', fontFamily: 'Inter, sans-serif', color: '#1e3a8a', marginTop: '0.25rem' }}>BENADS Tokens</p>
+                  <p className="label">{t('stats.available')}</p>
+                  <p className="value">{formatNumber(formattedTokenBalance)}</p>
+                  <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{t('stats.tokens')}</p>
                 </div>
                 <div className="stat-card">
-                  <p className="label">Your Total Staked</p>
-                  <p className="value">{totalStakedUser.toFixed(2)}</p>
-                  <p style={{ fontSize: '0.75rem', fontFamily: 'Inter, sans-serif', color: '#1e3a8a', marginTop: '0.25rem' }}>BENADS Tokens</p>
+                  <p className="label">{t('stats.totalStaked')}</p>
+                  <p className="value">{formatNumber(totalStakedUser)}</p>
+                  <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{t('stats.tokens')}</p>
                 </div>
                 <div className="stat-card">
-                  <p className="label">Your Total Claimable</p>
-                  <p className="value" style={{ color: 'var(--success-color)' }}>{totalUserRewards.toFixed(2)}</p>
-                  <p style={{ fontSize: '0.75rem', fontFamily: 'Inter, sans-serif', color: '#1e3a8a', marginTop: '0.25rem' }}>BENADS Tokens (sum of pools)</p>
+                  <p className="label">{t('stats.totalClaimable')}</p>
+                  <p className="value" style={{ color: 'var(--success-color)' }}>{formatNumber(totalUserRewards)}</p>
+                  <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{t('stats.sumOfPools')}</p>
                 </div>
               </div>
 
               {/* Contract-level info row */}
               <div className="stats-grid" style={{ marginTop: '1rem' }}>
                 <div className="stat-card">
-                  <p className="label">Reward Pool (Admin-Funded)</p>
+                  <p className="label">{t('stats.rewardPool')}</p>
                   <p className="value" title="rewardReserve()">
-                    {formattedAvailableRwds.toFixed(2)}
+                    {formatNumber(formattedAvailableRwds)}
                   </p>
-                  <p style={{ fontSize: '0.75rem', fontFamily: 'Inter, sans-serif', color: '#1e3a8a', marginTop: '0.25rem' }}>
-                    BENADS Available for Rewards
+                  <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>
+                    {t('stats.availableForRewards')}
                   </p>
                 </div>
                 <div className="stat-card">
-                  <p className="label">Total Staked (All Users)</p>
-                  <p className="value">{formattedTotalStakedAll.toFixed(2)}</p>
-                  <p style={{ fontSize: '0.75rem', fontFamily: 'Inter, sans-serif', color: '#1e3a8a', marginTop: '0.25rem' }}>BENADS in contract</p>
+                  <p className="label">{t('stats.totalStakedAll')}</p>
+                  <p className="value">{formatNumber(formattedTotalStakedAll)}</p>
+                  <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{t('stats.inContract')}</p>
                 </div>
                 <div className="stat-card">
-                  <p className="label">Wallet</p>
+                  <p className="label">{t('stats.wallet')}</p>
                   <p className="value" style={{ display: 'flex', gap: '.5rem', alignItems: 'center', justifyContent: 'center' }}>
-                    <Wallet /> {shortAddress(address)}
+                    <Wallet /> {shortAddress(viewAddress)}
                   </p>
-                  <p style={{ fontSize: '0.75rem', fontFamily: 'Inter, sans-serif', color: '#1e3a8a', marginTop: '0.25rem' }}>Connected</p>
+                  <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{isWatching ? t('stats.watching') : t('header.connected')}</p>
                 </div>
               </div>
               {lastUpdated && (
                 <p className="last-updated">
-                  Last updated: {lastUpdated.toLocaleTimeString()}
+                  {t('stats.lastUpdated', { time: formatTime(lastUpdated) })}
                 </p>
               )}
             </div>
 
+            {/* Reserve solvency & runway */}
+            <SolvencyPanel reserve={availableRewardsData} stakingPools={stakingPools} userPending={pendingRewardsWei} />
+
             {/* Pools */}
             <div className="staking-pools" style={{ marginTop: '1.5rem' }}>
+              {stakingPools.length === 0 && (
+                <div className="stat-card">
+                  <p className="label">{snapshot ? t('pool.noPools') : t('pool.loading')}</p>
+                </div>
+              )}
               {stakingPools.map((pool) => {
-                const stakedAmt = pool.id === '7-day' ? formattedStaked7 : pool.id === '14-day' ? formattedStaked14 : formattedStaked21;
-                const rewardsAmt = pool.id === '7-day' ? formattedRewards7 : pool.id === '14-day' ? formattedRewards14 : formattedRewards21;
+                const { staked: stakedAmt, rewards: rewardsAmt, status, startTime, unlockAt, remaining } = positions[pool.id];
                 return (
                   <div key={pool.id} className="pool-card">
-                    <h2><Gift style={{ marginRight: '0.5rem' }} /> {pool.duration} Pool</h2>
-                    <p className="apy">{pool.apy}% APY</p>
+                    <h2><Gift style={{ marginRight: '0.5rem' }} /> {t('pool.title', { duration: pool.duration })}</h2>
+                    <p className="apy">{t('pool.apy', { apy: pool.apy })}</p>
+                    <p style={{ fontSize: '.8rem', color: 'var(--muted-color)', marginTop: '-.75rem', marginBottom: '1rem', position: 'relative', zIndex: 1 }}>
+                      {t('pool.totalStaked', { amount: formatNumber(formatTokenAmount(pool.totalStaked)) })}
+                    </p>
 
                     <div className="input-group" style={{ marginBottom: '1rem' }}>
-                      <p>Your staked amount:</p>
-                      <p style={{ fontSize: '1.25rem', fontWeight: 'bold', fontFamily: '"Burger Free", sans-serif;' }}>
-                        {stakedAmt.toFixed(2)} BENADS
+                      <p>{t('pool.yourStaked')}</p>
+                      <p style={{ fontSize: '1.25rem', fontWeight: 'bold', fontFamily: 'var(--display-font)' }}>
+                        {t('common.amount', { amount: formatNumber(stakedAmt) })}
                       </p>
                     </div>
 
                     <div className="input-group" style={{ marginBottom: '1rem' }}>
-                      <p>Stake BENADS</p>
+                      <p>{t('pool.positionStatus')} <strong>{t(`pool.status.${status}`)}</strong></p>
+                      {status !== 'empty' && (
+                        <div style={{ fontSize: '.8rem', color: 'var(--muted-color)' }}>
+                          <p style={{ color: 'var(--muted-color)', marginBottom: '.125rem' }}>{t('pool.stakedSince', { date: formatDateTime(startTime * 1000) })}</p>
+                          <p style={{ color: 'var(--muted-color)', marginBottom: '.125rem' }}>{t('pool.unlocksAt', { date: formatDateTime(unlockAt * 1000) })}</p>
+                          {status === 'locked' && (
+                            <p style={{ fontSize: '1.125rem', fontWeight: 'bold', fontFamily: 'var(--display-font)', color: 'var(--secondary-color)', marginBottom: 0 }}>
+                              ⏳ {formatCountdown(remaining)}
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="input-group" style={{ marginBottom: '1rem' }}>
+                      <p>{t('pool.stakeHeading')}</p>
                       <div className="input-flex">
                         <input
                           type="number"
-                          value={stakeInputs[pool.id]}
+                          value={stakeInputs[pool.id] ?? ''}
                           onChange={(e) => setStakeInputs((prev) => ({ ...prev, [pool.id]: e.target.value }))}
                           placeholder="0.0"
                           className="input-field"
                         />
-                        <button onClick={() => handleStake(pool.id)} disabled={isTxPending || !stakeInputs[pool.id]} className="stake-button">
-                          {isTxPending ? <Loader className="animate-spin" /> : 'Stake'}
+                        <button onClick={() => handleStake(pool.id)} disabled={writesDisabled || !stakeInputs[pool.id]} className="stake-button">
+                          {isTxPending ? <Loader className="animate-spin" /> : needsApproval(stakeInputs[pool.id])
+                            ? t('pool.approveAnd', { action: status === 'empty' ? t('pool.stake') : t('pool.topUp') })
+                            : status === 'empty' ? t('pool.stake') : t('pool.topUp')}
                         </button>
                       </div>
                     </div>
 
                     <div className="input-group" style={{ marginBottom: '1rem' }}>
-                      <p>Claimable Rewards:</p>
+                      <p>{t('pool.claimable')}</p>
                       <div style={{ display: 'flex', gap: '.5rem', alignItems: 'center', justifyContent: 'space-between' }}>
-                        <p style={{ fontSize: '1.25rem', fontWeight: 'bold', fontFamily: '"Burger Free", sans-serif;' }}>
-                          {rewardsAmt.toFixed(6)} BENADS
+                        <p style={{ fontSize: '1.25rem', fontWeight: 'bold', fontFamily: 'var(--display-font)' }}>
+                          {t('common.amount', { amount: formatNumber(rewardsAmt, 6) })}
                         </p>
                         <button
                           onClick={() => handleClaimRewards(pool.id)}
-                          disabled={isTxPending || rewardsAmt <= 0}
+                          disabled={writesDisabled || status === 'empty' || rewardsAmt <= 0}
                           className="claim-button"
                           style={{ width: '50%' }}
                         >
@@ -934,38 +761,63 @@ const AppContent = () => {
                           ) : (
                             <Handshake style={{ width: '1.25rem', height: '1.25rem', marginRight: '0.5rem' }} />
                           )}
-                          {isTxPending ? 'Claiming...' : 'Claim'}
+                          {isTxPending ? t('pool.claiming') : t('pool.claim')}
+                        </button>
+                      </div>
+                      <p style={{ fontSize: '.8rem', color: 'var(--muted-color)', marginTop: '.25rem' }}>
+                        {t('pool.reserveNote')}
+                      </p>
+                    </div>
+
+                    <div className="input-group" style={{ marginBottom: '1rem' }}>
+                      <p>{t('pool.compoundHeading')}</p>
+                      <div className="input-flex">
+                        <select
+                          value={compoundTargets[pool.id] ?? pool.id}
+                          onChange={(e) => setCompoundTargets((prev) => ({ ...prev, [pool.id]: e.target.value }))}
+                          className="input-field"
+                        >
+                          {stakingPools.map((target) => (
+                            <option key={target.id} value={target.id}>{t('pool.compoundInto', { duration: target.duration, apy: target.apy })}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleCompound(pool.id, compoundTargets[pool.id] ?? pool.id)}
+                          disabled={writesDisabled || status === 'empty' || rewardsAmt <= 0}
+                          className="stake-button"
+                        >
+                          {isTxPending ? <Loader className="animate-spin" /> : t('pool.compound')}
                         </button>
                       </div>
-                      <p style={{ fontSize: '.8rem', color: '#1e3a8a', marginTop: '.25rem' }}>
-                        Rewards are paid from the admin-funded pool. If it's empty, claims will revert but your stake remains safe.
+                      <p style={{ fontSize: '.8rem', color: 'var(--muted-color)', marginTop: '.25rem' }}>
+                        {t('pool.compoundNote')}
                       </p>
                     </div>
 
                     <div className="input-group" style={{ marginBottom: '0.5rem' }}>
-                      <p>Unstake All BENADS</p>
+                      <p>{status === 'locked' ? t('pool.unstakeAvailableIn', { time: formatCountdown(remaining) }) : t('pool.unstakeHeading')}</p>
                       <div className="input-flex">
                         <button
                           onClick={() => handleUnstake(pool.id)}
-                          disabled={isTxPending || stakedAmt <= 0}
+                          disabled={writesDisabled || status !== 'unlocked'}
                           className="unstake-button"
                           style={{ width: '100%' }}
                         >
-                          {isTxPending ? <Loader className="animate-spin" /> : 'Unstake'}
+                          {isTxPending ? <Loader className="animate-spin" /> : t('pool.unstake')}
                         </button>
                       </div>
                     </div>
 
                     <div className="input-group">
-                      <p>Emergency Unstake (15% Penalty)</p>
+                      <p>{t('pool.emergencyHeading', { pct: EMERGENCY_UNSTAKE_PENALTY_BPS / 100 })}</p>
                       <div className="input-flex">
                         <button
                           onClick={() => handleEmergencyUnstake(pool.id)}
-                          disabled={isTxPending || stakedAmt <= 0}
+                          disabled={writesDisabled || status !== 'locked'}
                           className="unstake-button"
                           style={{ width: '100%' }}
                         >
-                          {isTxPending ? <Loader className="animate-spin" /> : 'Emergency Unstake'}
+                          {isTxPending ? <Loader className="animate-spin" /> : t('pool.emergency')}
                         </button>
                       </div>
                     </div>
@@ -974,24 +826,59 @@ const AppContent = () => {
               })}
             </div>
 
+            {/* Bulk exit */}
+            {showExitPlanner ? (
+              <ExitPlanner
+                stakingPools={stakingPools}
+                positions={positions}
+                rewardReserve={availableRewardsData}
+                now={now}
+                isBusy={writesDisabled}
+                onExecute={handleExitPlan}
+                onClose={() => setShowExitPlanner(false)}
+              />
+            ) : Object.values(positions).some((p) => p.status !== 'empty') && (
+              <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '1rem' }}>
+                <button onClick={() => setShowExitPlanner(true)} className="connect-button">
+                  <span className="connect-button-content"><DoorOpen className="icon-mr-2 h-5-w-5" />{t('exit.open')}</span>
+                </button>
+              </div>
+            )}
+
             {/* Claim All Rewards Section */}
             <div className="claim-section">
-              <h2><PiggyBank style={{ marginRight: '0.5rem' }} /> Claim All Rewards</h2>
+              <h2><PiggyBank style={{ marginRight: '0.5rem' }} /> {t('claimAll.title')}</h2>
               <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
-                <p style={{ fontSize: '1.5rem', fontWeight: 'bold', fontFamily: '"Burger Free", sans-serif;' }}>{totalUserRewards.toFixed(6)} BENADS</p>
-                <p style={{ fontSize: '0.875rem', fontFamily: 'Inter, sans-serif', color: '#e5008e' }}>sum across all pools</p>
+                <p style={{ fontSize: '1.5rem', fontWeight: 'bold', fontFamily: 'var(--display-font)' }}>{t('common.amount', { amount: formatNumber(totalUserRewards, 6) })}</p>
+                <p style={{ fontSize: '0.875rem', fontFamily: 'var(--body-font)', color: 'var(--highlight-color)' }}>{t('claimAll.sum')}</p>
+                {rewardsExceedReserve && (
+                  <p style={{ fontSize: '0.875rem', fontFamily: 'var(--body-font)', color: 'var(--highlight-color)', fontWeight: 'bold', marginTop: '.5rem' }}>
+                    <AlertTriangle size={16} style={{ verticalAlign: 'text-bottom' }} /> {t('claimAll.reserveShort', { amount: formatNumber(formattedAvailableRwds, 6) })}
+                  </p>
+                )}
               </div>
               <button
                 onClick={handleClaimAllRewards}
-                disabled={isTxPending || totalUserRewards <= 0}
+                disabled={writesDisabled || totalUserRewards <= 0}
                 className="claim-button"
               >
                 <Handshake style={{ width: '1.25rem', height: '1.25rem', marginRight: '0.5rem' }} />
-                {isTxPending ? 'Claiming All...' : 'Claim All Rewards'}
+                {isTxPending ? t('claimAll.claiming') : t('claimAll.title')}
               </button>
             </div>
+
+            {/* Notification preferences and sent transactions (own wallet only) */}
+            {!isWatching && (
+              <>
+                <NotificationSettings permission={notifications.permission} prefs={notifications.prefs} onChange={notifications.setPreference} />
+                <RecentTransactions chainId={deployment.chainId} address={address} />
+              </>
+            )}
+
+            {/* On-chain activity */}
+            <ActivityFeed address={viewAddress} />
           </main>
-        ) : (
+        ) : !isConnected && !isWatching && (
           <div className="welcome-message-container">
   {/* Main content container with logo on the right */}
   <div style={{ 
@@ -1013,20 +900,22 @@ const AppContent = () => {
       textAlign: 'center'
     }}>
       <h1 className="welcome-title" style={{ marginBottom: '2rem' }}>
-        Welcome to BENADS Staking!
+        {t('welcome.title')}
       </h1>
       
       <p className="welcome-message" style={{ marginBottom: '2.5rem', fontSize: '1.3rem' }}>
-        Connect your wallet to start staking your BENADS tokens and earn rewards. It's time to put your tokens to work!
+        {t('welcome.message')}
       </p>
       
-      <button onClick={() => open()} className="connect-button" style={{ marginBottom: '1.5rem', fontSize: '1.2rem', padding: '1rem 2rem' }}>
+      <button onClick={connectWallet} className="connect-button" style={{ marginBottom: '1.5rem', fontSize: '1.2rem', padding: '1rem 2rem' }}>
         <span className="connect-button-content">
           <Wallet className="icon-mr-2 h-5-w-5" />
-          Connect Wallet
+          {t('header.connectWallet')}
         </span>
       </button>
       
+      <WatchAddressForm />
+
       <button
         onClick={() => setShowApyCalculator(true)}
         className="connect-button"
@@ -1034,14 +923,14 @@ const AppContent = () => {
       >
         <span className="connect-button-content">
           <Calculator className="icon-mr-2 h-5-w-5" />
-          Open APY Calculator
+          {t('calc.open')}
         </span>
       </button>
 
       {/* APY Calculator for non-connected users */}
       {showApyCalculator && (
         <div style={{ width: '100%', maxWidth: '28rem', marginTop: '2rem' }}>
-          <ApyCalculator stakingPools={stakingPools} onClose={() => setShowApyCalculator(false)} />
+          <ApyCalculator stakingPools={stakingPools} rewardReserve={availableRewardsData} onClose={() => setShowApyCalculator(false)} />
         </div>
       )}
     </div>
@@ -1055,13 +944,13 @@ const AppContent = () => {
       marginLeft: '4rem' // Additional margin for more distance
     }}>
       <img 
-        src={logoUrl} 
-        alt="BENADS LOGO" 
+        src={brand.logo} 
+        alt={brand.name} 
         style={{ 
           width: '350px', // Much larger logo
           height: '350px', // Much larger logo
           borderRadius: '50%', 
-          border: '6px solid #1e40af', // Thicker border
+          border: '6px solid var(--primary-color)', // Thicker border
           padding: '0.5rem',
           // animation: 'pulse 2s cubic-bezier(0.4, 0, 0.6, 1) infinite',
           boxShadow: '0 10px 25px rgba(0, 0, 0, 0.3)'
@@ -1072,13 +961,33 @@ const AppContent = () => {
 </div>
         )}
 
+        {/* Top-up confirmation */}
+        {pendingTopUp && positions[pendingTopUp.poolId] && (
+          <TopUpPreview
+            {...topUpPreviewFor(pendingTopUp)}
+            poolLabel={formatLockDuration(pendingTopUp.poolId)}
+            onConfirm={() => {
+              setPendingTopUp(null);
+              if (pendingTopUp.compoundFrom !== undefined) {
+                handleCompound(pendingTopUp.compoundFrom, pendingTopUp.poolId, { confirmedTopUp: true });
+              } else {
+                handleStake(pendingTopUp.poolId, { confirmedTopUp: true });
+              }
+            }}
+            onCancel={() => setPendingTopUp(null)}
+          />
+        )}
+
+        {/* Transaction progress */}
+        <TxFlowPanel flow={txFlow.flow} onResume={txFlow.resume} onDismiss={txFlow.dismiss} />
+
         {/* Modal */}
         {showModal && (
           <div className="modal-overlay">
             <div className={`modal-container ${modalType === 'success' ? 'success' : 'error'}`}>
               <button onClick={() => setShowModal(false)} className="modal-close-button"><XCircle size={24} /></button>
               <div>
-                <h3 className="modal-title">{modalType === 'success' ? 'Benad-ificent!' : 'Oh no!'}</h3>
+                <h3 className="modal-title">{modalType === 'success' ? t('modal.successTitle') : t('modal.errorTitle')}</h3>
                 <p className="modal-text">{modalMessage}</p>
               </div>
             </div>
@@ -1087,18 +996,11 @@ const AppContent = () => {
 
         {/* Footer */}
         <footer className="footer">
-          {isLoadingQuote ? (
-            <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
-              <Loader className="animate-spin" style={{ width: '1.25rem', height: '1.25rem', marginRight: '0.5rem', color: '#1e3a8a' }} />
-              <span className="quote-text">Loading inspiration...</span>
-            </div>
-          ) : (
-            <p className="quote-text">&ldquo;{apiQuote}&rdquo;</p>
-          )}
+          <p className="quote-text">&ldquo;{t('footer.quote')}&rdquo;</p>
         </footer>
 
         {/* Refresh Button */}
-        {isConnected && (
+        {(isConnected || isWatching) && !isAnalyticsOpen && (
           <button
             onClick={handleManualRefresh}
             className={`refresh-button ${isRefreshing ? 'loading' : ''}`}
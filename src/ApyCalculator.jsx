@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { PiggyBank, XCircle, AlertTriangle } from 'lucide-react';
+import { formatUnits } from 'viem';
+import { TOKEN_DECIMALS, EMERGENCY_UNSTAKE_PENALTY_BPS } from './contracts.js';
+import { SECONDS_PER_DAY } from './format.js';
+import { projectPool } from './projections.js';
+import { useI18n } from './useI18n.js';
+
+const COMPOUNDING_DAYS = [0, 1, 7, 30];
+
+const labelStyle = { display: 'block', fontSize: '0.875rem', color: 'var(--highlight-color)', marginBottom: '0.5rem' };
+const inputStyle = {
+  width: '100%',
+  backgroundColor: 'white',
+  color: 'var(--primary-color)',
+  padding: '0.75rem',
+  borderRadius: '0.75rem',
+  border: '2px solid #d1d5db',
+  fontFamily: 'var(--display-font)',
+  fontSize: '1.125rem'
+};
+const cellStyle = { padding: '0.375rem 0.5rem 0.375rem 0', verticalAlign: 'top' };
+
+/**
+ * Compares every on-chain pool for a given amount: simple rewards, claim-and-restake
+ * compounding, a 2% emergency exit partway through the lock, and what is actually
+ * paid if the current reward reserve cannot cover the projection.
+ */
+const ApyCalculator = ({ stakingPools, rewardReserve, onClose }) => {
+  const { t, formatNumber } = useI18n();
+  const fmt = (value) => formatNumber(value, 4);
+  const [amount, setAmount] = useState('');
+  const [compoundEveryDays, setCompoundEveryDays] = useState(0);
+  const [exitAfterDays, setExitAfterDays] = useState('');
+
+  const numAmount = parseFloat(amount);
+  const hasAmount = Number.isFinite(numAmount) && numAmount > 0;
+  const reserve = rewardReserve === undefined ? Infinity : parseFloat(formatUnits(rewardReserve, TOKEN_DECIMALS));
+  const exitDay = exitAfterDays === '' ? null : Math.max(0, parseFloat(exitAfterDays) || 0);
+  const penaltyPct = EMERGENCY_UNSTAKE_PENALTY_BPS / 100;
+
+  const rows = hasAmount
+    ? stakingPools.map((pool) => ({
+        pool,
+        projection: projectPool({
+          amount: numAmount,
+          apy: pool.apy,
+          lockDays: pool.lockDurationInSeconds / SECONDS_PER_DAY,
+          compoundEveryDays,
+          exitAfterDays: exitDay,
+          reserve
+        })
+      }))
+    : [];
+  const anyCapped = rows.some((row) => row.projection.reserveCapped.isCapped);
+
+  return (
+    <div style={{
+      backgroundColor: 'rgba(255, 255, 255, 0.7)',
+      backdropFilter: 'blur(8px)',
+      padding: '1.5rem',
+      borderRadius: '1.5rem',
+      boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1), 0 4px 6px -2px rgba(0,0,0,0.05)',
+      border: '4px solid var(--secondary-color)',
+      marginBottom: '2rem',
+      position: 'relative'
+    }}>
+      <h2 style={{
+        fontSize: '1.5rem',
+        fontFamily: 'var(--display-font)',
+        color: 'var(--primary-color)',
+        marginBottom: '1rem',
+        display: 'flex',
+        alignItems: 'center'
+      }}>
+        <PiggyBank style={{ marginRight: '0.5rem' }} /> {t('calc.title')}
+        <button onClick={onClose} style={{ position: 'absolute', top: '1rem', right: '1rem', background: 'none', border: 'none', cursor: 'pointer', color: 'var(--highlight-color)' }}>
+          <XCircle size={24} />
+        </button>
+      </h2>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(12rem, 1fr))', gap: '1rem', marginBottom: '1rem' }}>
+        <div>
+          <label style={labelStyle}>{t('calc.amount')}</label>
+          <input type="number" min="0" value={amount} onChange={(e) => setAmount(e.target.value)} placeholder={t('calc.amountPlaceholder')} style={inputStyle} />
+        </div>
+        <div>
+          <label style={labelStyle}>{t('calc.compounding')}</label>
+          <select value={compoundEveryDays} onChange={(e) => setCompoundEveryDays(Number(e.target.value))} style={inputStyle}>
+            {COMPOUNDING_DAYS.map((days) => (
+              <option key={days} value={days}>{t(`calc.compounding.${days}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>{t('calc.exitAfter')}</label>
+          <input type="number" min="0" value={exitAfterDays} onChange={(e) => setExitAfterDays(e.target.value)} placeholder={t('calc.exitPlaceholder')} style={inputStyle} />
+        </div>
+      </div>
+
+      {hasAmount && stakingPools.length === 0 && (
+        <p style={{ color: 'var(--highlight-color)', textAlign: 'center' }}>{t('calc.noPools')}</p>
+      )}
+
+      {rows.length > 0 && (
+        <div style={{ backgroundColor: 'white', padding: '1rem', borderRadius: '0.75rem', border: '2px solid #d1d5db', overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', fontFamily: 'var(--body-font)', color: 'var(--primary-color)' }}>
+            <thead>
+              <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+                <th style={cellStyle}>{t('calc.col.pool')}</th>
+                <th style={cellStyle}>{t('calc.col.simple')}</th>
+                <th style={cellStyle}>{t('calc.col.compounded')}</th>
+                <th style={cellStyle}>{t('calc.col.total')}</th>
+                <th style={cellStyle}>{t('calc.col.capped')}</th>
+                <th style={cellStyle}>{exitDay !== null ? t('calc.col.exitAt', { day: exitDay }) : t('calc.col.exit')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ pool, projection }) => (
+                <tr key={pool.id} style={{ borderTop: '1px solid #d1d5db' }}>
+                  <td style={cellStyle}>
+                    <strong>{pool.duration}</strong>
+                    <div style={{ fontSize: '0.75rem' }}>{t('pool.apy', { apy: pool.apy })}</div>
+                  </td>
+                  <td style={cellStyle}>+{fmt(projection.simpleRewards)}</td>
+                  <td style={cellStyle}>
+                    +{fmt(projection.compoundedRewards)}
+                    {projection.claims > 0 && (
+                      <div style={{ fontSize: '0.75rem' }}>{t('calc.restakes', { count: projection.claims, apy: formatNumber(projection.effectiveApy, 2) })}</div>
+                    )}
+                  </td>
+                  <td style={cellStyle}><strong>{fmt(projection.total)}</strong></td>
+                  <td style={{ ...cellStyle, color: projection.reserveCapped.isCapped ? 'var(--highlight-color)' : undefined }}>
+                    {projection.reserveCapped.isCapped
+                      ? <>+{fmt(projection.reserveCapped.rewards)}<div style={{ fontSize: '0.75rem' }}>{t('calc.unpaid', { amount: fmt(projection.reserveCapped.shortfall) })}</div></>
+                      : t('calc.covered')}
+                  </td>
+                  <td style={cellStyle}>
+                    {projection.earlyExit
+                      ? <>
+                          {t('calc.exitBack', { amount: fmt(projection.earlyExit.returned) })}
+                          <div style={{ fontSize: '0.75rem', color: 'var(--highlight-color)' }}>
+                            {t('calc.exitDetail', {
+                              net: fmt(projection.earlyExit.net),
+                              penalty: fmt(projection.earlyExit.penalty),
+                              forfeited: fmt(projection.earlyExit.forfeitedRewards)
+                            })}
+                          </div>
+                        </>
+                      : exitDay !== null ? t('calc.unlockedByThen') : t('calc.penaltyOfPrincipal', { pct: penaltyPct })}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {anyCapped && (
+            <p style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start', color: 'var(--highlight-color)', fontSize: '0.8125rem', marginTop: '0.75rem' }}>
+              <AlertTriangle size={16} style={{ flexShrink: 0 }} />
+              {t('calc.cappedWarning', { reserve: formatNumber(reserve, 2) })}
+            </p>
+          )}
+          <p style={{ fontSize: '0.75rem', color: 'var(--muted-color)', marginTop: '0.5rem' }}>
+            {t('calc.note', { pct: penaltyPct })}
+          </p>
+        </div>
+      )}
+
+      {!hasAmount && (
+        <div style={{
+          backgroundColor: 'var(--bg-light)',
+          padding: '1rem',
+          borderRadius: '0.75rem',
+          textAlign: 'center',
+          color: 'var(--highlight-color)'
+        }}>
+          {t('calc.prompt')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApyCalculator;
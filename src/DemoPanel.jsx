@@ -0,0 +1,90 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { FlaskConical, FastForward, Droplet, RotateCcw, LogOut } from 'lucide-react';
+import { parseUnits } from 'viem';
+import { TOKEN_DECIMALS } from './contracts.js';
+import { DEMO_CHAIN } from './demo.js';
+import { advanceDemoTime, getDemoStatus, mintDemoTokens, resetDemo, subscribeDemo } from './demoProvider.js';
+import { formatLockDuration, SECONDS_PER_DAY } from './format.js';
+import { useChainClock } from './useChainClock.js';
+import { useI18n } from './useI18n.js';
+
+const TIME_STEPS = [3600, SECONDS_PER_DAY, 7 * SECONDS_PER_DAY, 30 * SECONDS_PER_DAY, 365 * SECONDS_PER_DAY];
+const FAUCET_AMOUNT = 10_000;
+
+/**
+ * Controls for the simulated chain in demo mode: its clock (jump ahead so locks mature
+ * and rewards accrue), a token faucet for the demo wallet, and a reset to the seeded state.
+ */
+const DemoPanel = ({ isConnected }) => {
+  const { t, formatNumber, formatDateTime } = useI18n();
+  const { timeOffset } = useSyncExternalStore(subscribeDemo, getDemoStatus);
+  const { now, blockNumber } = useChainClock({ chainId: DEMO_CHAIN.id });
+  const [isMinting, setIsMinting] = useState(false);
+  // Only a ?demo link can be left; a VITE_DEMO build is demo-only
+  const hasDemoParam = new URLSearchParams(window.location.search).has('demo');
+
+  const mint = async () => {
+    setIsMinting(true);
+    try {
+      await mintDemoTokens(parseUnits(String(FAUCET_AMOUNT), TOKEN_DECIMALS));
+    } catch (error) {
+      console.error('Demo faucet failed:', error);
+    } finally {
+      setIsMinting(false);
+    }
+  };
+
+  // A fresh chain restarts block numbers, which the app's block watchers would ignore
+  const reset = () => {
+    resetDemo();
+    window.location.reload();
+  };
+
+  const leave = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('demo');
+    window.location.assign(url);
+  };
+
+  return (
+    <div className="stats-section" style={{ marginBottom: '1.5rem' }}>
+      <h2><FlaskConical style={{ marginRight: '0.5rem' }} /> {t('demo.title')}</h2>
+      <p style={{ fontSize: '.875rem', marginBottom: '.75rem' }}>{t('demo.description')}</p>
+      <p style={{ fontWeight: 'bold', color: 'var(--primary-color)' }}>
+        {t('demo.clock', { time: formatDateTime(now * 1000), block: blockNumber?.toString() ?? '…' })}
+      </p>
+      {timeOffset > 0 && (
+        <p style={{ fontSize: '.8rem', color: 'var(--muted-color)' }}>{t('demo.ahead', { duration: formatLockDuration(timeOffset) })}</p>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '.5rem', marginTop: '1rem' }}>
+        {TIME_STEPS.map((seconds) => (
+          <button key={seconds} onClick={() => advanceDemoTime(seconds)} className="stake-button">
+            <FastForward size={16} style={{ marginRight: '.25rem' }} /> {t('demo.advance', { duration: formatLockDuration(seconds) })}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '.5rem', marginTop: '.5rem' }}>
+        <button
+          onClick={mint}
+          disabled={!isConnected || isMinting}
+          title={isConnected ? undefined : t('demo.connectFirst')}
+          className="stake-button"
+        >
+          <Droplet size={16} style={{ marginRight: '.25rem' }} /> {t('demo.faucet', { amount: formatNumber(FAUCET_AMOUNT, 0) })}
+        </button>
+        <button onClick={reset} className="unstake-button">
+          <RotateCcw size={16} style={{ marginRight: '.25rem' }} /> {t('demo.reset')}
+        </button>
+        {hasDemoParam && (
+          <button onClick={leave} className="unstake-button">
+            <LogOut size={16} style={{ marginRight: '.25rem' }} /> {t('demo.leave')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DemoPanel;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { DoorOpen, XCircle, Loader, AlertTriangle } from 'lucide-react';
+import { EMERGENCY_UNSTAKE_PENALTY_BPS } from './contracts.js';
+import { formatCountdown } from './format.js';
+import { planExit } from './solvency.js';
+import { useI18n } from './useI18n.js';
+
+const cellStyle = { padding: '0.375rem 0.5rem 0.375rem 0', verticalAlign: 'top' };
+
+/**
+ * Lists every position, split into matured and still locked, and exits them in one
+ * sequenced flow: unstake() for all matured pools, plus emergencyUnstake() for the
+ * locked pools the user explicitly opts into.
+ */
+const ExitPlanner = ({ stakingPools, positions, rewardReserve, now, isBusy, onExecute, onClose }) => {
+  const { t, formatToken } = useI18n();
+  const fmt = (wei) => formatToken(wei, 4);
+  const [emergencyPoolIds, setEmergencyPoolIds] = useState([]);
+  const penaltyPct = EMERGENCY_UNSTAKE_PENALTY_BPS / 100;
+
+  const plan = planExit({
+    positions: stakingPools.map((pool) => ({ pool, position: positions[pool.id] })).filter(({ position }) => position),
+    reserve: rewardReserve ?? 0n,
+    emergencyPoolIds,
+    penaltyBps: EMERGENCY_UNSTAKE_PENALTY_BPS
+  });
+  const exitCount = plan.matured.length + plan.locked.filter((row) => row.optedIn).length;
+
+  const toggleEmergency = (poolId) => setEmergencyPoolIds((prev) => (
+    prev.includes(poolId) ? prev.filter((id) => id !== poolId) : [...prev, poolId]
+  ));
+
+  return (
+    <div className="claim-section" style={{ position: 'relative', marginBottom: '1.5rem' }}>
+      <h2><DoorOpen style={{ marginRight: '0.5rem' }} /> {t('exit.title')}</h2>
+      <button onClick={onClose} style={{ position: 'absolute', top: '1rem', right: '1rem', background: 'none', border: 'none', cursor: 'pointer', color: 'var(--highlight-color)' }}>
+        <XCircle size={24} />
+      </button>
+
+      {plan.matured.length === 0 && plan.locked.length === 0 && (
+        <p style={{ textAlign: 'center' }}>{t('exit.noPositions')}</p>
+      )}
+
+      {plan.matured.length > 0 && (
+        <>
+          <h3 style={{ fontWeight: 'bold', marginBottom: '.5rem' }}>{t('exit.maturedHeading')}</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', fontFamily: 'var(--body-font)', marginBottom: '1rem' }}>
+            <thead>
+              <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+                <th style={cellStyle}>{t('exit.col.pool')}</th>
+                <th style={cellStyle}>{t('exit.col.principal')}</th>
+                <th style={cellStyle}>{t('exit.col.rewardsPaid')}</th>
+                <th style={cellStyle}>{t('exit.col.receive')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.matured.map((row) => (
+                <tr key={row.pool.id} style={{ borderTop: '1px solid #d1d5db' }}>
+                  <td style={cellStyle}>{row.pool.duration}</td>
+                  <td style={cellStyle}>{fmt(row.principal)}</td>
+                  <td style={cellStyle}>
+                    {fmt(row.rewardsPaid)}
+                    {row.rewardsPaid < row.rewardsDue && (
+                      <div style={{ fontSize: '.75rem', color: 'var(--highlight-color)' }}>{t('exit.overReserve', { amount: fmt(row.rewardsDue - row.rewardsPaid) })}</div>
+                    )}
+                  </td>
+                  <td style={cellStyle}><strong>{fmt(row.received)}</strong></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {plan.locked.length > 0 && (
+        <>
+          <h3 style={{ fontWeight: 'bold', marginBottom: '.5rem' }}>{t('exit.lockedHeading')}</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', fontFamily: 'var(--body-font)', marginBottom: '1rem' }}>
+            <thead>
+              <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+                <th style={cellStyle}>{t('exit.col.emergency')}</th>
+                <th style={cellStyle}>{t('exit.col.pool')}</th>
+                <th style={cellStyle}>{t('exit.col.unlocksIn')}</th>
+                <th style={cellStyle}>{t('exit.col.principal')}</th>
+                <th style={cellStyle}>{t('exit.col.receive')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.locked.map((row) => (
+                <tr key={row.pool.id} style={{ borderTop: '1px solid #d1d5db', opacity: row.optedIn ? 1 : 0.7 }}>
+                  <td style={cellStyle}>
+                    <input type="checkbox" checked={row.optedIn} onChange={() => toggleEmergency(row.pool.id)} aria-label={t('exit.emergencyToggle', { pool: row.pool.duration })} />
+                  </td>
+                  <td style={cellStyle}>{row.pool.duration}</td>
+                  <td style={cellStyle}>{formatCountdown(Math.max(0, row.unlockAt - now))}</td>
+                  <td style={cellStyle}>{fmt(row.principal)}</td>
+                  <td style={cellStyle}>
+                    <strong>{fmt(row.received)}</strong>
+                    <div style={{ fontSize: '.75rem', color: 'var(--highlight-color)' }}>
+                      {t('exit.lockedCost', { penalty: fmt(row.penalty), pct: penaltyPct, forfeited: fmt(row.forfeited) })}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {exitCount > 0 && (
+        <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
+          <p style={{ fontSize: '1.5rem', fontWeight: 'bold', fontFamily: 'var(--display-font)' }}>{t('common.amount', { amount: fmt(plan.totals.received) })}</p>
+          <p style={{ fontSize: '0.875rem', fontFamily: 'var(--body-font)', color: 'var(--highlight-color)' }}>
+            {t('exit.breakdown', { principal: fmt(plan.totals.principal), rewards: fmt(plan.totals.rewards) })}
+            {plan.totals.penalty > 0n ? ` ${t('exit.breakdownPenalty', { penalty: fmt(plan.totals.penalty) })}` : ''}
+          </p>
+          {(plan.totals.rewardsLostToCap > 0n || plan.totals.forfeited > 0n) && (
+            <p style={{ fontSize: '0.8rem', color: 'var(--highlight-color)', marginTop: '.25rem' }}>
+              <AlertTriangle size={14} style={{ verticalAlign: 'text-bottom' }} /> {t('exit.unpaid', { amount: fmt(plan.totals.rewardsLostToCap + plan.totals.forfeited) })}
+            </p>
+          )}
+        </div>
+      )}
+
+      <button onClick={() => onExecute(plan)} disabled={isBusy || exitCount === 0} className="claim-button">
+        {isBusy ? <Loader className="animate-spin" /> : t('exit.execute', { count: exitCount })}
+      </button>
+      <p style={{ fontSize: '.75rem', color: 'var(--muted-color)', marginTop: '.5rem' }}>
+        {t('exit.note')}
+      </p>
+    </div>
+  );
+};
+
+export default ExitPlanner;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Bell } from 'lucide-react';
+import { useI18n } from './useI18n.js';
+
+const OPTIONS = ['maturity', 'reserve'];
+
+/**
+ * Per-wallet opt-in for useStakeNotifications(). The checks run in the page, not the
+ * service worker, so the panel says alerts need the app open.
+ */
+const NotificationSettings = ({ permission, prefs, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <div className="claim-section" style={{ marginBottom: '1.5rem' }}>
+      <h2><Bell style={{ marginRight: '0.5rem' }} /> {t('notify.title')}</h2>
+      {permission === 'unsupported' ? (
+        <p style={{ fontSize: '.875rem' }}>{t('notify.unsupported')}</p>
+      ) : (
+        <>
+          {OPTIONS.map((name) => (
+            <label key={name} style={{ display: 'flex', gap: '.5rem', alignItems: 'center', marginBottom: '.5rem', cursor: 'pointer', fontSize: '.875rem' }}>
+              <input
+                type="checkbox"
+                checked={!!prefs?.[name] && permission === 'granted'}
+                disabled={!prefs || permission === 'denied'}
+                onChange={(e) => onChange(name, e.target.checked)}
+              />
+              {t(`notify.option.${name}`)}
+            </label>
+          ))}
+          <p style={{ fontSize: '.75rem', color: 'var(--muted-color)', marginTop: '.25rem' }}>
+            {permission === 'denied'
+              ? t('notify.blocked')
+              : t('notify.saved')}
+          </p>
+          <p style={{ fontSize: '.75rem', color: 'var(--muted-color)', marginTop: '.25rem' }}>{t('notify.appOpen')}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { usePublicClient } from 'wagmi';
+import { Receipt, ChevronDown, ChevronUp, Loader, CheckCircle2, XCircle, Repeat, ExternalLink, HelpCircle } from 'lucide-react';
+import { getExplorerTxUrl } from './deployments.js';
+import { useTrackedTxs, waitForTrackedTx, clearTxs } from './txStore.js';
+import { useI18n } from './useI18n.js';
+
+const TX_STATUS = {
+  pending: { icon: Loader, spin: true },
+  success: { icon: CheckCircle2, color: '#15803d' },
+  reverted: { icon: XCircle, color: 'var(--highlight-color)' },
+  replaced: { icon: Repeat, color: '#f97316' },
+  failed: { icon: HelpCircle, color: 'var(--highlight-color)' }
+};
+
+const shortHash = (hash) => `${hash.substring(0, 10)}...${hash.substring(hash.length - 6)}`;
+
+const TxLink = ({ chainId, hash }) => {
+  const url = getExplorerTxUrl(chainId, hash);
+  if (!url) return <span>{shortHash(hash)}</span>;
+  return (
+    <a href={url} target="_blank" rel="noreferrer" style={{ color: 'var(--muted-color)', textDecoration: 'underline', display: 'inline-flex', alignItems: 'center', gap: '.25rem' }}>
+      {shortHash(hash)} <ExternalLink size={12} />
+    </a>
+  );
+};
+
+/**
+ * Transactions sent from this app for the wallet on this chain, persisted across
+ * reloads. Any still pending when the page loads are waited on again.
+ */
+const RecentTransactions = ({ chainId, address }) => {
+  const { t, formatDateTime } = useI18n();
+  const publicClient = usePublicClient({ chainId });
+  const txs = useTrackedTxs(chainId, address);
+  const [isOpen, setIsOpen] = useState(false);
+  const pendingCount = txs.filter((tx) => tx.status === 'pending').length;
+
+  // Resume receipt waits for transactions left pending by an earlier session
+  useEffect(() => {
+    if (!publicClient || !chainId || !address) return;
+    txs.filter((tx) => tx.status === 'pending')
+      .forEach((tx) => waitForTrackedTx(publicClient, { chainId, address, hash: tx.hash })
+        .catch((error) => console.error(`Lost track of ${tx.hash}:`, error)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [publicClient, chainId, address]);
+
+  return (
+    <div className="claim-section" style={{ marginBottom: '1.5rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ marginBottom: 0 }}>
+          <Receipt style={{ marginRight: '0.5rem' }} /> {t('txs.title')}{pendingCount > 0 ? ` ${t('txs.pendingCount', { count: pendingCount })}` : ''}
+        </h2>
+        <button onClick={() => setIsOpen((open) => !open)} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--highlight-color)' }}>
+          {isOpen ? <ChevronUp /> : <ChevronDown />}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div style={{ marginTop: '1rem' }}>
+          {txs.length === 0 && <p style={{ textAlign: 'center', color: 'var(--highlight-color)' }}>{t('txs.empty')}</p>}
+
+          {txs.map((tx) => {
+            const status = TX_STATUS[tx.status] ? tx.status : 'failed';
+            const { icon: Icon, spin, color } = TX_STATUS[status];
+            return (
+              <div key={tx.hash} className="stat-card" style={{ textAlign: 'left', marginBottom: '0.5rem', fontFamily: 'var(--body-font)' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+                  <strong>{tx.label}</strong>
+                  <span style={{ fontSize: '0.75rem', color: 'var(--muted-color)' }}>{formatDateTime(tx.submittedAt)}</span>
+                </div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem', fontSize: '0.875rem', marginTop: '0.25rem' }}>
+                  <span style={{ display: 'inline-flex', alignItems: 'center', gap: '.25rem', color }}>
+                    <Icon size={16} className={spin ? 'animate-spin' : undefined} /> {t(`txs.status.${status}`)}
+                    {tx.blockNumber ? ` · ${t('txs.block', { block: tx.blockNumber })}` : ''}
+                  </span>
+                  <TxLink chainId={tx.chainId} hash={tx.hash} />
+                </div>
+                {tx.replacedBy && (
+                  <p style={{ fontSize: '0.75rem', marginTop: '0.25rem' }}>{t('txs.replacedBy')} <TxLink chainId={tx.chainId} hash={tx.replacedBy} /></p>
+                )}
+                {tx.error && <p style={{ fontSize: '0.75rem', color: 'var(--highlight-color)', marginTop: '0.25rem' }}>{tx.error}</p>}
+              </div>
+            );
+          })}
+
+          {txs.length > 0 && (
+            <button onClick={() => clearTxs(chainId, address)} disabled={pendingCount > 0} className="unstake-button" style={{ padding: '.5rem 1rem', fontSize: '.875rem' }}>
+              {t('txs.clear')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecentTransactions;
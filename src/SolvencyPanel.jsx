@@ -0,0 +1,90 @@
+import React from 'react';
+import { Landmark, AlertTriangle } from 'lucide-react';
+import { getSolvency } from './solvency.js';
+import { useI18n } from './useI18n.js';
+
+const STATUS_COLOR = {
+  healthy: '#15803d',
+  low: '#f97316',
+  critical: 'var(--highlight-color)',
+  empty: 'var(--highlight-color)'
+};
+
+/**
+ * Reward reserve vs. accrual across pools, with the estimated runway and a warning
+ * when the connected wallet's pending rewards exceed what the reserve can pay.
+ */
+const SolvencyPanel = ({ reserve, stakingPools, userPending }) => {
+  const solvency = getSolvency({ reserve: reserve ?? 0n, pools: stakingPools, userPending });
+  const { t, formatNumber, formatToken, formatDate } = useI18n();
+  const fmt = formatToken;
+  const color = STATUS_COLOR[solvency.status];
+
+  const formatRunway = (days) => {
+    if (!Number.isFinite(days)) return t('solvency.noAccrual');
+    if (days < 1) return t('solvency.runwayHours', { hours: formatNumber(days * 24, 1) });
+    return t('solvency.runwayDays', { days: formatNumber(days, 1) });
+  };
+
+  return (
+    <div className="stats-section" style={{ marginTop: '1.5rem' }}>
+      <h2><Landmark style={{ marginRight: '0.5rem' }} /> {t('solvency.title')}</h2>
+
+      {solvency.userShortfall > 0n && (
+        <div className="stat-card" style={{ borderColor: 'var(--highlight-color)', textAlign: 'left', marginBottom: '1rem', display: 'flex', gap: '0.5rem' }}>
+          <AlertTriangle style={{ color: 'var(--highlight-color)', flexShrink: 0 }} />
+          <p style={{ color: 'var(--highlight-color)', fontFamily: 'var(--body-font)', fontSize: '0.875rem' }}>
+            {t('solvency.shortfall', { pending: fmt(solvency.userPending, 4), reserve: fmt(solvency.reserve, 4) })}
+            {' '}<strong>{t('solvency.shortfallLoss', { amount: fmt(solvency.userShortfall, 4) })}</strong> {t('solvency.shortfallAdvice')}
+          </p>
+        </div>
+      )}
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <p className="label">{t('solvency.status')}</p>
+          <p className="value" style={{ color }}>{t(`solvency.status.${solvency.status}`)}</p>
+          <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{t('solvency.inReserve', { amount: fmt(solvency.reserve) })}</p>
+        </div>
+        <div className="stat-card">
+          <p className="label">{t('solvency.accruing')}</p>
+          <p className="value">{fmt(solvency.perDay)}</p>
+          <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>{t('solvency.perDay')}</p>
+        </div>
+        <div className="stat-card">
+          <p className="label">{t('solvency.runway')}</p>
+          <p className="value" style={{ color }}>{formatRunway(solvency.runwayDays)}</p>
+          <p style={{ fontSize: '0.75rem', fontFamily: 'var(--body-font)', color: 'var(--muted-color)', marginTop: '0.25rem' }}>
+            {solvency.runsOutAt ? t('solvency.until', { date: formatDate(solvency.runsOutAt) }) : t('solvency.notDrawn')}
+          </p>
+        </div>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', marginTop: '1rem', fontFamily: 'var(--body-font)' }}>
+        <thead>
+          <tr style={{ color: 'var(--highlight-color)', textAlign: 'left' }}>
+            <th>{t('solvency.col.pool')}</th>
+            <th>{t('solvency.col.apy')}</th>
+            <th>{t('solvency.col.totalStaked')}</th>
+            <th>{t('solvency.col.perDay')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stakingPools.map((pool, i) => (
+            <tr key={pool.id} style={{ borderTop: '1px solid #d1d5db' }}>
+              <td style={{ padding: '0.375rem 0' }}>{pool.duration}</td>
+              <td>{pool.apy}%</td>
+              <td>{fmt(pool.totalStaked)}</td>
+              <td>{fmt(solvency.perPool[i].perDay, 4)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '.75rem', color: 'var(--muted-color)', marginTop: '.5rem' }}>
+        {t('solvency.note')}
+      </p>
+    </div>
+  );
+};
+
+export default SolvencyPanel;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { formatCountdown } from './format.js';
+import { useI18n } from './useI18n.js';
+
+const Row = ({ label, children }) => (
+  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', marginBottom: '0.375rem' }}>
+    <span>{label}</span>
+    <strong style={{ textAlign: 'right' }}>{children}</strong>
+  </div>
+);
+
+/**
+ * Confirmation before staking into a pool the wallet is already in (see previewTopUp).
+ * When the auto-claim would forfeit rewards, confirming needs an explicit acknowledgement.
+ */
+const TopUpPreview = ({ preview, poolLabel, amountLabel, onConfirm, onCancel }) => {
+  const { t, formatToken, formatDateTime } = useI18n();
+  const fmt = (wei) => t('common.amount', { amount: formatToken(wei, 6) });
+  const [acknowledged, setAcknowledged] = useState(false);
+  const losesRewards = preview.forfeited > 0n;
+
+  return (
+    <div className="modal-overlay">
+      <div className={`modal-container ${losesRewards ? 'error' : 'success'}`} style={{ textAlign: 'left' }}>
+        <h3 className="modal-title" style={{ textAlign: 'center' }}>{t('topUp.title', { pool: poolLabel })}</h3>
+        <div className="modal-text" style={{ fontSize: '0.875rem', margin: '1rem 0' }}>
+          <p style={{ marginBottom: '0.75rem' }}>
+            {t('topUp.intro', { amount: amountLabel })}
+          </p>
+          <Row label={t('topUp.pending')}>{fmt(preview.pending)}</Row>
+          <Row label={t('topUp.paid')}>{fmt(preview.paid)}</Row>
+          <Row label={t('topUp.forfeited')}>{fmt(preview.forfeited)}</Row>
+          <Row label={t('topUp.newAmount')}>{fmt(preview.newAmount)}</Row>
+          <Row label={t('topUp.unlocksAt')}>
+            {formatDateTime(preview.unlockAt * 1000)}
+            {' '}{preview.remaining > 0 ? t('topUp.unlocksIn', { time: formatCountdown(preview.remaining) }) : t('topUp.alreadyUnlocked')}
+          </Row>
+          <p style={{ fontSize: '0.75rem', opacity: 0.85, marginTop: '0.5rem' }}>
+            {t('topUp.note')}
+          </p>
+        </div>
+
+        {losesRewards && (
+          <label className="modal-text" style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start', fontSize: '0.875rem', marginBottom: '1rem', cursor: 'pointer' }}>
+            <input type="checkbox" checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} style={{ marginTop: '0.2rem' }} />
+            <span>
+              <AlertTriangle size={16} style={{ verticalAlign: 'text-bottom' }} /> {t('topUp.acknowledge', { amount: fmt(preview.forfeited) })}
+            </span>
+          </label>
+        )}
+
+        <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center' }}>
+          <button
+            onClick={onConfirm}
+            disabled={losesRewards && !acknowledged}
+            className="claim-button"
+            style={{ width: 'auto', padding: '.5rem 1.25rem', backgroundColor: 'white', color: 'var(--primary-color)' }}
+          >
+            {t('topUp.confirm')}
+          </button>
+          <button onClick={onCancel} className="claim-button" style={{ width: 'auto', padding: '.5rem 1.25rem', border: '2px solid white' }}>
+            {t('common.cancel')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TopUpPreview;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Loader, CheckCircle2, Circle, XCircle, MinusCircle, PenLine } from 'lucide-react';
+import { useI18n } from './useI18n.js';
+
+const STEP_STATUS = {
+  pending: { icon: Circle },
+  simulating: { icon: Loader, spin: true },
+  signing: { icon: PenLine },
+  confirming: { icon: Loader, spin: true },
+  done: { icon: CheckCircle2 },
+  skipped: { icon: MinusCircle },
+  failed: { icon: XCircle }
+};
+
+const shortHash = (hash) => `${hash.substring(0, 10)}...${hash.substring(hash.length - 6)}`;
+
+/**
+ * Step-by-step progress for a useTxFlow() flow, e.g. "1/2 Approving", "2/2 Staking".
+ * Failed flows offer Resume (from the failed step) and Cancel.
+ */
+const TxFlowPanel = ({ flow, onResume, onDismiss }) => {
+  const { t } = useI18n();
+  if (!flow) return null;
+  const total = flow.steps.length;
+
+  return (
+    <div className="modal-overlay">
+      <div className={`modal-container ${flow.status === 'failed' ? 'error' : 'success'}`} style={{ textAlign: 'left' }}>
+        <h3 className="modal-title" style={{ textAlign: 'center' }}>{flow.label}</h3>
+
+        <ol style={{ listStyle: 'none', padding: 0, margin: '1rem 0' }}>
+          {flow.steps.map((step, i) => {
+            const { icon: Icon, spin } = STEP_STATUS[step.status];
+            const isActive = ['simulating', 'signing', 'confirming'].includes(step.status);
+            return (
+              <li key={i} style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem', marginBottom: '0.75rem', opacity: step.status === 'pending' ? 0.6 : 1 }}>
+                <Icon size={20} className={spin ? 'animate-spin' : undefined} style={{ flexShrink: 0, marginTop: '0.125rem' }} />
+                <div className="modal-text">
+                  <div style={{ fontWeight: isActive ? 700 : 400 }}>{i + 1}/{total} {step.label}</div>
+                  <div style={{ fontSize: '0.75rem', opacity: 0.85 }}>
+                    {t(`txFlow.status.${step.status}`)}{step.hash ? ` · ${shortHash(step.hash)}` : ''}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+
+        {flow.status === 'failed' && (
+          <>
+            <p className="modal-text" style={{ fontSize: '0.875rem', marginBottom: '1rem' }}>{flow.error}</p>
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center' }}>
+              <button onClick={onResume} className="claim-button" style={{ width: 'auto', padding: '.5rem 1.25rem', backgroundColor: 'white', color: 'var(--primary-color)' }}>
+                {t('txFlow.resume')}
+              </button>
+              <button onClick={onDismiss} className="claim-button" style={{ width: 'auto', padding: '.5rem 1.25rem', border: '2px solid white' }}>
+                {t('common.cancel')}
+              </button>
+            </div>
+          </>
+        )}
+
+        {flow.status === 'done' && (
+          <div style={{ display: 'flex', justifyContent: 'center' }}>
+            <button onClick={onDismiss} className="claim-button" style={{ width: 'auto', padding: '.5rem 1.25rem', backgroundColor: 'white', color: 'var(--primary-color)' }}>
+              {t('common.close')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TxFlowPanel;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Eye, Link2, XCircle } from 'lucide-react';
+import { isAddress } from 'viem';
+import { buildWatchUrl, setWatchTarget } from './watchMode.js';
+import { useI18n } from './useI18n.js';
+
+/**
+ * Address input that switches the dashboard into read-only watch mode.
+ */
+export const WatchAddressForm = ({ chainId = null }) => {
+  const { t } = useI18n();
+  const [input, setInput] = useState('');
+  const trimmed = input.trim();
+  const isValid = isAddress(trimmed, { strict: false });
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (isValid) setWatchTarget(trimmed, chainId);
+  };
+
+  return (
+    <form onSubmit={submit} className="input-flex" style={{ width: '100%', maxWidth: '32rem', marginBottom: '1.5rem' }}>
+      <input
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder={t('watch.placeholder')}
+        className="input-field"
+        spellCheck={false}
+      />
+      <button type="submit" disabled={!isValid} className="stake-button">
+        <Eye size={18} style={{ marginRight: '.25rem' }} /> {t('watch.submit')}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Banner shown while watching another wallet: actions are disabled, with a copyable
+ * link for sharing the view and a way back to the connected wallet.
+ */
+export const WatchBanner = ({ address, chainId, deployment }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildWatchUrl(address, chainId));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Could not copy watch link:', error);
+    }
+  };
+
+  return (
+    <div className="stats-section" style={{ marginBottom: '1.5rem', display: 'flex', flexWrap: 'wrap', gap: '.75rem', alignItems: 'center', justifyContent: 'space-between' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '.5rem' }}>
+        <Eye />
+        <div>
+          <p style={{ fontWeight: 'bold' }}>{t('watch.banner', { address })}</p>
+          <p style={{ fontSize: '.8rem', color: 'var(--muted-color)' }}>
+            {deployment
+              ? t('watch.onChain', { chain: deployment.chain.name })
+              : t('watch.notDeployed', { chainId })}
+          </p>
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '.5rem' }}>
+        <button onClick={copyLink} className="stake-button">
+          <Link2 size={18} style={{ marginRight: '.25rem' }} /> {copied ? t('watch.copied') : t('watch.copy')}
+        </button>
+        <button onClick={() => setWatchTarget(null)} className="unstake-button">
+          <XCircle size={18} style={{ marginRight: '.25rem' }} /> {t('watch.stop')}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,203 @@
+import { getAbiItem, decodeFunctionData, parseEventLogs } from 'viem';
+import { erc20Abi, stakingAbi } from './contracts.js';
+
+/************************************
+ * 📜 Staking event history
+ ************************************/
+export const ACTIVITY_EVENTS = ['Staked', 'ToppedUp', 'Unstaked', 'EmergencyUnstaked', 'RewardsClaimed', 'RewardsDeposited'];
+
+// Most public RPCs cap eth_getLogs ranges; ranges they reject are halved and retried.
+const DEFAULT_CHUNK_SIZE = 10_000n;
+
+// How providers word "range too wide" and "too many results". Only these shrink the chunk:
+// auth, network and rate-limit errors would fail at any size, so they are thrown as they are.
+const RANGE_ERROR = /\brange\b|more than \d+ (results|logs)|too many (results|logs|blocks)|response size|result set too large/i;
+
+const isRangeError = (error) => {
+  for (let e = error; e; e = e.cause) {
+    if (RANGE_ERROR.test(`${e.details ?? ''} ${e.message ?? ''}`)) return true;
+  }
+  return false;
+};
+
+// RPC requests toActivityEntries keeps in flight at once
+const MAX_CONCURRENT_REQUESTS = 6;
+
+// The indexed wallet argument of each event
+const walletArg = (eventName) => (eventName === 'RewardsDeposited' ? 'from' : 'user');
+
+/**
+ * Fetches logs for `eventNames` emitted by the deployment's staking contract, walking
+ * [fromBlock, toBlock] (default: deploy block to latest) in chunks, halved whenever the RPC
+ * rejects one as too large. `argsFor(eventName)` optionally narrows each event by its indexed args.
+ * `onProgress({ fromBlock, toBlock, scannedTo })` is called after every chunk.
+ */
+export const fetchStakingLogs = async (publicClient, {
+  deployment,
+  eventNames = ACTIVITY_EVENTS,
+  argsFor = () => undefined,
+  fromBlock = deployment.deployBlock,
+  toBlock,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  onProgress
+} = {}) => {
+  const end = toBlock ?? await publicClient.getBlockNumber();
+  const events = eventNames.map((name) => getAbiItem({ abi: stakingAbi, name }));
+  const logs = [];
+
+  let size = chunkSize;
+  let start = fromBlock;
+  while (start <= end) {
+    const chunkEnd = start + size - 1n < end ? start + size - 1n : end;
+    try {
+      const batches = await Promise.all(events.map((event) => publicClient.getLogs({
+        address: deployment.staking,
+        event,
+        args: argsFor(event.name),
+        fromBlock: start,
+        toBlock: chunkEnd,
+        strict: true
+      })));
+      logs.push(...batches.flat());
+      onProgress?.({ fromBlock, toBlock: end, scannedTo: chunkEnd });
+      start = chunkEnd + 1n;
+    } catch (error) {
+      if (size <= 1n || !isRangeError(error)) throw error;
+      size /= 2n;
+    }
+  }
+
+  return logs.sort((a, b) => (a.blockNumber === b.blockNumber
+    ? a.logIndex - b.logIndex
+    : a.blockNumber < b.blockNumber ? -1 : 1));
+};
+
+// RewardsClaimed carries no pool; recover it from claimRewards(ld) calldata (claimAllRewards,
+// or a call through another contract => null). RPC failures are thrown, not read as null.
+const claimedLockDuration = async (publicClient, hash) => {
+  const tx = await publicClient.getTransaction({ hash });
+  try {
+    const { functionName, args } = decodeFunctionData({ abi: stakingAbi, data: tx.input });
+    return functionName === 'claimRewards' ? args[0] : null;
+  } catch {
+    return null;
+  }
+};
+
+// A top-up auto-claims without emitting RewardsClaimed; the payout is the token transfer
+// from the staking contract to the user in the same transaction.
+const toppedUpRewards = async (publicClient, deployment, hash, user) => {
+  const receipt = await publicClient.getTransactionReceipt({ hash });
+  return parseEventLogs({ abi: erc20Abi, eventName: 'Transfer', logs: receipt.logs })
+    .filter((log) => log.address.toLowerCase() === deployment.token.toLowerCase()
+      && log.args.from.toLowerCase() === deployment.staking.toLowerCase()
+      && log.args.to.toLowerCase() === user.toLowerCase())
+    .reduce((sum, log) => sum + log.args.value, 0n);
+};
+
+/**
+ * Normalises a decoded staking log into one activity entry:
+ * { id, type, wallet, blockNumber, blockHash, logIndex, txHash, timestamp, lockDuration, amount, returned, rewards, penalty }
+ * `wallet` is the staker (the depositor for RewardsDeposited). `amount` is always the
+ * principal (or deposit) moved; `returned` is what the wallet got back.
+ */
+export const toActivityEntry = (log) => {
+  const { eventName, args } = log;
+  const entry = {
+    id: `${log.transactionHash}-${log.logIndex}`,
+    type: eventName,
+    wallet: args[walletArg(eventName)],
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.logIndex,
+    txHash: log.transactionHash,
+    timestamp: args.timestamp !== undefined ? Number(args.timestamp) : null,
+    lockDuration: args.lockDuration ?? null,
+    amount: 0n,
+    returned: 0n,
+    rewards: 0n,
+    penalty: 0n
+  };
+
+  switch (eventName) {
+    case 'Staked':
+    case 'RewardsDeposited':
+      return { ...entry, amount: args.amount };
+    case 'ToppedUp':
+      return { ...entry, amount: args.addedAmount };
+    case 'Unstaked':
+      return { ...entry, amount: args.amount, returned: args.amount, rewards: args.rewardsPaid };
+    case 'EmergencyUnstaked':
+      return { ...entry, amount: args.returnedAmount + args.penalty, returned: args.returnedAmount, penalty: args.penalty };
+    case 'RewardsClaimed':
+      return { ...entry, rewards: args.rewards };
+    default:
+      return entry;
+  }
+};
+
+// Runs `task(item)` over `items` with at most `limit` in flight; results keep the input order
+const mapWithLimit = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await task(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Memoises `load(key)`, so each block or transaction is requested once
+const memo = (load) => {
+  const cache = new Map();
+  return (key, ...args) => {
+    if (!cache.has(key)) cache.set(key, load(key, ...args));
+    return cache.get(key);
+  };
+};
+
+/**
+ * Activity entries for `logs` (from fetchStakingLogs), in the same order. Fills in the block
+ * timestamp for events without one, the pool of single-pool claims and the rewards
+ * auto-claimed by top-ups. Each block and transaction is requested once, with at most
+ * MAX_CONCURRENT_REQUESTS logs being filled in at a time.
+ */
+export const toActivityEntries = async (publicClient, { deployment, logs }) => {
+  const blockTime = memo((blockNumber) => publicClient.getBlock({ blockNumber }).then((b) => Number(b.timestamp)));
+  const claimPool = memo((hash) => claimedLockDuration(publicClient, hash));
+  const topUpRewards = memo((hash, user) => toppedUpRewards(publicClient, deployment, hash, user));
+
+  return mapWithLimit(logs, MAX_CONCURRENT_REQUESTS, async (log) => {
+    const entry = toActivityEntry(log);
+    if (entry.timestamp === null) entry.timestamp = await blockTime(log.blockNumber);
+    if (entry.type === 'RewardsClaimed') entry.lockDuration = await claimPool(entry.txHash);
+    if (entry.type === 'ToppedUp') entry.rewards = await topUpRewards(entry.txHash, entry.wallet);
+    return entry;
+  });
+};
+
+// Decoded activity of one wallet, newest first
+export const fetchWalletActivity = async (publicClient, { deployment, address, ...options }) => {
+  const logs = await fetchStakingLogs(publicClient, {
+    ...options,
+    deployment,
+    argsFor: (eventName) => ({ [walletArg(eventName)]: address })
+  });
+  const entries = await toActivityEntries(publicClient, { deployment, logs });
+  return entries.reverse();
+};
+
+/**
+ * Rewards actually paid by a claimRewards() receipt, from its RewardsClaimed log.
+ * This is the reserve-capped amount, which can be less than pendingRewards() showed.
+ */
+export const getClaimedAmount = (receipt, { deployment, address }) => {
+  const [claimed] = parseEventLogs({ abi: stakingAbi, eventName: 'RewardsClaimed', logs: receipt?.logs ?? [], strict: true })
+    .filter((log) => log.address.toLowerCase() === deployment.staking.toLowerCase()
+      && log.args.user.toLowerCase() === address.toLowerCase());
+  if (!claimed) throw new Error('The claim receipt has no RewardsClaimed event.');
+  return claimed.args.rewards;
+};
@@ -0,0 +1,160 @@
+import { SECONDS_PER_DAY } from './format.js';
+import {
+  createIndex,
+  getActiveStakers,
+  getPoolMetrics,
+  getTotals,
+  getTvlHistory,
+  isIndexFor,
+  parseIndex,
+  serializeIndex,
+  syncIndex
+} from './stakingIndex.js';
+import { STORAGE_PREFIX } from './storage.js';
+
+/************************************
+ * 📊 Protocol analytics (from the event index)
+ ************************************/
+const storageKey = ({ chainId, staking }) => `${STORAGE_PREFIX}:index:${chainId}:${staking.toLowerCase()}`;
+
+const readCachedIndex = (deployment) => {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const saved = localStorage.getItem(storageKey(deployment));
+    const index = saved ? parseIndex(saved) : null;
+    return isIndexFor(index, deployment) && index.deployBlock === deployment.deployBlock ? index : null;
+  } catch (error) {
+    console.error('Ignoring unreadable analytics cache:', error);
+    return null;
+  }
+};
+
+// A full history can outgrow localStorage; the next visit then scans from the deploy block again
+const writeCachedIndex = (deployment, index) => {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(storageKey(deployment), serializeIndex(index));
+  } catch (error) {
+    console.warn('Could not cache the analytics index:', error);
+  }
+};
+
+/**
+ * The deployment's event index (stakingIndex.js), kept in localStorage so a revisit only
+ * scans the blocks since the last one. It is cached after every syncIndex() step, so an
+ * interrupted first scan resumes where it stopped. `onProgress` is fetchStakingLogs'
+ * progress callback, with `fromBlock` where this load started.
+ */
+export const loadProtocolIndex = async (publicClient, { deployment, onProgress }) => {
+  let index = readCachedIndex(deployment) ?? createIndex(deployment);
+  let startBlock;
+  let done = false;
+  while (!done) {
+    const result = await syncIndex(publicClient, index, {
+      deployment,
+      onProgress: onProgress && ((progress) => onProgress({ ...progress, fromBlock: (startBlock ??= progress.fromBlock) }))
+    });
+    if (result.index !== index) writeCachedIndex(deployment, result.index);
+    ({ index, done } = result);
+  }
+  return index;
+};
+
+/***************************
+ * 🧮 Series
+ ***************************/
+// Reward reserve as the events move it: deposits and penalties add, payouts subtract.
+// Tokens sent to the contract without depositRewards() leave no event and are not included.
+const reserveHistory = (entries) => {
+  const points = [];
+  let reserve = 0n;
+  for (const entry of entries) {
+    const delta = (entry.type === 'RewardsDeposited' ? entry.amount : 0n) + entry.penalty - entry.rewards;
+    if (delta === 0n) continue;
+    reserve += delta;
+    const point = { blockNumber: entry.blockNumber, timestamp: entry.timestamp, reserve };
+    if (points.at(-1)?.blockNumber === entry.blockNumber) points[points.length - 1] = point;
+    else points.push(point);
+  }
+  return points;
+};
+
+const dayStart = (timestamp) => timestamp - (timestamp % SECONDS_PER_DAY);
+
+// Stakes, unstakes and emergency exits per UTC day over the last `days` days, including quiet days
+const dailyFlows = (entries, { now, days }) => {
+  const today = dayStart(now);
+  const buckets = Array.from({ length: days }, (_, i) => ({
+    day: today - (days - 1 - i) * SECONDS_PER_DAY,
+    staked: 0n,
+    stakes: 0,
+    unstaked: 0n,
+    unstakes: 0,
+    emergency: 0n,
+    emergencyExits: 0,
+    penalties: 0n
+  }));
+  const first = buckets[0].day;
+  for (const entry of entries) {
+    if (entry.timestamp < first) continue;
+    const bucket = buckets[Math.floor((entry.timestamp - first) / SECONDS_PER_DAY)];
+    if (!bucket) continue;
+    if (entry.type === 'Staked' || entry.type === 'ToppedUp') {
+      bucket.staked += entry.amount;
+      bucket.stakes += 1;
+    } else if (entry.type === 'Unstaked') {
+      bucket.unstaked += entry.amount;
+      bucket.unstakes += 1;
+    } else if (entry.type === 'EmergencyUnstaked') {
+      bucket.emergency += entry.amount;
+      bucket.emergencyExits += 1;
+      bucket.penalties += entry.penalty;
+    }
+  }
+  return buckets;
+};
+
+// Largest current stakers across all pools, with the rewards each has been paid so far
+const leaderboard = (index, { top }) => {
+  const wallets = new Map();
+  for (const { lockDuration, stakers } of getActiveStakers(index)) {
+    for (const { wallet, amount, since } of stakers) {
+      const row = wallets.get(wallet.toLowerCase()) ?? { wallet, staked: 0n, positions: [], since, rewardsPaid: 0n };
+      row.staked += amount;
+      row.positions.push({ lockDuration, amount });
+      row.since = Math.min(row.since, since);
+      wallets.set(wallet.toLowerCase(), row);
+    }
+  }
+  for (const entry of index.entries) {
+    const row = entry.wallet && wallets.get(entry.wallet.toLowerCase());
+    if (row) row.rewardsPaid += entry.rewards;
+  }
+  return [...wallets.values()]
+    .sort((a, b) => (a.staked === b.staked ? 0 : a.staked > b.staked ? -1 : 1))
+    .slice(0, top);
+};
+
+/**
+ * Everything the analytics page shows, from an index:
+ * { totals, pools, tvl, reserve, daily, emergency, leaderboard }
+ * `tvl` is getTvlHistory()'s series (the all-pools one under lockDuration null); `daily`
+ * covers the `days` days up to `now` (unix seconds).
+ */
+export const buildAnalytics = (index, { now = Math.floor(Date.now() / 1000), days = 30, top = 10 } = {}) => {
+  const pools = getPoolMetrics(index);
+  const exits = index.entries.filter((entry) => entry.type === 'EmergencyUnstaked');
+  return {
+    totals: getTotals(index),
+    pools,
+    tvl: getTvlHistory(index),
+    reserve: reserveHistory(index.entries),
+    daily: dailyFlows(index.entries, { now, days }),
+    emergency: {
+      exits: exits.length,
+      principal: exits.reduce((sum, entry) => sum + entry.amount, 0n),
+      penalties: exits.reduce((sum, entry) => sum + entry.penalty, 0n)
+    },
+    leaderboard: leaderboard(index, { top })
+  };
+};
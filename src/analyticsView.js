@@ -0,0 +1,34 @@
+import { useSyncExternalStore } from 'react';
+
+/************************************
+ * 📊 Analytics page (?view=analytics)
+ ************************************/
+// Kept in the URL like watch mode, so the page can be linked to and the back button leaves it
+const readOpen = () => typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('view') === 'analytics';
+
+let open = readOpen();
+const listeners = new Set();
+const notify = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', () => {
+    open = readOpen();
+    notify();
+  });
+}
+
+export const setAnalyticsOpen = (value) => {
+  const url = new URL(window.location.href);
+  if (value) url.searchParams.set('view', 'analytics');
+  else url.searchParams.delete('view');
+  window.history.pushState(null, '', url);
+  open = readOpen();
+  notify();
+};
+
+export const useAnalyticsOpen = () => useSyncExternalStore(subscribe, () => open, () => false);
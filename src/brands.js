@@ -0,0 +1,164 @@
+import { setBrandMessages } from './i18n.js';
+import { DEFAULT_CHAIN_ID, getDeployment } from './deployments.js';
+
+/************************************
+ * 🎨 Per-deployment branding & theme
+ ************************************/
+
+/**
+ * Everything token-specific in the UI:
+ *   {
+ *     name, symbol,                      // "BENADS Staking", "BENADS"
+ *     logo, hero, background, favicon,   // asset URLs
+ *     colors: { primary, secondary, accent, highlight, muted, background, connectFrom },
+ *     fonts: { display, body, stylesheets: [url…] },
+ *     copy: { [language]: { [messageKey]: text } }   // overrides for the message catalogs
+ *   }
+ * A deployment picks its brand with `brand: '<id>'` (see deployments.js). Brands from
+ * the VITE_BRANDS env var (JSON keyed by id) are added, or merged over a built-in one
+ * with the same id, so only the fields that differ need to be given.
+ */
+const BUILT_IN_BRANDS = {
+  benads: {
+    name: 'BENADS Staking',
+    symbol: 'BENADS',
+    logo: 'benad.png',
+    hero: 'benad.png',
+    background: '/bg.jpg',
+    favicon: '/benad.png',
+    colors: {
+      primary: '#1e40af',
+      secondary: '#f97316',
+      accent: '#93c5fd',
+      highlight: '#e5008e',
+      muted: '#1e3a8a',
+      background: '#eff6ff',
+      connectFrom: '#e633a1ff'
+    },
+    fonts: {
+      display: '"Burger Free", sans-serif',
+      body: 'Inter, sans-serif',
+      stylesheets: [
+        'https://fonts.cdnfonts.com/css/burger-free',
+        'https://fonts.googleapis.com/css2?family=Inter:wght@400;700;800&display=swap'
+      ]
+    },
+    copy: {
+      en: {
+        'modal.successTitle': 'Benad-ificent!',
+        'modal.invalidAmount': 'Benad! Please enter a valid amount.',
+        'modal.insufficientBalance': 'Benad! Your wallet holds {balance} {symbol}, not enough to stake {amount}.'
+      },
+      es: {
+        'modal.successTitle': '¡Benad-ífico!',
+        'modal.invalidAmount': '¡Benad! Introduce una cantidad válida.',
+        'modal.insufficientBalance': '¡Benad! Tu billetera tiene {balance} {symbol}, no alcanza para hacer staking de {amount}.'
+      },
+      zh: {
+        'modal.successTitle': 'Benad-ificent！',
+        'modal.invalidAmount': 'Benad！请输入有效的数量。',
+        'modal.insufficientBalance': 'Benad！你的钱包只有 {balance} {symbol}，不足以质押 {amount}。'
+      }
+    }
+  },
+  // The NAKA deployment (see public/new); it shows the default art until its own is added to public/
+  naka: {
+    name: 'Zlurpee Staking',
+    symbol: 'NAKA',
+    logo: 'benad.png',
+    hero: 'benad.png',
+    background: '/bg.jpg',
+    favicon: '/benad.png',
+    colors: {
+      primary: '#0f766e',
+      secondary: '#f59e0b',
+      accent: '#99f6e4',
+      highlight: '#db2777',
+      muted: '#115e59',
+      background: '#f0fdfa',
+      connectFrom: '#db2777'
+    },
+    fonts: {
+      display: 'Inter, sans-serif',
+      body: 'Inter, sans-serif',
+      stylesheets: ['https://fonts.googleapis.com/css2?family=Inter:wght@400;700;800&display=swap']
+    },
+    copy: {}
+  }
+};
+export const DEFAULT_BRAND_ID = 'benads';
+
+const readEnvBrands = () => {
+  const raw = import.meta.env?.VITE_BRANDS;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Ignoring VITE_BRANDS: not valid JSON.', error);
+    return {};
+  }
+};
+
+// Fills in whatever `brand` leaves out from `base`, one level deep for the grouped fields
+const mergeBrand = (base, brand) => ({
+  ...base,
+  ...brand,
+  colors: { ...base.colors, ...brand.colors },
+  fonts: { ...base.fonts, ...brand.fonts },
+  copy: Object.fromEntries(
+    [...new Set([...Object.keys(base.copy ?? {}), ...Object.keys(brand.copy ?? {})])]
+      .map((language) => [language, { ...base.copy?.[language], ...brand.copy?.[language] }])
+  )
+});
+
+/**
+ * Built-in brands with `config` merged in. A new brand starts from the default one
+ * minus its copy, so it inherits the look but none of the default token's wording.
+ */
+export const buildBrands = (config) => {
+  const brands = { ...BUILT_IN_BRANDS };
+  const neutral = { ...BUILT_IN_BRANDS[DEFAULT_BRAND_ID], copy: {} };
+  for (const [id, brand] of Object.entries(config)) {
+    if (!brand || typeof brand !== 'object') {
+      console.warn(`Ignoring brand "${id}": expected an object.`);
+      continue;
+    }
+    brands[id] = mergeBrand(brands[id] ?? neutral, brand);
+  }
+  return brands;
+};
+
+export const BRANDS = buildBrands(readEnvBrands());
+
+const warnedIds = new Set();
+
+// Brand of a deployment, falling back to the default brand
+export const getBrand = (deployment) => {
+  const id = deployment?.brand ?? DEFAULT_BRAND_ID;
+  if (BRANDS[id]) return BRANDS[id];
+  if (!warnedIds.has(id)) console.warn(`Unknown brand "${id}", using "${DEFAULT_BRAND_ID}".`);
+  warnedIds.add(id);
+  return BRANDS[DEFAULT_BRAND_ID];
+};
+
+let activeBrand = null;
+
+export const getActiveBrand = () => activeBrand ?? BRANDS[DEFAULT_BRAND_ID];
+
+/**
+ * Makes `brand` the one the page shows: {symbol}/{name} and copy overrides for the
+ * message catalogs, the document title and the favicon. Colours and fonts are applied
+ * by the app's stylesheet from the same object.
+ */
+export const applyBrand = (brand) => {
+  if (brand === activeBrand) return;
+  activeBrand = brand;
+  setBrandMessages({ params: { name: brand.name, symbol: brand.symbol }, copy: brand.copy });
+  if (typeof document === 'undefined') return;
+  document.title = brand.name;
+  const icon = document.querySelector('link[rel="icon"]');
+  if (icon && brand.favicon) icon.href = brand.favicon;
+};
+
+// Until the app picks a deployment, show the default chain's brand
+applyBrand(getBrand(getDeployment(DEFAULT_CHAIN_ID)));
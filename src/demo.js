@@ -0,0 +1,34 @@
+import { defineChain, getAddress } from 'viem';
+
+/************************************
+ * 🧪 Demo mode (?demo or VITE_DEMO=true)
+ ************************************/
+// Demo mode swaps the real chains and wallets for a simulated chain running in the page
+// (demoProvider.js), so every flow can be tried offline without tokens or gas.
+const readDemoFlag = () => {
+  if (import.meta.env?.VITE_DEMO === 'true') return true;
+  if (typeof window === 'undefined') return false;
+  return new URLSearchParams(window.location.search).has('demo');
+};
+
+export const DEMO_MODE = readDemoFlag();
+
+// Not a real network; the id only keeps the demo's stored data apart from real chains
+export const DEMO_CHAIN = defineChain({
+  id: 56_880,
+  name: 'Demo chain',
+  nativeCurrency: { name: 'Demo Ether', symbol: 'dETH', decimals: 18 },
+  rpcUrls: { default: { http: [] } },
+  contracts: {
+    // Answered by the simulated chain itself, so reads are batched like on a real network
+    multicall3: { address: '0xcA11bde05977b3631167028862bE2a173976CA11' }
+  },
+  testnet: true
+});
+
+// The demo wallet also owns the staking contract, so the admin console can be tried too
+export const DEMO_ACCOUNT = getAddress('0xde30000000000000000000000000000000000001');
+export const DEMO_TOKEN = getAddress('0xde30000000000000000000000000000000000701');
+export const DEMO_STAKING = getAddress('0xde30000000000000000000000000000000000702');
+
+export const DEMO_DEPLOYMENT = { token: DEMO_TOKEN, staking: DEMO_STAKING, deployBlock: 0 };
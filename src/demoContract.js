@@ -0,0 +1,344 @@
+import {
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeErrorResult,
+  encodeEventTopics,
+  encodeFunctionResult,
+  erc20Abi as standardErc20Abi,
+  getAbiItem,
+  getAddress,
+  maxUint256,
+  multicall3Abi,
+  zeroAddress
+} from 'viem';
+import { EMERGENCY_UNSTAKE_PENALTY_BPS, stakingAbi } from './contracts.js';
+
+/************************************
+ * 🧪 Simulated contracts for demo mode
+ ************************************/
+// The contracts behind the demo chain: an ERC-20 with an open mint (a faucet, as on
+// testnets), AdvancedNakaStaking and Multicall3's aggregate3. They take and return the
+// same ABI-encoded calldata, return data, logs and revert data as the deployed bytecode.
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+const tokenAbi = [
+  ...standardErc20Abi,
+  {
+    inputs: [
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ],
+    name: 'mint',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function'
+  }
+];
+
+const solidityErrorAbi = [{ inputs: [{ name: 'message', type: 'string' }], name: 'Error', type: 'error' }];
+
+// Thrown when a call reverts; `data` is the ABI-encoded revert data, as a node returns it
+export class DemoRevert extends Error {
+  constructor(data, reason) {
+    super(reason ? `execution reverted: ${reason}` : 'execution reverted');
+    this.name = 'DemoRevert';
+    this.data = data;
+  }
+}
+
+// require(condition, reason)
+const check = (condition, reason) => {
+  if (!condition) throw new DemoRevert(encodeErrorResult({ abi: solidityErrorAbi, errorName: 'Error', args: [reason] }), reason);
+};
+
+// revert CustomError(args) from OpenZeppelin
+const fail = (errorName, args) => {
+  throw new DemoRevert(encodeErrorResult({ abi: stakingAbi, errorName, args }), errorName);
+};
+
+const encodeLog = (address, abi, eventName, args) => {
+  const event = getAbiItem({ abi, name: eventName });
+  const dataInputs = event.inputs.filter((input) => !input.indexed);
+  return {
+    address,
+    topics: encodeEventTopics({ abi: [event], eventName, args }),
+    data: encodeAbiParameters(dataInputs, dataInputs.map((input) => args[input.name]))
+  };
+};
+
+const key = (address) => address.toLowerCase();
+
+/**
+ * Storage of freshly deployed contracts: no balances, no pools. Plain objects of
+ * bigints, so a state can be copied with structuredClone and kept per block.
+ */
+export const createDemoState = ({ owner, token, staking, multicall3, tokenName = 'Demo Token', tokenSymbol = 'DEMO' }) => ({
+  multicall3,
+  token: { address: token, name: tokenName, symbol: tokenSymbol, totalSupply: 0n, balances: {}, allowances: {} },
+  // pools: { [lockDuration]: { apy, exists, totalStaked } }, stakes: { [user]: { [lockDuration]: { amount, startTime, lastClaim } } }
+  staking: { address: staking, owner, pools: {}, supportedLockDurations: [], stakes: {} }
+});
+
+/***************************
+ * 🪙 ERC-20 (OpenZeppelin 5)
+ ***************************/
+const balanceOf = (state, account) => state.token.balances[key(account)] ?? 0n;
+const allowanceOf = (state, owner, spender) => state.token.allowances[key(owner)]?.[key(spender)] ?? 0n;
+
+const transferTokens = (ctx, from, to, value) => {
+  const { token } = ctx.state;
+  const balance = balanceOf(ctx.state, from);
+  if (balance < value) fail('ERC20InsufficientBalance', [from, balance, value]);
+  token.balances[key(from)] = balance - value;
+  token.balances[key(to)] = balanceOf(ctx.state, to) + value;
+  ctx.logs.push(encodeLog(token.address, tokenAbi, 'Transfer', { from, to, value }));
+};
+
+const approveTokens = (ctx, owner, spender, value) => {
+  const { token } = ctx.state;
+  token.allowances[key(owner)] = { ...token.allowances[key(owner)], [key(spender)]: value };
+  ctx.logs.push(encodeLog(token.address, tokenAbi, 'Approval', { owner, spender, value }));
+};
+
+const spendAllowance = (ctx, owner, spender, value) => {
+  const current = allowanceOf(ctx.state, owner, spender);
+  if (current === maxUint256) return;
+  if (current < value) fail('ERC20InsufficientAllowance', [spender, current, value]);
+  ctx.state.token.allowances[key(owner)][key(spender)] = current - value;
+};
+
+const tokenFunctions = {
+  name: ({ state }) => state.token.name,
+  symbol: ({ state }) => state.token.symbol,
+  decimals: () => 18,
+  totalSupply: ({ state }) => state.token.totalSupply,
+  balanceOf: ({ state }, [account]) => balanceOf(state, account),
+  allowance: ({ state }, [owner, spender]) => allowanceOf(state, owner, spender),
+  approve: (ctx, [spender, value]) => {
+    approveTokens(ctx, ctx.from, spender, value);
+    return true;
+  },
+  transfer: (ctx, [to, value]) => {
+    transferTokens(ctx, ctx.from, to, value);
+    return true;
+  },
+  transferFrom: (ctx, [from, to, value]) => {
+    spendAllowance(ctx, from, ctx.from, value);
+    transferTokens(ctx, from, to, value);
+    return true;
+  },
+  mint: (ctx, [to, amount]) => {
+    const { token } = ctx.state;
+    token.totalSupply += amount;
+    token.balances[key(to)] = balanceOf(ctx.state, to) + amount;
+    ctx.logs.push(encodeLog(token.address, tokenAbi, 'Transfer', { from: zeroAddress, to, value: amount }));
+  }
+};
+
+/***************************
+ * 🏗️ AdvancedNakaStaking
+ ***************************/
+const poolOf = (state, lockDuration) => state.staking.pools[lockDuration.toString()];
+
+const stakeOf = (state, user, lockDuration) =>
+  state.staking.stakes[key(user)]?.[lockDuration.toString()] ?? { amount: 0n, startTime: 0n, lastClaim: 0n };
+
+// Returns the storage slot for writing, creating it on first use
+const stakeSlot = (state, user, lockDuration) => {
+  const stakes = (state.staking.stakes[key(user)] ??= {});
+  return (stakes[lockDuration.toString()] ??= { amount: 0n, startTime: 0n, lastClaim: 0n });
+};
+
+const onlyOwner = ({ state, from }) => {
+  if (key(from) !== key(state.staking.owner)) fail('OwnableUnauthorizedAccount', [from]);
+};
+
+const totalStakedAll = (state) =>
+  state.staking.supportedLockDurations.reduce((total, ld) => total + poolOf(state, ld).totalStaked, 0n);
+
+const rewardReserve = (state) => balanceOf(state, state.staking.address) - totalStakedAll(state);
+
+const pendingRewards = (state, user, lockDuration, timestamp) => {
+  const pool = poolOf(state, lockDuration);
+  if (!pool?.exists) return 0n;
+  const { amount, lastClaim } = stakeOf(state, user, lockDuration);
+  if (amount === 0n) return 0n;
+  const elapsed = timestamp - lastClaim;
+  if (elapsed === 0n) return 0n;
+  return (amount * pool.apy * elapsed) / (100n * SECONDS_PER_YEAR);
+};
+
+// Pays what is pending, capped at the reserve (the rest is forfeited), and restarts accrual
+const claimInternal = (ctx, user, lockDuration) => {
+  const { state, timestamp } = ctx;
+  check(poolOf(state, lockDuration)?.exists, 'Invalid pool');
+  if (stakeOf(state, user, lockDuration).amount === 0n) return 0n;
+  const slot = stakeSlot(state, user, lockDuration);
+
+  const pending = pendingRewards(state, user, lockDuration, timestamp);
+  const reserve = rewardReserve(state);
+  slot.lastClaim = timestamp;
+  if (pending === 0n || reserve === 0n) return 0n;
+
+  const paid = pending > reserve ? reserve : pending;
+  transferTokens(ctx, state.staking.address, user, paid);
+  return paid;
+};
+
+const addPool = (ctx, lockDuration, apy) => {
+  const { state } = ctx;
+  check(lockDuration > 0n, 'Lock=0');
+  check(apy > 0n, 'APY=0');
+  check(!poolOf(state, lockDuration)?.exists, 'Exists');
+  state.staking.pools[lockDuration.toString()] = { apy, exists: true, totalStaked: 0n };
+  state.staking.supportedLockDurations.push(lockDuration);
+  ctx.logs.push(encodeLog(state.staking.address, stakingAbi, 'PoolAdded', { lockDuration, apy }));
+};
+
+const stakingFunctions = {
+  owner: ({ state }) => state.staking.owner,
+  token: ({ state }) => state.token.address,
+  getSupportedLockDurations: ({ state }) => [...state.staking.supportedLockDurations],
+  pools: ({ state }, [lockDuration]) => {
+    const pool = poolOf(state, lockDuration) ?? { apy: 0n, exists: false, totalStaked: 0n };
+    return [pool.apy, pool.exists, pool.totalStaked];
+  },
+  stakes: ({ state }, [user, lockDuration]) => {
+    const { amount, startTime, lastClaim } = stakeOf(state, user, lockDuration);
+    return [amount, startTime, lastClaim];
+  },
+  pendingRewards: ({ state, timestamp }, [user, lockDuration]) => pendingRewards(state, user, lockDuration, timestamp),
+  rewardReserve: ({ state }) => rewardReserve(state),
+  totalStakedAll: ({ state }) => totalStakedAll(state),
+
+  addStakingPool: (ctx, [lockDuration, apy]) => {
+    onlyOwner(ctx);
+    addPool(ctx, lockDuration, apy);
+  },
+  modifyStakingPool: (ctx, [lockDuration, apy]) => {
+    onlyOwner(ctx);
+    const pool = poolOf(ctx.state, lockDuration);
+    check(pool?.exists, 'Pool missing');
+    check(apy > 0n, 'APY=0');
+    pool.apy = apy;
+    ctx.logs.push(encodeLog(ctx.state.staking.address, stakingAbi, 'PoolModified', { lockDuration, apy }));
+  },
+  depositRewards: (ctx, [amount]) => {
+    onlyOwner(ctx);
+    check(amount > 0n, 'Amount=0');
+    const { staking } = ctx.state;
+    spendAllowance(ctx, ctx.from, staking.address, amount);
+    transferTokens(ctx, ctx.from, staking.address, amount);
+    ctx.logs.push(encodeLog(staking.address, stakingAbi, 'RewardsDeposited', { from: ctx.from, amount }));
+  },
+
+  stake: (ctx, [amount, lockDuration]) => {
+    const { state, from, timestamp } = ctx;
+    check(amount > 0n, 'Amount=0');
+    const pool = poolOf(state, lockDuration);
+    check(pool?.exists, 'Invalid pool');
+    const isTopUp = stakeOf(state, from, lockDuration).amount > 0n;
+
+    // A top-up auto-claims first and keeps the original startTime (and so the lock)
+    if (isTopUp) claimInternal(ctx, from, lockDuration);
+    const slot = stakeSlot(state, from, lockDuration);
+    pool.totalStaked += amount;
+    slot.amount += amount;
+    if (!isTopUp) slot.startTime = timestamp;
+    slot.lastClaim = timestamp;
+    spendAllowance(ctx, from, state.staking.address, amount);
+    transferTokens(ctx, from, state.staking.address, amount);
+    ctx.logs.push(isTopUp
+      ? encodeLog(state.staking.address, stakingAbi, 'ToppedUp', { user: from, addedAmount: amount, lockDuration, timestamp })
+      : encodeLog(state.staking.address, stakingAbi, 'Staked', { user: from, amount, lockDuration, timestamp }));
+  },
+  unstake: (ctx, [lockDuration]) => {
+    const { state, from, timestamp } = ctx;
+    const pool = poolOf(state, lockDuration);
+    check(pool?.exists, 'Invalid pool');
+    const { amount, startTime } = stakeOf(state, from, lockDuration);
+    check(amount > 0n, 'Nothing staked');
+    check(timestamp >= startTime + lockDuration, 'Locked');
+
+    const rewardsPaid = claimInternal(ctx, from, lockDuration);
+    pool.totalStaked -= amount;
+    Object.assign(stakeSlot(state, from, lockDuration), { amount: 0n, startTime: 0n, lastClaim: 0n });
+    transferTokens(ctx, state.staking.address, from, amount);
+    ctx.logs.push(encodeLog(state.staking.address, stakingAbi, 'Unstaked', { user: from, amount, rewardsPaid, lockDuration, timestamp }));
+  },
+  emergencyUnstake: (ctx, [lockDuration]) => {
+    const { state, from, timestamp } = ctx;
+    const pool = poolOf(state, lockDuration);
+    check(pool?.exists, 'Invalid pool');
+    const { amount } = stakeOf(state, from, lockDuration);
+    check(amount > 0n, 'Nothing staked');
+
+    // Rewards are forfeited; the penalty stays behind and becomes reward reserve
+    const penalty = (amount * BigInt(EMERGENCY_UNSTAKE_PENALTY_BPS)) / 10_000n;
+    const returnedAmount = amount - penalty;
+    pool.totalStaked -= amount;
+    Object.assign(stakeSlot(state, from, lockDuration), { amount: 0n, startTime: 0n, lastClaim: 0n });
+    transferTokens(ctx, state.staking.address, from, returnedAmount);
+    ctx.logs.push(encodeLog(state.staking.address, stakingAbi, 'EmergencyUnstaked', { user: from, returnedAmount, penalty, lockDuration, timestamp }));
+  },
+  claimAllRewards: (ctx) => {
+    const { state, from, timestamp } = ctx;
+    const rewards = state.staking.supportedLockDurations
+      .filter((ld) => stakeOf(state, from, ld).amount > 0n)
+      .reduce((total, ld) => total + claimInternal(ctx, from, ld), 0n);
+    check(rewards > 0n, 'No rewards');
+    ctx.logs.push(encodeLog(state.staking.address, stakingAbi, 'RewardsClaimed', { user: from, rewards, timestamp }));
+  },
+  claimRewards: (ctx, [lockDuration]) => {
+    const rewards = claimInternal(ctx, ctx.from, lockDuration);
+    check(rewards > 0n, 'No rewards');
+    ctx.logs.push(encodeLog(ctx.state.staking.address, stakingAbi, 'RewardsClaimed', { user: ctx.from, rewards, timestamp: ctx.timestamp }));
+  }
+};
+
+/***************************
+ * 📦 Multicall3
+ ***************************/
+const multicallFunctions = {
+  aggregate3: (ctx, [calls]) => calls.map(({ target, allowFailure, callData }) => {
+    try {
+      // Inner calls come from the multicall contract, as msg.sender does on chain
+      const { result, logs } = executeCall(ctx.state, { from: ctx.state.multicall3, to: target, data: callData, timestamp: ctx.timestamp });
+      ctx.logs.push(...logs);
+      return { success: true, returnData: result };
+    } catch (error) {
+      if (!(error instanceof DemoRevert) || !allowFailure) throw error;
+      return { success: false, returnData: error.data };
+    }
+  })
+};
+
+const contractsOf = (state) => [
+  { address: state.token.address, abi: tokenAbi, functions: tokenFunctions },
+  { address: state.staking.address, abi: stakingAbi, functions: stakingFunctions },
+  { address: state.multicall3, abi: multicall3Abi, functions: multicallFunctions }
+];
+
+/**
+ * Runs one call against `state` (mutating it) at block time `timestamp` (seconds).
+ * Returns `{ result, logs }`: the ABI-encoded return data and the `{ address, topics, data }`
+ * logs emitted. Throws DemoRevert; the caller runs on a copy of the state and drops it then.
+ * Calls to addresses without a contract succeed with no data, as they do on chain.
+ */
+export const executeCall = (state, { from, to, data, timestamp }) => {
+  const contract = contractsOf(state).find((c) => key(c.address) === key(to ?? zeroAddress));
+  if (!contract) return { result: '0x', logs: [] };
+
+  let call;
+  try {
+    call = decodeFunctionData({ abi: contract.abi, data: data ?? '0x' });
+  } catch {
+    throw new DemoRevert('0x'); // no such function and no fallback
+  }
+  const handler = contract.functions[call.functionName];
+  if (!handler) throw new DemoRevert('0x');
+
+  const ctx = { state, from: getAddress(from ?? zeroAddress), timestamp: BigInt(timestamp), logs: [] };
+  const result = handler(ctx, call.args ?? []);
+  return { result: encodeFunctionResult({ abi: contract.abi, functionName: call.functionName, result }), logs: ctx.logs };
+};
@@ -0,0 +1,573 @@
+import { createConnector } from 'wagmi';
+import { encodeFunctionData, erc20Abi as standardErc20Abi, keccak256, numberToHex, parseUnits, stringToHex, toHex } from 'viem';
+import { stakingAbi, TOKEN_DECIMALS } from './contracts.js';
+import { DEMO_ACCOUNT, DEMO_CHAIN, DEMO_STAKING, DEMO_TOKEN } from './demo.js';
+import { DemoRevert, createDemoState, executeCall } from './demoContract.js';
+import { STORAGE_PREFIX } from './storage.js';
+import { clearTxs } from './txStore.js';
+
+/************************************
+ * 🧪 Simulated chain & wallet for demo mode
+ ************************************/
+const STORAGE_KEY = `${STORAGE_PREFIX}:demo`;
+const BLOCK_TIME = 12; // seconds between blocks while the page is polling
+const RECENT_BLOCKS = 256; // empty blocks older than this are pruned
+const INCLUSION_DELAY_MS = 1500; // how long a sent transaction stays pending
+const GAS_USED = 120_000n;
+const GAS_PRICE = 1_000_000_000n;
+const DAY = 24 * 60 * 60;
+
+const tokens = (amount) => parseUnits(String(amount), TOKEN_DECIMALS);
+
+/***************************
+ * 🌱 Seeded history
+ ***************************/
+// Other wallets, so pools, TVL and events look lived-in
+const STAKERS = [
+  '0xde30000000000000000000000000000000000a01',
+  '0xde30000000000000000000000000000000000a02',
+  '0xde30000000000000000000000000000000000a03',
+  '0xde30000000000000000000000000000000000a04'
+];
+
+// The demo token's faucet, open to anyone
+const mintAbi = [{
+  inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+  name: 'mint',
+  outputs: [],
+  stateMutability: 'nonpayable',
+  type: 'function'
+}];
+
+const tokenTx = (from, functionName, args) => ({ from, to: DEMO_TOKEN, data: encodeFunctionData({ abi: standardErc20Abi, functionName, args }) });
+const mintTx = (to, amount) => ({ from: to, to: DEMO_TOKEN, data: encodeFunctionData({ abi: mintAbi, functionName: 'mint', args: [to, amount] }) });
+const stakingTx = (from, functionName, args = []) => ({ from, to: DEMO_STAKING, data: encodeFunctionData({ abi: stakingAbi, functionName, args }) });
+const stakeTxs = (from, amount, lockDuration) => [
+  tokenTx(from, 'approve', [DEMO_STAKING, amount]),
+  stakingTx(from, 'stake', [amount, lockDuration])
+];
+
+const WEEK_POOL = BigInt(7 * DAY);
+const MONTH_POOL = BigInt(30 * DAY);
+const QUARTER_POOL = BigInt(90 * DAY);
+
+/**
+ * Blocks mined when the demo starts, `day` days after a genesis 45 days ago. The demo
+ * wallet ends up with a matured position (claim, unstake, exit planner), a locked one
+ * (top-up, emergency exit) and tokens left to stake; others have staked, claimed and
+ * left early around it.
+ */
+const SCENARIO = [
+  { day: 0, txs: [mintTx(DEMO_ACCOUNT, tokens(50_000)), ...STAKERS.map((s, i) => mintTx(s, tokens([60_000, 15_000, 5_000, 5_000][i])))] },
+  { day: 0.01, txs: [[WEEK_POOL, 12n], [MONTH_POOL, 35n], [QUARTER_POOL, 80n]].map((pool) => stakingTx(DEMO_ACCOUNT, 'addStakingPool', pool)) },
+  { day: 0.02, txs: [tokenTx(DEMO_ACCOUNT, 'approve', [DEMO_STAKING, tokens(20_000)]), stakingTx(DEMO_ACCOUNT, 'depositRewards', [tokens(20_000)])] },
+  { day: 1, txs: [...stakeTxs(STAKERS[0], tokens(50_000), QUARTER_POOL), ...stakeTxs(STAKERS[1], tokens(12_000), MONTH_POOL), ...stakeTxs(STAKERS[2], tokens(3_000), WEEK_POOL)] },
+  { day: 20, txs: stakeTxs(STAKERS[3], tokens(4_000), QUARTER_POOL) },
+  { day: 30, txs: [stakingTx(STAKERS[3], 'emergencyUnstake', [QUARTER_POOL])] },
+  { day: 33, txs: [stakingTx(STAKERS[1], 'claimRewards', [MONTH_POOL])] },
+  { day: 35, txs: stakeTxs(DEMO_ACCOUNT, tokens(2_000), WEEK_POOL) },
+  { day: 40, txs: stakeTxs(DEMO_ACCOUNT, tokens(5_000), MONTH_POOL) },
+  { day: 41, txs: [stakingTx(STAKERS[2], 'unstake', [WEEK_POOL])] }
+];
+const SCENARIO_DAYS = 45;
+
+/***************************
+ * ⛓️ Chain state
+ ***************************/
+// chain: { salt, timeOffset, connected, nonces, blocks, transactions, pending }
+//   blocks          [{ number, hash, parentHash, timestamp, transactions: [hash], state }], by number
+//   transactions[h] { hash, from, to, input, nonce, blockNumber, index, status, logs }
+// Each block keeps the contract state after it, so reads at older blocks see older state.
+// Blocks with transactions are kept for good; of the empty ones only the last RECENT_BLOCKS
+// are, so a page left polling does not grow the chain (and its saved copy) without bound.
+let chain = null;
+
+const realTime = () => Math.floor(Date.now() / 1000);
+const chainTime = () => realTime() + chain.timeOffset;
+const latestBlock = () => chain.blocks[chain.blocks.length - 1];
+
+// Index in chain.blocks of block `number`, or of the newest block before it if that one was pruned
+const blockIndex = (number) => {
+  let [low, high] = [0, chain.blocks.length - 1];
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (chain.blocks[mid].number <= number) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// Block `number`, or null if it was pruned or is not mined yet
+const blockAt = (number) => {
+  const block = chain.blocks[blockIndex(number)];
+  return block?.number === number ? block : null;
+};
+
+const pruneBlocks = () => {
+  const oldest = latestBlock().number - RECENT_BLOCKS;
+  chain.blocks = chain.blocks.filter((block) => block.number === 0 || block.number > oldest || block.transactions.length > 0);
+};
+
+const hashOf = (...parts) => keccak256(stringToHex([chain.salt, ...parts].join(':')));
+
+// Runs a transaction on top of `state`: the new state and the outcome, the old state if it reverted
+const applyTx = (state, tx, timestamp) => {
+  const next = structuredClone(state);
+  try {
+    const { logs } = executeCall(next, { from: tx.from, to: tx.to, data: tx.input, timestamp });
+    return { state: next, status: 'success', logs };
+  } catch (error) {
+    if (!(error instanceof DemoRevert)) console.error('Demo transaction failed:', error);
+    return { state, status: 'reverted', logs: [] };
+  }
+};
+
+const mineBlock = (timestamp, txs = []) => {
+  const parent = latestBlock();
+  const number = (parent?.number ?? -1) + 1;
+  let state = parent?.state;
+  const block = { number, hash: null, parentHash: parent?.hash ?? `0x${'0'.repeat(64)}`, timestamp, transactions: [], state };
+
+  txs.forEach((tx, index) => {
+    const outcome = applyTx(state, tx, timestamp);
+    state = outcome.state;
+    chain.transactions[tx.hash] = { ...tx, blockNumber: number, index, status: outcome.status, logs: outcome.logs };
+    block.transactions.push(tx.hash);
+  });
+  block.state = state;
+  block.hash = hashOf('block', number, timestamp, ...block.transactions);
+  chain.blocks.push(block);
+  pruneBlocks();
+  return block;
+};
+
+const nextNonce = (address) => {
+  const nonce = chain.nonces[address.toLowerCase()] ?? 0;
+  chain.nonces[address.toLowerCase()] = nonce + 1;
+  return nonce;
+};
+
+const signTx = ({ from, to, data }) => {
+  const nonce = nextNonce(from);
+  return { hash: hashOf('tx', from.toLowerCase(), nonce, data), from, to, input: data ?? '0x', nonce };
+};
+
+const createChain = () => {
+  const genesis = realTime() - SCENARIO_DAYS * DAY;
+  chain = {
+    salt: Math.random().toString(36).slice(2),
+    timeOffset: 0,
+    connected: false,
+    nonces: {},
+    blocks: [],
+    transactions: {},
+    pending: []
+  };
+  chain.blocks.push({
+    number: 0,
+    hash: hashOf('block', 0),
+    parentHash: `0x${'0'.repeat(64)}`,
+    timestamp: genesis,
+    transactions: [],
+    state: createDemoState({ owner: DEMO_ACCOUNT, token: DEMO_TOKEN, staking: DEMO_STAKING, multicall3: DEMO_CHAIN.contracts.multicall3.address })
+  });
+  for (const { day, txs } of SCENARIO) {
+    const block = mineBlock(genesis + Math.round(day * DAY) + 1, txs.map(signTx));
+    const failed = block.transactions.filter((hash) => chain.transactions[hash].status !== 'success');
+    if (failed.length > 0) console.error(`Demo scenario: ${failed.length} transaction(s) reverted on day ${day}.`);
+  }
+  mineBlock(realTime());
+};
+
+/***************************
+ * 💾 Persistence (the demo survives a reload)
+ ***************************/
+const toJson = (value) => JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? { $bigint: v.toString() } : v));
+const fromJson = (text) => JSON.parse(text, (_, v) => (v && typeof v === 'object' && '$bigint' in v ? BigInt(v.$bigint) : v));
+
+// Only the latest state is stored; reads at older blocks fall back to it after a reload
+const save = () => {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const blocks = chain.blocks.map(({ state, ...block }, i) => (i === chain.blocks.length - 1 ? { ...block, state } : block));
+    localStorage.setItem(STORAGE_KEY, toJson({ ...chain, blocks }));
+  } catch (error) {
+    console.error('Could not save the demo chain:', error);
+  }
+};
+
+const load = () => {
+  if (typeof localStorage === 'undefined') return false;
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (!saved) return false;
+    chain = fromJson(saved);
+    return true;
+  } catch (error) {
+    console.error('Ignoring unreadable demo chain:', error);
+    return false;
+  }
+};
+
+// State after block `number`. A pruned block was empty, so its state is the block's before it.
+// States dropped by save() fall back to the nearest newer one kept.
+const stateAt = (number) => {
+  const index = blockIndex(number);
+  return chain.blocks[index].state ?? chain.blocks.slice(index + 1).find((block) => block.state)?.state ?? latestBlock().state;
+};
+
+/***************************
+ * 📣 Subscriptions (for the demo panel)
+ ***************************/
+const listeners = new Set();
+let status = null;
+
+const updateStatus = () => {
+  const block = latestBlock();
+  status = { blockNumber: block.number, timestamp: block.timestamp, timeOffset: chain.timeOffset };
+};
+
+const notify = () => {
+  updateStatus();
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribeDemo = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// `{ blockNumber, timestamp, timeOffset }` of the demo chain's latest block
+export const getDemoStatus = () => {
+  ensureChain();
+  return status;
+};
+
+/***************************
+ * ⏱️ Block production
+ ***************************/
+let inclusionTimer = null;
+
+const commit = (block) => {
+  save();
+  notify();
+  return block;
+};
+
+// Mines the pending transactions, or an empty block once BLOCK_TIME has passed
+const produceBlocks = () => {
+  const parent = latestBlock();
+  const timestamp = Math.max(chainTime(), parent.timestamp + 1);
+  if (chain.pending.length > 0) return commit(mineBlock(timestamp, chain.pending.splice(0)));
+  if (chainTime() - parent.timestamp >= BLOCK_TIME) return commit(mineBlock(timestamp));
+  return parent;
+};
+
+const scheduleInclusion = () => {
+  if (inclusionTimer) return;
+  inclusionTimer = setTimeout(() => {
+    inclusionTimer = null;
+    produceBlocks();
+  }, INCLUSION_DELAY_MS);
+};
+
+// The chain is loaded (or seeded) on first use, so importing this module outside demo mode costs nothing
+const ensureChain = () => {
+  if (chain) return;
+  if (!load()) createChain();
+  if (chain.pending.length > 0) scheduleInclusion();
+  updateStatus();
+};
+
+/**
+ * Moves the chain clock `seconds` ahead of real time and mines a block there, so
+ * locks mature and rewards accrue without waiting.
+ */
+export const advanceDemoTime = (seconds) => {
+  ensureChain();
+  chain.timeOffset += seconds;
+  commit(mineBlock(Math.max(chainTime(), latestBlock().timestamp + 1), chain.pending.splice(0)));
+};
+
+// Sends a faucet mint of `amount` tokens (wei) to the demo wallet; resolves the tx hash
+export const mintDemoTokens = (amount) => demoProvider.request({
+  method: 'eth_sendTransaction',
+  params: [mintTx(DEMO_ACCOUNT, amount)]
+});
+
+// Starts over from the seeded scenario, keeping the wallet connected; transactions
+// remembered for the old chain are dropped
+export const resetDemo = () => {
+  ensureChain();
+  const { connected } = chain;
+  clearTimeout(inclusionTimer);
+  inclusionTimer = null;
+  clearTxs(DEMO_CHAIN.id, DEMO_ACCOUNT);
+  createChain();
+  chain.connected = connected;
+  commit(latestBlock());
+};
+
+/***************************
+ * 🔌 EIP-1193 provider
+ ***************************/
+const rpcError = (code, message, data) => Object.assign(new Error(message), { code, data });
+
+const revertError = (error) => rpcError(3, error.message, error.data);
+
+const hex = (value) => numberToHex(value);
+
+const blockByTag = (tag = 'latest') => {
+  if (tag === 'earliest') return chain.blocks[0];
+  if (typeof tag === 'string' && tag.startsWith('0x')) return blockAt(Number(tag));
+  return latestBlock(); // latest, pending, safe, finalized
+};
+
+const formatLog = (tx, log, logIndex) => ({
+  ...log,
+  blockNumber: hex(tx.blockNumber),
+  blockHash: blockAt(tx.blockNumber).hash,
+  transactionHash: tx.hash,
+  transactionIndex: hex(tx.index),
+  logIndex: hex(logIndex),
+  removed: false
+});
+
+// Logs of a block, numbered across its transactions
+const blockLogs = (block) => {
+  let logIndex = 0;
+  return block.transactions.flatMap((hash) => {
+    const tx = chain.transactions[hash];
+    return tx.logs.map((log) => formatLog(tx, log, logIndex++));
+  });
+};
+
+const formatTransaction = (tx) => {
+  const mined = tx.blockNumber !== undefined;
+  return {
+    hash: tx.hash,
+    from: tx.from,
+    to: tx.to,
+    input: tx.input,
+    nonce: hex(tx.nonce),
+    value: '0x0',
+    gas: hex(GAS_USED * 2n),
+    gasPrice: hex(GAS_PRICE),
+    type: '0x0',
+    chainId: hex(DEMO_CHAIN.id),
+    blockNumber: mined ? hex(tx.blockNumber) : null,
+    blockHash: mined ? blockAt(tx.blockNumber).hash : null,
+    transactionIndex: mined ? hex(tx.index) : null,
+    v: '0x0',
+    r: '0x0',
+    s: '0x0'
+  };
+};
+
+const formatReceipt = (tx) => {
+  const block = blockAt(tx.blockNumber);
+  const logs = blockLogs(block).filter((log) => log.transactionHash === tx.hash);
+  return {
+    transactionHash: tx.hash,
+    transactionIndex: hex(tx.index),
+    blockHash: block.hash,
+    blockNumber: hex(block.number),
+    from: tx.from,
+    to: tx.to,
+    contractAddress: null,
+    cumulativeGasUsed: hex(GAS_USED * BigInt(tx.index + 1)),
+    gasUsed: hex(GAS_USED),
+    effectiveGasPrice: hex(GAS_PRICE),
+    logs,
+    logsBloom: `0x${'0'.repeat(512)}`,
+    status: tx.status === 'success' ? '0x1' : '0x0',
+    type: '0x0'
+  };
+};
+
+const formatBlock = (block, includeTransactions) => ({
+  number: hex(block.number),
+  hash: block.hash,
+  parentHash: block.parentHash,
+  timestamp: hex(block.timestamp),
+  nonce: '0x0000000000000000',
+  difficulty: '0x0',
+  totalDifficulty: '0x0',
+  gasLimit: hex(30_000_000n),
+  gasUsed: hex(GAS_USED * BigInt(block.transactions.length)),
+  baseFeePerGas: hex(GAS_PRICE),
+  miner: `0x${'0'.repeat(40)}`,
+  extraData: '0x',
+  logsBloom: `0x${'0'.repeat(512)}`,
+  sha3Uncles: `0x${'0'.repeat(64)}`,
+  stateRoot: block.hash,
+  receiptsRoot: block.hash,
+  transactionsRoot: block.hash,
+  mixHash: `0x${'0'.repeat(64)}`,
+  size: hex(1000 + 200 * block.transactions.length),
+  uncles: [],
+  transactions: includeTransactions
+    ? block.transactions.map((hash) => formatTransaction(chain.transactions[hash]))
+    : block.transactions
+});
+
+const tagNumber = (tag = 'latest') => {
+  if (tag === 'earliest') return 0;
+  if (typeof tag === 'string' && tag.startsWith('0x')) return Number(tag);
+  return latestBlock().number;
+};
+
+// eth_getLogs: address (one or a list) and topics (null = any, a list = one of)
+const getLogs = ({ address, topics = [], fromBlock, toBlock, blockHash }) => {
+  const [from, to] = [tagNumber(fromBlock), tagNumber(toBlock)];
+  const blocks = blockHash
+    ? chain.blocks.filter((block) => block.hash === blockHash)
+    : chain.blocks.filter((block) => block.number >= from && block.number <= to);
+  const addresses = address ? [address].flat().map((a) => a.toLowerCase()) : null;
+  return blocks.flatMap(blockLogs).filter((log) =>
+    (!addresses || addresses.includes(log.address.toLowerCase()))
+    && topics.every((wanted, i) => wanted === null || wanted === undefined
+      || [wanted].flat().some((topic) => topic?.toLowerCase() === log.topics[i]?.toLowerCase())));
+};
+
+// Runs a call against a copy of the state at `tag`, as eth_call and gas estimation do
+const dryRun = (tx, tag) => {
+  const block = blockByTag(tag);
+  if (!block) throw rpcError(-32000, 'header not found');
+  try {
+    return executeCall(structuredClone(stateAt(block.number)), { ...tx, timestamp: block.timestamp });
+  } catch (error) {
+    if (error instanceof DemoRevert) throw revertError(error);
+    throw error;
+  }
+};
+
+const sendTransaction = ({ from, to, data, input }) => {
+  if (!chain.connected) throw rpcError(4100, 'The demo wallet is not connected.');
+  if (from?.toLowerCase() !== DEMO_ACCOUNT.toLowerCase()) throw rpcError(4100, `The demo wallet cannot sign for ${from}.`);
+  const call = { from: DEMO_ACCOUNT, to, data: data ?? input };
+  // Like a wallet's gas estimate, a transaction that would revert is refused up front
+  dryRun(call, 'latest');
+  const tx = signTx(call);
+  chain.pending.push(tx);
+  scheduleInclusion();
+  return tx.hash;
+};
+
+const handlers = {
+  eth_chainId: () => hex(DEMO_CHAIN.id),
+  net_version: () => String(DEMO_CHAIN.id),
+  web3_clientVersion: () => 'demo-chain/1.0',
+  eth_syncing: () => false,
+  eth_accounts: () => (chain.connected ? [DEMO_ACCOUNT] : []),
+  eth_requestAccounts: () => {
+    chain.connected = true;
+    save();
+    return [DEMO_ACCOUNT];
+  },
+  wallet_switchEthereumChain: ([{ chainId }]) => {
+    if (Number(chainId) !== DEMO_CHAIN.id) throw rpcError(4902, `Demo mode only has ${DEMO_CHAIN.name}.`);
+    return null;
+  },
+  eth_blockNumber: () => hex(latestBlock().number),
+  eth_getBlockByNumber: ([tag, includeTransactions]) => {
+    const block = blockByTag(tag);
+    return block ? formatBlock(block, includeTransactions) : null;
+  },
+  eth_getBlockByHash: ([hash, includeTransactions]) => {
+    const block = chain.blocks.find((b) => b.hash === hash);
+    return block ? formatBlock(block, includeTransactions) : null;
+  },
+  eth_getBalance: () => hex(10n ** 19n),
+  eth_getCode: ([address]) => ([DEMO_TOKEN, DEMO_STAKING, DEMO_CHAIN.contracts.multicall3.address]
+    .some((a) => a.toLowerCase() === address.toLowerCase()) ? '0xfe' : '0x'),
+  eth_getTransactionCount: ([address]) => hex(chain.nonces[address.toLowerCase()] ?? 0),
+  eth_gasPrice: () => hex(GAS_PRICE),
+  eth_maxPriorityFeePerGas: () => '0x0',
+  eth_feeHistory: () => ({ oldestBlock: hex(latestBlock().number), baseFeePerGas: [hex(GAS_PRICE)], gasUsedRatio: [0.5], reward: [['0x0']] }),
+  eth_estimateGas: ([tx]) => {
+    dryRun(tx, 'latest');
+    return hex(GAS_USED * 2n);
+  },
+  eth_call: ([tx, tag]) => dryRun(tx, tag).result,
+  eth_sendTransaction: ([tx]) => sendTransaction(tx),
+  eth_getTransactionByHash: ([hash]) => {
+    const tx = chain.transactions[hash] ?? chain.pending.find((p) => p.hash === hash);
+    return tx ? formatTransaction(tx) : null;
+  },
+  eth_getTransactionReceipt: ([hash]) => {
+    const tx = chain.transactions[hash];
+    return tx ? formatReceipt(tx) : null;
+  },
+  eth_getLogs: ([filter]) => getLogs(filter)
+};
+
+/**
+ * EIP-1193 provider for the demo chain. It is both the node (reads, logs, receipts) and
+ * the wallet (accounts, signing): sent transactions are checked like a gas estimate,
+ * wait INCLUSION_DELAY_MS in a mempool and are then mined in a block, reverting there
+ * if the state changed under them. While the page polls, a block is mined every BLOCK_TIME.
+ */
+export const demoProvider = {
+  request: async ({ method, params = [] }) => {
+    const handler = handlers[method];
+    if (!handler) throw rpcError(4200, `The demo chain does not support ${method}.`);
+    ensureChain();
+    produceBlocks();
+    return handler(params);
+  },
+  on: () => {},
+  removeListener: () => {}
+};
+
+/***************************
+ * 👛 wagmi connector
+ ***************************/
+export const DEMO_CONNECTOR_ID = 'demo';
+
+// Connects straight to the demo wallet, with no prompts; reconnects after a reload
+export const demoConnector = () => createConnector((config) => ({
+  id: DEMO_CONNECTOR_ID,
+  name: 'Demo wallet',
+  type: DEMO_CONNECTOR_ID,
+  async connect() {
+    const accounts = await demoProvider.request({ method: 'eth_requestAccounts' });
+    return { accounts, chainId: DEMO_CHAIN.id };
+  },
+  async disconnect() {
+    ensureChain();
+    chain.connected = false;
+    save();
+  },
+  async getAccounts() {
+    return demoProvider.request({ method: 'eth_accounts' });
+  },
+  async getChainId() {
+    return DEMO_CHAIN.id;
+  },
+  async getProvider() {
+    return demoProvider;
+  },
+  async isAuthorized() {
+    ensureChain();
+    return chain.connected;
+  },
+  async switchChain({ chainId }) {
+    await demoProvider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: toHex(chainId) }] });
+    return DEMO_CHAIN;
+  },
+  onAccountsChanged(accounts) {
+    if (accounts.length === 0) this.onDisconnect();
+    else config.emitter.emit('change', { accounts });
+  },
+  onChainChanged(chainId) {
+    config.emitter.emit('change', { chainId: Number(chainId) });
+  },
+  onDisconnect() {
+    ensureChain();
+    chain.connected = false;
+    save();
+    config.emitter.emit('disconnect');
+  }
+}));
+
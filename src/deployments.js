@@ -0,0 +1,99 @@
+import { isAddress } from 'viem';
+import { mainnet, sepolia, base, baseSepolia } from 'viem/chains';
+import { erc20Abi, stakingAbi } from './contracts.js';
+import { DEMO_CHAIN, DEMO_DEPLOYMENT, DEMO_MODE } from './demo.js';
+
+/************************************
+ * 🗺️ Per-chain deployment registry
+ ************************************/
+// Demo mode replaces every real chain with the simulated one (see demo.js)
+export const SUPPORTED_CHAINS = DEMO_MODE ? [DEMO_CHAIN] : [mainnet, sepolia, base, baseSepolia];
+
+/**
+ * Built-in deployments, keyed by chain id:
+ *   { [chainId]: { token: '0x…', staking: '0x…', deployBlock: 12345678, brand: 'benads' } }
+ * `deployBlock` is where event history scans start; `brand` picks the name, logo,
+ * colours and copy from brands.js (the default brand when omitted). Entries from the
+ * VITE_DEPLOYMENTS env var (same shape, as JSON) override these per chain.
+ */
+const DEFAULT_DEPLOYMENTS = {};
+
+const readEnvDeployments = () => {
+  const raw = import.meta.env?.VITE_DEPLOYMENTS;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Ignoring VITE_DEPLOYMENTS: not valid JSON.', error);
+    return {};
+  }
+};
+
+// A non-negative whole number, as a number, a bigint or a string of digits (0 when omitted); null otherwise
+const parseDeployBlock = (value) => {
+  if (value === undefined || value === null) return 0n;
+  if (typeof value === 'bigint') return value >= 0n ? value : null;
+  if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0 ? BigInt(value) : null;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return BigInt(value.trim());
+  return null;
+};
+
+/**
+ * Validates a `{ [chainId]: { token, staking, deployBlock, brand } }` config into
+ * deployment objects. Entries for unsupported chains, with bad addresses or with a
+ * deployBlock that is not a block number are skipped with a warning rather than
+ * breaking the app.
+ */
+export const buildRegistry = (config) => {
+  const registry = {};
+  for (const [key, entry] of Object.entries(config)) {
+    const chainId = Number(key);
+    const chain = SUPPORTED_CHAINS.find((c) => c.id === chainId);
+    if (!chain) {
+      console.warn(`Ignoring deployment for unsupported chain ${key}.`);
+      continue;
+    }
+    if (!isAddress(entry?.token ?? '') || !isAddress(entry?.staking ?? '')) {
+      console.warn(`Ignoring deployment for ${chain.name}: token and staking must be addresses.`);
+      continue;
+    }
+    const deployBlock = parseDeployBlock(entry.deployBlock);
+    if (deployBlock === null) {
+      console.warn(`Ignoring deployment for ${chain.name}: deployBlock must be a block number, got ${JSON.stringify(entry.deployBlock)}.`);
+      continue;
+    }
+    registry[chainId] = {
+      chainId,
+      chain,
+      token: entry.token,
+      staking: entry.staking,
+      deployBlock,
+      brand: entry.brand ?? null,
+      tokenContract: { address: entry.token, abi: erc20Abi, chainId },
+      stakingContract: { address: entry.staking, abi: stakingAbi, chainId }
+    };
+  }
+  return registry;
+};
+
+export const DEPLOYMENTS = buildRegistry(DEMO_MODE
+  ? { [DEMO_CHAIN.id]: DEMO_DEPLOYMENT }
+  : { ...DEFAULT_DEPLOYMENTS, ...readEnvDeployments() });
+
+// Chains that have a deployment, in SUPPORTED_CHAINS order
+export const DEPLOYED_CHAINS = SUPPORTED_CHAINS.filter((chain) => DEPLOYMENTS[chain.id]);
+
+// Used for public reads (pools, APYs) before a wallet is connected
+export const DEFAULT_CHAIN_ID = DEPLOYED_CHAINS[0]?.id ?? null;
+
+if (DEPLOYED_CHAINS.length === 0) {
+  console.warn('No staking deployments configured. Set VITE_DEPLOYMENTS, e.g. {"8453":{"token":"0x…","staking":"0x…","deployBlock":0}}.');
+}
+
+export const getDeployment = (chainId) => (chainId ? DEPLOYMENTS[chainId] ?? null : null);
+
+// Block explorer link for a transaction, or null for chains without an explorer
+export const getExplorerTxUrl = (chainId, hash) => {
+  const explorer = SUPPORTED_CHAINS.find((c) => c.id === chainId)?.blockExplorers?.default?.url;
+  return explorer ? `${explorer}/tx/${hash}` : null;
+};
@@ -0,0 +1,58 @@
+import { ContractFunctionRevertedError } from 'viem';
+import { t, formatToken } from './i18n.js';
+
+/************************************
+ * 🩺 Human-readable revert reasons
+ ************************************/
+const fmt = (wei) => formatToken(wei, 4);
+
+// require() strings of AdvancedNakaStaking, mapped to message keys
+const REVERT_REASONS = {
+  'Locked': 'errors.locked',
+  'Nothing staked': 'errors.nothingStaked',
+  'No rewards': 'errors.noRewards',
+  'Invalid pool': 'errors.invalidPool',
+  'Amount=0': 'errors.amountZero',
+  'Lock=0': 'errors.lockZero',
+  'APY=0': 'errors.apyZero',
+  'Exists': 'errors.poolExists',
+  'Pool missing': 'errors.poolMissing',
+  // OpenZeppelin < 5 ERC20 strings
+  'ERC20: insufficient allowance': 'errors.notApproved',
+  'ERC20: transfer amount exceeds allowance': 'errors.notApproved',
+  'ERC20: transfer amount exceeds balance': 'errors.insufficientBalance'
+};
+
+// OpenZeppelin 5 custom errors, keyed by error name
+const CUSTOM_ERRORS = {
+  ERC20InsufficientAllowance: ([, allowance, needed]) =>
+    t('errors.allowanceTooLow', { allowance: fmt(allowance), needed: fmt(needed) }),
+  ERC20InsufficientBalance: ([, balance, needed]) =>
+    t('errors.balanceTooLow', { balance: fmt(balance), needed: fmt(needed) }),
+  SafeERC20FailedOperation: () => t('errors.transferFailed'),
+  OwnableUnauthorizedAccount: () => t('errors.ownerOnly'),
+  ReentrancyGuardReentrantCall: () => t('errors.reentrant')
+};
+
+/**
+ * Explains a contract revert found anywhere in `error`'s cause chain, or returns
+ * null when the error is not a revert (RPC failure, wallet rejection, ...).
+ */
+export const explainRevert = (error) => {
+  const revert = typeof error?.walk === 'function'
+    ? error.walk((e) => e instanceof ContractFunctionRevertedError)
+    : null;
+  if (!revert) return null;
+
+  if (revert.data?.errorName && CUSTOM_ERRORS[revert.data.errorName]) {
+    return CUSTOM_ERRORS[revert.data.errorName](revert.data.args ?? []);
+  }
+  if (revert.reason) {
+    return REVERT_REASONS[revert.reason] ? t(REVERT_REASONS[revert.reason]) : t('errors.rejected', { reason: revert.reason });
+  }
+  return revert.shortMessage;
+};
+
+// Best human-readable message for any write error
+export const describeTxError = (error) =>
+  explainRevert(error) ?? error?.shortMessage ?? error?.message ?? t('errors.unknown');
@@ -0,0 +1,97 @@
+import { formatUnits, parseUnits } from 'viem';
+import { TOKEN_DECIMALS } from './contracts.js';
+import { formatLockDuration } from './format.js';
+
+/************************************
+ * 🧾 Staking history export (tax reporting)
+ ************************************/
+export const EXPORT_COLUMNS = [
+  'date',
+  'type',
+  'pool',
+  'lockDurationSeconds',
+  'principal',
+  'rewardsPaid',
+  'penalty',
+  'costBasis',
+  'txHash'
+];
+
+// Principal moved into (+1) or out of (-1) the contract by each event
+const PRINCIPAL_DIRECTION = {
+  Staked: 1n,
+  ToppedUp: 1n,
+  Unstaked: -1n,
+  EmergencyUnstaked: -1n
+};
+
+const toDecimal = (wei) => formatUnits(wei, TOKEN_DECIMALS);
+
+/**
+ * Builds export rows from decoded activity entries (see activity.js).
+ * `costBasis` is the principal still staked after each row, accumulated over the
+ * wallet's full history so rows inside a date range carry the right running total.
+ * Owner reward deposits are not staking income and are left out.
+ * `from` / `to` are Date bounds (inclusive); either may be omitted.
+ */
+export const buildExportRows = (entries, { from, to } = {}) => {
+  const chronological = [...entries]
+    .filter((entry) => entry.type !== 'RewardsDeposited')
+    .sort((a, b) => (a.blockNumber === b.blockNumber
+      ? a.logIndex - b.logIndex
+      : a.blockNumber < b.blockNumber ? -1 : 1));
+
+  const fromTs = from ? from.getTime() / 1000 : -Infinity;
+  const toTs = to ? to.getTime() / 1000 : Infinity;
+
+  let costBasis = 0n;
+  const rows = [];
+  for (const entry of chronological) {
+    costBasis += (PRINCIPAL_DIRECTION[entry.type] ?? 0n) * entry.amount;
+    if (entry.timestamp < fromTs || entry.timestamp > toTs) continue;
+    rows.push({
+      date: new Date(entry.timestamp * 1000).toISOString(),
+      type: entry.type,
+      pool: entry.lockDuration !== null ? formatLockDuration(entry.lockDuration, 'en') : entry.type === 'RewardsClaimed' ? 'All pools' : '',
+      lockDurationSeconds: entry.lockDuration !== null ? entry.lockDuration.toString() : '',
+      principal: toDecimal(entry.amount),
+      rewardsPaid: toDecimal(entry.rewards),
+      penalty: toDecimal(entry.penalty),
+      costBasis: toDecimal(costBasis),
+      txHash: entry.txHash
+    });
+  }
+  return rows;
+};
+
+// Totals for a set of export rows, as decimal strings
+export const summarizeExportRows = (rows) => {
+  const sum = (key) => toDecimal(rows.reduce((total, row) => total + parseUnits(row[key], TOKEN_DECIMALS), 0n));
+  return { rewardsPaid: sum('rewardsPaid'), penalty: sum('penalty') };
+};
+
+// Spreadsheets run a cell starting with one of these as a formula; a leading ' keeps it text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = String(value ?? '');
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => [
+  EXPORT_COLUMNS.join(','),
+  ...rows.map((row) => EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(','))
+].join('\n');
+
+export const toJson = (rows, meta = {}) => JSON.stringify({ ...meta, rows }, null, 2);
+
+// Triggers a browser download of `content`
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
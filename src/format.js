@@ -0,0 +1,27 @@
+import { getLanguage } from './i18n.js';
+
+/************************************
+ * 🧮 Shared formatting helpers
+ ************************************/
+export const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const formatUnit = (value, unit, locale, unitDisplay = 'long') =>
+  new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay }).format(value);
+
+// Label for a pool's lock duration (seconds) in `locale`, e.g. 604800 -> "7 days" / "7 días"
+export const formatLockDuration = (seconds, locale = getLanguage()) => {
+  const s = Number(seconds);
+  if (s % SECONDS_PER_DAY === 0) return formatUnit(s / SECONDS_PER_DAY, 'day', locale);
+  if (s % 3600 === 0) return formatUnit(s / 3600, 'hour', locale);
+  if (s % 60 === 0) return formatUnit(s / 60, 'minute', locale);
+  return formatUnit(s, 'second', locale);
+};
+
+// Remaining time as "3d 04:12:09", with the day unit in `locale`
+export const formatCountdown = (seconds, locale = getLanguage()) => {
+  const s = Math.max(0, Math.floor(seconds));
+  const pad = (n) => String(n).padStart(2, '0');
+  const d = Math.floor(s / SECONDS_PER_DAY);
+  const hms = `${pad(Math.floor((s % SECONDS_PER_DAY) / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+  return d > 0 ? `${formatUnit(d, 'day', locale, 'narrow')} ${hms}` : hms;
+};
@@ -0,0 +1,112 @@
+import { formatUnits } from 'viem';
+import { TOKEN_DECIMALS } from './contracts.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+import zh from './locales/zh.js';
+import { STORAGE_PREFIX } from './storage.js';
+
+/************************************
+ * 🌐 Message catalogs & locale-aware formatting
+ ************************************/
+export const LANGUAGES = [
+  { code: 'en', label: 'English', messages: en },
+  { code: 'es', label: 'Español', messages: es },
+  { code: 'zh', label: '中文', messages: zh }
+];
+const DEFAULT_LANGUAGE = 'en';
+
+// The choice is saved per wallet, plus a device-wide one used while disconnected
+const DEVICE_KEY = `${STORAGE_PREFIX}:language`;
+const walletKey = (address) => `${STORAGE_PREFIX}:language:${address.toLowerCase()}`;
+
+const storage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+const isKnown = (code) => LANGUAGES.some((l) => l.code === code);
+
+const detectLanguage = () => {
+  const saved = storage()?.getItem(DEVICE_KEY);
+  if (isKnown(saved)) return saved;
+  const browser = typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language];
+  return browser.map((tag) => tag?.split('-')[0]).find(isKnown) ?? DEFAULT_LANGUAGE;
+};
+
+let language = detectLanguage();
+// Token-specific wording (see brands.js): {name}/{symbol} values and per-language overrides
+let brandParams = {};
+let brandCopy = {};
+// Bumped whenever the language or brand changes, so subscribers know to re-render
+let revision = 0;
+const listeners = new Set();
+if (typeof document !== 'undefined') document.documentElement.lang = language;
+
+const notify = () => {
+  revision += 1;
+  listeners.forEach((listener) => listener());
+};
+
+export const getLanguage = () => language;
+export const getRevision = () => revision;
+
+export const subscribeLanguage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Switches the UI language and remembers it on this device and, when given, for
+ * `address` so the wallet gets it back on its next connection.
+ */
+export const setLanguage = (code, address) => {
+  if (!isKnown(code)) return;
+  storage()?.setItem(DEVICE_KEY, code);
+  if (address) storage()?.setItem(walletKey(address), code);
+  if (code === language) return;
+  language = code;
+  if (typeof document !== 'undefined') document.documentElement.lang = code;
+  notify();
+};
+
+// Sets the brand's {name}/{symbol} and its `{ [language]: { [key]: text } }` overrides
+export const setBrandMessages = ({ params = {}, copy = {} }) => {
+  brandParams = params;
+  brandCopy = copy;
+  notify();
+};
+
+// Applies the language saved for `address`, if any
+export const restoreWalletLanguage = (address) => {
+  const saved = address && storage()?.getItem(walletKey(address));
+  if (isKnown(saved)) setLanguage(saved);
+};
+
+const messagesFor = (code) => LANGUAGES.find((l) => l.code === code)?.messages ?? en;
+
+/**
+ * Message for `key` in the current language, falling back to English and then the
+ * key itself; the brand's copy wins over the catalogs in either language. `{name}`
+ * placeholders are filled from `params`, then from the brand ({symbol}, {name}).
+ * A message may be an object of plural forms ({ one, other, ... }) chosen by `params.count`.
+ */
+export const t = (key, params = {}) => {
+  let message = brandCopy[language]?.[key] ?? messagesFor(language)[key] ?? brandCopy.en?.[key] ?? en[key] ?? key;
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(language).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  const values = { ...brandParams, ...params };
+  return message.replace(/\{(\w+)\}/g, (match, name) => (values[name] ?? match));
+};
+
+// Number with exactly `digits` decimals (like toFixed) and the locale's separators
+export const formatNumber = (value, digits = 2) => new Intl.NumberFormat(language, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits
+}).format(Number.isFinite(value) ? value : 0);
+
+// Token amount in wei, e.g. formatToken(1234500000000000000000n) -> "1,234.50"
+export const formatToken = (wei, digits = 2) =>
+  formatNumber(parseFloat(formatUnits(wei ?? 0n, TOKEN_DECIMALS)), digits);
+
+// Dates take a Date or a millisecond timestamp
+export const formatDateTime = (value) => new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+export const formatDate = (value) => new Intl.DateTimeFormat(language, { dateStyle: 'medium' }).format(new Date(value));
+export const formatTime = (value) => new Intl.DateTimeFormat(language, { timeStyle: 'medium' }).format(new Date(value));
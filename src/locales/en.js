@@ -0,0 +1,386 @@
+/**
+ * English messages. Every key used by the UI must exist here; other catalogs fall
+ * back to these for anything they do not translate.
+ */
+export default {
+  // Shared
+  'common.amount': '{amount} {symbol}',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+
+  // Header and network
+  'header.connected': 'Connected',
+  'header.connectWallet': 'Connect Wallet',
+  'header.language': 'Language',
+  'network.title': 'Wrong Network',
+  'network.notDeployed': "{symbol} staking isn't deployed on {chain}.",
+  'network.chainN': 'chain {id}',
+  'network.switchPrompt': 'Switch to a supported network:',
+  'network.noDeployments': 'No deployments are configured for this app.',
+  'network.switchTo': 'Switch to {chain}',
+
+  // Modals
+  'modal.successTitle': 'Success!',
+  'modal.errorTitle': 'Oh no!',
+  'modal.walletConnected': 'Wallet connected successfully!',
+  'modal.watchReadOnly': 'Watch mode is read-only. Stop watching to use your own wallet.',
+  'modal.confirmed': '{label} confirmed ✅',
+  'modal.invalidAmount': 'Please enter a valid amount.',
+  'modal.insufficientBalance': 'Your wallet holds {balance} {symbol}, not enough to stake {amount}.',
+  'modal.refreshed': 'Data refreshed successfully!',
+
+  // Transaction flow labels
+  'flow.approving': 'Approving',
+  'flow.stake': 'Stake {amount} {symbol}',
+  'flow.staking': 'Staking',
+  'flow.unstake': 'Unstake {pool} pool',
+  'flow.unstaking': 'Unstaking',
+  'flow.emergencyUnstake': 'Emergency unstake {pool} pool',
+  'flow.emergencyUnstaking': 'Emergency unstaking (penalty applies)',
+  'flow.claim': 'Claim {pool} pool rewards',
+  'flow.claiming': 'Claiming rewards',
+  'flow.compound': 'Compound {pool} rewards into {target} pool',
+  'flow.stakingClaimed': 'Staking claimed rewards',
+  'flow.compoundPartial': 'Your {amount} {symbol} of rewards were claimed to your wallet and are not staked yet. Resume to restake them, or keep them.',
+  'flow.unstakingPool': 'Unstaking {pool} pool',
+  'flow.emergencyUnstakingPool': 'Emergency unstaking {pool} pool (penalty applies)',
+  'flow.exitPartial': '{done} of {total} exits went through; the remaining positions are untouched. Resume to continue.',
+  'flow.claimAll': 'Claim all rewards',
+  'flow.claimingAll': 'Claiming rewards from all pools',
+
+  // Stats
+  'stats.title': 'Your {name} Stats',
+  'stats.refreshing': 'Refreshing...',
+  'stats.available': 'Available Balance',
+  'stats.tokens': '{symbol} Tokens',
+  'stats.totalStaked': 'Your Total Staked',
+  'stats.totalClaimable': 'Your Total Claimable',
+  'stats.sumOfPools': '{symbol} Tokens (sum of pools)',
+  'stats.rewardPool': 'Reward Pool (Admin-Funded)',
+  'stats.availableForRewards': '{symbol} Available for Rewards',
+  'stats.totalStakedAll': 'Total Staked (All Users)',
+  'stats.inContract': '{symbol} in contract',
+  'stats.wallet': 'Wallet',
+  'stats.watching': 'Watching (read-only)',
+  'stats.lastUpdated': 'Last updated: {time}',
+
+  // Pool cards
+  'pool.noPools': 'No staking pools are configured yet.',
+  'pool.loading': 'Loading staking pools...',
+  'pool.title': '{duration} Pool',
+  'pool.apy': '{apy}% APY',
+  'pool.totalStaked': '{amount} {symbol} staked in this pool',
+  'pool.yourStaked': 'Your staked amount:',
+  'pool.positionStatus': 'Position status:',
+  'pool.status.empty': 'No position',
+  'pool.status.locked': '🔒 Locked',
+  'pool.status.unlocked': '🔓 Unlocked',
+  'pool.stakedSince': 'Staked since: {date}',
+  'pool.unlocksAt': 'Unlocks at: {date}',
+  'pool.stakeHeading': 'Stake {symbol}',
+  'pool.stake': 'Stake',
+  'pool.topUp': 'Top Up',
+  'pool.approveAnd': 'Approve & {action}',
+  'pool.claimable': 'Claimable Rewards:',
+  'pool.claim': 'Claim',
+  'pool.claiming': 'Claiming...',
+  'pool.reserveNote': "Rewards are paid from the admin-funded pool. If it's empty, claims will revert but your stake remains safe.",
+  'pool.compoundHeading': 'Compound Rewards',
+  'pool.compoundInto': 'into {duration} ({apy}% APY)',
+  'pool.compound': 'Compound',
+  'pool.compoundNote': 'Claims, then stakes exactly the amount paid. Adding to an existing position keeps its unlock time; a new position starts a fresh lock.',
+  'pool.unstakeHeading': 'Unstake All {symbol}',
+  'pool.unstakeAvailableIn': 'Unstake All {symbol} (available in {time})',
+  'pool.unstake': 'Unstake',
+  'pool.emergencyHeading': 'Emergency Unstake ({pct}% Penalty, rewards forfeited)',
+  'pool.emergency': 'Emergency Unstake',
+
+  // Claim all
+  'claimAll.title': 'Claim All Rewards',
+  'claimAll.sum': 'sum across all pools',
+  'claimAll.reserveShort': 'The reserve only holds {amount} {symbol}. Claiming now forfeits the rest.',
+  'claimAll.claiming': 'Claiming All...',
+
+  // Welcome and footer
+  'welcome.title': 'Welcome to {name}!',
+  'welcome.message': "Connect your wallet to start staking your {symbol} tokens and earn rewards. It's time to put your tokens to work!",
+  'footer.quote': 'Patience is the key to success.',
+
+  // APY calculator
+  'calc.open': 'Open APY Calculator',
+  'calc.title': 'APY Calculator',
+  'calc.amount': 'Amount to Stake ({symbol})',
+  'calc.amountPlaceholder': 'Enter amount',
+  'calc.compounding': 'Compounding',
+  'calc.compounding.0': 'No compounding',
+  'calc.compounding.1': 'Claim & restake daily',
+  'calc.compounding.7': 'Claim & restake weekly',
+  'calc.compounding.30': 'Claim & restake every 30 days',
+  'calc.exitAfter': 'Emergency exit after (days, optional)',
+  'calc.exitPlaceholder': 'e.g. 3',
+  'calc.noPools': 'No staking pools are available on this network.',
+  'calc.col.pool': 'Pool',
+  'calc.col.simple': 'Rewards (simple)',
+  'calc.col.compounded': 'Rewards (compounded)',
+  'calc.col.total': 'Total at unlock',
+  'calc.col.capped': "If reserve stays at today's level",
+  'calc.col.exit': 'Emergency exit',
+  'calc.col.exitAt': 'Emergency exit at day {day}',
+  'calc.restakes': { one: '{count} restake · {apy}% effective', other: '{count} restakes · {apy}% effective' },
+  'calc.unpaid': '{amount} unpaid',
+  'calc.covered': 'Fully covered',
+  'calc.exitBack': '{amount} back',
+  'calc.exitDetail': '{net} net · −{penalty} penalty, {forfeited} rewards forfeited',
+  'calc.unlockedByThen': 'Unlocked by then',
+  'calc.penaltyOfPrincipal': '−{pct}% of principal',
+  'calc.cappedWarning': 'The reward reserve ({reserve} {symbol}) cannot cover some projections. Claims pay at most the reserve and the rest is lost, unless the owner refills it.',
+  'calc.note': 'Uses current on-chain APYs. Compounding restakes each claim into the same pool without extending the lock; gas is not included. An emergency exit returns the principal minus {pct}% and forfeits unclaimed rewards. The reserve is shared with all stakers, so capped figures are a best case.',
+  'calc.prompt': 'Enter an amount to compare projected returns across pools',
+
+  // Reward reserve health
+  'solvency.title': 'Reward Reserve Health',
+  'solvency.shortfall': 'Your pending rewards ({pending} {symbol}) exceed the reward reserve ({reserve} {symbol}). Claiming, unstaking or topping up now pays at most the reserve and resets your accrual, so',
+  'solvency.shortfallLoss': '{amount} {symbol} would be forfeited.',
+  'solvency.shortfallAdvice': 'Waiting for the owner to refill the reserve avoids the loss.',
+  'solvency.status': 'Reserve Status',
+  'solvency.status.healthy': 'Healthy',
+  'solvency.status.low': 'Running low',
+  'solvency.status.critical': 'Critical',
+  'solvency.status.empty': 'Empty',
+  'solvency.inReserve': '{amount} {symbol} in reserve',
+  'solvency.accruing': 'Rewards Accruing',
+  'solvency.perDay': '{symbol} per day, all pools',
+  'solvency.runway': 'Estimated Runway',
+  'solvency.noAccrual': 'No rewards accruing',
+  'solvency.runwayHours': '{hours} hours',
+  'solvency.runwayDays': '{days} days',
+  'solvency.until': 'Until ~{date}',
+  'solvency.notDrawn': 'Reserve is not being drawn down',
+  'solvency.col.pool': 'Pool',
+  'solvency.col.apy': 'APY',
+  'solvency.col.totalStaked': 'Total Staked',
+  'solvency.col.perDay': 'Accrues / Day',
+  'solvency.note': "Runway assumes today's stakes and APYs and ignores rewards other stakers have accrued but not claimed, so the real runway is shorter.",
+
+  // Top-up preview
+  'topUp.title': 'Top up {pool} position',
+  'topUp.intro': 'You already stake in this pool. Adding {amount} {symbol} first claims your pending rewards.',
+  'topUp.pending': 'Pending rewards',
+  'topUp.paid': 'Paid to your wallet',
+  'topUp.forfeited': 'Forfeited (reserve too low)',
+  'topUp.newAmount': 'Position after top-up',
+  'topUp.unlocksAt': 'Unlocks at',
+  'topUp.unlocksIn': '(in {time})',
+  'topUp.alreadyUnlocked': '(already unlocked)',
+  'topUp.note': 'The lock keeps its original start, so the added tokens unlock with the rest of the position. A little more reward accrues before the transaction is mined.',
+  'topUp.acknowledge': 'I understand {amount} of rewards will be lost permanently.',
+  'topUp.confirm': 'Confirm Top Up',
+
+  // Exit planner
+  'exit.open': 'Exit Planner',
+  'exit.title': 'Exit Planner',
+  'exit.noPositions': 'You have no open positions.',
+  'exit.maturedHeading': 'Matured — will be unstaked',
+  'exit.lockedHeading': 'Still locked — opt in to exit early',
+  'exit.col.pool': 'Pool',
+  'exit.col.principal': 'Principal',
+  'exit.col.rewardsPaid': 'Rewards paid',
+  'exit.col.receive': 'You receive',
+  'exit.col.emergency': 'Emergency exit',
+  'exit.col.unlocksIn': 'Unlocks in',
+  'exit.overReserve': '{amount} over the reserve, lost',
+  'exit.emergencyToggle': 'Emergency unstake {pool} pool',
+  'exit.lockedCost': '−{penalty} penalty ({pct}%), {forfeited} rewards forfeited',
+  'exit.breakdown': '{principal} principal + {rewards} rewards',
+  'exit.breakdownPenalty': '− {penalty} penalty',
+  'exit.unpaid': '{amount} {symbol} of rewards will not be paid.',
+  'exit.execute': { one: 'Exit {count} position', other: 'Exit {count} positions' },
+  'exit.note': 'Each exit is a separate transaction, sent one after another. If one fails, the ones before it stay done and you can resume from there.',
+
+  // Watch mode
+  'watch.placeholder': 'Watch an address: 0x…',
+  'watch.submit': 'Watch',
+  'watch.banner': 'Read-only: watching {address}',
+  'watch.onChain': 'On {chain}. Staking, claiming and unstaking are disabled in watch mode.',
+  'watch.notDeployed': "{symbol} staking isn't deployed on chain {chainId}. Check the link's chainId.",
+  'watch.copy': 'Copy link',
+  'watch.copied': 'Copied!',
+  'watch.stop': 'Stop watching',
+
+  // Demo mode
+  'demo.title': 'Demo mode',
+  'demo.description': 'Everything here runs on a simulated chain in this browser: test tokens, no gas, no real wallet. Move the clock forward to watch locks mature and rewards accrue.',
+  'demo.clock': 'Chain time {time} · block #{block}',
+  'demo.ahead': '{duration} ahead of real time',
+  'demo.advance': '+{duration}',
+  'demo.faucet': 'Get {amount} test {symbol}',
+  'demo.connectFirst': 'Connect the demo wallet first',
+  'demo.reset': 'Reset demo',
+  'demo.leave': 'Leave demo',
+
+  // Notification settings and alerts
+  'notify.title': 'Notifications',
+  'notify.unsupported': "This browser doesn't support notifications.",
+  'notify.option.maturity': 'When a lock expires and a position can be unstaked',
+  'notify.option.reserve': 'When the reward reserve drops below my pending rewards',
+  'notify.blocked': 'Notifications are blocked for this site. Allow them in your browser settings to turn these on.',
+  'notify.saved': 'Saved for this wallet on this device.',
+  'notify.appOpen': 'Alerts are checked by this page, so they only arrive while the app is open in a tab (a background tab is fine). Closing the app stops them until you open it again.',
+  'notify.maturityTitle': 'Your {symbol} stake has unlocked',
+  'notify.maturityBody': 'Your {pool} position can now be unstaked without penalty.',
+  'notify.reserveTitle': 'Reward reserve is running short',
+  'notify.reserveBody': 'The reward reserve no longer covers your pending rewards. Claiming now would pay only part of them.',
+
+  // Recent transactions
+  'txs.title': 'Recent Transactions',
+  'txs.pendingCount': '({count} pending)',
+  'txs.empty': 'No transactions sent from this device yet.',
+  'txs.status.pending': 'Pending',
+  'txs.status.success': 'Confirmed',
+  'txs.status.reverted': 'Reverted',
+  'txs.status.replaced': 'Replaced in wallet',
+  'txs.status.failed': 'Could not confirm',
+  'txs.block': 'block {block}',
+  'txs.replacedBy': 'Replaced by',
+  'txs.clear': 'Clear history',
+
+  // Activity history and export
+  'activity.title': 'Activity History',
+  'activity.scanning': 'Scanning contract events...',
+  'activity.scanningPct': 'Scanning contract events ({pct}%)...',
+  'activity.loadError': "Couldn't load activity: {error}",
+  'activity.retry': 'Retry',
+  'activity.empty': 'No staking activity for this wallet yet.',
+  'activity.event.Staked': 'Staked',
+  'activity.event.ToppedUp': 'Topped up',
+  'activity.event.Unstaked': 'Unstaked',
+  'activity.event.EmergencyUnstaked': 'Emergency unstake',
+  'activity.event.RewardsClaimed': 'Rewards claimed',
+  'activity.event.RewardsDeposited': 'Rewards deposited',
+  'activity.allPools': 'All pools',
+  'activity.amounts.unstaked': '{amount} {symbol} returned · +{rewards} rewards',
+  'activity.amounts.emergency': '{amount} {symbol} returned · −{penalty} penalty',
+  'activity.amounts.toppedUp': '{amount} {symbol} added · +{rewards} auto-claimed',
+  'activity.amounts.claimed': '+{amount} {symbol}',
+  'activity.blockTx': 'Block {block} · Tx',
+  'export.title': 'Export for tax reporting',
+  'export.from': 'From',
+  'export.to': 'To',
+  'export.summary': '{count} rows · {rewards} {symbol} rewards paid · {penalty} {symbol} penalties',
+
+  // Protocol analytics
+  'analytics.open': 'Analytics',
+  'analytics.title': 'Protocol Analytics',
+  'analytics.back': 'Back to staking',
+  'analytics.refresh': 'Refresh',
+  'analytics.unavailable': 'There is no staking deployment on this network to show analytics for.',
+  'analytics.loadError': 'Could not load the contract history: {error}',
+  'analytics.empty': 'No staking activity yet.',
+  'analytics.tvl': 'Total Value Locked',
+  'analytics.activeStakers': 'Active Stakers',
+  'analytics.rewardsPaid': 'Rewards Paid',
+  'analytics.deposited': 'Rewards Deposited',
+  'analytics.penalties': 'Penalties Collected',
+  'analytics.events': 'Events',
+  'analytics.indexedTo': 'Up to block #{block}',
+  'analytics.allPools': 'All pools',
+  'analytics.tvlTitle': 'TVL per Pool',
+  'analytics.reserveTitle': 'Reward Reserve History',
+  'analytics.reserve': 'Reward reserve',
+  'analytics.reserveNote': 'Deposits and emergency-exit penalties add to the reserve; paid rewards draw from it. {symbol} sent to the contract without depositRewards() is not included.',
+  'analytics.dailyTitle': 'Daily Stakes & Unstakes',
+  'analytics.series.staked': 'Staked and topped up',
+  'analytics.series.unstaked': 'Unstaked',
+  'analytics.series.emergency': 'Emergency exits',
+  'analytics.dailySummary': 'Stakes and top-ups: {stakes} · Unstakes: {unstakes} · Emergency exits: {exits}',
+  'analytics.emergencyTitle': 'Emergency Exits',
+  'analytics.exits': 'Exits',
+  'analytics.exitPrincipal': 'Principal Withdrawn',
+  'analytics.penaltyNote': 'Kept in the reward reserve',
+  'analytics.poolRewardsNote': 'Rewards claimed with "Claim All Rewards" are not split by pool and only count towards the total.',
+  'analytics.leaderboardTitle': 'Top Stakers',
+  'analytics.noStakers': 'Nobody is staking right now.',
+  'analytics.watch': 'View',
+  'analytics.col.pool': 'Pool',
+  'analytics.col.tvl': 'Staked now',
+  'analytics.col.stakers': 'Stakers',
+  'analytics.col.staked': 'Staked (all time)',
+  'analytics.col.unstaked': 'Unstaked',
+  'analytics.col.exits': 'Emergency exits',
+  'analytics.col.penalties': 'Penalties',
+  'analytics.col.rewards': 'Rewards paid',
+  'analytics.col.wallet': 'Wallet',
+  'analytics.col.pools': 'Pools',
+  'analytics.col.since': 'Staking since',
+
+  // Admin console
+  'admin.open': 'Admin Console',
+  'admin.title': 'Admin Console',
+  'admin.pools': 'Pools',
+  'admin.col.lock': 'Lock',
+  'admin.col.apy': 'APY',
+  'admin.col.totalStaked': 'Total Staked',
+  'admin.col.newApy': 'New APY (%)',
+  'admin.save': 'Save',
+  'admin.addPool': 'Add Pool',
+  'admin.lockDuration': 'Lock Duration',
+  'admin.unit.days': 'days',
+  'admin.unit.hours': 'hours',
+  'admin.unit.minutes': 'minutes',
+  'admin.apyPct': 'APY (%)',
+  'admin.fund': 'Fund Reward Reserve',
+  'admin.currentReserve': 'Current reserve:',
+  'admin.yourBalance': 'Your balance:',
+  'admin.deposit': 'Deposit',
+  'admin.depositNote': 'Approves the staking contract for the exact amount if needed, then calls depositRewards.',
+  'admin.flow.addPool': 'Add pool',
+  'admin.flow.addingPool': 'Adding pool',
+  'admin.flow.updatePool': '{pool} pool update',
+  'admin.flow.updatingApy': 'Updating APY',
+  'admin.flow.deposit': 'Reward deposit',
+  'admin.flow.depositing': 'Depositing rewards',
+  'admin.error.apy': 'APY must be a whole number greater than 0 (contract reverts with "APY=0").',
+  'admin.error.lock': 'Lock duration must be a whole number greater than 0 (contract reverts with "Lock=0").',
+  'admin.error.exists': 'A pool with this lock duration already exists (contract reverts with "Exists").',
+  'admin.error.missing': 'Pool does not exist (contract reverts with "Pool missing").',
+  'admin.error.sameApy': 'New APY is the same as the current one.',
+  'admin.error.invalidAmount': 'Please enter a valid amount.',
+  'admin.error.depositZero': 'Deposit amount must be greater than 0 (contract reverts with "Amount=0").',
+  'admin.error.depositBalance': 'Deposit exceeds your wallet balance.',
+
+  // Contract reverts and other errors
+  'errors.locked': 'This position is still locked. Wait until its unlock time, or use Emergency Unstake (2% penalty, rewards forfeited).',
+  'errors.nothingStaked': 'You have nothing staked in this pool.',
+  'errors.noRewards': 'There are no rewards to claim right now — either nothing has accrued yet or the reward reserve is empty.',
+  'errors.invalidPool': 'This staking pool does not exist on the contract. Refresh to load the current pools.',
+  'errors.amountZero': 'The amount must be greater than 0.',
+  'errors.lockZero': 'The lock duration must be greater than 0.',
+  'errors.apyZero': 'The APY must be greater than 0.',
+  'errors.poolExists': 'A pool with this lock duration already exists.',
+  'errors.poolMissing': 'This pool does not exist on the contract.',
+  'errors.notApproved': 'The staking contract is not approved to move this many tokens. Approve the amount first.',
+  'errors.insufficientBalance': 'Your wallet does not hold enough {symbol} for this amount.',
+  'errors.allowanceTooLow': 'The staking contract is approved for {allowance} {symbol} but this needs {needed}. Approve the amount first.',
+  'errors.balanceTooLow': 'Your wallet holds {balance} {symbol} but this needs {needed}.',
+  'errors.transferFailed': 'The token transfer failed. Check your balance and allowance.',
+  'errors.ownerOnly': 'Only the contract owner can do this.',
+  'errors.reentrant': 'The contract rejected a re-entrant call.',
+  'errors.rejected': 'The contract rejected this transaction: "{reason}".',
+  'errors.unknown': 'Unknown error',
+
+  // Transaction flows
+  'txFlow.status.pending': 'Waiting',
+  'txFlow.status.simulating': 'Checking the transaction...',
+  'txFlow.status.signing': 'Confirm in your wallet...',
+  'txFlow.status.confirming': 'Waiting for confirmation...',
+  'txFlow.status.done': 'Confirmed',
+  'txFlow.status.skipped': 'Not needed',
+  'txFlow.status.failed': 'Failed',
+  'txFlow.resume': 'Resume',
+  'txFlow.replaced': '{step} was {reason} in your wallet.',
+  'txFlow.reverted': '{step} reverted on-chain.',
+  'txFlow.stepName': 'step {index}/{total} ({step})',
+  'txFlow.rejected': 'You rejected {step} in your wallet.',
+  'txFlow.notSent': 'Nothing was sent to your wallet for {step}.',
+  'txFlow.stillPending': '{step} was sent and may still confirm; resuming waits for it instead of sending it again.'
+};
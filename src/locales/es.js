@@ -0,0 +1,385 @@
+/**
+ * Mensajes en español. Las claves que falten se muestran en inglés.
+ */
+export default {
+  // Shared
+  'common.amount': '{amount} {symbol}',
+  'common.cancel': 'Cancelar',
+  'common.close': 'Cerrar',
+
+  // Header and network
+  'header.connected': 'Conectada',
+  'header.connectWallet': 'Conectar billetera',
+  'header.language': 'Idioma',
+  'network.title': 'Red incorrecta',
+  'network.notDeployed': 'El staking de {symbol} no está desplegado en {chain}.',
+  'network.chainN': 'la cadena {id}',
+  'network.switchPrompt': 'Cambia a una red compatible:',
+  'network.noDeployments': 'Esta aplicación no tiene despliegues configurados.',
+  'network.switchTo': 'Cambiar a {chain}',
+
+  // Modals
+  'modal.successTitle': '¡Hecho!',
+  'modal.errorTitle': '¡Oh no!',
+  'modal.walletConnected': '¡Billetera conectada correctamente!',
+  'modal.watchReadOnly': 'El modo observación es de solo lectura. Deja de observar para usar tu propia billetera.',
+  'modal.confirmed': '{label} confirmado ✅',
+  'modal.invalidAmount': 'Introduce una cantidad válida.',
+  'modal.insufficientBalance': 'Tu billetera tiene {balance} {symbol}, no alcanza para hacer staking de {amount}.',
+  'modal.refreshed': '¡Datos actualizados correctamente!',
+
+  // Transaction flow labels
+  'flow.approving': 'Aprobando',
+  'flow.stake': 'Staking de {amount} {symbol}',
+  'flow.staking': 'Haciendo staking',
+  'flow.unstake': 'Retirar del pool de {pool}',
+  'flow.unstaking': 'Retirando',
+  'flow.emergencyUnstake': 'Retiro de emergencia del pool de {pool}',
+  'flow.emergencyUnstaking': 'Retiro de emergencia (con penalización)',
+  'flow.claim': 'Reclamar recompensas del pool de {pool}',
+  'flow.claiming': 'Reclamando recompensas',
+  'flow.compound': 'Reinvertir recompensas de {pool} en el pool de {target}',
+  'flow.stakingClaimed': 'Haciendo staking de las recompensas reclamadas',
+  'flow.compoundPartial': 'Tus {amount} {symbol} de recompensas se enviaron a tu billetera y aún no están en staking. Reanuda para reinvertirlos o quédatelos.',
+  'flow.unstakingPool': 'Retirando del pool de {pool}',
+  'flow.emergencyUnstakingPool': 'Retiro de emergencia del pool de {pool} (con penalización)',
+  'flow.exitPartial': 'Se completaron {done} de {total} salidas; las demás posiciones no se tocaron. Reanuda para continuar.',
+  'flow.claimAll': 'Reclamar todas las recompensas',
+  'flow.claimingAll': 'Reclamando recompensas de todos los pools',
+
+  // Stats
+  'stats.title': 'Tus estadísticas de {name}',
+  'stats.refreshing': 'Actualizando...',
+  'stats.available': 'Saldo disponible',
+  'stats.tokens': 'Tokens {symbol}',
+  'stats.totalStaked': 'Tu total en staking',
+  'stats.totalClaimable': 'Tu total reclamable',
+  'stats.sumOfPools': 'Tokens {symbol} (suma de pools)',
+  'stats.rewardPool': 'Fondo de recompensas (del administrador)',
+  'stats.availableForRewards': '{symbol} disponibles para recompensas',
+  'stats.totalStakedAll': 'Total en staking (todos)',
+  'stats.inContract': '{symbol} en el contrato',
+  'stats.wallet': 'Billetera',
+  'stats.watching': 'Observando (solo lectura)',
+  'stats.lastUpdated': 'Última actualización: {time}',
+
+  // Pool cards
+  'pool.noPools': 'Todavía no hay pools de staking configurados.',
+  'pool.loading': 'Cargando pools de staking...',
+  'pool.title': 'Pool de {duration}',
+  'pool.apy': '{apy}% APY',
+  'pool.totalStaked': '{amount} {symbol} en staking en este pool',
+  'pool.yourStaked': 'Tu cantidad en staking:',
+  'pool.positionStatus': 'Estado de la posición:',
+  'pool.status.empty': 'Sin posición',
+  'pool.status.locked': '🔒 Bloqueada',
+  'pool.status.unlocked': '🔓 Desbloqueada',
+  'pool.stakedSince': 'En staking desde: {date}',
+  'pool.unlocksAt': 'Se desbloquea: {date}',
+  'pool.stakeHeading': 'Staking de {symbol}',
+  'pool.stake': 'Stake',
+  'pool.topUp': 'Añadir',
+  'pool.approveAnd': 'Aprobar y {action}',
+  'pool.claimable': 'Recompensas reclamables:',
+  'pool.claim': 'Reclamar',
+  'pool.claiming': 'Reclamando...',
+  'pool.reserveNote': 'Las recompensas se pagan del fondo del administrador. Si está vacío, los reclamos fallarán, pero tu stake sigue a salvo.',
+  'pool.compoundHeading': 'Reinvertir recompensas',
+  'pool.compoundInto': 'en {duration} ({apy}% APY)',
+  'pool.compound': 'Reinvertir',
+  'pool.compoundNote': 'Reclama y luego hace staking exactamente de lo pagado. Añadir a una posición existente mantiene su desbloqueo; una posición nueva empieza un bloqueo nuevo.',
+  'pool.unstakeHeading': 'Retirar todos los {symbol}',
+  'pool.unstakeAvailableIn': 'Retirar todos los {symbol} (disponible en {time})',
+  'pool.unstake': 'Retirar',
+  'pool.emergencyHeading': 'Retiro de emergencia ({pct}% de penalización, se pierden las recompensas)',
+  'pool.emergency': 'Retiro de emergencia',
+
+  // Claim all
+  'claimAll.title': 'Reclamar todas las recompensas',
+  'claimAll.sum': 'suma de todos los pools',
+  'claimAll.reserveShort': 'La reserva solo tiene {amount} {symbol}. Reclamar ahora hace perder el resto.',
+  'claimAll.claiming': 'Reclamando todo...',
+
+  // Welcome and footer
+  'welcome.title': '¡Bienvenido a {name}!',
+  'welcome.message': 'Conecta tu billetera para hacer staking de tus tokens {symbol} y ganar recompensas. ¡Es hora de poner tus tokens a trabajar!',
+  'footer.quote': 'La paciencia es la clave del éxito.',
+
+  // APY calculator
+  'calc.open': 'Abrir calculadora de APY',
+  'calc.title': 'Calculadora de APY',
+  'calc.amount': 'Cantidad para staking ({symbol})',
+  'calc.amountPlaceholder': 'Introduce la cantidad',
+  'calc.compounding': 'Capitalización',
+  'calc.compounding.0': 'Sin capitalización',
+  'calc.compounding.1': 'Reclamar y reinvertir a diario',
+  'calc.compounding.7': 'Reclamar y reinvertir cada semana',
+  'calc.compounding.30': 'Reclamar y reinvertir cada 30 días',
+  'calc.exitAfter': 'Retiro de emergencia tras (días, opcional)',
+  'calc.exitPlaceholder': 'p. ej. 3',
+  'calc.noPools': 'No hay pools de staking disponibles en esta red.',
+  'calc.col.pool': 'Pool',
+  'calc.col.simple': 'Recompensas (simples)',
+  'calc.col.compounded': 'Recompensas (capitalizadas)',
+  'calc.col.total': 'Total al desbloquear',
+  'calc.col.capped': 'Si la reserva se queda como hoy',
+  'calc.col.exit': 'Retiro de emergencia',
+  'calc.col.exitAt': 'Retiro de emergencia el día {day}',
+  'calc.restakes': { one: '{count} reinversión · {apy}% efectivo', other: '{count} reinversiones · {apy}% efectivo' },
+  'calc.unpaid': '{amount} sin pagar',
+  'calc.covered': 'Totalmente cubierto',
+  'calc.exitBack': '{amount} devueltos',
+  'calc.exitDetail': '{net} neto · −{penalty} de penalización, {forfeited} de recompensas perdidas',
+  'calc.unlockedByThen': 'Ya desbloqueado',
+  'calc.penaltyOfPrincipal': '−{pct}% del principal',
+  'calc.cappedWarning': 'La reserva de recompensas ({reserve} {symbol}) no cubre algunas proyecciones. Los reclamos pagan como máximo la reserva y el resto se pierde, salvo que el propietario la recargue.',
+  'calc.note': 'Usa los APY actuales del contrato. La capitalización reinvierte cada reclamo en el mismo pool sin alargar el bloqueo; no incluye gas. Un retiro de emergencia devuelve el principal menos un {pct}% y pierde las recompensas no reclamadas. La reserva se comparte con todos, así que las cifras limitadas son el mejor caso.',
+  'calc.prompt': 'Introduce una cantidad para comparar los rendimientos previstos de cada pool',
+
+  // Reward reserve health
+  'solvency.title': 'Salud de la reserva de recompensas',
+  'solvency.shortfall': 'Tus recompensas pendientes ({pending} {symbol}) superan la reserva de recompensas ({reserve} {symbol}). Reclamar, retirar o añadir ahora paga como máximo la reserva y reinicia tu acumulación, así que',
+  'solvency.shortfallLoss': 'se perderían {amount} {symbol}.',
+  'solvency.shortfallAdvice': 'Esperar a que el propietario recargue la reserva evita la pérdida.',
+  'solvency.status': 'Estado de la reserva',
+  'solvency.status.healthy': 'Saludable',
+  'solvency.status.low': 'Baja',
+  'solvency.status.critical': 'Crítica',
+  'solvency.status.empty': 'Vacía',
+  'solvency.inReserve': '{amount} {symbol} en reserva',
+  'solvency.accruing': 'Recompensas acumulándose',
+  'solvency.perDay': '{symbol} al día, todos los pools',
+  'solvency.runway': 'Duración estimada',
+  'solvency.noAccrual': 'No se acumulan recompensas',
+  'solvency.runwayHours': '{hours} horas',
+  'solvency.runwayDays': '{days} días',
+  'solvency.until': 'Hasta ~{date}',
+  'solvency.notDrawn': 'La reserva no se está consumiendo',
+  'solvency.col.pool': 'Pool',
+  'solvency.col.apy': 'APY',
+  'solvency.col.totalStaked': 'Total en staking',
+  'solvency.col.perDay': 'Acumula / día',
+  'solvency.note': 'La duración supone los stakes y APY de hoy e ignora las recompensas acumuladas y no reclamadas de otros, así que la real es menor.',
+
+  // Top-up preview
+  'topUp.title': 'Añadir a la posición de {pool}',
+  'topUp.intro': 'Ya tienes staking en este pool. Añadir {amount} {symbol} primero reclama tus recompensas pendientes.',
+  'topUp.pending': 'Recompensas pendientes',
+  'topUp.paid': 'Pagado a tu billetera',
+  'topUp.forfeited': 'Perdido (reserva insuficiente)',
+  'topUp.newAmount': 'Posición tras añadir',
+  'topUp.unlocksAt': 'Se desbloquea',
+  'topUp.unlocksIn': '(en {time})',
+  'topUp.alreadyUnlocked': '(ya desbloqueada)',
+  'topUp.note': 'El bloqueo conserva su inicio original, así que los tokens añadidos se desbloquean con el resto de la posición. Se acumula algo más de recompensa antes de que se mine la transacción.',
+  'topUp.acknowledge': 'Entiendo que {amount} de recompensas se perderán para siempre.',
+  'topUp.confirm': 'Confirmar',
+
+  // Exit planner
+  'exit.open': 'Planificador de salida',
+  'exit.title': 'Planificador de salida',
+  'exit.noPositions': 'No tienes posiciones abiertas.',
+  'exit.maturedHeading': 'Vencidas — se retirarán',
+  'exit.lockedHeading': 'Aún bloqueadas — actívalas para salir antes',
+  'exit.col.pool': 'Pool',
+  'exit.col.principal': 'Principal',
+  'exit.col.rewardsPaid': 'Recompensas pagadas',
+  'exit.col.receive': 'Recibes',
+  'exit.col.emergency': 'Salida de emergencia',
+  'exit.col.unlocksIn': 'Se desbloquea en',
+  'exit.overReserve': '{amount} por encima de la reserva, perdidos',
+  'exit.emergencyToggle': 'Retiro de emergencia del pool de {pool}',
+  'exit.lockedCost': '−{penalty} de penalización ({pct}%), {forfeited} de recompensas perdidas',
+  'exit.breakdown': '{principal} de principal + {rewards} de recompensas',
+  'exit.breakdownPenalty': '− {penalty} de penalización',
+  'exit.unpaid': '{amount} {symbol} de recompensas no se pagarán.',
+  'exit.execute': { one: 'Salir de {count} posición', other: 'Salir de {count} posiciones' },
+  'exit.note': 'Cada salida es una transacción aparte, enviadas una tras otra. Si una falla, las anteriores quedan hechas y puedes reanudar desde ahí.',
+
+  // Watch mode
+  'watch.placeholder': 'Observar una dirección: 0x…',
+  'watch.submit': 'Observar',
+  'watch.banner': 'Solo lectura: observando {address}',
+  'watch.onChain': 'En {chain}. Staking, reclamos y retiros están desactivados en modo observación.',
+  'watch.notDeployed': 'El staking de {symbol} no está desplegado en la cadena {chainId}. Revisa el chainId del enlace.',
+  'watch.copy': 'Copiar enlace',
+  'watch.copied': '¡Copiado!',
+  'watch.stop': 'Dejar de observar',
+
+  // Demo mode
+  'demo.title': 'Modo demo',
+  'demo.description': 'Todo aquí funciona sobre una cadena simulada en este navegador: tokens de prueba, sin gas y sin billetera real. Adelanta el reloj para ver cómo vencen los bloqueos y crecen las recompensas.',
+  'demo.clock': 'Hora de la cadena {time} · bloque #{block}',
+  'demo.ahead': '{duration} por delante de la hora real',
+  'demo.advance': '+{duration}',
+  'demo.faucet': 'Obtener {amount} {symbol} de prueba',
+  'demo.connectFirst': 'Conecta primero la billetera demo',
+  'demo.reset': 'Reiniciar demo',
+  'demo.leave': 'Salir de la demo',
+
+  // Notification settings and alerts
+  'notify.title': 'Notificaciones',
+  'notify.unsupported': 'Este navegador no admite notificaciones.',
+  'notify.option.maturity': 'Cuando vence un bloqueo y se puede retirar una posición',
+  'notify.option.reserve': 'Cuando la reserva de recompensas baja de mis recompensas pendientes',
+  'notify.blocked': 'Las notificaciones están bloqueadas para este sitio. Permítelas en la configuración del navegador para activarlas.',
+  'notify.saved': 'Se guarda para esta billetera en este dispositivo.',
+  'notify.appOpen': 'Esta página es la que comprueba los avisos, así que solo llegan mientras la app está abierta en una pestaña (sirve en segundo plano). Si cierras la app, se detienen hasta que la vuelvas a abrir.',
+  'notify.maturityTitle': 'Tu stake de {symbol} se ha desbloqueado',
+  'notify.maturityBody': 'Tu posición de {pool} ya se puede retirar sin penalización.',
+  'notify.reserveTitle': 'La reserva de recompensas se está agotando',
+  'notify.reserveBody': 'La reserva ya no cubre tus recompensas pendientes. Reclamar ahora pagaría solo una parte.',
+
+  // Recent transactions
+  'txs.title': 'Transacciones recientes',
+  'txs.pendingCount': '({count} pendientes)',
+  'txs.empty': 'Aún no se han enviado transacciones desde este dispositivo.',
+  'txs.status.pending': 'Pendiente',
+  'txs.status.success': 'Confirmada',
+  'txs.status.reverted': 'Revertida',
+  'txs.status.replaced': 'Reemplazada en la billetera',
+  'txs.status.failed': 'No se pudo confirmar',
+  'txs.block': 'bloque {block}',
+  'txs.replacedBy': 'Reemplazada por',
+  'txs.clear': 'Borrar historial',
+
+  // Activity history and export
+  'activity.title': 'Historial de actividad',
+  'activity.scanning': 'Buscando eventos del contrato...',
+  'activity.scanningPct': 'Buscando eventos del contrato ({pct}%)...',
+  'activity.loadError': 'No se pudo cargar la actividad: {error}',
+  'activity.retry': 'Reintentar',
+  'activity.empty': 'Esta billetera aún no tiene actividad de staking.',
+  'activity.event.Staked': 'Staking',
+  'activity.event.ToppedUp': 'Añadido',
+  'activity.event.Unstaked': 'Retirado',
+  'activity.event.EmergencyUnstaked': 'Retiro de emergencia',
+  'activity.event.RewardsClaimed': 'Recompensas reclamadas',
+  'activity.event.RewardsDeposited': 'Recompensas depositadas',
+  'activity.allPools': 'Todos los pools',
+  'activity.amounts.unstaked': '{amount} {symbol} devueltos · +{rewards} de recompensas',
+  'activity.amounts.emergency': '{amount} {symbol} devueltos · −{penalty} de penalización',
+  'activity.amounts.toppedUp': '{amount} {symbol} añadidos · +{rewards} reclamados automáticamente',
+  'activity.amounts.claimed': '+{amount} {symbol}',
+  'activity.blockTx': 'Bloque {block} · Tx',
+  'export.title': 'Exportar para declaración de impuestos',
+  'export.from': 'Desde',
+  'export.to': 'Hasta',
+  'export.summary': '{count} filas · {rewards} {symbol} de recompensas pagadas · {penalty} {symbol} de penalizaciones',
+
+  // Protocol analytics
+  'analytics.open': 'Estadísticas',
+  'analytics.title': 'Estadísticas del protocolo',
+  'analytics.back': 'Volver al staking',
+  'analytics.refresh': 'Actualizar',
+  'analytics.unavailable': 'No hay ningún contrato de staking en esta red del que mostrar estadísticas.',
+  'analytics.loadError': 'No se pudo cargar el historial del contrato: {error}',
+  'analytics.empty': 'Todavía no hay actividad de staking.',
+  'analytics.tvl': 'Valor total bloqueado',
+  'analytics.activeStakers': 'Stakers activos',
+  'analytics.rewardsPaid': 'Recompensas pagadas',
+  'analytics.deposited': 'Recompensas depositadas',
+  'analytics.penalties': 'Penalizaciones cobradas',
+  'analytics.events': 'Eventos',
+  'analytics.indexedTo': 'Hasta el bloque #{block}',
+  'analytics.allPools': 'Todos los pools',
+  'analytics.tvlTitle': 'TVL por pool',
+  'analytics.reserveTitle': 'Historial de la reserva de recompensas',
+  'analytics.reserve': 'Reserva de recompensas',
+  'analytics.reserveNote': 'Los depósitos y las penalizaciones por salida de emergencia se suman a la reserva; las recompensas pagadas salen de ella. No incluye {symbol} enviados al contrato sin depositRewards().',
+  'analytics.dailyTitle': 'Stakes y retiros diarios',
+  'analytics.series.staked': 'Stake y ampliaciones',
+  'analytics.series.unstaked': 'Retirado',
+  'analytics.series.emergency': 'Salidas de emergencia',
+  'analytics.dailySummary': 'Stakes y ampliaciones: {stakes} · Retiros: {unstakes} · Salidas de emergencia: {exits}',
+  'analytics.emergencyTitle': 'Salidas de emergencia',
+  'analytics.exits': 'Salidas',
+  'analytics.exitPrincipal': 'Capital retirado',
+  'analytics.penaltyNote': 'Se queda en la reserva de recompensas',
+  'analytics.poolRewardsNote': 'Las recompensas reclamadas con "Reclamar todas las recompensas" no se reparten por pool y solo cuentan en el total.',
+  'analytics.leaderboardTitle': 'Mayores stakers',
+  'analytics.noStakers': 'Nadie está haciendo staking ahora mismo.',
+  'analytics.watch': 'Ver',
+  'analytics.col.pool': 'Pool',
+  'analytics.col.tvl': 'En stake ahora',
+  'analytics.col.stakers': 'Stakers',
+  'analytics.col.staked': 'En stake (histórico)',
+  'analytics.col.unstaked': 'Retirado',
+  'analytics.col.exits': 'Salidas de emergencia',
+  'analytics.col.penalties': 'Penalizaciones',
+  'analytics.col.rewards': 'Recompensas pagadas',
+  'analytics.col.wallet': 'Wallet',
+  'analytics.col.pools': 'Pools',
+  'analytics.col.since': 'En stake desde',
+
+  // Admin console
+  'admin.open': 'Consola de administración',
+  'admin.title': 'Consola de administración',
+  'admin.pools': 'Pools',
+  'admin.col.lock': 'Bloqueo',
+  'admin.col.apy': 'APY',
+  'admin.col.totalStaked': 'Total en staking',
+  'admin.col.newApy': 'Nuevo APY (%)',
+  'admin.save': 'Guardar',
+  'admin.addPool': 'Añadir pool',
+  'admin.lockDuration': 'Duración del bloqueo',
+  'admin.unit.days': 'días',
+  'admin.unit.hours': 'horas',
+  'admin.unit.minutes': 'minutos',
+  'admin.apyPct': 'APY (%)',
+  'admin.fund': 'Financiar la reserva de recompensas',
+  'admin.currentReserve': 'Reserva actual:',
+  'admin.yourBalance': 'Tu saldo:',
+  'admin.deposit': 'Depositar',
+  'admin.depositNote': 'Aprueba el contrato de staking por la cantidad exacta si hace falta y luego llama a depositRewards.',
+  'admin.flow.addPool': 'Añadir pool',
+  'admin.flow.addingPool': 'Añadiendo pool',
+  'admin.flow.updatePool': 'Actualización del pool de {pool}',
+  'admin.flow.updatingApy': 'Actualizando APY',
+  'admin.flow.deposit': 'Depósito de recompensas',
+  'admin.flow.depositing': 'Depositando recompensas',
+  'admin.error.apy': 'El APY debe ser un número entero mayor que 0 (el contrato revierte con "APY=0").',
+  'admin.error.lock': 'La duración del bloqueo debe ser un número entero mayor que 0 (el contrato revierte con "Lock=0").',
+  'admin.error.exists': 'Ya existe un pool con esta duración (el contrato revierte con "Exists").',
+  'admin.error.missing': 'El pool no existe (el contrato revierte con "Pool missing").',
+  'admin.error.sameApy': 'El nuevo APY es igual al actual.',
+  'admin.error.invalidAmount': 'Introduce una cantidad válida.',
+  'admin.error.depositZero': 'El depósito debe ser mayor que 0 (el contrato revierte con "Amount=0").',
+  'admin.error.depositBalance': 'El depósito supera el saldo de tu billetera.',
+
+  // Contract reverts and other errors
+  'errors.locked': 'Esta posición sigue bloqueada. Espera a su desbloqueo o usa el retiro de emergencia (2% de penalización, se pierden las recompensas).',
+  'errors.nothingStaked': 'No tienes nada en staking en este pool.',
+  'errors.noRewards': 'No hay recompensas que reclamar ahora: aún no se ha acumulado nada o la reserva está vacía.',
+  'errors.invalidPool': 'Este pool de staking no existe en el contrato. Actualiza para cargar los pools actuales.',
+  'errors.amountZero': 'La cantidad debe ser mayor que 0.',
+  'errors.lockZero': 'La duración del bloqueo debe ser mayor que 0.',
+  'errors.apyZero': 'El APY debe ser mayor que 0.',
+  'errors.poolExists': 'Ya existe un pool con esta duración de bloqueo.',
+  'errors.poolMissing': 'Este pool no existe en el contrato.',
+  'errors.notApproved': 'El contrato de staking no está aprobado para mover tantos tokens. Aprueba la cantidad primero.',
+  'errors.insufficientBalance': 'Tu billetera no tiene suficientes {symbol} para esta cantidad.',
+  'errors.allowanceTooLow': 'El contrato de staking está aprobado por {allowance} {symbol} pero esto necesita {needed}. Aprueba la cantidad primero.',
+  'errors.balanceTooLow': 'Tu billetera tiene {balance} {symbol} pero esto necesita {needed}.',
+  'errors.transferFailed': 'La transferencia de tokens falló. Revisa tu saldo y tu aprobación.',
+  'errors.ownerOnly': 'Solo el propietario del contrato puede hacer esto.',
+  'errors.reentrant': 'El contrato rechazó una llamada reentrante.',
+  'errors.rejected': 'El contrato rechazó esta transacción: "{reason}".',
+  'errors.unknown': 'Error desconocido',
+
+  // Transaction flows
+  'txFlow.status.pending': 'En espera',
+  'txFlow.status.simulating': 'Comprobando la transacción...',
+  'txFlow.status.signing': 'Confirma en tu billetera...',
+  'txFlow.status.confirming': 'Esperando confirmación...',
+  'txFlow.status.done': 'Confirmada',
+  'txFlow.status.skipped': 'No necesaria',
+  'txFlow.status.failed': 'Fallida',
+  'txFlow.resume': 'Reanudar',
+  'txFlow.replaced': '{step} fue {reason} en tu billetera.',
+  'txFlow.reverted': '{step} se revirtió en la cadena.',
+  'txFlow.stepName': 'el paso {index}/{total} ({step})',
+  'txFlow.rejected': 'Rechazaste {step} en tu billetera.',
+  'txFlow.notSent': 'No se envió nada a tu billetera para {step}.',
+  'txFlow.stillPending': '{step} se envió y aún puede confirmarse; al reanudar se espera a esa transacción en lugar de enviarla otra vez.'
+};
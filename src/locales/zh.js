@@ -0,0 +1,385 @@
+/**
+ * 简体中文消息。缺少的键会显示英文。
+ */
+export default {
+  // Shared
+  'common.amount': '{amount} {symbol}',
+  'common.cancel': '取消',
+  'common.close': '关闭',
+
+  // Header and network
+  'header.connected': '已连接',
+  'header.connectWallet': '连接钱包',
+  'header.language': '语言',
+  'network.title': '网络错误',
+  'network.notDeployed': '{symbol} 质押未部署在 {chain} 上。',
+  'network.chainN': '链 {id}',
+  'network.switchPrompt': '请切换到受支持的网络：',
+  'network.noDeployments': '此应用尚未配置任何部署。',
+  'network.switchTo': '切换到 {chain}',
+
+  // Modals
+  'modal.successTitle': '成功！',
+  'modal.errorTitle': '糟糕！',
+  'modal.walletConnected': '钱包连接成功！',
+  'modal.watchReadOnly': '观察模式为只读。停止观察后才能使用你自己的钱包。',
+  'modal.confirmed': '{label} 已确认 ✅',
+  'modal.invalidAmount': '请输入有效的数量。',
+  'modal.insufficientBalance': '你的钱包只有 {balance} {symbol}，不足以质押 {amount}。',
+  'modal.refreshed': '数据刷新成功！',
+
+  // Transaction flow labels
+  'flow.approving': '授权中',
+  'flow.stake': '质押 {amount} {symbol}',
+  'flow.staking': '质押中',
+  'flow.unstake': '从 {pool} 池解除质押',
+  'flow.unstaking': '解除质押中',
+  'flow.emergencyUnstake': '从 {pool} 池紧急解除质押',
+  'flow.emergencyUnstaking': '紧急解除质押中（将收取罚金）',
+  'flow.claim': '领取 {pool} 池奖励',
+  'flow.claiming': '领取奖励中',
+  'flow.compound': '将 {pool} 奖励复投到 {target} 池',
+  'flow.stakingClaimed': '质押已领取的奖励',
+  'flow.compoundPartial': '你的 {amount} {symbol} 奖励已领取到钱包，但尚未质押。可继续以重新质押，或直接保留。',
+  'flow.unstakingPool': '从 {pool} 池解除质押',
+  'flow.emergencyUnstakingPool': '从 {pool} 池紧急解除质押（将收取罚金）',
+  'flow.exitPartial': '{total} 笔退出中已完成 {done} 笔；其余仓位未受影响。继续即可接着执行。',
+  'flow.claimAll': '领取全部奖励',
+  'flow.claimingAll': '正在领取所有池的奖励',
+
+  // Stats
+  'stats.title': '你的 {name} 统计',
+  'stats.refreshing': '刷新中...',
+  'stats.available': '可用余额',
+  'stats.tokens': '{symbol} 代币',
+  'stats.totalStaked': '你的质押总额',
+  'stats.totalClaimable': '你的可领取总额',
+  'stats.sumOfPools': '{symbol} 代币（各池合计）',
+  'stats.rewardPool': '奖励池（管理员注资）',
+  'stats.availableForRewards': '可用于奖励的 {symbol}',
+  'stats.totalStakedAll': '质押总额（所有用户）',
+  'stats.inContract': '合约中的 {symbol}',
+  'stats.wallet': '钱包',
+  'stats.watching': '观察中（只读）',
+  'stats.lastUpdated': '最后更新：{time}',
+
+  // Pool cards
+  'pool.noPools': '尚未配置任何质押池。',
+  'pool.loading': '正在加载质押池...',
+  'pool.title': '{duration}池',
+  'pool.apy': '年化 {apy}%',
+  'pool.totalStaked': '此池共质押 {amount} {symbol}',
+  'pool.yourStaked': '你的质押数量：',
+  'pool.positionStatus': '仓位状态：',
+  'pool.status.empty': '无仓位',
+  'pool.status.locked': '🔒 锁定中',
+  'pool.status.unlocked': '🔓 已解锁',
+  'pool.stakedSince': '质押开始：{date}',
+  'pool.unlocksAt': '解锁时间：{date}',
+  'pool.stakeHeading': '质押 {symbol}',
+  'pool.stake': '质押',
+  'pool.topUp': '追加',
+  'pool.approveAnd': '授权并{action}',
+  'pool.claimable': '可领取奖励：',
+  'pool.claim': '领取',
+  'pool.claiming': '领取中...',
+  'pool.reserveNote': '奖励由管理员注资的奖励池支付。奖励池为空时领取会失败，但你的质押仍然安全。',
+  'pool.compoundHeading': '复投奖励',
+  'pool.compoundInto': '复投到 {duration}（年化 {apy}%）',
+  'pool.compound': '复投',
+  'pool.compoundNote': '先领取，再按实际领取的数量质押。追加到已有仓位会保留原解锁时间；新仓位会重新开始锁定。',
+  'pool.unstakeHeading': '解除全部 {symbol} 质押',
+  'pool.unstakeAvailableIn': '解除全部 {symbol} 质押（{time} 后可用）',
+  'pool.unstake': '解除质押',
+  'pool.emergencyHeading': '紧急解除质押（罚金 {pct}%，放弃奖励）',
+  'pool.emergency': '紧急解除质押',
+
+  // Claim all
+  'claimAll.title': '领取全部奖励',
+  'claimAll.sum': '所有池合计',
+  'claimAll.reserveShort': '奖励池仅有 {amount} {symbol}。现在领取将放弃其余部分。',
+  'claimAll.claiming': '全部领取中...',
+
+  // Welcome and footer
+  'welcome.title': '欢迎来到 {name}！',
+  'welcome.message': '连接钱包，开始质押你的 {symbol} 代币并赚取奖励。让你的代币动起来吧！',
+  'footer.quote': '耐心是成功的关键。',
+
+  // APY calculator
+  'calc.open': '打开年化收益计算器',
+  'calc.title': '年化收益计算器',
+  'calc.amount': '质押数量（{symbol}）',
+  'calc.amountPlaceholder': '输入数量',
+  'calc.compounding': '复利方式',
+  'calc.compounding.0': '不复投',
+  'calc.compounding.1': '每天领取并复投',
+  'calc.compounding.7': '每周领取并复投',
+  'calc.compounding.30': '每 30 天领取并复投',
+  'calc.exitAfter': '紧急退出时间（天，可选）',
+  'calc.exitPlaceholder': '例如 3',
+  'calc.noPools': '此网络上没有可用的质押池。',
+  'calc.col.pool': '池',
+  'calc.col.simple': '奖励（单利）',
+  'calc.col.compounded': '奖励（复利）',
+  'calc.col.total': '解锁时总额',
+  'calc.col.capped': '若奖励池保持当前水平',
+  'calc.col.exit': '紧急退出',
+  'calc.col.exitAt': '第 {day} 天紧急退出',
+  'calc.restakes': { other: '复投 {count} 次 · 实际年化 {apy}%' },
+  'calc.unpaid': '{amount} 未支付',
+  'calc.covered': '可全额支付',
+  'calc.exitBack': '取回 {amount}',
+  'calc.exitDetail': '净得 {net} · 罚金 −{penalty}，放弃奖励 {forfeited}',
+  'calc.unlockedByThen': '届时已解锁',
+  'calc.penaltyOfPrincipal': '本金的 −{pct}%',
+  'calc.cappedWarning': '奖励池（{reserve} {symbol}）无法覆盖部分预测。领取最多支付奖励池余额，其余部分将丢失，除非所有者补充奖励池。',
+  'calc.note': '使用当前链上年化。复投会把每次领取的奖励质押回同一个池，不会延长锁定期；未计入 gas。紧急退出返还本金减去 {pct}%，并放弃未领取的奖励。奖励池由所有质押者共享，因此受限数字是最乐观的情况。',
+  'calc.prompt': '输入数量以比较各池的预期收益',
+
+  // Reward reserve health
+  'solvency.title': '奖励池健康度',
+  'solvency.shortfall': '你的待领取奖励（{pending} {symbol}）超过了奖励池（{reserve} {symbol}）。现在领取、解除质押或追加最多只能获得奖励池余额，并会重置你的累计奖励，因此',
+  'solvency.shortfallLoss': '将损失 {amount} {symbol}。',
+  'solvency.shortfallAdvice': '等待所有者补充奖励池即可避免损失。',
+  'solvency.status': '奖励池状态',
+  'solvency.status.healthy': '健康',
+  'solvency.status.low': '偏低',
+  'solvency.status.critical': '危急',
+  'solvency.status.empty': '已空',
+  'solvency.inReserve': '奖励池中有 {amount} {symbol}',
+  'solvency.accruing': '奖励累计速度',
+  'solvency.perDay': '每天 {symbol}，所有池',
+  'solvency.runway': '预计可支撑',
+  'solvency.noAccrual': '没有奖励在累计',
+  'solvency.runwayHours': '{hours} 小时',
+  'solvency.runwayDays': '{days} 天',
+  'solvency.until': '约至 {date}',
+  'solvency.notDrawn': '奖励池未被消耗',
+  'solvency.col.pool': '池',
+  'solvency.col.apy': '年化',
+  'solvency.col.totalStaked': '质押总额',
+  'solvency.col.perDay': '每日累计',
+  'solvency.note': '预计时长基于当前的质押量和年化，并忽略其他质押者已累计但未领取的奖励，因此实际时长会更短。',
+
+  // Top-up preview
+  'topUp.title': '追加 {pool} 仓位',
+  'topUp.intro': '你已在此池质押。追加 {amount} {symbol} 会先领取你的待领取奖励。',
+  'topUp.pending': '待领取奖励',
+  'topUp.paid': '支付到你的钱包',
+  'topUp.forfeited': '放弃（奖励池不足）',
+  'topUp.newAmount': '追加后仓位',
+  'topUp.unlocksAt': '解锁时间',
+  'topUp.unlocksIn': '（{time} 后）',
+  'topUp.alreadyUnlocked': '（已解锁）',
+  'topUp.note': '锁定期保持原来的开始时间，因此追加的代币会与仓位其余部分一起解锁。交易上链前还会多累计少量奖励。',
+  'topUp.acknowledge': '我了解 {amount} 的奖励将永久丢失。',
+  'topUp.confirm': '确认追加',
+
+  // Exit planner
+  'exit.open': '退出规划',
+  'exit.title': '退出规划',
+  'exit.noPositions': '你没有未平仓位。',
+  'exit.maturedHeading': '已到期 — 将解除质押',
+  'exit.lockedHeading': '仍在锁定 — 勾选以提前退出',
+  'exit.col.pool': '池',
+  'exit.col.principal': '本金',
+  'exit.col.rewardsPaid': '支付奖励',
+  'exit.col.receive': '你将收到',
+  'exit.col.emergency': '紧急退出',
+  'exit.col.unlocksIn': '解锁倒计时',
+  'exit.overReserve': '超出奖励池 {amount}，将丢失',
+  'exit.emergencyToggle': '从 {pool} 池紧急解除质押',
+  'exit.lockedCost': '罚金 −{penalty}（{pct}%），放弃奖励 {forfeited}',
+  'exit.breakdown': '本金 {principal} + 奖励 {rewards}',
+  'exit.breakdownPenalty': '− 罚金 {penalty}',
+  'exit.unpaid': '{amount} {symbol} 的奖励将不会支付。',
+  'exit.execute': { other: '退出 {count} 个仓位' },
+  'exit.note': '每次退出都是单独的交易，依次发送。如果某笔失败，之前的交易保持完成，你可以从那里继续。',
+
+  // Watch mode
+  'watch.placeholder': '观察地址：0x…',
+  'watch.submit': '观察',
+  'watch.banner': '只读：正在观察 {address}',
+  'watch.onChain': '位于 {chain}。观察模式下无法质押、领取或解除质押。',
+  'watch.notDeployed': '{symbol} 质押未部署在链 {chainId} 上。请检查链接中的 chainId。',
+  'watch.copy': '复制链接',
+  'watch.copied': '已复制！',
+  'watch.stop': '停止观察',
+
+  // Demo mode
+  'demo.title': '演示模式',
+  'demo.description': '这里的一切都运行在本浏览器中的模拟链上：测试代币、无需 gas、无需真实钱包。将时钟向前拨动，即可看到锁定到期和奖励累积。',
+  'demo.clock': '链上时间 {time} · 区块 #{block}',
+  'demo.ahead': '比真实时间快 {duration}',
+  'demo.advance': '+{duration}',
+  'demo.faucet': '领取 {amount} 测试 {symbol}',
+  'demo.connectFirst': '请先连接演示钱包',
+  'demo.reset': '重置演示',
+  'demo.leave': '退出演示',
+
+  // Notification settings and alerts
+  'notify.title': '通知',
+  'notify.unsupported': '此浏览器不支持通知。',
+  'notify.option.maturity': '锁定到期、仓位可解除质押时',
+  'notify.option.reserve': '奖励池低于我的待领取奖励时',
+  'notify.blocked': '此网站的通知已被阻止。请在浏览器设置中允许通知后再开启。',
+  'notify.saved': '为此钱包保存在本设备上。',
+  'notify.appOpen': '提醒由此页面检查，因此只有在应用于某个标签页中打开时才会收到（后台标签页也可以）。关闭应用后将停止提醒，直到再次打开。',
+  'notify.maturityTitle': '你的 {symbol} 质押已解锁',
+  'notify.maturityBody': '你的 {pool} 仓位现在可以无罚金解除质押。',
+  'notify.reserveTitle': '奖励池即将不足',
+  'notify.reserveBody': '奖励池已无法覆盖你的待领取奖励。现在领取只能获得其中一部分。',
+
+  // Recent transactions
+  'txs.title': '最近交易',
+  'txs.pendingCount': '（{count} 笔待处理）',
+  'txs.empty': '此设备尚未发送任何交易。',
+  'txs.status.pending': '待处理',
+  'txs.status.success': '已确认',
+  'txs.status.reverted': '已回滚',
+  'txs.status.replaced': '已在钱包中替换',
+  'txs.status.failed': '无法确认',
+  'txs.block': '区块 {block}',
+  'txs.replacedBy': '替换为',
+  'txs.clear': '清除记录',
+
+  // Activity history and export
+  'activity.title': '活动记录',
+  'activity.scanning': '正在扫描合约事件...',
+  'activity.scanningPct': '正在扫描合约事件（{pct}%）...',
+  'activity.loadError': '无法加载活动记录：{error}',
+  'activity.retry': '重试',
+  'activity.empty': '此钱包尚无质押活动。',
+  'activity.event.Staked': '质押',
+  'activity.event.ToppedUp': '追加',
+  'activity.event.Unstaked': '解除质押',
+  'activity.event.EmergencyUnstaked': '紧急解除质押',
+  'activity.event.RewardsClaimed': '领取奖励',
+  'activity.event.RewardsDeposited': '注入奖励',
+  'activity.allPools': '所有池',
+  'activity.amounts.unstaked': '返还 {amount} {symbol} · 奖励 +{rewards}',
+  'activity.amounts.emergency': '返还 {amount} {symbol} · 罚金 −{penalty}',
+  'activity.amounts.toppedUp': '追加 {amount} {symbol} · 自动领取 +{rewards}',
+  'activity.amounts.claimed': '+{amount} {symbol}',
+  'activity.blockTx': '区块 {block} · 交易',
+  'export.title': '导出用于报税',
+  'export.from': '从',
+  'export.to': '至',
+  'export.summary': '{count} 行 · 已付奖励 {rewards} {symbol} · 罚金 {penalty} {symbol}',
+
+  // Protocol analytics
+  'analytics.open': '数据分析',
+  'analytics.title': '协议数据分析',
+  'analytics.back': '返回质押',
+  'analytics.refresh': '刷新',
+  'analytics.unavailable': '此网络上没有可供分析的质押合约。',
+  'analytics.loadError': '无法加载合约历史：{error}',
+  'analytics.empty': '暂无质押活动。',
+  'analytics.tvl': '总锁仓价值',
+  'analytics.activeStakers': '活跃质押者',
+  'analytics.rewardsPaid': '已付奖励',
+  'analytics.deposited': '已存入奖励',
+  'analytics.penalties': '已收罚金',
+  'analytics.events': '事件',
+  'analytics.indexedTo': '截至区块 #{block}',
+  'analytics.allPools': '所有池',
+  'analytics.tvlTitle': '各池 TVL',
+  'analytics.reserveTitle': '奖励储备历史',
+  'analytics.reserve': '奖励储备',
+  'analytics.reserveNote': '存入的奖励和紧急退出罚金计入储备；已付奖励从中扣除。未通过 depositRewards() 转入合约的 {symbol} 不计入。',
+  'analytics.dailyTitle': '每日质押与解押',
+  'analytics.series.staked': '质押与追加',
+  'analytics.series.unstaked': '解押',
+  'analytics.series.emergency': '紧急退出',
+  'analytics.dailySummary': '质押与追加：{stakes} · 解押：{unstakes} · 紧急退出：{exits}',
+  'analytics.emergencyTitle': '紧急退出',
+  'analytics.exits': '退出次数',
+  'analytics.exitPrincipal': '取回本金',
+  'analytics.penaltyNote': '留在奖励储备中',
+  'analytics.poolRewardsNote': '通过“领取全部奖励”领取的奖励无法按池拆分，只计入总额。',
+  'analytics.leaderboardTitle': '质押排行榜',
+  'analytics.noStakers': '目前没有人在质押。',
+  'analytics.watch': '查看',
+  'analytics.col.pool': '池',
+  'analytics.col.tvl': '当前质押',
+  'analytics.col.stakers': '质押者',
+  'analytics.col.staked': '累计质押',
+  'analytics.col.unstaked': '已解押',
+  'analytics.col.exits': '紧急退出',
+  'analytics.col.penalties': '罚金',
+  'analytics.col.rewards': '已付奖励',
+  'analytics.col.wallet': '钱包',
+  'analytics.col.pools': '池',
+  'analytics.col.since': '质押开始于',
+
+  // Admin console
+  'admin.open': '管理控制台',
+  'admin.title': '管理控制台',
+  'admin.pools': '质押池',
+  'admin.col.lock': '锁定期',
+  'admin.col.apy': '年化',
+  'admin.col.totalStaked': '质押总额',
+  'admin.col.newApy': '新年化（%）',
+  'admin.save': '保存',
+  'admin.addPool': '添加池',
+  'admin.lockDuration': '锁定期',
+  'admin.unit.days': '天',
+  'admin.unit.hours': '小时',
+  'admin.unit.minutes': '分钟',
+  'admin.apyPct': '年化（%）',
+  'admin.fund': '注资奖励池',
+  'admin.currentReserve': '当前奖励池：',
+  'admin.yourBalance': '你的余额：',
+  'admin.deposit': '存入',
+  'admin.depositNote': '如有需要，先按精确数量授权质押合约，然后调用 depositRewards。',
+  'admin.flow.addPool': '添加池',
+  'admin.flow.addingPool': '正在添加池',
+  'admin.flow.updatePool': '更新 {pool} 池',
+  'admin.flow.updatingApy': '正在更新年化',
+  'admin.flow.deposit': '注入奖励',
+  'admin.flow.depositing': '正在注入奖励',
+  'admin.error.apy': '年化必须是大于 0 的整数（合约会以 "APY=0" 回滚）。',
+  'admin.error.lock': '锁定期必须是大于 0 的整数（合约会以 "Lock=0" 回滚）。',
+  'admin.error.exists': '已存在相同锁定期的池（合约会以 "Exists" 回滚）。',
+  'admin.error.missing': '该池不存在（合约会以 "Pool missing" 回滚）。',
+  'admin.error.sameApy': '新年化与当前相同。',
+  'admin.error.invalidAmount': '请输入有效的数量。',
+  'admin.error.depositZero': '存入数量必须大于 0（合约会以 "Amount=0" 回滚）。',
+  'admin.error.depositBalance': '存入数量超过了你的钱包余额。',
+
+  // Contract reverts and other errors
+  'errors.locked': '此仓位仍在锁定中。请等待解锁，或使用紧急解除质押（2% 罚金，放弃奖励）。',
+  'errors.nothingStaked': '你在此池中没有质押。',
+  'errors.noRewards': '目前没有可领取的奖励 — 可能尚未累计，或奖励池已空。',
+  'errors.invalidPool': '合约中不存在此质押池。请刷新以加载当前的池。',
+  'errors.amountZero': '数量必须大于 0。',
+  'errors.lockZero': '锁定期必须大于 0。',
+  'errors.apyZero': '年化必须大于 0。',
+  'errors.poolExists': '已存在相同锁定期的池。',
+  'errors.poolMissing': '合约中不存在此池。',
+  'errors.notApproved': '质押合约未获授权转移这么多代币。请先授权该数量。',
+  'errors.insufficientBalance': '你的钱包中 {symbol} 不足。',
+  'errors.allowanceTooLow': '质押合约已获授权 {allowance} {symbol}，但此操作需要 {needed}。请先授权该数量。',
+  'errors.balanceTooLow': '你的钱包有 {balance} {symbol}，但此操作需要 {needed}。',
+  'errors.transferFailed': '代币转账失败。请检查余额和授权额度。',
+  'errors.ownerOnly': '只有合约所有者可以执行此操作。',
+  'errors.reentrant': '合约拒绝了重入调用。',
+  'errors.rejected': '合约拒绝了此交易："{reason}"。',
+  'errors.unknown': '未知错误',
+
+  // Transaction flows
+  'txFlow.status.pending': '等待中',
+  'txFlow.status.simulating': '正在检查交易...',
+  'txFlow.status.signing': '请在钱包中确认...',
+  'txFlow.status.confirming': '等待确认...',
+  'txFlow.status.done': '已确认',
+  'txFlow.status.skipped': '无需执行',
+  'txFlow.status.failed': '失败',
+  'txFlow.resume': '继续',
+  'txFlow.replaced': '{step} 在你的钱包中被{reason}。',
+  'txFlow.reverted': '{step} 在链上回滚。',
+  'txFlow.stepName': '第 {index}/{total} 步（{step}）',
+  'txFlow.rejected': '你在钱包中拒绝了{step}。',
+  'txFlow.notSent': '{step}未向你的钱包发送任何请求。',
+  'txFlow.stillPending': '{step}已发送，可能仍会确认；继续时会等待该交易，而不会再次发送。'
+};
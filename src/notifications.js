@@ -0,0 +1,58 @@
+import { getActiveBrand } from './brands.js';
+import { STORAGE_PREFIX } from './storage.js';
+
+/************************************
+ * 🔔 Browser notifications
+ ************************************/
+const DEFAULT_PREFS = { maturity: false, reserve: false, notified: [], reserveShort: false };
+
+export const isNotificationSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+// Preferences and delivery state are kept per chain and wallet
+const prefsKey = (chainId, address) => `${STORAGE_PREFIX}:notifications:${chainId}:${address.toLowerCase()}`;
+
+export const loadPrefs = (chainId, address) => {
+  try {
+    return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(prefsKey(chainId, address)) ?? '{}') };
+  } catch {
+    return { ...DEFAULT_PREFS };
+  }
+};
+
+export const savePrefs = (chainId, address, prefs) => {
+  localStorage.setItem(prefsKey(chainId, address), JSON.stringify(prefs));
+};
+
+let registration = null;
+export const registerServiceWorker = async () => {
+  if (!isNotificationSupported()) return null;
+  registration ??= await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  return registration;
+};
+
+// Asks for permission once; resolves true when notifications may be shown
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return false;
+  if (Notification.permission === 'default') await Notification.requestPermission();
+  if (Notification.permission !== 'granted') return false;
+  await registerServiceWorker();
+  return true;
+};
+
+/**
+ * Shows a notification through the service worker, so clicking it focuses the app
+ * even when the tab is in the background. `tag` replaces an earlier notification
+ * with the same tag instead of stacking.
+ */
+export const showNotification = async (title, { body, tag }) => {
+  if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+  const options = { body, tag, icon: getActiveBrand().logo, data: { url: window.location.href } };
+  try {
+    const reg = await registerServiceWorker();
+    await reg.showNotification(title, options);
+  } catch (error) {
+    console.error('Service worker notification failed, falling back:', error);
+    new Notification(title, options);
+  }
+};
@@ -0,0 +1,79 @@
+import { EMERGENCY_UNSTAKE_PENALTY_BPS } from './contracts.js';
+
+/************************************
+ * 📈 Staking return projections
+ ************************************/
+// Contract formula per period: amount * APY(%) * days / (100 * 365)
+const accrue = (amount, apy, days) => (amount * apy * days) / (100 * 365);
+
+/**
+ * Walks a position through `days`, claiming and restaking into the same pool every
+ * `compoundEveryDays` (0 = never). Restaking is a top-up: the amount grows but the
+ * lock keeps its original start. Each claim pays at most what is left of `reserve`;
+ * the capped-off part is lost because the claim still resets accrual.
+ * Returns the restaked amount, the day of the last claim and the reserve left.
+ */
+const simulate = ({ amount, apy, days, compoundEveryDays, reserve }) => {
+  let principal = amount;
+  let lastClaimDay = 0;
+  let reserveLeft = reserve;
+  let claims = 0;
+  if (compoundEveryDays > 0) {
+    while (lastClaimDay + compoundEveryDays < days) {
+      const due = accrue(principal, apy, compoundEveryDays);
+      const paid = Math.min(due, reserveLeft);
+      principal += paid;
+      reserveLeft -= paid;
+      lastClaimDay += compoundEveryDays;
+      claims += 1;
+    }
+  }
+  return { principal, lastClaimDay, reserveLeft, claims };
+};
+
+/**
+ * Projection for staking `amount` tokens in one pool for its full lock, plus an
+ * emergency exit after `exitAfterDays` (null to skip). `reserve` is the current
+ * rewardReserve(); it is shared with every other staker, so the capped figures are
+ * a best case.
+ */
+export const projectPool = ({ amount, apy, lockDays, compoundEveryDays = 0, exitAfterDays = null, reserve = Infinity }) => {
+  const simpleRewards = accrue(amount, apy, lockDays);
+
+  // Full lock, then unstake: principal back plus the final (capped) claim
+  const run = simulate({ amount, apy, days: lockDays, compoundEveryDays, reserve });
+  const finalDue = accrue(run.principal, apy, lockDays - run.lastClaimDay);
+  const finalPaid = Math.min(finalDue, run.reserveLeft);
+  const rewards = run.principal - amount + finalPaid;
+  const uncapped = simulate({ amount, apy, days: lockDays, compoundEveryDays, reserve: Infinity });
+  const uncappedRewards = uncapped.principal - amount + accrue(uncapped.principal, apy, lockDays - uncapped.lastClaimDay);
+
+  // Emergency exit: unclaimed rewards are forfeited and the penalty hits everything restaked
+  let earlyExit = null;
+  if (exitAfterDays !== null && exitAfterDays < lockDays) {
+    const exitRun = simulate({ amount, apy, days: exitAfterDays, compoundEveryDays, reserve });
+    const penalty = (exitRun.principal * EMERGENCY_UNSTAKE_PENALTY_BPS) / 10_000;
+    const returned = exitRun.principal - penalty;
+    earlyExit = {
+      day: exitAfterDays,
+      returned,
+      penalty,
+      forfeitedRewards: accrue(exitRun.principal, apy, exitAfterDays - exitRun.lastClaimDay),
+      net: returned - amount
+    };
+  }
+
+  return {
+    simpleRewards,
+    compoundedRewards: uncappedRewards,
+    claims: uncapped.claims,
+    effectiveApy: lockDays > 0 ? (uncappedRewards / amount) * (365 / lockDays) * 100 : 0,
+    total: amount + uncappedRewards,
+    reserveCapped: {
+      rewards,
+      shortfall: uncappedRewards - rewards,
+      isCapped: uncappedRewards - rewards > 1e-9
+    },
+    earlyExit
+  };
+};
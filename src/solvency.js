@@ -0,0 +1,126 @@
+import { SECONDS_PER_DAY } from './format.js';
+
+/************************************
+ * 🏦 Reward reserve solvency
+ ************************************/
+export const SECONDS_PER_YEAR = 365 * SECONDS_PER_DAY;
+
+// Contract formula: reward = amount * APY(%) * elapsed / (100 * 365 days)
+export const accrualPerDay = (totalStaked, apy) =>
+  (totalStaked * BigInt(apy) * BigInt(SECONDS_PER_DAY)) / (100n * BigInt(SECONDS_PER_YEAR));
+
+// Mirrors pendingRewards(user, ld) at chain time `now`, from stakes() amount and lastClaim
+export const accruedRewards = (amount, apy, lastClaim, now) => {
+  const elapsed = BigInt(Math.max(0, now - Number(lastClaim)));
+  return (amount * BigInt(apy) * elapsed) / (100n * BigInt(SECONDS_PER_YEAR));
+};
+
+/**
+ * Compares rewardReserve() with what all pools accrue, from pools(ld).apy * totalStaked.
+ * `runwayDays` is how long the reserve lasts at the current rate (Infinity when nothing
+ * accrues). It ignores rewards already accrued but not yet claimed by other stakers, so
+ * the real runway is shorter. `userShortfall` is the part of the wallet's pending rewards
+ * the reserve cannot pay: a claim pays at most the reserve and still resets accrual, so
+ * that part is forfeited.
+ *
+ * status: 'empty'    — reserve is 0, claims pay nothing
+ *         'critical' — runs out within a day
+ *         'low'      — runs out before the longest lock matures
+ *         'healthy'  — otherwise
+ */
+export const getSolvency = ({ reserve = 0n, pools = [], userPending = 0n }) => {
+  const perPool = pools.map((pool) => ({
+    id: pool.id,
+    perDay: accrualPerDay(pool.totalStaked ?? 0n, pool.apy)
+  }));
+  const perDay = perPool.reduce((sum, p) => sum + p.perDay, 0n);
+
+  // Scaled to keep 3 decimals of precision through the bigint division
+  const runwayDays = perDay === 0n ? Infinity : Number((reserve * 1000n) / perDay) / 1000;
+  const runsOutAt = Number.isFinite(runwayDays) ? new Date(Date.now() + runwayDays * SECONDS_PER_DAY * 1000) : null;
+  const longestLockDays = Math.max(0, ...pools.map((pool) => pool.lockDurationInSeconds / SECONDS_PER_DAY));
+
+  let status = 'healthy';
+  if (reserve === 0n) status = 'empty';
+  else if (runwayDays < 1) status = 'critical';
+  else if (runwayDays < longestLockDays) status = 'low';
+
+  return {
+    reserve,
+    perDay,
+    perPool,
+    runwayDays,
+    runsOutAt,
+    status,
+    userPending,
+    userShortfall: userPending > reserve ? userPending - reserve : 0n
+  };
+};
+
+/**
+ * What stake() does to an existing position: it first auto-claims the pending rewards,
+ * capped at the reserve, and resets lastClaim so anything above the cap is forfeited.
+ * The lock keeps running from the original startTime, so the added tokens unlock with
+ * the rest of the position (immediately, if it has already matured).
+ */
+export const previewTopUp = ({ position, lockDurationInSeconds, addedAmount, reserve = 0n, now }) => {
+  const pending = position.rewardsWei ?? 0n;
+  const paid = pending > reserve ? reserve : pending;
+  const unlockAt = position.startTime + lockDurationInSeconds;
+  return {
+    pending,
+    paid,
+    forfeited: pending - paid,
+    newAmount: position.amount + addedAmount,
+    unlockAt,
+    remaining: Math.max(0, unlockAt - now)
+  };
+};
+
+/**
+ * Payouts for exiting several positions in one go, in the order they will be sent:
+ * unstake() for each matured position, then emergencyUnstake() for the locked ones in
+ * `emergencyPoolIds`. Each unstake pays its rewards from what is left of the reserve.
+ * Emergency exits forfeit rewards and return the principal minus the penalty.
+ * `positions` is `[{ pool, position }]` with position as built in App (amount, rewardsWei, status).
+ */
+export const planExit = ({ positions, reserve = 0n, emergencyPoolIds = [], penaltyBps }) => {
+  let reserveLeft = reserve;
+  const matured = positions
+    .filter(({ position }) => position.status === 'unlocked')
+    .map(({ pool, position }) => {
+      const rewardsDue = position.rewardsWei ?? 0n;
+      const rewardsPaid = rewardsDue > reserveLeft ? reserveLeft : rewardsDue;
+      reserveLeft -= rewardsPaid;
+      return { pool, principal: position.amount, rewardsDue, rewardsPaid, received: position.amount + rewardsPaid };
+    });
+  const locked = positions
+    .filter(({ position }) => position.status === 'locked')
+    .map(({ pool, position }) => {
+      const penalty = (position.amount * BigInt(penaltyBps)) / 10_000n;
+      return {
+        pool,
+        unlockAt: position.unlockAt,
+        principal: position.amount,
+        penalty,
+        forfeited: position.rewardsWei ?? 0n,
+        received: position.amount - penalty,
+        optedIn: emergencyPoolIds.includes(pool.id)
+      };
+    });
+
+  const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0n);
+  const emergency = locked.filter((row) => row.optedIn);
+  return {
+    matured,
+    locked,
+    totals: {
+      principal: sum(matured, 'principal') + sum(emergency, 'principal'),
+      rewards: sum(matured, 'rewardsPaid'),
+      rewardsLostToCap: sum(matured, 'rewardsDue') - sum(matured, 'rewardsPaid'),
+      penalty: sum(emergency, 'penalty'),
+      forfeited: sum(emergency, 'forfeited'),
+      received: sum(matured, 'received') + sum(emergency, 'received')
+    }
+  };
+};
@@ -0,0 +1,256 @@
+import { BlockNotFoundError } from 'viem';
+import { fetchStakingLogs, toActivityEntries } from './activity.js';
+
+/************************************
+ * 🗂️ Event index (stakers, TVL history, pool metrics)
+ ************************************/
+// The staking contract's whole event history as activity entries (activity.js), kept in
+// sync with the chain. Every view below is derived from the entries, so undoing a reorg
+// only means dropping the entries past the last block both chains share. Nothing here
+// touches Node or browser APIs: scripts/indexer.js stores and serves it.
+const INDEX_VERSION = 1;
+
+// Block hashes kept to find the common ancestor after a reorg; deeper reorgs rebuild the index
+const RECENT_BLOCKS = 128;
+
+// Blocks one syncIndex() call scans at most, so a long backfill can be saved as it goes
+const SYNC_STEP = 10_000n;
+
+export const createIndex = ({ chainId, staking, deployBlock = 0n }) => ({
+  version: INDEX_VERSION,
+  chainId,
+  staking,
+  deployBlock: BigInt(deployBlock),
+  cursor: null,      // { number, hash } of the last block scanned
+  recentBlocks: [],  // [{ number, hash }], oldest first, ending at the cursor
+  entries: []        // chronological
+});
+
+// Whether a stored index was built for this deployment by this version of the code
+export const isIndexFor = (index, { chainId, staking }) =>
+  index?.version === INDEX_VERSION && index.chainId === chainId && index.staking.toLowerCase() === staking.toLowerCase();
+
+// Storage format: JSON with bigints tagged so they survive the round trip
+export const serializeIndex = (index) => JSON.stringify(index, (_, v) => (typeof v === 'bigint' ? { $bigint: v.toString() } : v));
+export const parseIndex = (text) => JSON.parse(text, (_, v) => (v && typeof v === 'object' && '$bigint' in v ? BigInt(v.$bigint) : v));
+
+/***************************
+ * 🔄 Sync
+ ***************************/
+const rewind = (index, ancestor) => ({
+  ...index,
+  cursor: ancestor,
+  recentBlocks: index.recentBlocks.filter((block) => block.number <= ancestor.number),
+  entries: index.entries.filter((entry) => entry.blockNumber <= ancestor.number)
+});
+
+// The canonical block at `number`, or null when the node has none (the chain got shorter).
+// Other failures are thrown: the sync is retried later instead of mistaking them for a reorg.
+const canonicalBlock = (publicClient, number) =>
+  publicClient.getBlock({ blockNumber: number }).catch((error) => {
+    if (error instanceof BlockNotFoundError) return null;
+    throw error;
+  });
+
+// Newest stored block that is still on the canonical chain
+const findCommonAncestor = async (publicClient, blocks) => {
+  for (const block of [...blocks].reverse()) {
+    const current = await canonicalBlock(publicClient, block.number);
+    if (current?.hash === block.hash) return block;
+  }
+  return null;
+};
+
+/**
+ * Moves `index` towards the block `confirmations` behind the head, scanning at most
+ * `maxBlocks` blocks, and returns `{ index, added, removed, reorg, done }` (a new object; the
+ * input is not modified). Call it again until `done`, saving the index in between: a long
+ * backfill then keeps its progress when a later step fails. `onProgress` is
+ * fetchStakingLogs' callback, with `toBlock` the block the whole sync is heading for.
+ *
+ * Before scanning, the stored cursor block is checked against the chain. When it has been
+ * replaced, entries are dropped back to the newest stored block that is still canonical
+ * (or the index starts over when none is) and those blocks are scanned again. A scan that
+ * races a reorg is thrown away: the last scanned block's hash is read before and after it.
+ * RPC failures reject without touching the index, so the next call simply tries again.
+ */
+export const syncIndex = async (publicClient, index, { deployment, confirmations = 0, maxBlocks = SYNC_STEP, chunkSize, onProgress } = {}) => {
+  let next = index;
+  let reorg = false;
+  if (index.cursor) {
+    const current = await canonicalBlock(publicClient, index.cursor.number);
+    if (current?.hash !== index.cursor.hash) {
+      reorg = true;
+      const ancestor = await findCommonAncestor(publicClient, index.recentBlocks.slice(0, -1));
+      next = ancestor ? rewind(index, ancestor) : createIndex(index);
+    }
+  }
+  const removed = index.entries.length - next.entries.length;
+
+  const head = await publicClient.getBlockNumber();
+  const target = head - BigInt(confirmations);
+  const fromBlock = next.cursor ? next.cursor.number + 1n : next.deployBlock;
+  if (target < fromBlock) return { index: next, added: 0, removed, reorg, done: true };
+  const last = fromBlock + BigInt(maxBlocks) - 1n;
+  const toBlock = last < target ? last : target;
+
+  const tip = await publicClient.getBlock({ blockNumber: toBlock });
+  const logs = await fetchStakingLogs(publicClient, {
+    deployment,
+    fromBlock,
+    toBlock,
+    chunkSize,
+    onProgress: onProgress && ((progress) => onProgress({ ...progress, toBlock: target }))
+  });
+  const entries = await toActivityEntries(publicClient, { deployment, logs });
+  const tipAfter = await publicClient.getBlock({ blockNumber: toBlock });
+  if (tipAfter.hash !== tip.hash) return { index: next, added: 0, removed, reorg: true, done: false };
+
+  const scanned = new Map(entries.map((entry) => [entry.blockNumber, { number: entry.blockNumber, hash: entry.blockHash }]));
+  scanned.set(toBlock, { number: toBlock, hash: tip.hash });
+  const cursor = { number: toBlock, hash: tip.hash };
+  return {
+    index: {
+      ...next,
+      cursor,
+      recentBlocks: [...next.recentBlocks, ...scanned.values()].slice(-RECENT_BLOCKS),
+      entries: [...next.entries, ...entries]
+    },
+    added: entries.length,
+    removed,
+    reorg,
+    done: toBlock === target
+  };
+};
+
+/***************************
+ * 📈 Views
+ ***************************/
+const POSITION_EVENTS = ['Staked', 'ToppedUp', 'Unstaked', 'EmergencyUnstaked'];
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+const byAmountDesc = (a, b) => (a.amount === b.amount ? 0 : a.amount > b.amount ? -1 : 1);
+
+// Pools in the order they first saw activity, as lockDuration bigints
+const lockDurationsOf = (entries) =>
+  [...new Set(entries.filter((entry) => entry.lockDuration !== null).map((entry) => entry.lockDuration))];
+
+// Open positions replayed from the events: `{ [lockDuration]: Map(wallet => { amount, since }) }`
+const replayPositions = (entries) => {
+  const pools = {};
+  for (const entry of entries) {
+    if (!POSITION_EVENTS.includes(entry.type)) continue;
+    const pool = (pools[entry.lockDuration] ??= new Map());
+    const wallet = entry.wallet.toLowerCase();
+    const position = pool.get(wallet);
+    if (entry.type === 'Staked' || (entry.type === 'ToppedUp' && !position)) {
+      // A top-up without its Staked event only happens when the scan starts after the deploy block
+      pool.set(wallet, { wallet: entry.wallet, amount: entry.amount, since: entry.timestamp });
+    } else if (entry.type === 'ToppedUp') {
+      position.amount += entry.amount;
+    } else {
+      pool.delete(wallet);
+    }
+  }
+  return pools;
+};
+
+/**
+ * Wallets with an open position, per pool and largest first:
+ * [{ lockDuration, tvl, stakers: [{ wallet, amount, since }] }]
+ */
+export const getActiveStakers = (index, { lockDuration } = {}) => {
+  const pools = replayPositions(index.entries);
+  return lockDurationsOf(index.entries)
+    .filter((ld) => lockDuration === undefined || ld === BigInt(lockDuration))
+    .map((ld) => {
+      const stakers = [...(pools[ld]?.values() ?? [])].map((position) => ({ ...position })).sort(byAmountDesc);
+      return { lockDuration: ld, tvl: sum(stakers.map((s) => s.amount)), stakers };
+    });
+};
+
+/**
+ * Staked principal per pool after every change: [{ lockDuration, points: [{ blockNumber,
+ * timestamp, tvl }] }], plus the same series summed over all pools under lockDuration null.
+ */
+export const getTvlHistory = (index, { lockDuration } = {}) => {
+  const series = new Map([[null, { lockDuration: null, points: [] }]]);
+  const tvl = new Map([[null, 0n]]);
+  for (const entry of index.entries) {
+    if (!POSITION_EVENTS.includes(entry.type)) continue;
+    const delta = entry.type === 'Staked' || entry.type === 'ToppedUp' ? entry.amount : -entry.amount;
+    for (const key of [entry.lockDuration, null]) {
+      if (!series.has(key)) series.set(key, { lockDuration: key, points: [] });
+      tvl.set(key, (tvl.get(key) ?? 0n) + delta);
+      const points = series.get(key).points;
+      const point = { blockNumber: entry.blockNumber, timestamp: entry.timestamp, tvl: tvl.get(key) };
+      // One point per block: later events in the same block overwrite it
+      if (points.at(-1)?.blockNumber === entry.blockNumber) points[points.length - 1] = point;
+      else points.push(point);
+    }
+  }
+  const all = [...series.values()];
+  return lockDuration === undefined ? all : all.filter((s) => s.lockDuration === BigInt(lockDuration));
+};
+
+// Reserve payouts: unstake rewards, claims and top-up auto-claims. lockDuration is null for claimAllRewards().
+export const getRewardsPaid = (index) => {
+  const payouts = index.entries
+    .filter((entry) => entry.rewards > 0n)
+    .map(({ type, wallet, lockDuration, rewards, timestamp, blockNumber, txHash }) => ({ type, wallet, lockDuration, amount: rewards, timestamp, blockNumber, txHash }));
+  return { total: sum(payouts.map((p) => p.amount)), payouts };
+};
+
+// Emergency-exit penalties, which stay in the contract and add to the reserve
+export const getPenalties = (index) => {
+  const penalties = index.entries
+    .filter((entry) => entry.type === 'EmergencyUnstaked')
+    .map(({ wallet, lockDuration, amount, returned, penalty, timestamp, blockNumber, txHash }) => ({ wallet, lockDuration, principal: amount, returned, penalty, timestamp, blockNumber, txHash }));
+  return { total: sum(penalties.map((p) => p.penalty)), penalties };
+};
+
+// depositRewards() calls
+export const getDeposits = (index) => {
+  const deposits = index.entries
+    .filter((entry) => entry.type === 'RewardsDeposited')
+    .map(({ wallet, amount, timestamp, blockNumber, txHash }) => ({ from: wallet, amount, timestamp, blockNumber, txHash }));
+  return { total: sum(deposits.map((d) => d.amount)), deposits };
+};
+
+/**
+ * Lifetime figures per pool: [{ lockDuration, tvl, activeStakers, staked, unstaked,
+ * emergencyExits, emergencyPrincipal, penalties, rewardsPaid }]. Rewards from
+ * claimAllRewards() cannot be split by pool and are only counted in getRewardsPaid().
+ */
+export const getPoolMetrics = (index) => {
+  const active = getActiveStakers(index);
+  return active.map(({ lockDuration, tvl, stakers }) => {
+    const entries = index.entries.filter((entry) => entry.lockDuration === lockDuration);
+    const ofType = (...types) => entries.filter((entry) => types.includes(entry.type));
+    const exits = ofType('EmergencyUnstaked');
+    return {
+      lockDuration,
+      tvl,
+      activeStakers: stakers.length,
+      staked: sum(ofType('Staked', 'ToppedUp').map((e) => e.amount)),
+      unstaked: sum(ofType('Unstaked').map((e) => e.amount)),
+      emergencyExits: exits.length,
+      emergencyPrincipal: sum(exits.map((e) => e.amount)),
+      penalties: sum(exits.map((e) => e.penalty)),
+      rewardsPaid: sum(entries.map((e) => e.rewards))
+    };
+  });
+};
+
+// Headline numbers across the whole contract
+export const getTotals = (index) => {
+  const pools = getPoolMetrics(index);
+  const wallets = new Set(getActiveStakers(index).flatMap((pool) => pool.stakers.map((s) => s.wallet.toLowerCase())));
+  return {
+    tvl: sum(pools.map((p) => p.tvl)),
+    activeStakers: wallets.size,
+    rewardsPaid: getRewardsPaid(index).total,
+    penaltiesCollected: getPenalties(index).total,
+    deposited: getDeposits(index).total,
+    events: index.entries.length
+  };
+};
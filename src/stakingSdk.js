@@ -0,0 +1,202 @@
+import { formatUnits, parseUnits } from 'viem';
+import { erc20Abi, stakingAbi, TOKEN_DECIMALS } from './contracts.js';
+import { accruedRewards } from './solvency.js';
+
+/************************************
+ * 🧰 Staking SDK (viem only: React UI and Node scripts)
+ ************************************/
+// Everything here takes a viem PublicClient and a `deployment`, i.e. `{ token, staking, chainId? }`
+// (an entry of deployments.js, or any object with those addresses). Nothing depends on
+// React, wagmi or the browser.
+export { erc20Abi, stakingAbi, TOKEN_DECIMALS, EMERGENCY_UNSTAKE_PENALTY_BPS } from './contracts.js';
+export { accruedRewards } from './solvency.js';
+
+const stakingContract = ({ staking }) => ({ address: staking, abi: stakingAbi });
+const tokenContract = ({ token }) => ({ address: token, abi: erc20Abi });
+
+/***************************
+ * 🔢 Amounts
+ ***************************/
+// "12.5" => wei; throws on anything parseUnits rejects
+export const parseTokenAmount = (value) => parseUnits(String(value).trim(), TOKEN_DECIMALS);
+
+// wei => number of tokens, for display and arithmetic in the UI; missing values count as 0
+export const formatTokenAmount = (wei) => {
+  if (wei === undefined || wei === null) return 0;
+  try {
+    return parseFloat(formatUnits(Array.isArray(wei) ? wei[0] : wei, TOKEN_DECIMALS));
+  } catch {
+    return 0;
+  }
+};
+
+/***************************
+ * 📍 Positions
+ ***************************/
+/**
+ * Position state for one pool, from stakes(user, ld) => [amount, startTime, lastClaim].
+ * 'empty'    — nothing staked: only staking is possible
+ * 'locked'   — now < startTime + lockDuration: unstake reverts with "Locked", only emergency exit
+ * 'unlocked' — lock has matured: unstake returns principal plus (reserve-capped) rewards
+ */
+export const getPositionState = (stake, lockDurationInSeconds, now) => {
+  const [amount = 0n, startTime = 0n, lastClaim = 0n] = stake ?? [];
+  if (amount === 0n) return { status: 'empty', amount, startTime: 0, lastClaim: 0, unlockAt: 0, remaining: 0 };
+  const unlockAt = Number(startTime) + lockDurationInSeconds;
+  const remaining = Math.max(0, unlockAt - now);
+  return {
+    status: remaining > 0 ? 'locked' : 'unlocked',
+    amount,
+    startTime: Number(startTime),
+    lastClaim: Number(lastClaim),
+    unlockAt,
+    remaining
+  };
+};
+
+/***************************
+ * 📸 Snapshot (one multicall)
+ ***************************/
+// Contract-level reads, then pools(ld) per pool, then wallet reads when an address is given
+export const buildSnapshotCalls = (deployment, address, lockDurations) => {
+  const { chainId } = deployment;
+  const staking = { ...stakingContract(deployment), chainId };
+  const token = { ...tokenContract(deployment), chainId };
+  return [
+    { ...staking, functionName: 'getSupportedLockDurations' },
+    { ...staking, functionName: 'rewardReserve' },
+    { ...staking, functionName: 'totalStakedAll' },
+    { ...staking, functionName: 'owner' },
+    ...lockDurations.map((ld) => ({ ...staking, functionName: 'pools', args: [ld] })),
+    ...(address
+      ? [
+          { ...token, functionName: 'balanceOf', args: [address] },
+          { ...token, functionName: 'allowance', args: [address, deployment.staking] },
+          ...lockDurations.map((ld) => ({ ...staking, functionName: 'stakes', args: [address, ld] }))
+        ]
+      : [])
+  ];
+};
+
+// Inverse of buildSnapshotCalls, from multicall results; failed calls come back as undefined
+export const decodeSnapshot = (results, address, lockDurations) => {
+  const values = results.map((r) => (r.status === 'success' ? r.result : undefined));
+  const take = (n = 1) => values.splice(0, n);
+  const [supportedLockDurations, rewardReserve, totalStakedAll, owner] = take(4);
+  const pools = take(lockDurations.length);
+  const [tokenBalance, allowance] = address ? take(2) : [];
+  const stakes = address ? take(lockDurations.length) : [];
+  return { lockDurations, supportedLockDurations, rewardReserve, totalStakedAll, owner, pools, tokenBalance, allowance, stakes };
+};
+
+/**
+ * Every dashboard read (reserve, totals, owner, pools, and the wallet's balance, allowance
+ * and stakes) as one multicall at `blockNumber` (default latest). The pool list is read
+ * first unless `lockDurations` is given.
+ */
+export const readSnapshot = async (publicClient, { deployment, address, lockDurations, blockNumber }) => {
+  const durations = lockDurations ?? await publicClient.readContract({
+    ...stakingContract(deployment),
+    functionName: 'getSupportedLockDurations',
+    blockNumber
+  });
+  const results = await publicClient.multicall({
+    contracts: buildSnapshotCalls(deployment, address, durations),
+    blockNumber
+  });
+  return decodeSnapshot(results, address, durations);
+};
+
+/***************************
+ * 🔎 Reads
+ ***************************/
+// Existing pools as [{ lockDuration, apy, totalStaked }], in contract order. Plain reads
+// rather than a multicall, so it also works on local nodes without Multicall3.
+export const readPools = async (publicClient, { deployment, blockNumber }) => {
+  const lockDurations = await publicClient.readContract({ ...stakingContract(deployment), functionName: 'getSupportedLockDurations', blockNumber });
+  const pools = await Promise.all(lockDurations.map((ld) => publicClient.readContract({
+    ...stakingContract(deployment),
+    functionName: 'pools',
+    args: [ld],
+    blockNumber
+  })));
+  return lockDurations
+    .map((lockDuration, i) => [lockDuration, pools[i]])
+    .filter(([, [, exists]]) => exists)
+    .map(([lockDuration, [apy, , totalStaked]]) => ({ lockDuration, apy: Number(apy), totalStaked }));
+};
+
+// The token the contract stakes and pays rewards in (one token for both)
+export const readStakingToken = (publicClient, { staking }) =>
+  publicClient.readContract({ address: staking, abi: stakingAbi, functionName: 'token' });
+
+// `{ rewardReserve, totalStakedAll }` of the staking contract
+export const readReserve = async (publicClient, { deployment, blockNumber }) => {
+  const [rewardReserve, totalStakedAll] = await Promise.all(['rewardReserve', 'totalStakedAll']
+    .map((functionName) => publicClient.readContract({ ...stakingContract(deployment), functionName, blockNumber })));
+  return { rewardReserve, totalStakedAll };
+};
+
+/**
+ * The wallet's open positions as [{ lockDuration, apy, amount, startTime, lastClaim, unlockAt,
+ * status, pending }]. `pending` follows the contract formula at the block's timestamp and is
+ * not capped by the reserve; `now` (seconds) overrides the time it is computed for.
+ */
+export const readPositions = async (publicClient, { deployment, address, blockNumber, now }) => {
+  const [snapshot, block] = await Promise.all([
+    readSnapshot(publicClient, { deployment, address, blockNumber }),
+    now === undefined ? publicClient.getBlock(blockNumber === undefined ? {} : { blockNumber }) : null
+  ]);
+  const at = now ?? Number(block.timestamp);
+  return snapshot.lockDurations
+    .map((lockDuration, i) => {
+      const apy = Number(snapshot.pools[i]?.[0] ?? 0);
+      const state = getPositionState(snapshot.stakes[i], Number(lockDuration), at);
+      return { lockDuration, apy, ...state, pending: accruedRewards(state.amount, apy, state.lastClaim, at) };
+    })
+    .filter((position) => position.status !== 'empty');
+};
+
+// pendingRewards(user, ld) from the contract; summed over all pools when `lockDuration` is omitted
+export const readPendingRewards = async (publicClient, { deployment, address, lockDuration, blockNumber }) => {
+  const lockDurations = lockDuration === undefined
+    ? await publicClient.readContract({ ...stakingContract(deployment), functionName: 'getSupportedLockDurations', blockNumber })
+    : [lockDuration];
+  const pending = await Promise.all(lockDurations.map((ld) => publicClient.readContract({
+    ...stakingContract(deployment),
+    functionName: 'pendingRewards',
+    args: [address, ld],
+    blockNumber
+  })));
+  return pending.reduce((sum, value) => sum + value, 0n);
+};
+
+export const readTokenBalance = (publicClient, { deployment, address, blockNumber }) =>
+  publicClient.readContract({ ...tokenContract(deployment), functionName: 'balanceOf', args: [address], blockNumber });
+
+// What the staking contract may pull from `address`
+export const readAllowance = (publicClient, { deployment, address, blockNumber }) =>
+  publicClient.readContract({ ...tokenContract(deployment), functionName: 'allowance', args: [address, deployment.staking], blockNumber });
+
+// Whether `address` must approve before staking or depositing `amount` (wei)
+export const needsApproval = async (publicClient, { deployment, address, amount }) =>
+  (await readAllowance(publicClient, { deployment, address })) < amount;
+
+/***************************
+ * ✍️ Call builders
+ ***************************/
+// Each returns `{ address, abi, functionName, args, chainId }`, ready for viem's
+// simulateContract/writeContract (add `account`) or wagmi's writeContract.
+const call = (contract, deployment, functionName, args = []) => ({ ...contract(deployment), functionName, args, chainId: deployment.chainId });
+
+export const approveCall = (deployment, amount) => call(tokenContract, deployment, 'approve', [deployment.staking, amount]);
+export const stakeCall = (deployment, amount, lockDuration) => call(stakingContract, deployment, 'stake', [amount, BigInt(lockDuration)]);
+export const unstakeCall = (deployment, lockDuration) => call(stakingContract, deployment, 'unstake', [BigInt(lockDuration)]);
+export const emergencyUnstakeCall = (deployment, lockDuration) => call(stakingContract, deployment, 'emergencyUnstake', [BigInt(lockDuration)]);
+export const claimRewardsCall = (deployment, lockDuration) => call(stakingContract, deployment, 'claimRewards', [BigInt(lockDuration)]);
+export const claimAllRewardsCall = (deployment) => call(stakingContract, deployment, 'claimAllRewards');
+
+// Owner-only
+export const depositRewardsCall = (deployment, amount) => call(stakingContract, deployment, 'depositRewards', [amount]);
+export const addStakingPoolCall = (deployment, lockDuration, apy) => call(stakingContract, deployment, 'addStakingPool', [BigInt(lockDuration), BigInt(apy)]);
+export const modifyStakingPoolCall = (deployment, lockDuration, apy) => call(stakingContract, deployment, 'modifyStakingPool', [BigInt(lockDuration), BigInt(apy)]);
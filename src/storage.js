@@ -0,0 +1,5 @@
+/************************************
+ * 💾 localStorage keys
+ ************************************/
+// Every key this app stores starts with this, whichever brand the build shows
+export const STORAGE_PREFIX = 'staking';
@@ -0,0 +1,101 @@
+import { useSyncExternalStore } from 'react';
+import { STORAGE_PREFIX } from './storage.js';
+
+/************************************
+ * 🧾 Persistent transaction tracker
+ ************************************/
+const MAX_ENTRIES = 25;
+const EMPTY = [];
+
+// Transactions are listed per chain and wallet, newest first:
+// { hash, chainId, label, status: 'pending' | 'success' | 'reverted' | 'replaced' | 'failed',
+//   submittedAt, confirmedAt, blockNumber, replacedBy, error }
+const storageKey = (chainId, address) => `${STORAGE_PREFIX}:txs:${chainId}:${address.toLowerCase()}`;
+
+const cache = new Map();
+const listeners = new Set();
+
+const read = (chainId, address) => {
+  const key = storageKey(chainId, address);
+  if (!cache.has(key)) {
+    let entries = EMPTY;
+    try {
+      entries = JSON.parse(localStorage.getItem(key) ?? '[]');
+    } catch (error) {
+      console.error('Ignoring unreadable transaction history:', error);
+    }
+    cache.set(key, entries);
+  }
+  return cache.get(key);
+};
+
+const write = (chainId, address, entries) => {
+  const key = storageKey(chainId, address);
+  const trimmed = entries.slice(0, MAX_ENTRIES);
+  cache.set(key, trimmed);
+  localStorage.setItem(key, JSON.stringify(trimmed));
+  listeners.forEach((listener) => listener());
+};
+
+export const addTx = ({ chainId, address, hash, label }) => {
+  const entries = read(chainId, address).filter((tx) => tx.hash !== hash);
+  write(chainId, address, [{ hash, chainId, label, status: 'pending', submittedAt: Date.now() }, ...entries]);
+};
+
+export const updateTx = ({ chainId, address, hash }, changes) => {
+  write(chainId, address, read(chainId, address).map((tx) => (tx.hash === hash ? { ...tx, ...changes } : tx)));
+};
+
+export const clearTxs = (chainId, address) => write(chainId, address, []);
+
+// One receipt wait per hash, shared by the tx pipeline and the resume-on-load tracker
+const inFlight = new Map();
+
+/**
+ * Waits for a tracked transaction's receipt and records the outcome. A replacement
+ * that only repriced the tx (sped up) counts as the same transaction; a cancelled or
+ * different replacement is recorded as 'replaced'. Resolves `{ receipt, replacement }`.
+ */
+export const waitForTrackedTx = (publicClient, { chainId, address, hash }) => {
+  if (!inFlight.has(hash)) {
+    let replacement = null;
+    const promise = publicClient
+      .waitForTransactionReceipt({ hash, onReplaced: (r) => { replacement = r; } })
+      .then((receipt) => {
+        const replaced = replacement && replacement.reason !== 'repriced';
+        updateTx({ chainId, address, hash }, {
+          status: replaced ? 'replaced' : receipt.status === 'success' ? 'success' : 'reverted',
+          blockNumber: Number(receipt.blockNumber),
+          confirmedAt: Date.now(),
+          replacedBy: replacement?.transaction.hash ?? null
+        });
+        return { receipt, replacement };
+      }, (error) => {
+        updateTx({ chainId, address, hash }, { status: 'failed', error: error.shortMessage || error.message });
+        throw error;
+      })
+      .finally(() => inFlight.delete(hash));
+    inFlight.set(hash, promise);
+  }
+  return inFlight.get(hash);
+};
+
+// Keep tabs in sync when another tab records a transaction
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (!event.key?.startsWith(`${STORAGE_PREFIX}:txs:`)) return;
+    cache.delete(event.key);
+    listeners.forEach((listener) => listener());
+  });
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Tracked transactions for a chain and wallet, newest first
+export const useTrackedTxs = (chainId, address) => useSyncExternalStore(
+  subscribe,
+  () => (chainId && address ? read(chainId, address) : EMPTY)
+);
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { useBlock } from 'wagmi';
+
+/**
+ * Chain time in seconds, ticking every `intervalMs` and re-anchored to the latest
+ * block's timestamp whenever a new block arrives. Lock checks and reward accrual in
+ * the contract use block.timestamp, so this keeps countdowns and interpolated
+ * rewards in step with the chain rather than the local clock. Falls back to the
+ * local clock until the first block is seen.
+ */
+export const useChainClock = ({ chainId, enabled = true, intervalMs = 1000 } = {}) => {
+  const { data: block } = useBlock({ chainId, watch: enabled, query: { enabled } });
+  const [anchor, setAnchor] = useState(null);
+  const [tick, setTick] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (block) setAnchor({ timestamp: Number(block.timestamp), receivedAt: Date.now() });
+  }, [block]);
+
+  useEffect(() => {
+    const id = setInterval(() => setTick(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  const now = anchor
+    ? anchor.timestamp + Math.max(0, Math.floor((tick - anchor.receivedAt) / 1000))
+    : Math.floor(tick / 1000);
+
+  return { now, blockNumber: block?.number };
+};
@@ -0,0 +1,26 @@
+import { useAccount } from 'wagmi';
+import { DEFAULT_CHAIN_ID, getDeployment } from './deployments.js';
+import { useWatchTarget } from './watchMode.js';
+
+/**
+ * Deployment (token, staking contract, deploy block) for the wallet's current chain,
+ * or for the default chain while disconnected. `deployment` is null when the wallet
+ * is on a chain without one; `isWrongNetwork` flags that case.
+ *
+ * In watch mode the chain comes from the URL's chainId when given, otherwise the
+ * wallet's chain if it has a deployment, otherwise the default chain. Nothing is
+ * signed while watching, so the wallet's network is never "wrong".
+ */
+export const useDeployment = () => {
+  const { chainId: walletChainId, isConnected } = useAccount();
+  const watch = useWatchTarget();
+  const ownChainId = isConnected ? walletChainId : DEFAULT_CHAIN_ID;
+
+  if (watch) {
+    const chainId = watch.chainId ?? (getDeployment(ownChainId) ? ownChainId : DEFAULT_CHAIN_ID);
+    return { deployment: getDeployment(chainId), chainId, isWrongNetwork: false, isWatching: true };
+  }
+
+  const deployment = getDeployment(ownChainId);
+  return { deployment, chainId: ownChainId, isWrongNetwork: isConnected && !deployment, isWatching: false };
+};
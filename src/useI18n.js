@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getLanguage, getRevision, subscribeLanguage, t, formatNumber, formatToken, formatDateTime, formatDate, formatTime } from './i18n.js';
+
+/**
+ * Current language plus the translation and formatting helpers. Components call this
+ * so they re-render when the language or the brand's wording changes.
+ */
+export const useI18n = () => {
+  useSyncExternalStore(subscribeLanguage, getRevision, getRevision);
+  return { language: getLanguage(), t, formatNumber, formatToken, formatDateTime, formatDate, formatTime };
+};
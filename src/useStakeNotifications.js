@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  isNotificationSupported,
+  loadPrefs,
+  savePrefs,
+  registerServiceWorker,
+  requestNotificationPermission,
+  showNotification
+} from './notifications.js';
+import { t } from './i18n.js';
+
+const maturityKey = (pool, position) => `${pool.id}:${position.startTime}`;
+
+/**
+ * Opt-in notifications for the connected wallet, checked whenever positions or the
+ * reserve change (every block and every second of chain time):
+ *  - maturity: once per position when startTime + lockDuration passes
+ *  - reserve:  when rewardReserve() drops below the wallet's total pending rewards
+ *              (what getRewards() returns), re-armed once the reserve recovers
+ * They fire while the app is open, including in a background tab.
+ */
+export const useStakeNotifications = ({ chainId, address, stakingPools, positions, pendingRewards, reserve, enabled = true }) => {
+  const storageKey = chainId && address ? `${chainId}:${address}` : null;
+  const [stored, setStored] = useState({ key: null, prefs: null });
+  const [permission, setPermission] = useState(() => (isNotificationSupported() ? Notification.permission : 'unsupported'));
+  // Kept the same object between renders so the effects below only re-run when it changes
+  const prefs = useMemo(
+    () => (stored.key === storageKey && stored.prefs ? stored.prefs : storageKey ? loadPrefs(chainId, address) : null),
+    [stored, storageKey, chainId, address]
+  );
+
+  const update = useCallback((next) => {
+    setStored({ key: storageKey, prefs: next });
+    savePrefs(chainId, address, next);
+  }, [storageKey, chainId, address]);
+
+  const matured = stakingPools.filter((pool) => positions[pool.id]?.status === 'unlocked');
+  const maturedKeys = matured.map((pool) => maturityKey(pool, positions[pool.id]));
+  // Matured positions not notified yet, as [{ key, id, duration }]. Positions are rebuilt on
+  // every tick, so the list is memoized on its content for the effect below.
+  const freshJson = JSON.stringify(prefs
+    ? matured
+      .map((pool) => ({ key: maturityKey(pool, positions[pool.id]), id: pool.id, duration: pool.duration }))
+      .filter(({ key }) => !prefs.notified.includes(key))
+    : []);
+  const fresh = useMemo(() => JSON.parse(freshJson), [freshJson]);
+  const isReserveShort = reserve !== undefined && pendingRewards > 0n && reserve < pendingRewards;
+  const active = enabled && !!prefs && permission === 'granted';
+
+  useEffect(() => {
+    if (active && (prefs.maturity || prefs.reserve)) registerServiceWorker().catch((error) => console.error('Service worker registration failed:', error));
+  }, [active, prefs?.maturity, prefs?.reserve]);
+
+  useEffect(() => {
+    if (!active || !prefs.maturity || fresh.length === 0) return;
+    fresh.forEach(({ id, duration }) => showNotification(t('notify.maturityTitle'), {
+      body: t('notify.maturityBody', { pool: duration }),
+      tag: `maturity-${chainId}-${id}`
+    }));
+    update({ ...prefs, notified: [...prefs.notified, ...fresh.map(({ key }) => key)] });
+  }, [active, prefs, fresh, chainId, update]);
+
+  useEffect(() => {
+    if (!active || !prefs.reserve || isReserveShort === prefs.reserveShort) return;
+    if (isReserveShort) {
+      showNotification(t('notify.reserveTitle'), {
+        body: t('notify.reserveBody'),
+        tag: `reserve-${chainId}`
+      });
+    }
+    update({ ...prefs, reserveShort: isReserveShort });
+  }, [active, prefs, isReserveShort, chainId, update]);
+
+  // Turning a notification on asks for permission first. Positions that are already
+  // unlocked are marked as seen so enabling doesn't fire a burst of old news.
+  const setPreference = async (name, value) => {
+    if (!prefs) return;
+    if (value) {
+      const granted = await requestNotificationPermission();
+      setPermission(isNotificationSupported() ? Notification.permission : 'unsupported');
+      if (!granted) return;
+    }
+    const next = { ...prefs, [name]: value };
+    if (name === 'maturity' && value) next.notified = [...new Set([...prefs.notified, ...maturedKeys])];
+    if (name === 'reserve' && value) next.reserveShort = false;
+    update(next);
+  };
+
+  return { permission, prefs, setPreference };
+};
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { useReadContracts } from 'wagmi';
+import { buildSnapshotCalls, decodeSnapshot } from './stakingSdk.js';
+
+/************************************
+ * 📸 Batched on-chain state
+ ************************************/
+const sameList = (a, b) => a.length === b.length && a.every((ld, i) => ld === b[i]);
+
+/**
+ * Every read the dashboard needs (reserve, totals, owner, pools, and the wallet's
+ * balance, allowance and stakes) as one multicall pinned to `blockNumber`, so all
+ * values come from the same block. The query key follows the wallet, the pool list
+ * and the block. The pool list comes from getSupportedLockDurations() in the previous
+ * snapshot; when it changes, the snapshot is re-read at the same block with the new list.
+ */
+export const useStakingSnapshot = ({ deployment, address, blockNumber }) => {
+  const [lockDurations, setLockDurations] = useState([]);
+
+  // Identifies the call layout; the previous block's snapshot is only kept on screen
+  // while a new block loads if it was read with the same layout
+  const layoutKey = `${deployment?.chainId}:${deployment?.staking}:${address ?? ''}:${lockDurations.join(',')}`;
+
+  const { data, dataUpdatedAt, refetch } = useReadContracts({
+    contracts: deployment ? buildSnapshotCalls(deployment, address, lockDurations) : [],
+    blockNumber,
+    scopeKey: layoutKey,
+    query: {
+      enabled: !!deployment,
+      placeholderData: (previous, previousQuery) =>
+        previousQuery?.queryKey[1]?.scopeKey === layoutKey ? previous : undefined
+    }
+  });
+
+  const snapshot = data ? decodeSnapshot(data, address, lockDurations) : null;
+  const supported = snapshot?.supportedLockDurations;
+
+  useEffect(() => {
+    if (supported && !sameList(supported, lockDurations)) setLockDurations([...supported]);
+  }, [supported, lockDurations]);
+
+  // Reset the pool list when switching between deployments
+  useEffect(() => setLockDurations([]), [deployment]);
+
+  return { snapshot, updatedAt: dataUpdatedAt, refetch };
+};
@@ -0,0 +1,154 @@
+import { useRef, useState } from 'react';
+import { useAccount, useWriteContract, usePublicClient } from 'wagmi';
+import { describeTxError } from './errors.js';
+import { t } from './i18n.js';
+import { addTx, waitForTrackedTx } from './txStore.js';
+
+/************************************
+ * 🔗 Sequenced multi-step transactions
+ ************************************/
+
+// Wallet rejections surface as EIP-1193 code 4001, usually wrapped by viem/wagmi errors
+const isUserRejection = (error) => {
+  const match = typeof error?.walk === 'function'
+    ? error.walk((e) => e?.code === 4001 || e?.name === 'UserRejectedRequestError')
+    : null;
+  return !!match || error?.code === 4001;
+};
+
+/**
+ * Runs a list of contract writes one after another, waiting for each receipt before
+ * sending the next. Each write is simulated first, so a revert is explained before the
+ * wallet prompts and no gas is spent. A step is `{ label, request, skip? }` where
+ * `request` is the writeContract parameters and `skip()` may resolve true when the step
+ * is not needed (e.g. allowance already sufficient); it is re-checked on resume. Both
+ * may instead be functions of the receipts of the earlier steps, for steps that depend
+ * on what an earlier transaction did (e.g. the amount a claim actually paid).
+ *
+ * `flow` is `{ label, status: 'running' | 'failed' | 'done', error, steps }`, each step
+ * carrying `status: 'pending' | 'simulating' | 'signing' | 'confirming' | 'done' | 'skipped' | 'failed'`
+ * and its `hash`. A failed flow can be resumed from the step that failed. A step whose
+ * transaction was sent but whose outcome is unknown (the wait timed out or the RPC failed)
+ * keeps its hash, and resuming waits for that transaction again instead of sending another.
+ */
+export const useTxFlow = () => {
+  const { address, chainId: walletChainId } = useAccount();
+  const { writeContractAsync } = useWriteContract();
+  const publicClient = usePublicClient();
+  const currentRef = useRef(null);
+  const [flow, setFlow] = useState(null);
+
+  const publish = (current) => {
+    if (currentRef.current !== current) return; // superseded or dismissed
+    setFlow({ ...current, steps: current.steps.map(({ label, status, hash }) => ({ label, status, hash })) });
+  };
+
+  const execute = async (current) => {
+    const { steps } = current;
+    current.status = 'running';
+    current.error = null;
+    publish(current);
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      if (step.status === 'done' || step.status === 'skipped') continue;
+      let sent = Boolean(step.tracked);
+      try {
+        if (!step.tracked) {
+          const receipts = steps.slice(0, i).map((s) => s.receipt ?? null);
+          if (step.skip && await step.skip(receipts)) {
+            step.status = 'skipped';
+            publish(current);
+            continue;
+          }
+
+          step.status = 'simulating';
+          step.hash = null;
+          publish(current);
+          const { chainId, ...call } = typeof step.request === 'function' ? step.request(receipts) : step.request;
+          const { request } = await publicClient.simulateContract({ ...call, account: address });
+
+          step.status = 'signing';
+          publish(current);
+          sent = true;
+          const hash = await writeContractAsync({ ...request, chainId });
+
+          step.hash = hash;
+          // Recorded so the wait survives a reload (see txStore.js)
+          step.tracked = { chainId: chainId ?? walletChainId, address, hash };
+          addTx({ ...step.tracked, label: `${current.label} — ${step.label}` });
+        }
+
+        step.status = 'confirming';
+        publish(current);
+        const { receipt, replacement } = await waitForTrackedTx(publicClient, step.tracked);
+        // The transaction's outcome is known from here on: if it failed, a resume sends a new one
+        step.tracked = null;
+        if (replacement) {
+          // A sped-up (repriced) tx still does the job; a cancelled or different one does not
+          if (replacement.reason !== 'repriced') throw new Error(t('txFlow.replaced', { step: step.label, reason: replacement.reason }));
+          step.hash = replacement.transaction.hash;
+        }
+        if (receipt.status !== 'success') throw new Error(t('txFlow.reverted', { step: step.label }));
+
+        step.receipt = receipt;
+        step.status = 'done';
+        publish(current);
+      } catch (error) {
+        console.error(`${current.label} failed at step ${i + 1}/${steps.length}:`, error);
+        step.status = 'failed';
+        current.status = 'failed';
+        const stepName = t('txFlow.stepName', { index: i + 1, total: steps.length, step: step.label });
+        if (isUserRejection(error)) {
+          current.error = t('txFlow.rejected', { step: stepName });
+        } else if (!sent) {
+          current.error = `${describeTxError(error)} ${t('txFlow.notSent', { step: stepName })}`;
+        } else if (step.tracked) {
+          current.error = `${describeTxError(error)} ${t('txFlow.stillPending', { step: stepName })}`;
+        } else {
+          current.error = describeTxError(error);
+        }
+        // Earlier steps are already on-chain; say where that leaves the user
+        const completed = steps.slice(0, i).map((s) => s.receipt ?? null);
+        if (current.describePartial && completed.some(Boolean)) {
+          current.error = `${current.error} ${current.describePartial(completed)}`;
+        }
+        publish(current);
+        return null;
+      }
+    }
+
+    current.status = 'done';
+    publish(current);
+    current.onSuccess?.(steps.map((step) => step.receipt ?? null));
+    return current;
+  };
+
+  // Starts a new flow: { label, steps, onSuccess(receipts), describePartial?(receipts) }.
+  // describePartial explains the state left behind when a later step fails.
+  const start = ({ label, steps, onSuccess, describePartial }) => {
+    const current = {
+      label,
+      onSuccess,
+      describePartial,
+      steps: steps.map((step) => ({ ...step, status: 'pending', hash: null, tracked: null })),
+      status: 'running',
+      error: null
+    };
+    currentRef.current = current;
+    return execute(current);
+  };
+
+  const resume = () => {
+    const current = currentRef.current;
+    if (!current || current.status !== 'failed') return null;
+    return execute(current);
+  };
+
+  const dismiss = () => {
+    currentRef.current = null;
+    setFlow(null);
+  };
+
+  return { flow, start, resume, dismiss, isRunning: flow?.status === 'running' };
+};
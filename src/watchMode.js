@@ -0,0 +1,63 @@
+import { useSyncExternalStore } from 'react';
+import { getAddress, isAddress } from 'viem';
+
+/************************************
+ * 👀 Read-only watch mode (?address=0x…&chainId=…)
+ ************************************/
+// `{ address, chainId }` from the URL, or null. chainId is optional and defaults to
+// the wallet's (or the default) chain.
+const readTarget = () => {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  const address = params.get('address');
+  if (!address) return null;
+  if (!isAddress(address, { strict: false })) {
+    console.warn(`Ignoring ?address=${address}: not a valid address.`);
+    return null;
+  }
+  const chainId = Number(params.get('chainId'));
+  return { address: getAddress(address), chainId: Number.isInteger(chainId) && chainId > 0 ? chainId : null };
+};
+
+let target = readTarget();
+const listeners = new Set();
+const notify = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', () => {
+    target = readTarget();
+    notify();
+  });
+}
+
+// Shareable link to watch `address`, based on the current page URL
+export const buildWatchUrl = (address, chainId) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set('address', address);
+  if (chainId) url.searchParams.set('chainId', String(chainId));
+  else url.searchParams.delete('chainId');
+  return url.toString();
+};
+
+/**
+ * Starts watching `address` (pushing it to the URL so the page can be shared and
+ * the back button leaves watch mode), or stops watching when called with null.
+ */
+export const setWatchTarget = (address, chainId = null) => {
+  const url = new URL(address ? buildWatchUrl(address, chainId) : window.location.href);
+  if (!address) {
+    url.searchParams.delete('address');
+    url.searchParams.delete('chainId');
+  }
+  window.history.pushState(null, '', url);
+  target = readTarget();
+  notify();
+};
+
+// The watched `{ address, chainId }`, or null when not in watch mode
+export const useWatchTarget = () => useSyncExternalStore(subscribe, () => target, () => null);
@@ -0,0 +1,100 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { approveCall, claimRewardsCall, stakeCall } from '../src/stakingSdk.js';
+import { fetchStakingLogs, toActivityEntries } from '../src/activity.js';
+import { DAY, POOLS, startLocalChain, tokens } from './localChain.js';
+
+const [[WEEK], [MONTH]] = POOLS;
+
+let local;
+
+// Every user stakes in both pools, tops both up and claims from the monthly pool
+beforeAll(async () => {
+  local = await startLocalChain();
+  const { deployment, users } = local;
+  for (const user of users) {
+    await local.send(user, approveCall(deployment, tokens(10_000)));
+    await local.send(user, stakeCall(deployment, tokens(1_000), WEEK));
+    await local.send(user, stakeCall(deployment, tokens(2_000), MONTH));
+  }
+  await local.advance(DAY);
+  for (const user of users) {
+    await local.send(user, stakeCall(deployment, tokens(500), WEEK));
+    await local.send(user, stakeCall(deployment, tokens(500), MONTH));
+  }
+  await local.advance(DAY);
+  for (const user of users) await local.send(user, claimRewardsCall(deployment, MONTH));
+});
+afterAll(() => local?.stop());
+
+// The local client with `name` wrapped, recording each call's first argument
+const spyOn = (name, wrap) => {
+  const calls = [];
+  const client = { ...local.publicClient, [name]: (args) => {
+    calls.push(args);
+    return wrap(args, local.publicClient[name]);
+  } };
+  return { client, calls };
+};
+
+describe('fetchStakingLogs', () => {
+  it('halves the chunk when the RPC rejects the range and still returns every log', async () => {
+    const { deployment, publicClient } = local;
+    const expected = await fetchStakingLogs(publicClient, { deployment });
+
+    const { client, calls } = spyOn('getLogs', (args, getLogs) => (args.toBlock - args.fromBlock >= 4n
+      ? Promise.reject(new Error('RPC Request failed.', { cause: new Error('eth_getLogs is limited to a 4 block range') }))
+      : getLogs(args)));
+    const logs = await fetchStakingLogs(client, { deployment, chunkSize: 64n });
+    expect(logs).toEqual(expected);
+    expect(calls.some(({ toBlock, fromBlock }) => toBlock - fromBlock >= 4n)).toBe(true);
+  });
+
+  it('throws other errors without shrinking the chunk', async () => {
+    const { client, calls } = spyOn('getLogs', () => Promise.reject(new Error('HTTP request failed. Status: 401 Unauthorized')));
+    await expect(fetchStakingLogs(client, { deployment: local.deployment })).rejects.toThrow('401 Unauthorized');
+    // One request per event for the first chunk, and no retries at smaller sizes
+    expect(calls).toHaveLength(6);
+  });
+});
+
+describe('toActivityEntries', () => {
+  it('requests each transaction once and keeps a bounded number of requests in flight', async () => {
+    const { deployment, publicClient } = local;
+    const logs = await fetchStakingLogs(publicClient, { deployment });
+    const expected = await toActivityEntries(publicClient, { deployment, logs });
+
+    let inFlight = 0;
+    let peak = 0;
+    const requested = [];
+    const slow = (name) => async (args) => {
+      requested.push(args.hash ?? args.blockNumber);
+      peak = Math.max(peak, ++inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      try {
+        return await publicClient[name](args);
+      } finally {
+        inFlight--;
+      }
+    };
+    const client = { ...publicClient, getBlock: slow('getBlock'), getTransaction: slow('getTransaction'), getTransactionReceipt: slow('getTransactionReceipt') };
+
+    const entries = await toActivityEntries(client, { deployment, logs });
+    expect(entries).toEqual(expected);
+    expect(peak).toBeLessThanOrEqual(6);
+    expect(new Set(requested).size).toBe(requested.length);
+
+    const claims = entries.filter((entry) => entry.type === 'RewardsClaimed');
+    const topUps = entries.filter((entry) => entry.type === 'ToppedUp');
+    expect(claims).toHaveLength(3);
+    expect(claims.every((entry) => entry.lockDuration === MONTH)).toBe(true);
+    expect(topUps).toHaveLength(6);
+    expect(topUps.every((entry) => entry.rewards > 0n)).toBe(true);
+  });
+
+  it('fails instead of guessing when a transaction cannot be read', async () => {
+    const { deployment, publicClient } = local;
+    const logs = (await fetchStakingLogs(publicClient, { deployment })).filter((log) => log.eventName === 'RewardsClaimed');
+    const client = { ...publicClient, getTransaction: () => Promise.reject(new Error('socket hang up')) };
+    await expect(toActivityEntries(client, { deployment, logs })).rejects.toThrow('socket hang up');
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalytics } from '../src/analytics.js';
+import { createIndex } from '../src/stakingIndex.js';
+import { DAY, tokens } from './localChain.js';
+
+const WEEK = BigInt(7 * DAY);
+const MONTH = BigInt(30 * DAY);
+// Midnight UTC
+const START = Date.UTC(2025, 0, 1) / 1000;
+const ALICE = '0x00000000000000000000000000000000000000b0';
+// The same wallet, written in another case
+const ALICE_MIXED_CASE = '0x00000000000000000000000000000000000000B0';
+const BOB = '0x00000000000000000000000000000000000000c0';
+
+// An index entry at `timestamp` in `blockNumber`, as syncIndex() stores it
+let logIndex = 0;
+const entry = (type, blockNumber, timestamp, fields = {}) => ({
+  id: `0x${type}-${logIndex}`,
+  type,
+  wallet: ALICE,
+  blockNumber,
+  blockHash: `0x${'b'.repeat(64)}`,
+  logIndex: logIndex++,
+  txHash: `0x${String(logIndex).padStart(64, '0')}`,
+  timestamp,
+  lockDuration: null,
+  amount: 0n,
+  returned: 0n,
+  rewards: 0n,
+  penalty: 0n,
+  ...fields
+});
+
+const indexOf = (entries) => ({ ...createIndex({ chainId: 1337, staking: '0x0000000000000000000000000000000000000702' }), entries });
+
+describe('daily flows', () => {
+  // Three days up to mid-morning on day 5: the buckets start at midnight on days 3, 4 and 5
+  const now = START + 5 * DAY + 3 * 3600;
+  const daily = (entries) => buildAnalytics(indexOf(entries), { now, days: 3 }).daily;
+
+  it('has one bucket per UTC day, quiet days included', () => {
+    const buckets = daily([]);
+    expect(buckets.map(({ day }) => day)).toEqual([START + 3 * DAY, START + 4 * DAY, START + 5 * DAY]);
+    expect(buckets.every(({ staked, stakes, unstakes, emergencyExits }) => staked === 0n && stakes + unstakes + emergencyExits === 0)).toBe(true);
+  });
+
+  it('puts an event at midnight in the day it starts and drops events outside the window', () => {
+    const buckets = daily([
+      entry('Staked', 1n, START + 3 * DAY - 1, { lockDuration: WEEK, amount: tokens(1) }),
+      entry('Staked', 2n, START + 3 * DAY, { lockDuration: WEEK, amount: tokens(10) }),
+      entry('ToppedUp', 3n, START + 4 * DAY - 1, { lockDuration: WEEK, amount: tokens(5) }),
+      entry('Unstaked', 4n, START + 5 * DAY, { lockDuration: WEEK, amount: tokens(15) }),
+      entry('Staked', 5n, START + 6 * DAY, { lockDuration: WEEK, amount: tokens(100) })
+    ]);
+    expect(buckets.map(({ staked, stakes, unstaked, unstakes }) => [staked, stakes, unstaked, unstakes])).toEqual([
+      [tokens(15), 2, 0n, 0],
+      [0n, 0, 0n, 0],
+      [0n, 0, tokens(15), 1]
+    ]);
+  });
+
+  it('counts emergency exits and their penalties on the day they happen', () => {
+    const buckets = daily([entry('EmergencyUnstaked', 1n, START + 4 * DAY + 60, { lockDuration: MONTH, amount: tokens(500), returned: tokens(490), penalty: tokens(10) })]);
+    expect(buckets[1]).toMatchObject({ emergency: tokens(500), emergencyExits: 1, penalties: tokens(10) });
+    expect(buckets[0].emergencyExits + buckets[2].emergencyExits).toBe(0);
+  });
+});
+
+describe('reserve history', () => {
+  it('adds deposits and penalties, subtracts payouts and keeps one point per block', () => {
+    const { reserve } = buildAnalytics(indexOf([
+      entry('RewardsDeposited', 10n, START, { wallet: BOB, amount: tokens(100) }),
+      // Moves principal only: no point
+      entry('Staked', 11n, START + DAY, { lockDuration: MONTH, amount: tokens(500) }),
+      entry('EmergencyUnstaked', 12n, START + 2 * DAY, { lockDuration: MONTH, amount: tokens(500), returned: tokens(490), penalty: tokens(10) }),
+      entry('RewardsClaimed', 12n, START + 2 * DAY, { wallet: BOB, rewards: tokens(4) }),
+      entry('Unstaked', 13n, START + 3 * DAY, { wallet: BOB, lockDuration: WEEK, amount: tokens(50), returned: tokens(50), rewards: tokens(6) })
+    ]), { now: START + 3 * DAY });
+    expect(reserve).toEqual([
+      { blockNumber: 10n, timestamp: START, reserve: tokens(100) },
+      { blockNumber: 12n, timestamp: START + 2 * DAY, reserve: tokens(106) },
+      { blockNumber: 13n, timestamp: START + 3 * DAY, reserve: tokens(100) }
+    ]);
+  });
+});
+
+describe('leaderboard', () => {
+  it('merges a wallet across pools whatever the case of its address', () => {
+    const { leaderboard } = buildAnalytics(indexOf([
+      entry('Staked', 1n, START, { lockDuration: WEEK, amount: tokens(300) }),
+      entry('Staked', 2n, START + DAY, { wallet: BOB, lockDuration: WEEK, amount: tokens(500) }),
+      entry('Staked', 3n, START + 2 * DAY, { wallet: ALICE_MIXED_CASE, lockDuration: MONTH, amount: tokens(400) }),
+      entry('RewardsClaimed', 4n, START + 3 * DAY, { wallet: ALICE_MIXED_CASE, rewards: tokens(2) }),
+      entry('ToppedUp', 5n, START + 4 * DAY, { lockDuration: WEEK, amount: tokens(100), rewards: tokens(1) })
+    ]), { now: START + 4 * DAY });
+    expect(leaderboard.map(({ wallet, staked, since, rewardsPaid }) => [wallet.toLowerCase(), staked, since, rewardsPaid])).toEqual([
+      [ALICE, tokens(800), START, tokens(3)],
+      [BOB, tokens(500), START + DAY, 0n]
+    ]);
+    expect(leaderboard[0].positions).toEqual([{ lockDuration: WEEK, amount: tokens(400) }, { lockDuration: MONTH, amount: tokens(400) }]);
+  });
+
+  it('leaves out closed positions and keeps the `top` largest', () => {
+    const entries = [
+      entry('Staked', 1n, START, { lockDuration: WEEK, amount: tokens(300) }),
+      entry('Staked', 2n, START, { wallet: BOB, lockDuration: WEEK, amount: tokens(500) }),
+      entry('Unstaked', 3n, START + 8 * DAY, { wallet: BOB, lockDuration: WEEK, amount: tokens(500), returned: tokens(500) })
+    ];
+    expect(buildAnalytics(indexOf(entries), { now: START + 8 * DAY }).leaderboard.map(({ wallet }) => wallet)).toEqual([ALICE]);
+    expect(buildAnalytics(indexOf(entries.slice(0, 2)), { now: START, top: 1 }).leaderboard.map(({ wallet }) => wallet)).toEqual([BOB]);
+  });
+});
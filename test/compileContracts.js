@@ -0,0 +1,48 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import solc from 'solc';
+
+/************************************
+ * 🔨 Contracts for the local test chain (vitest globalSetup)
+ ************************************/
+// Compiled once per run with solc-js and handed to the test files as inject('contracts'):
+// `{ AdvancedNakaStaking: { abi, bytecode }, TestToken: { abi, bytecode } }`
+const require = createRequire(import.meta.url);
+
+const SOURCES = {
+  'staking_new.sol': new URL('../staking_new.sol', import.meta.url),
+  'TestToken.sol': new URL('./fixtures/TestToken.sol', import.meta.url)
+};
+
+// ganache 7 runs up to Shanghai, so the bytecode must not use Cancun opcodes
+const SETTINGS = {
+  evmVersion: 'shanghai',
+  optimizer: { enabled: true, runs: 200 },
+  outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+};
+
+// Imports such as "@openzeppelin/contracts/..." resolve from node_modules
+const findImport = (path) => {
+  try {
+    return { contents: readFileSync(require.resolve(path), 'utf8') };
+  } catch {
+    return { error: `File not found: ${path}` };
+  }
+};
+
+export default function compileContracts(project) {
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(Object.entries(SOURCES).map(([name, url]) => [name, { content: readFileSync(url, 'utf8') }])),
+    settings: SETTINGS
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+  const errors = (output.errors ?? []).filter((error) => error.severity === 'error');
+  if (errors.length > 0) throw new Error(`Compilation failed:\n${errors.map((error) => error.formattedMessage).join('\n')}`);
+
+  const contracts = {};
+  for (const file of Object.values(output.contracts)) {
+    for (const [name, { abi, evm }] of Object.entries(file)) contracts[name] = { abi, bytecode: `0x${evm.bytecode.object}` };
+  }
+  project.provide('contracts', contracts);
+}
@@ -0,0 +1,147 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { decodeErrorResult, decodeFunctionResult, encodeFunctionData, erc20Abi, parseEventLogs } from 'viem';
+import { stakingAbi } from '../src/contracts.js';
+import { DemoRevert, createDemoState, executeCall } from '../src/demoContract.js';
+import { accruedRewards } from '../src/solvency.js';
+import { DAY, tokens } from './localChain.js';
+
+const OWNER = '0x00000000000000000000000000000000000000A1';
+const ALICE = '0x00000000000000000000000000000000000000b0';
+const TOKEN = '0x0000000000000000000000000000000000000701';
+const STAKING = '0x0000000000000000000000000000000000000702';
+const MONTH = BigInt(30 * DAY);
+const START = 1_700_000_000;
+
+let state;
+
+// Runs `functionName` on the token or staking contract; returns the decoded result and the logs
+const call = (from, to, functionName, args = [], timestamp = START) => {
+  const abi = to === TOKEN ? erc20Abi : stakingAbi;
+  const { result, logs } = executeCall(state, { from, to, data: encodeFunctionData({ abi, functionName, args }), timestamp });
+  return { result: decodeFunctionResult({ abi, functionName, data: result }), logs };
+};
+const read = (functionName, args, timestamp) => call(ALICE, STAKING, functionName, args, timestamp).result;
+const balance = (account) => call(account, TOKEN, 'balanceOf', [account]).result;
+
+// The demo token's open faucet
+const mintAbi = [{
+  inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+  name: 'mint',
+  outputs: [],
+  stateMutability: 'nonpayable',
+  type: 'function'
+}];
+const mint = (to, amount) => executeCall(state, { from: to, to: TOKEN, data: encodeFunctionData({ abi: mintAbi, functionName: 'mint', args: [to, amount] }), timestamp: START });
+
+const fund = (reserve) => {
+  mint(OWNER, reserve);
+  call(OWNER, TOKEN, 'approve', [STAKING, reserve]);
+  call(OWNER, STAKING, 'depositRewards', [reserve]);
+};
+
+const stake = (amount, lockDuration = MONTH, timestamp = START) => {
+  call(ALICE, TOKEN, 'approve', [STAKING, amount], timestamp);
+  return call(ALICE, STAKING, 'stake', [amount, lockDuration], timestamp);
+};
+
+// The revert reason (require string or custom error name) of `run()`
+const revertOf = (run) => {
+  try {
+    run();
+  } catch (error) {
+    expect(error).toBeInstanceOf(DemoRevert);
+    const { errorName, args } = decodeErrorResult({ abi: [...stakingAbi, { inputs: [{ name: 'message', type: 'string' }], name: 'Error', type: 'error' }], data: error.data });
+    return errorName === 'Error' ? args[0] : errorName;
+  }
+  throw new Error('Expected a revert');
+};
+
+beforeEach(() => {
+  state = createDemoState({ owner: OWNER, token: TOKEN, staking: STAKING, multicall3: '0x00000000000000000000000000000000000000ca' });
+  call(OWNER, STAKING, 'addStakingPool', [MONTH, 35n]);
+  mint(ALICE, tokens(10_000));
+});
+
+describe('rewards', () => {
+  it('accrue linearly at the pool APY, as the contract computes them', () => {
+    fund(tokens(1_000));
+    stake(tokens(1_000));
+    const later = START + 10 * DAY;
+    expect(read('pendingRewards', [ALICE, MONTH], START)).toBe(0n);
+    expect(read('pendingRewards', [ALICE, MONTH], later)).toBe(accruedRewards(tokens(1_000), 35, START, later));
+    // 35% a year on 1,000 tokens for 10 days
+    expect(read('pendingRewards', [ALICE, MONTH], later)).toBe((tokens(1_000) * 35n * 10n) / (100n * 365n));
+  });
+
+  it('claimRewards pays what is pending and restarts accrual', () => {
+    fund(tokens(1_000));
+    stake(tokens(1_000));
+    const later = START + 10 * DAY;
+    const pending = read('pendingRewards', [ALICE, MONTH], later);
+
+    const { logs } = call(ALICE, STAKING, 'claimRewards', [MONTH], later);
+    const [claimed] = parseEventLogs({ abi: stakingAbi, eventName: 'RewardsClaimed', logs });
+    expect(claimed.args.rewards).toBe(pending);
+    expect(balance(ALICE)).toBe(tokens(9_000) + pending);
+    expect(read('pendingRewards', [ALICE, MONTH], later)).toBe(0n);
+    expect(read('rewardReserve')).toBe(tokens(1_000) - pending);
+    expect(revertOf(() => call(ALICE, STAKING, 'claimRewards', [MONTH], later))).toBe('No rewards');
+  });
+
+  it('a top-up claims first and keeps the original lock', () => {
+    fund(tokens(1_000));
+    stake(tokens(1_000));
+    const later = START + 5 * DAY;
+    const pending = read('pendingRewards', [ALICE, MONTH], later);
+
+    const { logs } = stake(tokens(500), MONTH, later);
+    expect(parseEventLogs({ abi: stakingAbi, eventName: 'ToppedUp', logs }).map(({ args }) => args.addedAmount)).toEqual([tokens(500)]);
+    expect(balance(ALICE)).toBe(tokens(8_500) + pending);
+    expect(read('stakes', [ALICE, MONTH])).toEqual([tokens(1_500), BigInt(START), BigInt(later)]);
+    expect(revertOf(() => call(ALICE, STAKING, 'unstake', [MONTH], START + 29 * DAY))).toBe('Locked');
+  });
+});
+
+describe('emergencyUnstake', () => {
+  it('returns the principal less the 2% penalty, forfeits rewards and adds the penalty to the reserve', () => {
+    fund(tokens(100));
+    stake(tokens(1_000));
+    const { logs } = call(ALICE, STAKING, 'emergencyUnstake', [MONTH], START + 10 * DAY);
+
+    const [event] = parseEventLogs({ abi: stakingAbi, eventName: 'EmergencyUnstaked', logs });
+    expect(event.args).toMatchObject({ returnedAmount: tokens(980), penalty: tokens(20) });
+    expect(balance(ALICE)).toBe(tokens(9_980));
+    expect(read('rewardReserve')).toBe(tokens(120));
+    expect(read('totalStakedAll')).toBe(0n);
+    expect(read('stakes', [ALICE, MONTH])).toEqual([0n, 0n, 0n]);
+    expect(revertOf(() => call(ALICE, STAKING, 'emergencyUnstake', [MONTH], START + 10 * DAY))).toBe('Nothing staked');
+  });
+});
+
+describe('reserve cap', () => {
+  it('a claim pays at most the reserve and forfeits the rest', () => {
+    fund(tokens(5));
+    stake(tokens(1_000));
+    const later = START + 30 * DAY;
+    expect(read('pendingRewards', [ALICE, MONTH], later)).toBeGreaterThan(tokens(5));
+
+    const { logs } = call(ALICE, STAKING, 'claimRewards', [MONTH], later);
+    expect(parseEventLogs({ abi: stakingAbi, eventName: 'RewardsClaimed', logs })[0].args.rewards).toBe(tokens(5));
+    expect(balance(ALICE)).toBe(tokens(9_005));
+    expect(read('rewardReserve')).toBe(0n);
+    // The unpaid part is gone, not owed later
+    expect(read('pendingRewards', [ALICE, MONTH], later)).toBe(0n);
+    // Staked principal is never used to pay rewards
+    expect(balance(STAKING)).toBe(tokens(1_000));
+  });
+
+  it('an empty reserve makes claims revert but still lets the principal out', () => {
+    stake(tokens(1_000));
+    const matured = START + 31 * DAY;
+    expect(revertOf(() => call(ALICE, STAKING, 'claimRewards', [MONTH], matured))).toBe('No rewards');
+
+    const { logs } = call(ALICE, STAKING, 'unstake', [MONTH], matured);
+    expect(parseEventLogs({ abi: stakingAbi, eventName: 'Unstaked', logs })[0].args).toMatchObject({ amount: tokens(1_000), rewardsPaid: 0n });
+    expect(balance(ALICE)).toBe(tokens(10_000));
+  });
+});
@@ -0,0 +1,49 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { STORAGE_PREFIX } from '../src/storage.js';
+
+// Node has no localStorage; the demo chain saves itself into this one
+const storage = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+});
+const { advanceDemoTime, demoProvider } = await import('../src/demoProvider.js');
+
+const request = (method, ...params) => demoProvider.request({ method, params });
+const saved = () => JSON.parse(storage.get(`${STORAGE_PREFIX}:demo`));
+const mineEmptyBlocks = (count) => {
+  for (let i = 0; i < count; i++) advanceDemoTime(12);
+};
+
+let seeded;
+
+beforeAll(async () => {
+  await request('eth_requestAccounts');
+  seeded = {
+    head: Number(await request('eth_blockNumber')),
+    logs: await request('eth_getLogs', { fromBlock: 'earliest', toBlock: 'latest' })
+  };
+});
+
+describe('demo chain storage', () => {
+  it('stays bounded while empty blocks are mined, and keeps every block with transactions', async () => {
+    mineEmptyBlocks(300);
+    const stored = saved().blocks.length;
+    mineEmptyBlocks(300);
+    expect(saved().blocks.length).toBe(stored);
+    expect(stored).toBeLessThan(300);
+
+    // Old empty blocks are gone, as on a pruned node; the recent ones and the seeded history are not
+    const head = Number(await request('eth_blockNumber'));
+    expect(head).toBe(seeded.head + 600);
+    expect(await request('eth_getBlockByNumber', `0x${(seeded.head + 1).toString(16)}`, false)).toBeNull();
+    expect(await request('eth_getBlockByNumber', `0x${(head - 10).toString(16)}`, false)).toMatchObject({ number: `0x${(head - 10).toString(16)}` });
+    expect(await request('eth_getLogs', { fromBlock: 'earliest', toBlock: 'latest' })).toEqual(seeded.logs);
+
+    const [log] = seeded.logs;
+    const receipt = await request('eth_getTransactionReceipt', log.transactionHash);
+    expect(receipt).toMatchObject({ blockHash: log.blockHash, status: '0x1' });
+    expect(await request('eth_getBlockByNumber', log.blockNumber, false)).toMatchObject({ hash: log.blockHash });
+  });
+});
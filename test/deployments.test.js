@@ -0,0 +1,25 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { mainnet } from 'viem/chains';
+import { buildRegistry } from '../src/deployments.js';
+
+const TOKEN = '0x0000000000000000000000000000000000000701';
+const STAKING = '0x0000000000000000000000000000000000000702';
+
+const deployBlockOf = (deployBlock) => buildRegistry({ [mainnet.id]: { token: TOKEN, staking: STAKING, deployBlock } })[mainnet.id]?.deployBlock;
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('buildRegistry', () => {
+  it('accepts deployBlock as a number or a string of digits, and defaults it to 0', () => {
+    expect(deployBlockOf(12_345)).toBe(12_345n);
+    expect(deployBlockOf('12345678')).toBe(12_345_678n);
+    expect(deployBlockOf(0)).toBe(0n);
+    expect(deployBlockOf(undefined)).toBe(0n);
+  });
+
+  it.each(['12,345', 'latest', '0x10', '', -1, 1.5, true, {}])('skips the entry with a warning for deployBlock %j', (deployBlock) => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(buildRegistry({ [mainnet.id]: { token: TOKEN, staking: STAKING, deployBlock } })).toEqual({});
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('deployBlock must be a block number'));
+  });
+});
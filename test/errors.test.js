@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { BaseError, ContractFunctionExecutionError, ContractFunctionRevertedError, encodeErrorResult } from 'viem';
+import { stakingAbi } from '../src/contracts.js';
+import { describeTxError, explainRevert } from '../src/errors.js';
+import { setBrandMessages, setLanguage } from '../src/i18n.js';
+import es from '../src/locales/es.js';
+import { tokens } from './localChain.js';
+
+const STAKING = '0x0000000000000000000000000000000000000702';
+const ALICE = '0x00000000000000000000000000000000000000b0';
+
+const stringErrorAbi = [{ inputs: [{ name: 'message', type: 'string' }], name: 'Error', type: 'error' }];
+
+// What a failed simulateContract/writeContract throws: the revert wrapped in the call's error
+const reverted = (data, functionName = 'unstake') => new ContractFunctionExecutionError(
+  new ContractFunctionRevertedError({ abi: stakingAbi, data, functionName }),
+  { abi: stakingAbi, functionName, args: [], contractAddress: STAKING }
+);
+const requireFailed = (reason) => reverted(encodeErrorResult({ abi: stringErrorAbi, errorName: 'Error', args: [reason] }));
+const customError = (errorName, args) => reverted(encodeErrorResult({ abi: stakingAbi, errorName, args }), 'stake');
+
+beforeEach(() => setBrandMessages({ params: { name: 'Naka', symbol: 'NAKA' } }));
+afterEach(() => setLanguage('en'));
+
+describe('explainRevert', () => {
+  it('maps the contract require strings to their messages', () => {
+    expect(explainRevert(requireFailed('Locked'))).toMatch(/^This position is still locked\./);
+    expect(explainRevert(requireFailed('No rewards'))).toMatch(/^There are no rewards to claim right now/);
+    expect(explainRevert(requireFailed('Invalid pool'))).toMatch(/^This staking pool does not exist on the contract\./);
+    expect(explainRevert(requireFailed('Nothing staked'))).toBe('You have nothing staked in this pool.');
+    expect(explainRevert(requireFailed('Amount=0'))).toBe('The amount must be greater than 0.');
+    expect(explainRevert(requireFailed('ERC20: transfer amount exceeds balance'))).toBe('Your wallet does not hold enough NAKA for this amount.');
+  });
+
+  it('quotes a require string it does not know', () => {
+    expect(explainRevert(requireFailed('Paused'))).toBe('The contract rejected this transaction: "Paused".');
+  });
+
+  it('explains OpenZeppelin custom errors with their arguments', () => {
+    expect(explainRevert(customError('ERC20InsufficientAllowance', [STAKING, tokens(100), tokens('250.5')])))
+      .toBe('The staking contract is approved for 100.0000 NAKA but this needs 250.5000. Approve the amount first.');
+    expect(explainRevert(customError('ERC20InsufficientBalance', [ALICE, tokens(1), tokens(2)])))
+      .toBe('Your wallet holds 1.0000 NAKA but this needs 2.0000.');
+    expect(explainRevert(customError('OwnableUnauthorizedAccount', [ALICE]))).toBe('Only the contract owner can do this.');
+  });
+
+  it('follows the language', () => {
+    setLanguage('es');
+    expect(explainRevert(requireFailed('Locked'))).toBe(es['errors.locked']);
+  });
+
+  it('falls back to viem\'s message for a revert without a reason', () => {
+    const error = reverted('0x');
+    expect(explainRevert(error)).toBe(error.cause.shortMessage);
+  });
+
+  it('returns null for anything that is not a revert', () => {
+    expect(explainRevert(new BaseError('HTTP request failed.'))).toBeNull();
+    expect(explainRevert(new Error('boom'))).toBeNull();
+    expect(explainRevert(undefined)).toBeNull();
+  });
+});
+
+describe('describeTxError', () => {
+  it('prefers the revert explanation, then the short message, then the message', () => {
+    expect(describeTxError(requireFailed('Nothing staked'))).toBe('You have nothing staked in this pool.');
+    expect(describeTxError(new BaseError('HTTP request failed.', { details: 'fetch failed' }))).toBe('HTTP request failed.');
+    expect(describeTxError(new Error('boom'))).toBe('boom');
+    expect(describeTxError(undefined)).toBe('Unknown error');
+  });
+});
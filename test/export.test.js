@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { EXPORT_COLUMNS, buildExportRows, summarizeExportRows, toCsv } from '../src/export.js';
+import { DAY, tokens } from './localChain.js';
+
+const WEEK = BigInt(7 * DAY);
+const MONTH = BigInt(30 * DAY);
+const START = Date.UTC(2025, 0, 1) / 1000;
+
+// An activity entry as toActivityEntry() builds it, `day` days after START
+let logIndex = 0;
+const entry = (type, day, fields = {}) => ({
+  id: `0x${type}-${day}`,
+  type,
+  wallet: '0x00000000000000000000000000000000000000b0',
+  blockNumber: BigInt(100 + day),
+  blockHash: `0x${'b'.repeat(64)}`,
+  logIndex: logIndex++,
+  txHash: `0x${String(day).padStart(64, '0')}`,
+  timestamp: START + day * DAY,
+  lockDuration: null,
+  amount: 0n,
+  returned: 0n,
+  rewards: 0n,
+  penalty: 0n,
+  ...fields
+});
+
+// Stake 1,000 in the week pool and 500 in the month pool, top the week pool up, claim,
+// exit the month pool early and unstake the week pool; the owner tops up the reserve in between
+const HISTORY = [
+  entry('Staked', 0, { lockDuration: WEEK, amount: tokens(1_000) }),
+  entry('Staked', 1, { lockDuration: MONTH, amount: tokens(500) }),
+  entry('RewardsDeposited', 2, { amount: tokens(50_000) }),
+  entry('ToppedUp', 3, { lockDuration: WEEK, amount: tokens(250), rewards: tokens(2) }),
+  entry('RewardsClaimed', 4, { rewards: tokens(3) }),
+  entry('EmergencyUnstaked', 5, { lockDuration: MONTH, amount: tokens(500), returned: tokens(490), penalty: tokens(10) }),
+  entry('Unstaked', 12, { lockDuration: WEEK, amount: tokens(1_250), returned: tokens(1_250), rewards: tokens('4.5') })
+];
+
+const at = (day) => new Date((START + day * DAY) * 1000);
+
+describe('buildExportRows', () => {
+  it('builds one row per staking event, oldest first, without the owner deposits', () => {
+    const rows = buildExportRows([...HISTORY].reverse());
+    expect(rows.map((row) => row.type)).toEqual(['Staked', 'Staked', 'ToppedUp', 'RewardsClaimed', 'EmergencyUnstaked', 'Unstaked']);
+    expect(rows[0]).toEqual({
+      date: '2025-01-01T00:00:00.000Z',
+      type: 'Staked',
+      pool: '7 days',
+      lockDurationSeconds: '604800',
+      principal: '1000',
+      rewardsPaid: '0',
+      penalty: '0',
+      costBasis: '1000',
+      txHash: HISTORY[0].txHash
+    });
+    // claimAllRewards has no pool
+    expect(rows[3]).toMatchObject({ pool: 'All pools', lockDurationSeconds: '', rewardsPaid: '3' });
+    expect(rows[4]).toMatchObject({ pool: '30 days', principal: '500', penalty: '10' });
+  });
+
+  it('keeps a running cost basis: stakes and top-ups add principal, exits remove all of it', () => {
+    expect(buildExportRows(HISTORY).map((row) => row.costBasis)).toEqual(['1000', '1500', '1750', '1750', '1250', '0']);
+  });
+
+  it('orders events in one block by log index', () => {
+    const sameBlock = [
+      entry('Unstaked', 7, { lockDuration: WEEK, amount: tokens(100), blockNumber: 200n, logIndex: 5 }),
+      entry('Staked', 7, { lockDuration: WEEK, amount: tokens(100), blockNumber: 200n, logIndex: 2 })
+    ];
+    expect(buildExportRows(sameBlock).map((row) => [row.type, row.costBasis])).toEqual([['Staked', '100'], ['Unstaked', '0']]);
+  });
+
+  it('includes both ends of the date range and carries the cost basis in from before it', () => {
+    const rows = buildExportRows(HISTORY, { from: at(3), to: at(5) });
+    expect(rows.map((row) => [row.type, row.costBasis])).toEqual([['ToppedUp', '1750'], ['RewardsClaimed', '1750'], ['EmergencyUnstaked', '1250']]);
+
+    expect(buildExportRows(HISTORY, { from: new Date(at(3).getTime() + 1000) }).map((row) => row.type))
+      .toEqual(['RewardsClaimed', 'EmergencyUnstaked', 'Unstaked']);
+    expect(buildExportRows(HISTORY, { to: new Date(at(1).getTime() - 1000) }).map((row) => row.type)).toEqual(['Staked']);
+  });
+
+  it('summarizeExportRows totals the rewards and penalties exactly', () => {
+    expect(summarizeExportRows(buildExportRows(HISTORY))).toEqual({ rewardsPaid: '9.5', penalty: '10' });
+    expect(summarizeExportRows([])).toEqual({ rewardsPaid: '0', penalty: '0' });
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header and one line per row', () => {
+    const lines = toCsv(buildExportRows(HISTORY)).split('\n');
+    expect(lines[0]).toBe(EXPORT_COLUMNS.join(','));
+    expect(lines).toHaveLength(7);
+    expect(lines[1]).toBe(`2025-01-01T00:00:00.000Z,Staked,7 days,604800,1000,0,0,1000,${HISTORY[0].txHash}`);
+  });
+
+  it('quotes cells with commas, quotes or line breaks', () => {
+    const csv = toCsv([{ type: 'a,b', pool: 'say "hi"', txHash: 'one\ntwo' }]);
+    expect(csv).toBe(`${EXPORT_COLUMNS.join(',')}\n,"a,b","say ""hi""",,,,,,"one\ntwo"`);
+  });
+
+  it('keeps cells that a spreadsheet would run as formulas as text', () => {
+    const csv = toCsv([{ date: '=HYPERLINK("http://x")', type: '+1', pool: '-2', lockDurationSeconds: '@SUM(A1)', principal: '\tx' }]);
+    expect(csv.split('\n')[1]).toBe(`"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),'\tx,,,,`);
+  });
+});
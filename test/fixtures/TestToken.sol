@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title TestToken
+ * @notice Stands in for NAKA on the test chain: 18 decimals, the whole supply minted to the deployer.
+ */
+contract TestToken is ERC20 {
+    constructor(uint256 _supply) ERC20("Test NAKA", "NAKA") {
+        _mint(msg.sender, _supply);
+    }
+}
@@ -0,0 +1,111 @@
+import { execFile, spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { approveCall, stakeCall } from '../src/stakingSdk.js';
+import { parseIndex, serializeIndex } from '../src/stakingIndex.js';
+import { POOLS, startLocalChain, tokens } from './localChain.js';
+
+const [[WEEK]] = POOLS;
+const INDEXER = fileURLToPath(new URL('../scripts/indexer.js', import.meta.url));
+
+let local;
+let dir;
+let store;
+
+beforeAll(async () => {
+  local = await startLocalChain();
+  const [alice] = local.users;
+  await local.send(alice, approveCall(local.deployment, tokens(1_000)));
+  await local.send(alice, stakeCall(local.deployment, tokens(1_000), WEEK));
+});
+afterAll(() => local?.stop());
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'indexer-test-'));
+  store = join(dir, 'index.json');
+});
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+const args = (...extra) => [INDEXER, '--store', store, '--confirmations', '0', ...extra];
+const env = () => ({ ...process.env, RPC_URL: local.rpc, STAKING_ADDRESS: local.deployment.staking, DEPLOY_BLOCK: String(local.deployment.deployBlock) });
+
+// Runs the indexer to completion; resolves with its exit code and output
+const run = (...extra) => new Promise((resolve) => {
+  execFile(process.execPath, args(...extra), { env: env(), timeout: 20_000 }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+});
+
+// Starts the indexer's server on `port`; resolves once it is serving, with a stop() that ends it by pid
+const start = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, args('--port', String(port)), { env: env() });
+  const timeout = setTimeout(() => {
+    child.kill();
+    reject(new Error('The indexer did not start serving.'));
+  }, 20_000);
+  child.stdout.on('data', (chunk) => {
+    if (!String(chunk).includes('Serving on')) return;
+    clearTimeout(timeout);
+    resolve({ stop: () => new Promise((done) => child.once('exit', done).kill('SIGTERM')) });
+  });
+  child.once('exit', () => clearTimeout(timeout));
+});
+
+// A port something else is listening on
+const occupyPort = () => new Promise((resolve) => {
+  const server = createServer().listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const freePort = async () => {
+  const server = await occupyPort();
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+};
+
+const get = async (port, path) => {
+  const response = await fetch(`http://127.0.0.1:${port}${path}`);
+  return { status: response.status, body: await response.json() };
+};
+
+describe('indexer', () => {
+  it('--once syncs the store and prints the totals', async () => {
+    const { code, stdout } = await run('--once', '--json');
+    expect(code).toBe(0);
+    // The totals follow the progress log
+    expect(JSON.parse(stdout.slice(stdout.indexOf('{')))).toMatchObject({ tvl: tokens(1_000).toString(), activeStakers: 1, events: 2 });
+    expect(parseIndex(await readFile(store, 'utf8')).entries).toHaveLength(2);
+  });
+
+  it('exits non-zero with a clear message when the port is taken', async () => {
+    const taken = await occupyPort();
+    try {
+      const { port } = taken.address();
+      const { code, stderr } = await run('--port', String(port));
+      expect(code).toBe(1);
+      expect(stderr).toContain(`Cannot serve on 127.0.0.1:${port}: listen EADDRINUSE`);
+    } finally {
+      await new Promise((resolve) => taken.close(resolve));
+    }
+  });
+
+  it('answers 500 when a view fails, and keeps serving', async () => {
+    // A store damaged by hand: one entry lost its wallet
+    await run('--once');
+    const index = parseIndex(await readFile(store, 'utf8'));
+    index.entries = index.entries.map((entry) => (entry.type === 'Staked' ? { ...entry, wallet: null } : entry));
+    await writeFile(store, serializeIndex(index));
+
+    const port = await freePort();
+    const indexer = await start(port);
+    try {
+      expect(await get(port, '/stakers')).toEqual({ status: 500, body: { error: 'Internal error.' } });
+      expect((await get(port, '/deposits')).status).toBe(200);
+      expect((await get(port, '/status')).body).toMatchObject({ events: 2, lastError: null });
+    } finally {
+      await indexer.stop();
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { createServer } from 'node:http';
+import ganache from 'ganache';
+import { inject } from 'vitest';
+import { createPublicClient, createTestClient, createWalletClient, defineChain, getAddress, http, parseUnits } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { TOKEN_DECIMALS } from '../src/stakingSdk.js';
+
+/************************************
+ * ⛓️ Local EVM for tests (ganache + the real contracts)
+ ************************************/
+export const DAY = 24 * 60 * 60;
+
+export const tokens = (amount) => parseUnits(String(amount), TOKEN_DECIMALS);
+
+// The pools AdvancedNakaStaking is deployed with: [lockDuration, apy]
+export const POOLS = [[7n * BigInt(DAY), 12n], [30n * BigInt(DAY), 35n]];
+
+// ganache answers a revert with -32000 "VM Exception while processing transaction", where geth,
+// anvil and hardhat answer code 3 "execution reverted" (which viem decodes into the contract's
+// error), and leaves the code off unknown methods, which viem would retry. The JSON-RPC
+// endpoint reports both the way those nodes do.
+const toRpcError = (error) => {
+  if (error.name === 'CallError' && typeof error.data === 'string') return { code: 3, message: 'execution reverted', data: error.data };
+  const code = error.code ?? (/does not exist\/is not available/.test(error.message) ? -32601 : -32603);
+  return { code, message: error.message, data: error.data };
+};
+
+const handle = async (provider, { id, method, params }) => {
+  try {
+    return { jsonrpc: '2.0', id, result: await provider.request({ method, params }) };
+  } catch (error) {
+    return { jsonrpc: '2.0', id, error: toRpcError(error) };
+  }
+};
+
+const serve = (provider) => new Promise((resolve) => {
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const payload = JSON.parse(body);
+    const response = Array.isArray(payload)
+      ? await Promise.all(payload.map((message) => handle(provider, message)))
+      : await handle(provider, payload);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+/**
+ * Starts a ganache node behind a JSON-RPC endpoint on a free port, deploys TestToken and
+ * AdvancedNakaStaking (owned by the first account), gives every other account 100,000
+ * tokens and deposits `reserve` into the reward reserve. Returns
+ * `{ rpc, chain, publicClient, testClient, deployment, owner, users, keys, send, advance, stop }`;
+ * `keys[address]` is the private key of each account, for scripts that sign themselves.
+ */
+export const startLocalChain = async ({ reserve = tokens(10_000), pools = POOLS } = {}) => {
+  const contracts = inject('contracts');
+  const provider = ganache.provider({
+    logging: { quiet: true },
+    wallet: { deterministic: true, totalAccounts: 4 },
+    chain: { chainId: 1337 }
+  });
+  const server = await serve(provider);
+  const rpc = `http://127.0.0.1:${server.address().port}`;
+
+  const secretKeys = Object.values(provider.getInitialAccounts()).map(({ secretKey }) => secretKey);
+  const [owner, ...users] = secretKeys.map((key) => privateKeyToAccount(key));
+  const keys = Object.fromEntries([owner, ...users].map((account, i) => [account.address, secretKeys[i]]));
+  const chain = defineChain({
+    id: 1337,
+    name: 'Local',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: [rpc] } }
+  });
+  // No Multicall3 on a fresh node: multicalls go out as deployless eth_calls instead
+  const publicClient = createPublicClient({ chain, transport: http(rpc), batch: { multicall: { deployless: true } }, pollingInterval: 50, cacheTime: 0 });
+  const testClient = createTestClient({ chain, mode: 'ganache', transport: http(rpc) });
+
+  // Sends a call (e.g. from a stakingSdk call builder) as `account` and waits for it
+  const send = async (account, call) => {
+    const { request } = await publicClient.simulateContract({ ...call, account });
+    const hash = await createWalletClient({ account, chain, transport: http(rpc) }).writeContract(request);
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+
+  const deploy = async ({ abi, bytecode }, args) => {
+    const hash = await createWalletClient({ account: owner, chain, transport: http(rpc) }).deployContract({ abi, bytecode, args });
+    return getAddress((await publicClient.waitForTransactionReceipt({ hash })).contractAddress);
+  };
+
+  const deployBlock = await publicClient.getBlockNumber();
+  const token = await deploy(contracts.TestToken, [tokens(1_000_000)]);
+  const staking = await deploy(contracts.AdvancedNakaStaking, [token, owner.address, pools.map(([ld]) => ld), pools.map(([, apy]) => apy)]);
+  const deployment = { chainId: chain.id, token, staking, deployBlock };
+
+  const tokenContract = { address: token, abi: contracts.TestToken.abi };
+  for (const user of users) await send(owner, { ...tokenContract, functionName: 'transfer', args: [user.address, tokens(100_000)] });
+  if (reserve > 0n) {
+    await send(owner, { ...tokenContract, functionName: 'approve', args: [staking, reserve] });
+    await send(owner, { address: staking, abi: contracts.AdvancedNakaStaking.abi, functionName: 'depositRewards', args: [reserve] });
+  }
+
+  // Moves the chain clock ahead and mines a block there
+  const advance = async (seconds) => {
+    await testClient.increaseTime({ seconds });
+    await testClient.mine({ blocks: 1 });
+  };
+
+  const stop = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await provider.disconnect();
+  };
+
+  return { rpc, chain, publicClient, testClient, deployment, owner, users, keys, send, advance, stop };
+};
@@ -0,0 +1,149 @@
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { encodeFunctionData } from 'viem';
+import { addStakingPoolCall, approveCall, readAllowance, readPools, readReserve, stakeCall } from '../src/stakingSdk.js';
+import { DAY, POOLS, startLocalChain, tokens } from './localChain.js';
+
+const [[WEEK], [MONTH, MONTH_APY]] = POOLS;
+const OPERATOR = fileURLToPath(new URL('../scripts/operator.js', import.meta.url));
+
+let local;
+let snapshot;
+
+beforeAll(async () => {
+  local = await startLocalChain();
+});
+afterAll(() => local?.stop());
+
+beforeEach(async () => {
+  snapshot = await local.testClient.snapshot();
+});
+afterEach(() => local.testClient.revert({ id: snapshot }));
+
+// Runs the CLI against the local node; resolves with its exit code and output, whatever the code
+const operator = (args, env = {}) => new Promise((resolve) => {
+  const { PRIVATE_KEY: _key, ...inherited } = process.env;
+  execFile(process.execPath, [OPERATOR, ...args], {
+    env: { ...inherited, RPC_URL: local.rpc, STAKING_ADDRESS: local.deployment.staking, DEPLOY_BLOCK: String(local.deployment.deployBlock), ...env },
+    timeout: 20_000
+  }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+});
+
+const operatorJson = async (args, env) => {
+  const result = await operator([...args, '--json'], env);
+  expect(result.stderr).toBe('');
+  expect(result.code).toBe(0);
+  return JSON.parse(result.stdout);
+};
+
+const stake = async (account, amount, lockDuration) => {
+  await local.send(account, approveCall(local.deployment, amount));
+  return local.send(account, stakeCall(local.deployment, amount, lockDuration));
+};
+
+const monthApy = async () => (await readPools(local.publicClient, { deployment: local.deployment }))
+  .find((pool) => pool.lockDuration === MONTH).apy;
+
+describe('reports', () => {
+  it('report prints the reserve, totals and pools', async () => {
+    const { deployment, owner, users: [alice] } = local;
+    await stake(alice, tokens(1_000), MONTH);
+
+    const report = await operatorJson(['report']);
+    expect(report).toMatchObject({
+      chainId: 1337,
+      staking: deployment.staking,
+      token: deployment.token,
+      owner: owner.address,
+      symbol: 'NAKA',
+      rewardReserve: tokens(10_000).toString(),
+      totalStakedAll: tokens(1_000).toString(),
+      status: expect.any(String)
+    });
+    expect(report.pools.map(({ lockDuration, apy, totalStaked }) => [lockDuration, apy, totalStaked]))
+      .toEqual([[WEEK.toString(), 12, '0'], [MONTH.toString(), 35, tokens(1_000).toString()]]);
+    expect(BigInt(report.rewardsPerDay)).toBeGreaterThan(0n);
+
+    const { code, stdout } = await operator(['report']);
+    expect(code).toBe(0);
+    expect(stdout).toContain(`owner ${owner.address}`);
+    expect(stdout).toMatch(/Reward reserve:\s+10,000\.00 NAKA/);
+    expect(stdout).toMatch(/Total staked:\s+1,000\.00 NAKA/);
+  });
+
+  it('stakers replays stakes and top-ups into open positions, largest first', async () => {
+    const { users: [alice, bob] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    await stake(bob, tokens(2_000), MONTH);
+    await local.advance(DAY);
+    await stake(bob, tokens(500), MONTH);
+
+    const wallets = await operatorJson(['stakers']);
+    expect(wallets.map(({ address, staked, positions }) => [address, staked, positions])).toEqual([
+      [bob.address, tokens(2_500).toString(), { [MONTH]: tokens(2_500).toString() }],
+      [alice.address, tokens(1_000).toString(), { [WEEK]: tokens(1_000).toString() }]
+    ]);
+
+    const { code, stdout } = await operator(['stakers']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('2 wallet(s)');
+  });
+});
+
+describe('transactions', () => {
+  it('are dry runs by default: printed and simulated as the owner, never sent', async () => {
+    const { publicClient, deployment, owner } = local;
+    const blockNumber = await publicClient.getBlockNumber();
+
+    const { code, stdout } = await operator(['deposit', '5000']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('Approve 5,000.0000 NAKA for the staking contract');
+    expect(stdout).toContain(`data: ${encodeFunctionData(approveCall(deployment, tokens(5_000)))}`);
+    expect(stdout).toContain('not simulated: runs after the approval above');
+    expect(stdout).toContain('Dry run: nothing was sent.');
+
+    expect(await publicClient.getBlockNumber()).toBe(blockNumber);
+    expect(await readAllowance(publicClient, { deployment, address: owner.address })).toBe(0n);
+    expect((await readReserve(publicClient, { deployment })).rewardReserve).toBe(tokens(10_000));
+  });
+
+  it('--json prints each step with its calldata and simulation status', async () => {
+    const { publicClient, deployment } = local;
+    const [step] = await operatorJson(['add-pool', '90d', '80']);
+    expect(step).toEqual({
+      description: 'Add a 90 days pool at 80% APY',
+      to: deployment.staking,
+      data: encodeFunctionData(addStakingPoolCall(deployment, 90n * 86_400n, 80n)),
+      status: 'simulated'
+    });
+    expect(await readPools(publicClient, { deployment })).toHaveLength(2);
+  });
+
+  it('a dry run reports the revert of a step that would fail', async () => {
+    const { code, stderr } = await operator(['add-pool', '30d', '50']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('Add a 30 days pool at 50% APY failed');
+    expect(await readPools(local.publicClient, { deployment: local.deployment })).toHaveLength(2);
+  });
+
+  it('--send refuses to run without PRIVATE_KEY', async () => {
+    const { code, stdout, stderr } = await operator(['set-apy', '30d', '25', '--send']);
+    expect(code).toBe(1);
+    expect(stderr.trim()).toBe('--send needs the signer key in PRIVATE_KEY.');
+    expect(stdout).not.toContain('data:');
+    expect(await monthApy()).toBe(Number(MONTH_APY));
+  });
+
+  it('--send signs with PRIVATE_KEY and waits for each receipt', async () => {
+    const { publicClient, deployment, owner, keys } = local;
+    const [step] = await operatorJson(['set-apy', '30d', '25', '--send'], { PRIVATE_KEY: keys[owner.address] });
+    expect(step.status).toBe('success');
+    expect(step.hash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(await monthApy()).toBe(25);
+
+    const steps = await operatorJson(['deposit', '5000', '--send'], { PRIVATE_KEY: keys[owner.address] });
+    expect(steps.map(({ status }) => status)).toEqual(['success', 'success']);
+    expect((await readReserve(publicClient, { deployment })).rewardReserve).toBe(tokens(15_000));
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { projectPool } from '../src/projections.js';
+
+// 10% APY on 3,650 tokens earns exactly 1 token a day, so each 10-day claim adds 1/365 of the principal
+const POSITION = { amount: 3_650, apy: 10, lockDays: 30 };
+
+describe('projectPool', () => {
+  it('without compounding earns the simple rate for the whole lock', () => {
+    const projection = projectPool(POSITION);
+    expect(projection).toMatchObject({ simpleRewards: 30, compoundedRewards: 30, claims: 0, total: 3_680, earlyExit: null });
+    expect(projection.effectiveApy).toBeCloseTo(10, 9);
+    expect(projection.reserveCapped).toEqual({ rewards: 30, shortfall: 0, isCapped: false });
+  });
+
+  it('compounds every claim into the position until the lock ends', () => {
+    const projection = projectPool({ ...POSITION, compoundEveryDays: 10 });
+    // Claims on days 10 and 20; the last period is paid by the final unstake
+    expect(projection.claims).toBe(2);
+    expect(projection.compoundedRewards).toBeCloseTo(3_650 * ((366 / 365) ** 3 - 1), 9);
+    expect(projection.compoundedRewards).toBeGreaterThan(projection.simpleRewards);
+    expect(projection.effectiveApy).toBeGreaterThan(10);
+    expect(projection.total).toBeCloseTo(3_650 + projection.compoundedRewards, 9);
+
+    // A period as long as the lock never claims before the unstake
+    expect(projectPool({ ...POSITION, compoundEveryDays: 30 })).toMatchObject({ claims: 0, compoundedRewards: 30 });
+  });
+
+  it('pays at most the reserve and reports the rest as a shortfall', () => {
+    expect(projectPool({ ...POSITION, reserve: 15 }).reserveCapped).toEqual({ rewards: 15, shortfall: 15, isCapped: true });
+
+    // Claims on days 10 and 20 pay 10 and then the last 5; the unstake gets nothing
+    const compounded = projectPool({ ...POSITION, compoundEveryDays: 10, reserve: 15 });
+    expect(compounded.reserveCapped.rewards).toBeCloseTo(15, 9);
+    expect(compounded.reserveCapped.shortfall).toBeCloseTo(compounded.compoundedRewards - 15, 9);
+    expect(compounded.reserveCapped.isCapped).toBe(true);
+
+    expect(projectPool({ ...POSITION, reserve: 30 }).reserveCapped).toEqual({ rewards: 30, shortfall: 0, isCapped: false });
+    expect(projectPool({ ...POSITION, reserve: 0 }).reserveCapped).toEqual({ rewards: 0, shortfall: 30, isCapped: true });
+  });
+
+  it('an early exit returns the principal less 2% and forfeits the unclaimed rewards', () => {
+    expect(projectPool({ ...POSITION, exitAfterDays: 10 }).earlyExit).toEqual({ day: 10, returned: 3_577, penalty: 73, forfeitedRewards: 10, net: -73 });
+    expect(projectPool({ ...POSITION, exitAfterDays: 0 }).earlyExit).toEqual({ day: 0, returned: 3_577, penalty: 73, forfeitedRewards: 0, net: -73 });
+  });
+
+  it('an early exit after compounding charges the penalty on everything restaked', () => {
+    // One claim on day 5 adds 5 tokens; the next 5 days are forfeited
+    const { earlyExit } = projectPool({ ...POSITION, compoundEveryDays: 5, exitAfterDays: 10 });
+    expect(earlyExit.penalty).toBeCloseTo(73.1, 9);
+    expect(earlyExit.returned).toBeCloseTo(3_581.9, 9);
+    expect(earlyExit.forfeitedRewards).toBeCloseTo(3_655 / 730, 9);
+    expect(earlyExit.net).toBeCloseTo(-68.1, 9);
+  });
+
+  it('has no early exit at or after the end of the lock, and no APY without a lock', () => {
+    expect(projectPool({ ...POSITION, exitAfterDays: 30 }).earlyExit).toBeNull();
+    expect(projectPool({ ...POSITION, exitAfterDays: 45 }).earlyExit).toBeNull();
+    expect(projectPool({ ...POSITION, lockDays: 0 }).effectiveApy).toBe(0);
+  });
+});
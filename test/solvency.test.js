@@ -0,0 +1,141 @@
+import { describe, expect, it } from 'vitest';
+import { EMERGENCY_UNSTAKE_PENALTY_BPS } from '../src/contracts.js';
+import { accruedRewards, getSolvency, planExit, previewTopUp } from '../src/solvency.js';
+import { getPositionState } from '../src/stakingSdk.js';
+import { DAY, tokens } from './localChain.js';
+
+const WEEK = 7 * DAY;
+const MONTH = 30 * DAY;
+const START = 1_700_000_000;
+
+// Pools as App builds them; these accrue exactly 2 and 1 tokens a day
+const POOLS = [
+  { id: String(WEEK), apy: 73, totalStaked: tokens(1_000), lockDurationInSeconds: WEEK },
+  { id: String(MONTH), apy: 10, totalStaked: tokens(3_650), lockDurationInSeconds: MONTH }
+];
+
+// A wallet's position as App builds it: stakes() read at `now`, plus the pending rewards
+const position = (pool, amount, { startTime = START, lastClaim = startTime, now }) => {
+  const state = getPositionState([amount, BigInt(startTime), BigInt(lastClaim)], pool.lockDurationInSeconds, now);
+  return { ...state, rewardsWei: accruedRewards(state.amount, pool.apy, state.lastClaim, now) };
+};
+
+describe('accruedRewards', () => {
+  it('accrues linearly from lastClaim and never goes negative', () => {
+    expect(accruedRewards(tokens(1_000), 73, START, START + 10 * DAY)).toBe(tokens(20));
+    expect(accruedRewards(tokens(1_000), 73, START, START)).toBe(0n);
+    // A wallet clock behind the chain
+    expect(accruedRewards(tokens(1_000), 73, START, START - DAY)).toBe(0n);
+  });
+});
+
+describe('getSolvency', () => {
+  it('sums what each pool accrues a day and how long the reserve lasts', () => {
+    const solvency = getSolvency({ reserve: tokens(100), pools: POOLS });
+    expect(solvency.perPool).toEqual([{ id: String(WEEK), perDay: tokens(2) }, { id: String(MONTH), perDay: tokens(1) }]);
+    expect(solvency.perDay).toBe(tokens(3));
+    expect(solvency.runwayDays).toBe(33.333);
+    expect(solvency.status).toBe('healthy');
+    expect(solvency.runsOutAt.getTime()).toBeGreaterThan(Date.now() + 33 * DAY * 1000);
+  });
+
+  it('is low when the reserve runs out before the longest lock, critical within a day and empty at 0', () => {
+    expect(getSolvency({ reserve: tokens(30), pools: POOLS })).toMatchObject({ runwayDays: 10, status: 'low' });
+    expect(getSolvency({ reserve: tokens(90), pools: POOLS })).toMatchObject({ runwayDays: 30, status: 'healthy' });
+    expect(getSolvency({ reserve: tokens(2), pools: POOLS })).toMatchObject({ runwayDays: 0.666, status: 'critical' });
+    expect(getSolvency({ reserve: 0n, pools: POOLS })).toMatchObject({ runwayDays: 0, status: 'empty' });
+  });
+
+  it('has no runway limit when nothing accrues', () => {
+    const idle = POOLS.map((pool) => ({ ...pool, totalStaked: 0n }));
+    expect(getSolvency({ reserve: tokens(1), pools: idle })).toMatchObject({ perDay: 0n, runwayDays: Infinity, runsOutAt: null, status: 'healthy' });
+    expect(getSolvency({ reserve: 0n, pools: [] }).status).toBe('empty');
+  });
+
+  it('reports the part of the wallet rewards the reserve cannot pay', () => {
+    expect(getSolvency({ reserve: tokens(5), pools: POOLS, userPending: tokens(8) }).userShortfall).toBe(tokens(3));
+    expect(getSolvency({ reserve: tokens(5), pools: POOLS, userPending: tokens(5) }).userShortfall).toBe(0n);
+  });
+});
+
+describe('previewTopUp', () => {
+  const [week] = POOLS;
+
+  it('auto-claims the pending rewards and keeps the lock running from the original start', () => {
+    const now = START + 3 * DAY;
+    const preview = previewTopUp({ position: position(week, tokens(1_000), { now }), lockDurationInSeconds: WEEK, addedAmount: tokens(500), reserve: tokens(100), now });
+    expect(preview).toEqual({
+      pending: tokens(6),
+      paid: tokens(6),
+      forfeited: 0n,
+      newAmount: tokens(1_500),
+      unlockAt: START + WEEK,
+      remaining: 4 * DAY
+    });
+  });
+
+  it('pays at most the reserve and forfeits the rest of the claim', () => {
+    const now = START + 3 * DAY;
+    const preview = previewTopUp({ position: position(week, tokens(1_000), { now }), lockDurationInSeconds: WEEK, addedAmount: tokens(1), reserve: tokens(4), now });
+    expect(preview).toMatchObject({ pending: tokens(6), paid: tokens(4), forfeited: tokens(2) });
+    expect(previewTopUp({ position: position(week, tokens(1_000), { now }), lockDurationInSeconds: WEEK, addedAmount: tokens(1), now }))
+      .toMatchObject({ paid: 0n, forfeited: tokens(6) });
+  });
+
+  it('unlocks the added tokens at once when the position has matured', () => {
+    const topUp = (now) => previewTopUp({ position: position(week, tokens(1_000), { now }), lockDurationInSeconds: WEEK, addedAmount: tokens(1), reserve: tokens(100), now });
+    expect(topUp(START + WEEK - 1).remaining).toBe(1);
+    expect(topUp(START + WEEK).remaining).toBe(0);
+    expect(topUp(START + 2 * WEEK)).toMatchObject({ unlockAt: START + WEEK, remaining: 0 });
+  });
+});
+
+describe('planExit', () => {
+  const [week, month] = POOLS;
+
+  it('returns the principal less 2% on an emergency exit and forfeits every pending reward', () => {
+    const now = START + 10 * DAY;
+    const plan = planExit({
+      positions: [{ pool: month, position: position(month, tokens(3_650), { now }) }],
+      reserve: tokens(100),
+      emergencyPoolIds: [month.id],
+      penaltyBps: EMERGENCY_UNSTAKE_PENALTY_BPS
+    });
+    expect(plan.matured).toEqual([]);
+    expect(plan.locked).toEqual([{ pool: month, unlockAt: START + MONTH, principal: tokens(3_650), penalty: tokens(73), forfeited: tokens(10), received: tokens(3_577), optedIn: true }]);
+    expect(plan.totals).toEqual({ principal: tokens(3_650), rewards: 0n, rewardsLostToCap: 0n, penalty: tokens(73), forfeited: tokens(10), received: tokens(3_577) });
+  });
+
+  it('pays matured positions from what is left of the reserve, in order', () => {
+    const now = START + MONTH;
+    const plan = planExit({
+      positions: [
+        { pool: week, position: position(week, tokens(1_000), { lastClaim: START + 20 * DAY, now }) },
+        { pool: month, position: position(month, tokens(3_650), { now }) }
+      ],
+      reserve: tokens(25),
+      penaltyBps: EMERGENCY_UNSTAKE_PENALTY_BPS
+    });
+    expect(plan.matured.map(({ rewardsDue, rewardsPaid, received }) => [rewardsDue, rewardsPaid, received])).toEqual([
+      [tokens(20), tokens(20), tokens(1_020)],
+      [tokens(30), tokens(5), tokens(3_655)]
+    ]);
+    expect(plan.totals).toMatchObject({ rewards: tokens(25), rewardsLostToCap: tokens(25), penalty: 0n, received: tokens(4_675) });
+  });
+
+  it('leaves locked positions out of the totals unless opted in, and treats the unlock second as matured', () => {
+    const now = START + WEEK;
+    const positions = [
+      { pool: week, position: position(week, tokens(1_000), { now }) },
+      { pool: month, position: position(month, tokens(3_650), { now }) }
+    ];
+    const plan = planExit({ positions, reserve: tokens(100), penaltyBps: EMERGENCY_UNSTAKE_PENALTY_BPS });
+    expect(plan.matured.map(({ pool }) => pool.id)).toEqual([week.id]);
+    expect(plan.locked.map(({ pool, optedIn }) => [pool.id, optedIn])).toEqual([[month.id, false]]);
+    expect(plan.totals).toMatchObject({ principal: tokens(1_000), rewards: tokens(14), penalty: 0n, forfeited: 0n, received: tokens(1_014) });
+
+    const oneSecondEarly = planExit({ positions: [{ pool: week, position: position(week, tokens(1_000), { now: now - 1 }) }], reserve: tokens(100), penaltyBps: EMERGENCY_UNSTAKE_PENALTY_BPS });
+    expect(oneSecondEarly.matured).toEqual([]);
+    expect(oneSecondEarly.totals.received).toBe(0n);
+  });
+});
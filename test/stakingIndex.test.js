@@ -0,0 +1,129 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { BlockNotFoundError } from 'viem';
+import { approveCall, stakeCall } from '../src/stakingSdk.js';
+import { createIndex, getActiveStakers, syncIndex } from '../src/stakingIndex.js';
+import { POOLS, startLocalChain, tokens } from './localChain.js';
+
+const [[WEEK], [MONTH]] = POOLS;
+
+let local;
+let snapshot;
+
+beforeAll(async () => {
+  local = await startLocalChain();
+});
+afterAll(() => local?.stop());
+
+beforeEach(async () => {
+  snapshot = await local.testClient.snapshot();
+});
+afterEach(() => local.testClient.revert({ id: snapshot }));
+
+const stake = async (account, amount, lockDuration) => {
+  await local.send(account, approveCall(local.deployment, amount));
+  return local.send(account, stakeCall(local.deployment, amount, lockDuration));
+};
+
+const sync = (index, publicClient = local.publicClient, options = {}) => syncIndex(publicClient, index, { deployment: local.deployment, ...options });
+
+// The local client with getBlock replaced
+const withGetBlock = (getBlock) => ({ ...local.publicClient, getBlock });
+
+describe('syncIndex', () => {
+  it('indexes the events since the deploy block', async () => {
+    const { users: [alice, bob] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    await stake(bob, tokens(2_000), MONTH);
+
+    const { index, added, reorg } = await sync(createIndex(local.deployment));
+    expect(added).toBe(3); // the reserve deposit and both stakes
+    expect(reorg).toBe(false);
+    expect(index.cursor.number).toBe(await local.publicClient.getBlockNumber());
+    expect(getActiveStakers(index).map(({ lockDuration, tvl }) => [lockDuration, tvl])).toEqual([[WEEK, tokens(1_000)], [MONTH, tokens(2_000)]]);
+  });
+
+  it('scans at most maxBlocks per call and carries on from the cursor', async () => {
+    const { users: [alice, bob] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    await stake(bob, tokens(2_000), MONTH);
+    const { index: oneShot } = await sync(createIndex(local.deployment));
+
+    let index = createIndex(local.deployment);
+    const cursors = [];
+    let done = false;
+    while (!done) {
+      ({ index, done } = await sync(index, local.publicClient, { maxBlocks: 3n }));
+      cursors.push(index.cursor.number);
+    }
+    expect(cursors.length).toBeGreaterThan(2);
+    expect(cursors.slice(0, -1).every((number, i) => number === local.deployment.deployBlock + 3n * BigInt(i + 1) - 1n)).toBe(true);
+    expect(index.cursor).toEqual(oneShot.cursor);
+    expect(index.entries).toEqual(oneShot.entries);
+  });
+
+  it('rewinds to the common ancestor after a reorg', async () => {
+    const { testClient, users: [alice, bob] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    const { index: before } = await sync(createIndex(local.deployment));
+
+    const fork = await testClient.snapshot();
+    await stake(alice, tokens(500), MONTH);
+    const { index: orphaned } = await sync(before);
+    expect(orphaned.entries).toHaveLength(before.entries.length + 1);
+
+    // The blocks after `fork` are replaced by longer, different ones
+    await testClient.revert({ id: fork });
+    await stake(bob, tokens(3_000), MONTH);
+    await local.advance(60);
+
+    const { index, removed, added, reorg } = await sync(orphaned);
+    expect(reorg).toBe(true);
+    expect(removed).toBe(1);
+    expect(added).toBe(1);
+    expect(index.entries.map((entry) => [entry.wallet, entry.lockDuration]).slice(-2)).toEqual([[alice.address, WEEK], [bob.address, MONTH]]);
+  });
+
+  it('treats a stored block the node no longer has as replaced', async () => {
+    const { testClient, users: [alice] } = local;
+    const { index: before } = await sync(createIndex(local.deployment));
+    const fork = await testClient.snapshot();
+    await stake(alice, tokens(1_000), WEEK);
+    const { index: orphaned } = await sync(before);
+
+    await testClient.revert({ id: fork });
+    const { index, removed, reorg } = await sync(orphaned);
+    expect(reorg).toBe(true);
+    expect(removed).toBe(1);
+    expect(index.entries).toEqual(before.entries);
+  });
+
+  it('rejects on an RPC failure without rewinding, and the next sync carries on', async () => {
+    const { users: [alice] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    const { index } = await sync(createIndex(local.deployment));
+
+    // Only the first request fails
+    let failures = 1;
+    const flaky = withGetBlock((args) => (failures-- > 0
+      ? Promise.reject(new Error('429 Too Many Requests'))
+      : local.publicClient.getBlock(args)));
+    await expect(sync(index, flaky)).rejects.toThrow('429 Too Many Requests');
+
+    const retried = await sync(index);
+    expect(retried.reorg).toBe(false);
+    expect(retried.removed).toBe(0);
+    expect(retried.index.entries).toEqual(index.entries);
+  });
+
+  it('does not rebuild the index when looking for the common ancestor fails', async () => {
+    const { users: [alice] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    const { index } = await sync(createIndex(local.deployment));
+
+    // The cursor block is gone, but every older lookup fails
+    const flaky = withGetBlock(({ blockNumber }) => Promise.reject(blockNumber === index.cursor.number
+      ? new BlockNotFoundError({ blockNumber })
+      : new Error('connection reset')));
+    await expect(sync(index, flaky)).rejects.toThrow('connection reset');
+  });
+});
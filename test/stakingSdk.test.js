@@ -0,0 +1,177 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import {
+  accruedRewards,
+  approveCall,
+  claimRewardsCall,
+  emergencyUnstakeCall,
+  readPendingRewards,
+  readPools,
+  readPositions,
+  readSnapshot,
+  readTokenBalance,
+  stakeCall,
+  stakingAbi,
+  unstakeCall
+} from '../src/stakingSdk.js';
+import { DAY, POOLS, startLocalChain, tokens } from './localChain.js';
+
+const [[WEEK], [MONTH, MONTH_APY]] = POOLS;
+
+let local;
+let snapshot;
+
+beforeAll(async () => {
+  local = await startLocalChain();
+});
+afterAll(() => local?.stop());
+
+// Every test starts from the freshly deployed, funded contracts
+beforeEach(async () => {
+  snapshot = await local.testClient.snapshot();
+});
+afterEach(() => local.testClient.revert({ id: snapshot }));
+
+const stake = async (account, amount, lockDuration) => {
+  await local.send(account, approveCall(local.deployment, amount));
+  return local.send(account, stakeCall(local.deployment, amount, lockDuration));
+};
+
+const contractPending = (address, lockDuration, blockNumber) => local.publicClient.readContract({
+  address: local.deployment.staking,
+  abi: stakingAbi,
+  functionName: 'pendingRewards',
+  args: [address, lockDuration],
+  blockNumber
+});
+
+describe('reads', () => {
+  it('readPools returns the pools in contract order with their totals', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    expect(await readPools(publicClient, { deployment })).toEqual([
+      { lockDuration: WEEK, apy: 12, totalStaked: 0n },
+      { lockDuration: MONTH, apy: 35, totalStaked: 0n }
+    ]);
+
+    await stake(alice, tokens(1_000), MONTH);
+    const pools = await readPools(publicClient, { deployment });
+    expect(pools[1].totalStaked).toBe(tokens(1_000));
+  });
+
+  it('readSnapshot reads the contract and, given an address, the wallet', async () => {
+    const { publicClient, deployment, owner, users: [alice] } = local;
+    await stake(alice, tokens(500), WEEK);
+
+    const contractOnly = await readSnapshot(publicClient, { deployment });
+    expect(contractOnly.lockDurations).toEqual([WEEK, MONTH]);
+    expect(contractOnly.owner).toBe(owner.address);
+    expect(contractOnly.rewardReserve).toBe(tokens(10_000));
+    expect(contractOnly.totalStakedAll).toBe(tokens(500));
+    expect(contractOnly.pools.map(([apy, exists]) => [apy, exists])).toEqual([[12n, true], [35n, true]]);
+    expect(contractOnly.tokenBalance).toBeUndefined();
+    expect(contractOnly.stakes).toEqual([]);
+
+    const withWallet = await readSnapshot(publicClient, { deployment, address: alice.address });
+    expect(withWallet.tokenBalance).toBe(tokens(99_500));
+    expect(withWallet.allowance).toBe(0n);
+    expect(withWallet.stakes[0][0]).toBe(tokens(500));
+    expect(withWallet.stakes[1]).toEqual([0n, 0n, 0n]);
+  });
+
+  it('readPositions reports locked and unlocked positions with what they have earned', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    await stake(alice, tokens(2_000), MONTH);
+    await local.advance(10 * DAY);
+
+    const blockNumber = await publicClient.getBlockNumber();
+    const positions = await readPositions(publicClient, { deployment, address: alice.address, blockNumber });
+    expect(positions.map(({ lockDuration, status, amount }) => ({ lockDuration, status, amount }))).toEqual([
+      { lockDuration: WEEK, status: 'unlocked', amount: tokens(1_000) },
+      { lockDuration: MONTH, status: 'locked', amount: tokens(2_000) }
+    ]);
+    expect(positions[1].apy).toBe(Number(MONTH_APY));
+    // Same formula as the contract, at the same block
+    for (const position of positions) {
+      expect(position.pending).toBeGreaterThan(0n);
+      expect(position.pending).toBe(await contractPending(alice.address, position.lockDuration, blockNumber));
+    }
+  });
+
+  it('readPositions is empty for a wallet without stakes', async () => {
+    const { publicClient, deployment, users: [, bob] } = local;
+    expect(await readPositions(publicClient, { deployment, address: bob.address })).toEqual([]);
+  });
+
+  it('readPendingRewards reads one pool or sums all of them', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    await stake(alice, tokens(1_000), MONTH);
+    await local.advance(5 * DAY);
+
+    const blockNumber = await publicClient.getBlockNumber();
+    const week = await readPendingRewards(publicClient, { deployment, address: alice.address, lockDuration: WEEK, blockNumber });
+    const month = await readPendingRewards(publicClient, { deployment, address: alice.address, lockDuration: MONTH, blockNumber });
+    expect(week).toBe(await contractPending(alice.address, WEEK, blockNumber));
+    expect(month).toBeGreaterThan(week); // 35% against 12%
+    expect(await readPendingRewards(publicClient, { deployment, address: alice.address, blockNumber })).toBe(week + month);
+  });
+});
+
+describe('call builders', () => {
+  it('approveCall and stakeCall open a position', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    await local.send(alice, approveCall(deployment, tokens(750)));
+    expect((await readSnapshot(publicClient, { deployment, address: alice.address })).allowance).toBe(tokens(750));
+
+    const receipt = await local.send(alice, stakeCall(deployment, tokens(750), MONTH));
+    expect(receipt.status).toBe('success');
+    const [position] = await readPositions(publicClient, { deployment, address: alice.address });
+    expect(position).toMatchObject({ lockDuration: MONTH, amount: tokens(750), status: 'locked' });
+  });
+
+  it('stakeCall without an allowance reverts', async () => {
+    const { deployment, users: [alice] } = local;
+    await expect(local.send(alice, stakeCall(deployment, tokens(1), WEEK))).rejects.toThrow(/ERC20InsufficientAllowance/);
+  });
+
+  it('unstakeCall reverts while locked and returns principal plus rewards after', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    await stake(alice, tokens(1_000), WEEK);
+    await expect(local.send(alice, unstakeCall(deployment, WEEK))).rejects.toThrow(/Locked/);
+
+    await local.advance(8 * DAY);
+    const before = await readTokenBalance(publicClient, { deployment, address: alice.address });
+    await local.send(alice, unstakeCall(deployment, WEEK));
+    const received = (await readTokenBalance(publicClient, { deployment, address: alice.address })) - before;
+    expect(received).toBeGreaterThan(tokens(1_000));
+    expect(await readPositions(publicClient, { deployment, address: alice.address })).toEqual([]);
+  });
+
+  it('emergencyUnstakeCall returns the principal less the 2% penalty, which joins the reserve', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    await stake(alice, tokens(1_000), MONTH);
+    const before = await readTokenBalance(publicClient, { deployment, address: alice.address });
+
+    await local.send(alice, emergencyUnstakeCall(deployment, MONTH));
+    expect((await readTokenBalance(publicClient, { deployment, address: alice.address })) - before).toBe(tokens(980));
+    expect((await readSnapshot(publicClient, { deployment })).rewardReserve).toBe(tokens(10_020));
+  });
+
+  it('claimRewardsCall pays the pending rewards and keeps the position', async () => {
+    const { publicClient, deployment, users: [alice] } = local;
+    await stake(alice, tokens(10_000), MONTH);
+    await local.advance(3 * DAY);
+
+    const [{ lastClaim }] = await readPositions(publicClient, { deployment, address: alice.address });
+    const before = await readTokenBalance(publicClient, { deployment, address: alice.address });
+    const receipt = await local.send(alice, claimRewardsCall(deployment, MONTH));
+    const { timestamp } = await publicClient.getBlock({ blockNumber: receipt.blockNumber });
+    const claimed = (await readTokenBalance(publicClient, { deployment, address: alice.address })) - before;
+    // Everything accrued up to the claim's block; the reserve is large enough not to cap it
+    expect(claimed).toBeGreaterThan(0n);
+    expect(claimed).toBe(accruedRewards(tokens(10_000), MONTH_APY, lastClaim, Number(timestamp)));
+    const [position] = await readPositions(publicClient, { deployment, address: alice.address });
+    expect(position.amount).toBe(tokens(10_000));
+    expect(position.lastClaim).toBeGreaterThan(position.startTime);
+  });
+});
@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Vitest: the tests run against a local EVM (test/localChain.js), so they get generous timeouts
+  test: {
+    include: ['test/**/*.test.js'],
+    globalSetup: ['test/compileContracts.js'],
+    testTimeout: 30_000,
+    hookTimeout: 60_000,
+  },
 })